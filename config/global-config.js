@@ -6,6 +6,8 @@
  * the plaintext configuration for initial setup.
  */
 
+import crypto from 'crypto';
+
 export const globalConfig = {
   // Voice configuration shared across all tenants
   voiceConfig: {
@@ -13,6 +15,68 @@ export const globalConfig = {
     apiKey: 'your-deepgram-api-key' // Replace with your actual Deepgram API key
   },
 
+  // Default outbound calling window in the callee's local time; tenants
+  // override it with callingHours in the call config, agents with
+  // agentConfig.callingHours (see src/calling-hours.js)
+  callingHours: {
+    start: '08:00',
+    end: '21:00',
+    action: 'reject'
+  },
+
+  // Generated speech for all tenants (see src/audio-storage). Twilio plays
+  // it through expiring links to the server's /audio route, or presigned
+  // URLs when the backend is an S3-compatible bucket.
+  audioStorage: {
+    backend: process.env.AUDIO_STORAGE || 'local', // local or s3
+    path: process.env.AUDIO_STORAGE_PATH || 'storage/audio',
+    endpoint: process.env.S3_ENDPOINT,
+    publicEndpoint: process.env.S3_PUBLIC_ENDPOINT,
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // Links only have to outlive the call, so a per-process secret will do
+    urlSecret: process.env.AUDIO_URL_SECRET || crypto.randomBytes(32).toString('hex'),
+    urlTtl: parseInt(process.env.AUDIO_URL_TTL) || 60 * 60, // seconds
+    retention: parseInt(process.env.AUDIO_RETENTION) || 24 * 60 * 60 * 1000, // 24 hours
+    cleanupInterval: parseInt(process.env.AUDIO_CLEANUP_INTERVAL) || 60 * 60 * 1000, // 1 hour
+    keep: ['recordings/'], // call recordings follow their own retention (see recordings below)
+    tenantQuota: parseInt(process.env.AUDIO_TENANT_QUOTA) || 100 * 1024 * 1024, // 100MB per tenant
+    tenantQuotas: {} // tenantId -> bytes, for tenants with a different allowance
+  },
+
+  // Call recordings, copied out of Twilio into audio storage when a call
+  // completes (see src/recordings.js). Tenants override channels and
+  // retentionDays with recordingConfig in the call config.
+  recordings: {
+    channels: process.env.RECORDING_CHANNELS === 'dual' ? 'dual' : 'mono',
+    retentionDays: parseInt(process.env.RECORDING_RETENTION_DAYS) || 0, // 0 keeps recordings until deleted
+    encryptionKey: process.env.RECORDING_ENCRYPTION_KEY, // 32 bytes, hex or base64
+    deleteFromTwilio: process.env.RECORDING_DELETE_FROM_TWILIO === 'true'
+  },
+
+  // Where tenant data is kept (see database/adapters): a SQLite file per
+  // tenant under dbPath, or with DATABASE_URL a schema per tenant in one
+  // PostgreSQL database, which several instances of the service can share.
+  // Tenants share one pool of poolSize connections.
+  database: {
+    client: process.env.DATABASE_URL ? 'postgres' : 'sqlite',
+    dbPath: process.env.TENANT_DB_PATH || 'tenant-databases',
+    url: process.env.DATABASE_URL,
+    poolSize: parseInt(process.env.TENANT_DB_POOL_SIZE) || 10
+  },
+
+  // PII redaction of stored messages and analysis prompts (see
+  // src/redaction.js). Tenants override enabled and types with
+  // redactionConfig in the call config.
+  redaction: {
+    enabled: process.env.PII_REDACTION !== 'false',
+    types: process.env.PII_REDACTION_TYPES ? process.env.PII_REDACTION_TYPES.split(',').map(type => type.trim()) : ['card', 'ssn', 'phone', 'email', 'address'],
+    vaultKey: process.env.PII_VAULT_KEY, // 32 bytes, hex or base64; unset redacts without keeping the originals
+    accessToken: process.env.PII_VAULT_ACCESS_TOKEN // X-Vault-Token for reading calls unredacted; unset disables it
+  },
+
   // Add other global settings here as needed
   // For example:
   // defaultSettings: {
@@ -1,6 +1,7 @@
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
+import { createDatabase } from '../database/adapters/index.js';
 
 /**
  * Manages tenant configurations with encryption and validation
@@ -14,6 +15,7 @@ class ConfigurationManager {
     this.encryptionKey = options.encryptionKey || this._generateEncryptionKey();
     this.configs = new Map();
     this.globalConfig = null;
+    this.database = null;
   }
 
   /**
@@ -336,25 +338,55 @@ class ConfigurationManager {
     this.globalConfig = await this._loadGlobalConfigFromFile();
   }
 
-  // Database storage methods (placeholder for future implementation)
+  // Database storage: encrypted configs in a tenant_configs table of
+  // options.database (see database/adapters), so instances sharing a
+  // PostgreSQL database share tenant configs
+  _getConfigDatabase() {
+    if (!this.database) {
+      this.database = this._openConfigDatabase();
+    }
+    return this.database;
+  }
+
+  async _openConfigDatabase() {
+    const database = createDatabase(this.options.database || {
+      client: 'sqlite',
+      filename: path.join(this.configPath, 'tenant-configs.db')
+    });
+    await database.run(`
+      CREATE TABLE IF NOT EXISTS tenant_configs (
+        tenant_id TEXT PRIMARY KEY,
+        config TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return database;
+  }
+
   async _saveConfigToDatabase(tenantId, config) {
-    // TODO: Implement database storage
-    throw new Error('Database storage not implemented yet');
+    const database = await this._getConfigDatabase();
+    await database.run(
+      `INSERT INTO tenant_configs (tenant_id, config, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (tenant_id) DO UPDATE SET config = excluded.config, updated_at = excluded.updated_at`,
+      [tenantId, JSON.stringify(config)]
+    );
   }
 
   async _loadConfigFromDatabase(tenantId) {
-    // TODO: Implement database loading
-    throw new Error('Database storage not implemented yet');
+    const database = await this._getConfigDatabase();
+    const row = await database.get('SELECT config FROM tenant_configs WHERE tenant_id = ?', [tenantId]);
+    return row ? JSON.parse(row.config) : null;
   }
 
   async _removeConfigFromDatabase(tenantId) {
-    // TODO: Implement database removal
-    throw new Error('Database storage not implemented yet');
+    const database = await this._getConfigDatabase();
+    await database.run('DELETE FROM tenant_configs WHERE tenant_id = ?', [tenantId]);
   }
 
   async _listTenantsFromDatabase() {
-    // TODO: Implement database listing
-    throw new Error('Database storage not implemented yet');
+    const database = await this._getConfigDatabase();
+    const rows = await database.all('SELECT tenant_id FROM tenant_configs ORDER BY tenant_id');
+    return rows.map(row => row.tenant_id);
   }
 }
 
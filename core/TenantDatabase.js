@@ -1,16 +1,25 @@
-import Database from 'sqlite3';
+import crypto from 'crypto';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs/promises';
+import Migrator from '../database/migrator.js';
+import { createDatabase } from '../database/adapters/index.js';
 
 /**
- * Tenant-specific database with isolation
+ * Tenant-specific database with isolation: a SQLite file per tenant, or a
+ * schema per tenant in a shared PostgreSQL database
  */
 class TenantDatabase {
+  /**
+   * @param {string} tenantId - Tenant identifier
+   * @param {Object} options - client ('sqlite' or 'postgres'), dbPath (directory
+   *   of SQLite files), url and poolSize (PostgreSQL); see database in
+   *   config/global-config.js
+   */
   constructor(tenantId, options = {}) {
     this.tenantId = tenantId;
     this.options = options;
-    this.dbPath = this._getDatabasePath();
+    this.client = options.client || 'sqlite';
+    this.dbPath = this.client === 'sqlite' ? this._getDatabasePath() : null;
     this.db = null;
   }
 
@@ -19,11 +28,9 @@ class TenantDatabase {
    */
   async initialize() {
     try {
-      // Ensure database directory exists
-      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
-      
       // Create database connection
-      this.db = await this._createConnection();
+      this.db = this._createConnection();
+      await this.db.connect();
       
       // Initialize schema
       await this._initializeSchema();
@@ -71,6 +78,40 @@ class TenantDatabase {
     return { id, tenantId: this.tenantId, ...agentData };
   }
 
+  /**
+   * Create a conversation for a call
+   * @param {Object} conversationData - id, direction, customerNumber, callSid, agentConfig, status
+   * @returns {Promise<Object>} Created conversation
+   */
+  async createConversation(conversationData) {
+    const {
+      id = uuidv4(),
+      direction,
+      customerNumber,
+      callSid = null,
+      agentConfig = {},
+      status = 'initiated'
+    } = conversationData;
+
+    const query = `
+      INSERT INTO conversations
+      (id, tenant_id, call_sid, direction, customer_number, agent_config, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `;
+
+    await this._run(query, [
+      id,
+      this.tenantId,
+      callSid,
+      direction,
+      customerNumber,
+      JSON.stringify(agentConfig),
+      status
+    ]);
+
+    return await this.getConversation(id);
+  }
+
   /**
    * Get conversation by ID
    * @param {string} conversationId - Conversation ID
@@ -108,6 +149,20 @@ class TenantDatabase {
     return await this.getConversation(conversationId);
   }
 
+  /**
+   * Conversations whose archived recording is past its retention
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} Conversations
+   */
+  async getExpiredRecordings(now = new Date()) {
+    const query = `
+      SELECT * FROM conversations
+      WHERE tenant_id = ? AND recording_key IS NOT NULL
+        AND recording_expires_at IS NOT NULL AND recording_expires_at <= ?
+    `;
+    return await this._all(query, [this.tenantId, now.toISOString()]);
+  }
+
   /**
    * Add message to conversation
    * @param {string} conversationId - Conversation ID
@@ -149,6 +204,33 @@ class TenantDatabase {
     return await this._all(query, [conversationId]);
   }
 
+  /**
+   * Keep the original values behind vault tokens (see src/redaction.js).
+   * Tokens are derived from the value, so storing one twice is a no-op.
+   * @param {string} conversationId - Conversation ID
+   * @param {Array<Object>} entries - token, type and sealed value
+   */
+  async storePiiValues(conversationId, entries) {
+    for (const { token, type, value } of entries) {
+      await this._run(
+        'INSERT OR IGNORE INTO pii_vault (token, tenant_id, conversation_id, type, value) VALUES (?, ?, ?, ?, ?)',
+        [token, this.tenantId, conversationId, type, value]
+      );
+    }
+  }
+
+  /**
+   * Get the vaulted values of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Array>} token, type and sealed value rows
+   */
+  async getPiiValues(conversationId) {
+    return await this._all(
+      'SELECT * FROM pii_vault WHERE tenant_id = ? AND conversation_id = ?',
+      [this.tenantId, conversationId]
+    );
+  }
+
   /**
    * Create callback request
    * @param {Object} requestData - Callback request data
@@ -175,6 +257,95 @@ class TenantDatabase {
     return { id, ...requestData };
   }
 
+  /**
+   * Find a number on the tenant's do-not-call list
+   * @param {string} phoneNumber - E.164 phone number
+   * @returns {Promise<Object|undefined>} List entry, if any
+   */
+  async findDoNotCall(phoneNumber) {
+    const query = 'SELECT * FROM do_not_call WHERE tenant_id = ? AND phone_number = ?';
+    return await this._get(query, [this.tenantId, phoneNumber]);
+  }
+
+  /**
+   * Add a number to the tenant's do-not-call list; numbers already listed
+   * keep their original entry
+   * @param {Object} entryData - phoneNumber, reason, source, conversationId
+   * @returns {Promise<boolean>} Whether the number was newly added
+   */
+  async addDoNotCall(entryData) {
+    const { phoneNumber, reason = null, source = 'manual', conversationId = null } = entryData;
+
+    const query = `
+      INSERT OR IGNORE INTO do_not_call
+      (id, tenant_id, phone_number, reason, source, conversation_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+
+    const result = await this._run(query, [uuidv4(), this.tenantId, phoneNumber, reason, source, conversationId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Remove a number from the tenant's do-not-call list
+   * @param {string} phoneNumber - E.164 phone number
+   * @returns {Promise<boolean>} Whether the number was listed
+   */
+  async removeDoNotCall(phoneNumber) {
+    const query = 'DELETE FROM do_not_call WHERE tenant_id = ? AND phone_number = ?';
+    const result = await this._run(query, [this.tenantId, phoneNumber]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the tenant's do-not-call list, newest first
+   * @param {number} limit - Maximum entries
+   * @returns {Promise<Array>} List entries
+   */
+  async getDoNotCallList(limit = 100) {
+    const query = 'SELECT * FROM do_not_call WHERE tenant_id = ? ORDER BY created_at DESC LIMIT ?';
+    return await this._all(query, [this.tenantId, limit]);
+  }
+
+  /**
+   * Record a compliance event (do-not-call changes, blocked calls)
+   * @param {Object} eventData - type, phoneNumber, source, details
+   * @returns {Promise<Object>} Created event
+   */
+  async logComplianceEvent(eventData) {
+    const id = uuidv4();
+    const { type, phoneNumber = null, source = null, details = {} } = eventData;
+
+    const query = `
+      INSERT INTO compliance_events
+      (id, tenant_id, type, phone_number, source, details, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+
+    await this._run(query, [id, this.tenantId, type, phoneNumber, source, JSON.stringify(details)]);
+    return { id, ...eventData };
+  }
+
+  /**
+   * Get compliance events for the tenant, newest first
+   * @param {Object} filters - type, limit
+   * @returns {Promise<Array>} Events with parsed details
+   */
+  async getComplianceEvents({ type = null, limit = 100 } = {}) {
+    let query = 'SELECT * FROM compliance_events WHERE tenant_id = ?';
+    const params = [this.tenantId];
+
+    if (type) {
+      query += ' AND type = ?';
+      params.push(type);
+    }
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = await this._all(query, params);
+    return rows.map(row => ({ ...row, details: JSON.parse(row.details || '{}') }));
+  }
+
   /**
    * Get analytics for tenant
    * @param {Object} filters - Analytics filters
@@ -209,24 +380,37 @@ class TenantDatabase {
 
     const analytics = await this._get(query, params);
     
-    // Get top categories
-    const categoryQuery = `
-      SELECT JSON_EXTRACT(analysis, '$.categories') as categories, COUNT(*) as count
-      FROM conversations 
-      WHERE tenant_id = ? AND analysis IS NOT NULL
-      GROUP BY categories
-      ORDER BY count DESC
-      LIMIT 5
+    // Get top categories. Analyses are counted here rather than in SQL,
+    // which has no JSON functions common to SQLite and PostgreSQL
+    const analyses = await this._all(
+      'SELECT analysis FROM conversations WHERE tenant_id = ? AND analysis IS NOT NULL',
+      [this.tenantId]
+    );
+    const categoryCounts = new Map();
+    for (const { analysis } of analyses) {
+      for (const category of this._parseCategories(analysis)) {
+        categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1);
+      }
+    }
+    const categories = [...categoryCounts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
+
+    // Calls per language they were held in
+    const languageQuery = `
+      SELECT language, COUNT(*) as total_calls, AVG(rating) as avg_rating
+      FROM conversations
+      WHERE tenant_id = ? AND language IS NOT NULL
+      GROUP BY language
+      ORDER BY total_calls DESC
     `;
-    
-    const categories = await this._all(categoryQuery, [this.tenantId]);
+
+    const languages = await this._all(languageQuery, [this.tenantId]);
     
     return {
       ...analytics,
-      categories: categories.map(row => ({
-        category: row.categories,
-        count: row.count
-      }))
+      categories: categories.map(([category, count]) => ({ category, count })),
+      languages
     };
   }
 
@@ -248,15 +432,7 @@ class TenantDatabase {
    */
   async close() {
     if (this.db) {
-      return new Promise((resolve, reject) => {
-        this.db.close((err) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve();
-          }
-        });
-      });
+      await this.db.close();
     }
   }
 
@@ -266,126 +442,53 @@ class TenantDatabase {
     return path.join(dbDir, `${this.tenantId}.db`);
   }
 
-  async _createConnection() {
-    return new Promise((resolve, reject) => {
-      const db = new Database.Database(this.dbPath, (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(db);
-        }
-      });
+  _createConnection() {
+    if (this.client === 'sqlite') {
+      return createDatabase({ client: 'sqlite', filename: this.dbPath });
+    }
+    return createDatabase({
+      client: this.client,
+      url: this.options.url,
+      poolSize: this.options.poolSize,
+      schema: this._getSchemaName()
     });
   }
 
-  async _initializeSchema() {
-    const tables = [
-      {
-        name: 'conversations',
-        schema: `
-          CREATE TABLE IF NOT EXISTS conversations (
-            id TEXT PRIMARY KEY,
-            tenant_id TEXT NOT NULL,
-            call_sid TEXT,
-            direction TEXT CHECK(direction IN ('inbound', 'outbound')) NOT NULL,
-            customer_number TEXT NOT NULL,
-            agent_config TEXT NOT NULL,
-            status TEXT DEFAULT 'initiated',
-            transcription TEXT, -- JSON array of conversation messages: [{role, content, timestamp}, ...]
-            audio_url TEXT,
-            recording_url TEXT,
-            rating INTEGER CHECK(rating >= 1 AND rating <= 10),
-            analysis TEXT,
-            success BOOLEAN DEFAULT 0,
-            duration INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            completed_at DATETIME
-          )
-        `
-      },
-      {
-        name: 'conversation_messages',
-        schema: `
-          CREATE TABLE IF NOT EXISTS conversation_messages (
-            id TEXT PRIMARY KEY,
-            conversation_id TEXT NOT NULL,
-            role TEXT CHECK(role IN ('user', 'assistant')) NOT NULL,
-            content TEXT NOT NULL,
-            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (conversation_id) REFERENCES conversations (id)
-          )
-        `
-      },
-      {
-        name: 'callback_requests',
-        schema: `
-          CREATE TABLE IF NOT EXISTS callback_requests (
-            id TEXT PRIMARY KEY,
-            conversation_id TEXT NOT NULL,
-            tenant_id TEXT NOT NULL,
-            reason TEXT DEFAULT 'Human transfer requested',
-            preferred_time DATETIME,
-            status TEXT CHECK(status IN ('pending', 'scheduled', 'completed', 'cancelled')) DEFAULT 'pending',
-            notes TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (conversation_id) REFERENCES conversations (id)
-          )
-        `
-      }
-    ];
-
-    for (const table of tables) {
-      await this._run(table.schema);
+  // An analysis's categories, each counted once; none when it isn't JSON
+  _parseCategories(analysis) {
+    try {
+      const { categories } = JSON.parse(analysis) || {};
+      return Array.isArray(categories) ? [...new Set(categories.map(String))] : [];
+    } catch (error) {
+      return [];
     }
+  }
 
-    // Create indexes
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_conversations_tenant_id ON conversations(tenant_id)',
-      'CREATE INDEX IF NOT EXISTS idx_conversations_created_at ON conversations(created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON conversation_messages(conversation_id)',
-      'CREATE INDEX IF NOT EXISTS idx_callback_requests_tenant_id ON callback_requests(tenant_id)'
-    ];
+  // Tenant IDs are free-form; schema names are lowercase identifiers
+  _getSchemaName() {
+    const name = this.tenantId.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+    const hash = crypto.createHash('sha256').update(this.tenantId).digest('hex').slice(0, 8);
+    return `tenant_${name.slice(0, 40)}_${hash}`;
+  }
 
-    for (const index of indexes) {
-      await this._run(index);
-    }
+  /**
+   * Apply the shared migrations (database/migrations), so tenant databases
+   * have the same schema as the single-tenant app
+   */
+  async _initializeSchema() {
+    await new Migrator(this.db).migrate();
   }
 
   async _run(query, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(query, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this);
-        }
-      });
-    });
+    return await this.db.run(query, params);
   }
 
   async _get(query, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(query, params, (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    return await this.db.get(query, params);
   }
 
   async _all(query, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(query, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return await this.db.all(query, params);
   }
 }
 
@@ -1,13 +1,18 @@
 import { TenantTwilioService } from './services/TenantTwilioService.js';
 import { TenantAIService } from './services/TenantAIService.js';
 import { TenantDatabase } from './TenantDatabase.js';
+import { globalConfig } from '../config/global-config.js';
 
 /**
  * Factory for creating and managing tenant-specific services
  */
 class TenantServiceFactory {
-  constructor() {
+  /**
+   * @param {import('../src/audio-storage/audio-store.js').AudioStore} audioStore - Where tenants' generated audio is kept
+   */
+  constructor(audioStore = null) {
     this.tenantServices = new Map();
+    this.audioStore = audioStore;
   }
 
   /**
@@ -27,9 +32,10 @@ class TenantServiceFactory {
       ai: new TenantAIService(
         configs.aiConfig || configs, 
         configs.voiceConfig || configs, 
-        configs.voiceConfig || configs
+        configs.voiceConfig || configs,
+        { tenantId, audioStore: this.audioStore }
       ),
-      database: new TenantDatabase(tenantId)
+      database: new TenantDatabase(tenantId, globalConfig.database)
     };
 
     // Initialize services
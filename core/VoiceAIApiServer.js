@@ -1,4 +1,6 @@
 import { VoiceAIService } from './VoiceAIService.js';
+import { createAudioRouter, sendAudio } from '../src/audio-storage/index.js';
+import { vaultAccessAllowed } from '../src/redaction.js';
 import express from 'express';
 import helmet from 'helmet';
 import cors from 'cors';
@@ -60,16 +62,28 @@ class VoiceAIApiServer {
       res.json({ status: 'healthy', timestamp: new Date().toISOString() });
     });
 
+    // Generated speech, through the expiring links Twilio is given
+    this.app.use('/audio', createAudioRouter(this.voiceAI.audioStore));
+
     // Voice AI operations - Core workflow only
     this.app.post('/api/voice/:tenantId/outbound', this.makeOutboundCall.bind(this));
     this.app.get('/api/voice/:tenantId/calls/:callId', this.getCallResult.bind(this));
     this.app.get('/api/voice/:tenantId/analytics', this.getTenantAnalytics.bind(this));
+    this.app.delete('/api/voice/:tenantId/deferred/:deferredId', this.cancelDeferredCall.bind(this));
+
+    // Do-not-call list and compliance log
+    this.app.get('/api/voice/:tenantId/dnc', this.getDoNotCallList.bind(this));
+    this.app.post('/api/voice/:tenantId/dnc', this.addDoNotCall.bind(this));
+    this.app.post('/api/voice/:tenantId/dnc/import', this.importDoNotCall.bind(this));
+    this.app.delete('/api/voice/:tenantId/dnc/:phoneNumber', this.removeDoNotCall.bind(this));
+    this.app.get('/api/voice/:tenantId/compliance', this.getComplianceEvents.bind(this));
 
     // Webhook endpoints for Twilio
     this.app.post('/api/voice/:tenantId/inbound', this.handleInboundCall.bind(this));
     this.app.post('/api/voice/:tenantId/calls/:callId', this.handleCallInteraction.bind(this));
     this.app.post('/api/voice/:tenantId/status', this.handleCallStatus.bind(this));
     this.app.get('/api/voice/:tenantId/calls/:callId/recording', this.getCallRecording.bind(this));
+    this.app.get('/api/voice/:tenantId/calls/:callId/unredacted', this.getUnredactedCall.bind(this));
 
     // Error handling
     this.app.use(this.errorHandler.bind(this));
@@ -108,8 +122,22 @@ class VoiceAIApiServer {
         
         const result = await this.voiceAI.makeOutboundCall(tenantId, callConfig);
         
-        res.status(201).json(result);
+        // Deferred calls are placed when the callee's calling window opens
+        res.status(result.status === 'deferred' ? 202 : 201).json(result);
       } catch (error) {
+        if (error.code === 'DO_NOT_CALL') {
+          return res.status(403).json({ error: error.message, code: 'do_not_call' });
+        }
+        if (error.code === 'OUTSIDE_CALLING_HOURS') {
+          const { timezone, localTime, nextAllowedAt } = error.details;
+          return res.status(409).json({
+            error: error.message,
+            code: 'outside_calling_hours',
+            timezone,
+            localTime,
+            nextAllowedAt: nextAllowedAt?.toISOString() || null
+          });
+        }
         console.error('Error making outbound call:', error);
         res.status(400).json({ error: error.message });
       }
@@ -142,6 +170,87 @@ class VoiceAIApiServer {
       }
     }
   
+    async cancelDeferredCall(req, res) {
+      const { tenantId, deferredId } = req.params;
+      if (!this.voiceAI.cancelDeferredCall(tenantId, deferredId)) {
+        return res.status(404).json({ error: 'Deferred call not found' });
+      }
+      res.json({ message: 'Deferred call cancelled' });
+    }
+  
+    async getDoNotCallList(req, res) {
+      try {
+        const { tenantId } = req.params;
+        const entries = await this.voiceAI.getDoNotCallList(tenantId, { limit: parseInt(req.query.limit) || 100 });
+        res.json(entries);
+      } catch (error) {
+        console.error('Error getting do-not-call list:', error);
+        res.status(500).json({ error: error.message });
+      }
+    }
+  
+    async addDoNotCall(req, res) {
+      try {
+        const { tenantId } = req.params;
+        const { phoneNumber, reason } = req.body;
+        if (!phoneNumber) {
+          return res.status(400).json({ error: 'phoneNumber is required' });
+        }
+        
+        const result = await this.voiceAI.addDoNotCall(tenantId, phoneNumber, { reason });
+        res.status(result.added ? 201 : 200).json(result.entry);
+      } catch (error) {
+        console.error('Error adding to do-not-call list:', error);
+        res.status(400).json({ error: error.message });
+      }
+    }
+  
+    async importDoNotCall(req, res) {
+      try {
+        const { tenantId } = req.params;
+        const { csv, reason } = req.body;
+        if (!csv) {
+          return res.status(400).json({ error: 'csv is required' });
+        }
+        
+        const result = await this.voiceAI.importDoNotCall(tenantId, csv, { reason });
+        res.json(result);
+      } catch (error) {
+        console.error('Error importing do-not-call list:', error);
+        res.status(500).json({ error: error.message });
+      }
+    }
+  
+    async removeDoNotCall(req, res) {
+      try {
+        const { tenantId, phoneNumber } = req.params;
+        
+        const removed = await this.voiceAI.removeDoNotCall(tenantId, phoneNumber);
+        if (!removed) {
+          return res.status(404).json({ error: 'Number is not on the do-not-call list' });
+        }
+        res.json({ message: 'Number removed from the do-not-call list' });
+      } catch (error) {
+        console.error('Error removing from do-not-call list:', error);
+        res.status(500).json({ error: error.message });
+      }
+    }
+  
+    async getComplianceEvents(req, res) {
+      try {
+        const { tenantId } = req.params;
+        
+        const events = await this.voiceAI.getComplianceEvents(tenantId, {
+          type: req.query.type,
+          limit: parseInt(req.query.limit) || 100
+        });
+        res.json(events);
+      } catch (error) {
+        console.error('Error getting compliance events:', error);
+        res.status(500).json({ error: error.message });
+      }
+    }
+  
     async handleInboundCall(req, res) {
       try {
         const { tenantId } = req.params;
@@ -164,7 +273,11 @@ class VoiceAIApiServer {
       try {
         const { tenantId, callId } = req.params;
         
-        const twiml = await this.voiceAI.handleCallInteraction(tenantId, callId, req.body);
+        const twiml = await this.voiceAI.handleCallInteraction(tenantId, callId, req.body, {
+          consent: req.query.consent === 'true',
+          attempt: parseInt(req.query.attempt) || 1,
+          languageMenu: req.query.language === 'menu'
+        });
         
         res.type('text/xml').send(twiml);
       } catch (error) {
@@ -199,30 +312,43 @@ class VoiceAIApiServer {
       try {
         const { tenantId, callId } = req.params;
         
-        const result = await this.voiceAI.getCallResult(tenantId, callId);
+        const audio = await this.voiceAI.getCallRecording(tenantId, callId);
         
-        if (!result.recording) {
+        if (!audio) {
           return res.status(404).json({ error: 'Recording not found' });
         }
         
-        // Proxy the recording from Twilio
-        const recordingResponse = await fetch(result.recording.url);
-        
-        if (!recordingResponse.ok) {
-          return res.status(404).json({ error: 'Recording not accessible' });
-        }
-        
-        const contentType = recordingResponse.headers.get('content-type') || 'audio/wav';
-        res.setHeader('Content-Type', contentType);
-        res.setHeader('Cache-Control', 'public, max-age=3600');
-        
-        recordingResponse.body.pipe(res);
+        // Range requests let players seek without downloading the whole call
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        sendAudio(req, res, audio, 'audio/mpeg');
       } catch (error) {
         console.error('Error getting call recording:', error);
         res.status(500).json({ error: 'Failed to get recording' });
       }
     }
   
+    // On top of the tenant's API key, revealing PII takes the vault access token
+    async getUnredactedCall(req, res) {
+      try {
+        const { tenantId, callId } = req.params;
+
+        if (!vaultAccessAllowed(req.get('X-Vault-Token'), this.voiceAI.globalConfig.redaction.accessToken)) {
+          return res.status(403).json({ error: 'A valid X-Vault-Token is required' });
+        }
+
+        const result = await this.voiceAI.getUnredactedCall(tenantId, callId, { requestedBy: req.ip });
+        if (!result) {
+          return res.status(404).json({ error: 'Call not found' });
+        }
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.json(result);
+      } catch (error) {
+        console.error('Error getting unredacted call:', error);
+        res.status(500).json({ error: 'Failed to get unredacted call' });
+      }
+    }
+
     // Error handler
     errorHandler(error, req, res, next) {
       console.error('Unhandled error:', error);
@@ -254,6 +380,10 @@ class VoiceAIApiServer {
       try {
         // Initialize the voice AI service
         await this.voiceAI.configManager.initialize();
+
+        // Delete generated audio past its retention
+        this.voiceAI.audioStore.start();
+        this.voiceAI.startRecordingPurge();
         
         // Start the server
         this.server = this.app.listen(this.port, () => {
@@ -269,6 +399,8 @@ class VoiceAIApiServer {
     }
   
     async stop() {
+      this.voiceAI.audioStore.stop();
+      this.voiceAI.stopRecordingPurge();
       if (this.server) {
         return new Promise((resolve) => {
           this.server.close(() => {
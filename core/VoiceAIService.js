@@ -4,6 +4,61 @@ import { TenantDatabase } from './TenantDatabase.js';
 import { WebhookManager } from './WebhookManager.js';
 import { v4 as uuidv4 } from 'uuid';
 import { globalConfig, validateGlobalConfig } from '../config/global-config.js';
+import { validateIntentConfig } from '../src/intent.js';
+import { AudioStore, createAudioStorage } from '../src/audio-storage/index.js';
+import {
+  parseConsentConfig,
+  validateConsentConfig,
+  resolveJurisdiction,
+  consentPolicy,
+  consentOutcome,
+  CONSENT_RETRY_PROMPT,
+  CONSENT_GRANTED_MESSAGE,
+  CONSENT_DECLINED_MESSAGE
+} from '../src/consent.js';
+import {
+  DO_NOT_CALL_MESSAGE,
+  OPT_OUT_REASON,
+  normalizePhoneNumber,
+  isValidPhoneNumber,
+  parsePhoneList
+} from '../src/dnc.js';
+import {
+  OUTSIDE_CALLING_HOURS_MESSAGE,
+  validateCallingHours,
+  resolveCallingHours,
+  calleeTimezone,
+  checkCallingHours
+} from '../src/calling-hours.js';
+import {
+  parseLanguageConfig,
+  validateLanguageConfig,
+  needsDetection,
+  languageSettings,
+  languageGreeting,
+  languageInstruction,
+  languageMenu,
+  menuChoice
+} from '../src/language.js';
+import {
+  RECORDING_FORMAT,
+  parseEncryptionKey,
+  encryptRecording,
+  decryptRecording,
+  recordingExpiry,
+  recordingSid,
+  waitForRecording
+} from '../src/recordings.js';
+import {
+  validateRedactionConfig,
+  resolveRedactionConfig,
+  redactText,
+  maskValue,
+  vaultToken,
+  sealValue,
+  openValue,
+  revealText
+} from '../src/redaction.js';
 
 /**
  * Multi-Tenant Voice AI Service
@@ -11,11 +66,17 @@ import { globalConfig, validateGlobalConfig } from '../config/global-config.js';
  */
 class VoiceAIService {
   constructor() {
-    this.serviceFactory = new TenantServiceFactory();
+    // Generated audio, kept per tenant under its storage quota
+    this.audioStore = new AudioStore(createAudioStorage(globalConfig.audioStorage), globalConfig.audioStorage);
+    this.serviceFactory = new TenantServiceFactory(this.audioStore);
     this.configManager = new ConfigurationManager();
     this.webhookManager = new WebhookManager();
     this.activeCalls = new Map();
+    this.deferredCalls = new Map();
     this.globalConfig = globalConfig;
+    this.recordingKey = parseEncryptionKey(globalConfig.recordings.encryptionKey);
+    this.recordingPurgeTimer = null;
+    this.piiVaultKey = parseEncryptionKey(globalConfig.redaction.vaultKey, 'PII vault key');
   }
 
   /**
@@ -48,7 +109,10 @@ class VoiceAIService {
       agentConfig, // Now passed directly in request
       twilioConfig, // Twilio credentials passed directly
       aiConfig, // AI config passed directly
-      voiceConfig // Voice config passed directly
+      voiceConfig, // Voice config passed directly
+      callingHours, // Tenant-wide calling window, overriding the global one
+      recordingConfig, // Tenant recording channels and retention, overriding the global ones
+      redactionConfig // Tenant PII redaction policy, overriding the global one
     } = callConfig;
 
     try {
@@ -58,6 +122,32 @@ class VoiceAIService {
         { twilioConfig, aiConfig, voiceConfig }
       );
 
+      // Never dial a number on the tenant's do-not-call list
+      if (await this._isDoNotCall(services, contactDetails.phone, 'outbound')) {
+        const error = new Error(DO_NOT_CALL_MESSAGE);
+        error.code = 'DO_NOT_CALL';
+        throw error;
+      }
+
+      // Only dial inside the callee's calling hours
+      for (const layer of [callingHours, agentConfig?.callingHours]) {
+        const callingHoursError = layer && validateCallingHours(layer);
+        if (callingHoursError) throw new Error(callingHoursError);
+      }
+      const recording = this._recordingConfig(recordingConfig);
+      const redaction = this._redactionConfig(redactionConfig);
+      const rules = resolveCallingHours(this.globalConfig.callingHours, callingHours, agentConfig?.callingHours);
+      const hours = await this._checkCallingHours(services, rules, contactDetails);
+      if (!hours.allowed) {
+        if (rules.action === 'defer' && hours.nextAllowedAt) {
+          return this._deferOutboundCall(tenantId, callConfig, hours);
+        }
+        const error = new Error(OUTSIDE_CALLING_HOURS_MESSAGE);
+        error.code = 'OUTSIDE_CALLING_HOURS';
+        error.details = hours;
+        throw error;
+      }
+
       // Generate unique call ID
       const callId = uuidv4();
 
@@ -78,7 +168,8 @@ class VoiceAIService {
       const callResult = await services.twilio.makeOutboundCall(
         contactDetails.phone,
         callId,
-        webhookUrl
+        webhookUrl,
+        { recordingChannels: recording.channels }
       );
 
       // Store call mapping
@@ -86,7 +177,9 @@ class VoiceAIService {
         tenantId,
         callId,
         conversation,
-        services
+        services,
+        recording,
+        redaction
       });
 
       return {
@@ -101,6 +194,7 @@ class VoiceAIService {
         }
       };
     } catch (error) {
+      if (['DO_NOT_CALL', 'OUTSIDE_CALLING_HOURS'].includes(error.code)) throw error;
       console.error(`Error making outbound call for tenant ${tenantId}:`, error);
       throw new Error(`Failed to initiate call: ${error.message}`);
     }
@@ -118,7 +212,9 @@ class VoiceAIService {
       agentConfig,
       twilioConfig,
       aiConfig,
-      voiceConfig
+      voiceConfig,
+      recordingConfig,
+      redactionConfig
     } = callConfig;
 
     try {
@@ -143,16 +239,20 @@ class VoiceAIService {
       });
 
       // Store call mapping
-      this.activeCalls.set(twilioRequest.callSid, {
+      // Inbound recordings are set up on the Twilio number, always mono
+      const callData = {
         tenantId,
         callId,
         conversation,
-        services
-      });
+        services,
+        recording: { ...this._recordingConfig(recordingConfig), channels: 'mono' },
+        redaction: this._redactionConfig(redactionConfig)
+      };
+      this.activeCalls.set(twilioRequest.callSid, callData);
 
       // Generate initial TwiML (consent flow)
       const webhookUrl = this.webhookManager.generateCallWebhookUrl(tenantId, callId);
-      return services.twilio.generateConsentTwiml(webhookUrl);
+      return await this._openCall(callData, twilioRequest, webhookUrl);
     } catch (error) {
       console.error(`Error handling inbound call for tenant ${tenantId}:`, error);
       const services = await this.serviceFactory.createTenantServicesWithConfig(
@@ -168,9 +268,13 @@ class VoiceAIService {
    * @param {string} tenantId - Tenant identifier
    * @param {string} callId - Call identifier
    * @param {Object} twilioRequest - Twilio webhook request
+   * @param {Object} options - Interaction options
+   * @param {boolean} options.consent - The request answers the consent script
+   * @param {number} options.attempt - How many times the consent script has been read
+   * @param {boolean} options.languageMenu - The request answers the language menu
    * @returns {Promise<string>} TwiML response
    */
-  async handleCallInteraction(tenantId, callId, twilioRequest) {
+  async handleCallInteraction(tenantId, callId, twilioRequest, { consent = false, attempt = 1, languageMenu = false } = {}) {
     try {
       const callData = this.activeCalls.get(twilioRequest.callSid);
       if (!callData || callData.tenantId !== tenantId) {
@@ -178,29 +282,63 @@ class VoiceAIService {
       }
 
       const { services, conversation } = callData;
+      const webhookUrl = this.webhookManager.generateCallWebhookUrl(tenantId, callId);
+
+      // The caller picked a language; carry on with consent
+      if (languageMenu) {
+        const { speechResult, digits } = services.twilio.parseTwilioRequest(twilioRequest);
+        const languageConfig = this._languageConfig(callData);
+        const code = menuChoice(languageConfig, { speech: speechResult, digits }) || languageConfig.default;
+        await this._setLanguage(callData, code);
+        return await this._openCall(callData, twilioRequest, webhookUrl);
+      }
+
+      if (consent) {
+        return await this._handleConsentResponse(callData, twilioRequest, webhookUrl, attempt);
+      }
+
+      // Outbound calls arrive here first, before consent has been asked for
+      if (!callData.consentOutcome && !twilioRequest.speechResult) {
+        return await this._openCall(callData, twilioRequest, webhookUrl);
+      }
 
       // Process the interaction
       if (twilioRequest.speechResult) {
+        // The caller's first words settle the language of an auto-detecting agent
+        const languageConfig = this._languageConfig(callData);
+        if (languageConfig.detect === 'auto' && needsDetection(languageConfig) && !callData.languageDetected) {
+          callData.languageDetected = true;
+          const detected = await services.ai.detectLanguage(twilioRequest.speechResult, languageConfig.languages);
+          if (detected) {
+            await this._setLanguage(callData, detected);
+          }
+        }
+        const language = this._languageFor(callData);
+
         // Add user message
-        await services.database.addMessage(callId, 'user', twilioRequest.speechResult);
+        await this._addMessage(callData, 'user', twilioRequest.speechResult);
 
-        // Get conversation history
-        const messages = await services.database.getMessages(callId);
+        // Get conversation history, as the caller said it
+        const messages = await this._revealMessages(callData, await services.database.getMessages(callId));
 
         // Generate AI response
         const aiResult = await services.ai.generateResponse(
           messages,
           conversation.agentConfig.prompt,
-          callId
+          callId,
+          {
+            intents: conversation.agentConfig.intents,
+            language: languageInstruction(languageConfig, language)
+          }
         );
 
         // Add AI response
-        await services.database.addMessage(callId, 'assistant', aiResult.response);
+        await this._addMessage(callData, 'assistant', aiResult.response);
 
         // Generate TTS
         const ttsResult = await services.ai.generateTTS(
           aiResult.response,
-          conversation.agentConfig.voice
+          language.voice
         );
 
         // Handle special cases (transfer, etc.)
@@ -208,14 +346,25 @@ class VoiceAIService {
           await this._handleTransferRequest(callData, aiResult);
           return services.twilio.generateTransferTwiml(
             ttsResult.url,
-            this.webhookManager.generateCallWebhookUrl(tenantId, callId, 'transfer')
+            this.webhookManager.generateCallWebhookUrl(tenantId, callId, 'transfer'),
+            language.gather
           );
         }
 
+        if (aiResult.endCall) {
+          console.log(`Ending call ${callId} for tenant ${tenantId} on intent: ${aiResult.intent}`);
+          if (aiResult.intent === 'opt_out') {
+            await this._recordOptOut(callData);
+          }
+          return services.twilio.generateHangupTwiml(ttsResult.url);
+        }
+
         // Generate standard response TwiML
         return services.twilio.generateTwiml(
           ttsResult.url,
-          this.webhookManager.generateCallWebhookUrl(tenantId, callId)
+          this.webhookManager.generateCallWebhookUrl(tenantId, callId),
+          true,
+          language.gather
         );
       }
 
@@ -239,7 +388,7 @@ class VoiceAIService {
       const services = await this.serviceFactory.getTenantServices(tenantId);
       const conversation = await services.database.getConversation(callId);
       
-      if (!conversation || conversation.tenantId !== tenantId) {
+      if (!conversation || conversation.tenant_id !== tenantId) {
         throw new Error('Call not found or access denied');
       }
 
@@ -259,8 +408,11 @@ class VoiceAIService {
       // Generate analysis if not already done
       let analysis = conversation.analysis;
       if (!analysis && conversation.status === 'completed') {
-        const transcript = messages.map(m => `${m.role}: ${m.content}`).join('\n');
-        analysis = await services.ai.analyzeConversation(transcript, messages);
+        // The call's policy is gone with the call; messages were redacted as
+        // they were stored, so this just turns vault tokens into labels
+        const policy = this._redactionConfig();
+        const transcript = maskValue(messages.map(m => `${m.role}: ${m.content}`).join('\n'), policy);
+        analysis = await services.ai.analyzeConversation(transcript, maskValue(messages, policy));
         
         // Store analysis
         await services.database.updateConversation(callId, {
@@ -272,21 +424,30 @@ class VoiceAIService {
       return {
         tenantId,
         callId,
-        callSid: conversation.callSid,
+        callSid: conversation.call_sid,
         status: conversation.status,
-        recording: conversation.recordingUrl ? {
+        recording: conversation.recording_key || conversation.recording_url ? {
           url: `/api/voice/${tenantId}/calls/${callId}/recording`,
-          duration: conversation.duration
+          duration: conversation.duration,
+          channels: conversation.recording_channels || 1,
+          archived: Boolean(conversation.recording_key),
+          expiresAt: conversation.recording_expires_at || null
         } : null,
         conversation: {
           transcript: messages,
           analysis: analysis ? JSON.parse(analysis) : null
         },
+        consent: conversation.consent_outcome ? {
+          outcome: conversation.consent_outcome,
+          at: conversation.consent_at,
+          ...JSON.parse(conversation.consent_record || '{}')
+        } : null,
+        language: conversation.language || null,
         metadata: {
-          startTime: conversation.createdAt,
-          endTime: conversation.completedAt,
+          startTime: conversation.created_at,
+          endTime: conversation.completed_at,
           direction: conversation.direction,
-          customerNumber: conversation.customerNumber,
+          customerNumber: conversation.customer_number,
           duration: conversation.duration
         }
       };
@@ -324,16 +485,26 @@ class VoiceAIService {
       // Update conversation with final status and consolidated transcription
       await services.database.updateConversation(callId, {
         status: 'completed',
-        completedAt: new Date().toISOString(),
+        completed_at: new Date().toISOString(),
         duration: statusData.callDuration,
-        recordingUrl: statusData.recordingUrl,
+        recording_url: statusData.recordingUrl,
         transcription: JSON.stringify(transcriptionJson)
       });
 
+      // Copy the recording out of Twilio in the background; the download
+      // may need a few retries while Twilio finishes processing it
+      if (statusData.recordingUrl) {
+        this._archiveRecording(callData, statusData.recordingUrl).catch(error => {
+          console.error(`Error archiving recording for tenant ${tenantId} call ${callId}:`, error);
+        });
+      }
+
       // Generate final analysis
       if (messages.length > 0) {
-        const transcript = messages.map(m => `${m.role}: ${m.content}`).join('\n');
-        const analysis = await services.ai.analyzeConversation(transcript, messages);
+        // Labels only: the analysis LLM never sees PII or vault tokens
+        const policy = callData.redaction || this._redactionConfig();
+        const transcript = maskValue(messages.map(m => `${m.role}: ${m.content}`).join('\n'), policy);
+        const analysis = await services.ai.analyzeConversation(transcript, maskValue(messages, policy));
         
         await services.database.updateConversation(callId, {
           analysis: JSON.stringify(analysis),
@@ -351,6 +522,110 @@ class VoiceAIService {
     }
   }
 
+  /**
+   * Get a call's recording: the archived copy, or Twilio's while archiving
+   * hasn't finished
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} callId - Call identifier
+   * @returns {Promise<Buffer|null>} MP3 audio, or null when there is no recording
+   */
+  async getCallRecording(tenantId, callId) {
+    const services = await this.serviceFactory.getTenantServices(tenantId);
+    const conversation = await services.database.getConversation(callId);
+    if (!conversation) return null;
+
+    if (conversation.recording_key) {
+      const data = await this.audioStore.read(conversation.recording_key);
+      return data ? decryptRecording(data, this.recordingKey) : null;
+    }
+    if (conversation.recording_url) {
+      return await services.twilio.fetchRecording(conversation.recording_url, RECORDING_FORMAT);
+    }
+    return null;
+  }
+
+  /**
+   * Get a call's messages with vaulted PII restored. Every read is logged
+   * to the tenant's compliance log.
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} callId - Call identifier
+   * @param {Object} options - requestedBy, recorded with the compliance event
+   * @returns {Promise<Object|null>} Messages and transcript, or null when the call doesn't exist
+   */
+  async getUnredactedCall(tenantId, callId, { requestedBy = null } = {}) {
+    const services = await this.serviceFactory.getTenantServices(tenantId);
+    const conversation = await services.database.getConversation(callId);
+    if (!conversation || conversation.tenant_id !== tenantId) return null;
+
+    const values = await this._piiValues(services, callId);
+    const messages = await services.database.getMessages(callId);
+
+    await services.database.logComplianceEvent({
+      type: 'pii_revealed',
+      phoneNumber: conversation.customer_number,
+      source: 'api',
+      details: { callId, values: values.size, requestedBy }
+    });
+
+    return {
+      tenantId,
+      callId,
+      transcript: messages.map(message => ({ ...message, content: revealText(message.content, values) }))
+    };
+  }
+
+  /**
+   * Delete recordings past their tenant's retention, with Twilio's copy.
+   * Only tenants with services loaded are checked, since Twilio
+   * credentials arrive with each call; the rest are purged once they
+   * place or take a call again.
+   * @returns {Promise<number>} Recordings deleted
+   */
+  async purgeExpiredRecordings() {
+    let purged = 0;
+    for (const [tenantId, services] of this.serviceFactory.tenantServices) {
+      try {
+        for (const conversation of await services.database.getExpiredRecordings()) {
+          await this.audioStore.delete(conversation.recording_key);
+          if (conversation.recording_url) {
+            await this._deleteTwilioRecording(services, conversation.recording_url);
+          }
+          await services.database.updateConversation(conversation.id, {
+            recording_key: null,
+            recording_url: null,
+            recording_expires_at: null
+          });
+          purged++;
+        }
+      } catch (error) {
+        console.error(`Error purging recordings for tenant ${tenantId}:`, error.message);
+      }
+    }
+    if (purged > 0) console.log(`Deleted ${purged} expired call recordings`);
+    return purged;
+  }
+
+  /**
+   * Run purgeExpiredRecordings now and every audio cleanup interval
+   */
+  startRecordingPurge() {
+    if (this.recordingPurgeTimer) return;
+    if (!this.recordingKey) {
+      console.warn('RECORDING_ENCRYPTION_KEY is not set; call recordings are stored unencrypted');
+    }
+    const purge = () => this.purgeExpiredRecordings().catch(error => {
+      console.error('Error purging expired recordings:', error);
+    });
+    this.recordingPurgeTimer = setInterval(purge, this.globalConfig.audioStorage.cleanupInterval);
+    this.recordingPurgeTimer.unref();
+    purge();
+  }
+
+  stopRecordingPurge() {
+    clearInterval(this.recordingPurgeTimer);
+    this.recordingPurgeTimer = null;
+  }
+
   /**
    * Get tenant analytics
    * @param {string} tenantId - Tenant identifier
@@ -368,13 +643,110 @@ class VoiceAIService {
       const analytics = await services.database.getAnalytics(filters);
       return {
         tenantId,
-        ...analytics
+        ...analytics,
+        storage: await this.audioStore.tenantUsage(tenantId)
       };
     } catch (error) {
       console.error(`Error getting analytics for tenant ${tenantId}:`, error);
       throw error;
     }
-  }  // Private methods
+  }
+
+  /**
+   * Cancel an outbound call deferred to the callee's calling hours
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} deferredId - ID returned by makeOutboundCall
+   * @returns {boolean} Whether a pending call was cancelled
+   */
+  cancelDeferredCall(tenantId, deferredId) {
+    const deferred = this.deferredCalls.get(deferredId);
+    if (!deferred || deferred.tenantId !== tenantId) return false;
+
+    clearTimeout(deferred.timer);
+    this.deferredCalls.delete(deferredId);
+    return true;
+  }
+
+  /**
+   * Get a tenant's do-not-call list
+   * @param {string} tenantId - Tenant identifier
+   * @param {Object} options - limit
+   * @returns {Promise<Array>} List entries
+   */
+  async getDoNotCallList(tenantId, { limit = 100 } = {}) {
+    const database = await this._getTenantDatabase(tenantId);
+    return await database.getDoNotCallList(limit);
+  }
+
+  /**
+   * Add a number to a tenant's do-not-call list
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} phoneNumber - Phone number, formatting allowed
+   * @param {Object} options - reason
+   * @returns {Promise<Object>} The list entry and whether it was newly added
+   */
+  async addDoNotCall(tenantId, phoneNumber, { reason = null } = {}) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!isValidPhoneNumber(normalized)) {
+      throw new Error('Phone number must be in E.164 format, e.g. +15551234567');
+    }
+
+    const database = await this._getTenantDatabase(tenantId);
+    const added = await database.addDoNotCall({ phoneNumber: normalized, reason, source: 'manual' });
+    if (added) {
+      await database.logComplianceEvent({ type: 'dnc_added', phoneNumber: normalized, source: 'manual', details: { reason } });
+    }
+    return { entry: await database.findDoNotCall(normalized), added };
+  }
+
+  /**
+   * Import a suppression file (CSV with a phone_number column, or one number per line)
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} text - File contents
+   * @param {Object} options - reason
+   * @returns {Promise<Object>} Counts of added, duplicate and skipped rows
+   */
+  async importDoNotCall(tenantId, text, { reason = null } = {}) {
+    const database = await this._getTenantDatabase(tenantId);
+    const { numbers, skipped } = parsePhoneList(text);
+
+    let added = 0;
+    for (const phoneNumber of numbers) {
+      if (await database.addDoNotCall({ phoneNumber, reason, source: 'import' })) added++;
+    }
+    const result = { added, duplicates: numbers.length - added, skipped };
+    await database.logComplianceEvent({ type: 'dnc_imported', source: 'import', details: { reason, ...result } });
+    return result;
+  }
+
+  /**
+   * Remove a number from a tenant's do-not-call list
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<boolean>} Whether the number was listed
+   */
+  async removeDoNotCall(tenantId, phoneNumber) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    const database = await this._getTenantDatabase(tenantId);
+    const removed = await database.removeDoNotCall(normalized);
+    if (removed) {
+      await database.logComplianceEvent({ type: 'dnc_removed', phoneNumber: normalized, source: 'manual' });
+    }
+    return removed;
+  }
+
+  /**
+   * Get a tenant's compliance log
+   * @param {string} tenantId - Tenant identifier
+   * @param {Object} filters - type, limit
+   * @returns {Promise<Array>} Compliance events
+   */
+  async getComplianceEvents(tenantId, filters = {}) {
+    const database = await this._getTenantDatabase(tenantId);
+    return await database.getComplianceEvents(filters);
+  }
+
+  // Private methods
   _validateTenantConfig(config) {
     const required = ['tenantId', 'twilioCredentials', 'aiConfig', 'voiceConfig', 'agentConfig'];
     const missing = required.filter(field => !config[field]);
@@ -399,6 +771,368 @@ class VoiceAIService {
     if (!config.agentConfig.name || !config.agentConfig.prompt) {
       throw new Error('Invalid agent configuration');
     }
+
+    if (config.agentConfig.intents) {
+      const intentsError = validateIntentConfig(config.agentConfig.intents);
+      if (intentsError) {
+        throw new Error(intentsError);
+      }
+    }
+
+    for (const rules of [config.callingHours, config.agentConfig.callingHours]) {
+      if (rules) {
+        const callingHoursError = validateCallingHours(rules);
+        if (callingHoursError) {
+          throw new Error(callingHoursError);
+        }
+      }
+    }
+
+    if (config.agentConfig.consent) {
+      const consentError = validateConsentConfig(config.agentConfig.consent);
+      if (consentError) {
+        throw new Error(consentError);
+      }
+    }
+
+    if (config.agentConfig.language) {
+      const languageError = validateLanguageConfig(config.agentConfig.language);
+      if (languageError) {
+        throw new Error(languageError);
+      }
+    }
+  }
+
+  /**
+   * Start a call with the consent script, or with a disclosure and the
+   * greeting where the caller's jurisdiction doesn't require consent.
+   * Agents set up for it offer the language menu first.
+   */
+  async _openCall(callData, twilioRequest, webhookUrl) {
+    const agentConfig = callData.conversation.agentConfig || {};
+    const languageConfig = this._languageConfig(callData);
+    if (languageConfig.detect === 'menu' && needsDetection(languageConfig) && !callData.language) {
+      return callData.services.twilio.generateLanguageMenuTwiml(webhookUrl, languageMenu(languageConfig));
+    }
+
+    callData.consentPolicy = consentPolicy(
+      parseConsentConfig(agentConfig.consent),
+      resolveJurisdiction(twilioRequest)
+    );
+
+    if (callData.consentPolicy.ask) {
+      return await this._consentPromptTwiml(callData, webhookUrl, 1);
+    }
+
+    await this._recordConsent(callData, 'disclosed');
+    const greeting = languageGreeting(this._languageFor(callData).code, agentConfig.name);
+    return await this._greet(callData, `${callData.consentPolicy.text} ${greeting}`, webhookUrl);
+  }
+
+  async _consentPromptTwiml(callData, webhookUrl, attempt) {
+    const { services, conversation, consentPolicy: policy } = callData;
+    const text = attempt > 1 ? `${CONSENT_RETRY_PROMPT} ${policy.text}` : policy.text;
+
+    let audioUrl = null;
+    try {
+      audioUrl = (await services.ai.generateTTS(text, conversation.agentConfig?.voice)).url;
+    } catch (error) {
+      // Still ask, in Twilio's voice, rather than skip consent
+      console.error('Error synthesizing consent script:', error.message);
+    }
+    const { gather: language } = this._languageFor(callData);
+    return services.twilio.generateConsentTwiml(webhookUrl, { audioUrl, text, dtmf: policy.dtmf, attempt, language });
+  }
+
+  async _handleConsentResponse(callData, twilioRequest, webhookUrl, attempt) {
+    const { services, conversation } = callData;
+    const agentConfig = conversation.agentConfig || {};
+    if (!callData.consentPolicy) {
+      callData.consentPolicy = consentPolicy(parseConsentConfig(agentConfig.consent), resolveJurisdiction(twilioRequest));
+    }
+
+    const { speechResult, digits } = services.twilio.parseTwilioRequest(twilioRequest);
+    const reply = { speech: speechResult, digits };
+    const { answer, method, reason } = await services.ai.classifyConsent(reply, callData.consentPolicy.text);
+
+    const outcome = consentOutcome(answer, attempt);
+    if (!outcome) {
+      return await this._consentPromptTwiml(callData, webhookUrl, attempt + 1);
+    }
+
+    await this._recordConsent(callData, outcome, {
+      method,
+      response: digits || speechResult || null,
+      reason,
+      attempts: attempt
+    });
+    if (outcome === 'granted') {
+      const { code } = this._languageFor(callData);
+      const thanks = code === 'en' ? `${CONSENT_GRANTED_MESSAGE} ` : '';
+      return await this._greet(callData, `${thanks}${languageGreeting(code, agentConfig.name)}`, webhookUrl);
+    }
+
+    console.log(`Consent ${outcome} for call ${callData.callId}, ending call`);
+    const goodbyeTts = await services.ai.generateTTS(CONSENT_DECLINED_MESSAGE, agentConfig.voice);
+    return services.twilio.generateHangupTwiml(goodbyeTts.url);
+  }
+
+  /**
+   * Store the consent outcome, its timestamp and what was said on the
+   * conversation as the compliance record
+   */
+  async _recordConsent(callData, outcome, details = {}) {
+    const { services, callId, consentPolicy: policy } = callData;
+    callData.consentOutcome = outcome;
+
+    await services.database.updateConversation(callId, {
+      consent_outcome: outcome,
+      consent_at: new Date().toISOString(),
+      consent_record: JSON.stringify({
+        jurisdiction: policy.jurisdiction,
+        asked: policy.ask,
+        script: policy.text,
+        ...details
+      })
+    });
+  }
+
+  async _greet(callData, greeting, webhookUrl) {
+    const { services, callId } = callData;
+    // Until the caller's words say otherwise, the call is in the menu
+    // choice or the agent's default language
+    const language = this._languageFor(callData);
+    await this._setLanguage(callData, language.code);
+    await this._addMessage(callData, 'assistant', greeting);
+
+    const ttsResult = await services.ai.generateTTS(greeting, language.voice);
+    return services.twilio.generateTwiml(ttsResult.url, webhookUrl, true, language.gather);
+  }
+
+  _languageConfig(callData) {
+    return parseLanguageConfig(callData.conversation.agentConfig?.language);
+  }
+
+  /**
+   * Gather language, voice and name for the call's language (see src/language.js)
+   */
+  _languageFor(callData) {
+    return languageSettings(this._languageConfig(callData), callData.language, callData.conversation.agentConfig?.voice);
+  }
+
+  async _setLanguage(callData, code) {
+    if (callData.language === code) return;
+    callData.language = code;
+    await callData.services.database.updateConversation(callData.callId, { language: code });
+  }
+
+  /**
+   * Recording channels and retention for a call: the tenant's
+   * recordingConfig over the global defaults
+   */
+  _recordingConfig(recordingConfig = {}) {
+    const recording = {
+      channels: this.globalConfig.recordings.channels,
+      retentionDays: this.globalConfig.recordings.retentionDays,
+      ...recordingConfig
+    };
+    if (!['mono', 'dual'].includes(recording.channels)) {
+      throw new Error("recordingConfig.channels must be 'mono' or 'dual'");
+    }
+    return recording;
+  }
+
+  /**
+   * PII redaction policy for a call: the tenant's redactionConfig over the
+   * global one
+   */
+  _redactionConfig(redactionConfig) {
+    const error = redactionConfig && validateRedactionConfig(redactionConfig);
+    if (error) throw new Error(error);
+    return resolveRedactionConfig(this.globalConfig.redaction, redactionConfig);
+  }
+
+  /**
+   * Store a message with PII redacted, keeping the originals in the
+   * tenant's vault when a vault key is configured
+   */
+  async _addMessage(callData, role, content) {
+    const { services, callId, redaction = this._redactionConfig() } = callData;
+    const tokenFor = this.piiVaultKey
+      ? (type, value) => vaultToken(this.piiVaultKey, callId, type, value)
+      : undefined;
+    const { text, entities } = redactText(content, redaction, tokenFor);
+    if (this.piiVaultKey && entities.length > 0) {
+      await services.database.storePiiValues(callId, entities.map(({ token, type, value }) => ({
+        token,
+        type,
+        value: sealValue(this.piiVaultKey, value)
+      })));
+    }
+    return await services.database.addMessage(callId, role, text);
+  }
+
+  /**
+   * Put vaulted values back into stored messages, for the agent's context
+   */
+  async _revealMessages(callData, messages) {
+    const values = await this._piiValues(callData.services, callData.callId);
+    if (values.size === 0) return messages;
+    return messages.map(message => ({ ...message, content: revealText(message.content, values) }));
+  }
+
+  async _piiValues(services, callId) {
+    if (!this.piiVaultKey) return new Map();
+    const values = new Map();
+    for (const row of await services.database.getPiiValues(callId)) {
+      try {
+        values.set(row.token, openValue(this.piiVaultKey, row.value));
+      } catch (error) {
+        console.error(`Cannot open vaulted value ${row.token}:`, error.message);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Store the call's recording in the tenant's audio storage, where it
+   * counts against the storage quota, encrypted when a key is configured
+   */
+  async _archiveRecording(callData, recordingUrl) {
+    const { tenantId, callId, services, recording = this._recordingConfig() } = callData;
+    const audio = await waitForRecording(() => services.twilio.fetchRecording(recordingUrl, RECORDING_FORMAT));
+    const key = `${this.audioStore.tenantPrefix(tenantId)}recordings/${callId}.${RECORDING_FORMAT}`;
+    await this.audioStore.put(key, encryptRecording(audio, this.recordingKey), { tenantId });
+
+    await services.database.updateConversation(callId, {
+      recording_key: key,
+      recording_channels: recording.channels === 'dual' ? 2 : 1,
+      recording_expires_at: recordingExpiry(recording.retentionDays)
+    });
+    console.log(`Recording archived for tenant ${tenantId} call ${callId} (${audio.length} bytes)`);
+
+    if (this.globalConfig.recordings.deleteFromTwilio) {
+      await this._deleteTwilioRecording(services, recordingUrl);
+    }
+  }
+
+  async _deleteTwilioRecording(services, recordingUrl) {
+    const sid = recordingSid(recordingUrl);
+    if (!sid) return;
+    try {
+      await services.twilio.deleteRecording(sid);
+    } catch (error) {
+      // Already gone at Twilio is fine
+      if (error.status !== 404) throw error;
+    }
+  }
+
+  async _getTenantDatabase(tenantId) {
+    const services = await this.serviceFactory.createTenantServicesWithConfig(tenantId, this.globalConfig);
+    return services.database;
+  }
+
+  /**
+   * Check the tenant's do-not-call list, logging the attempt when blocked
+   */
+  async _isDoNotCall(services, phoneNumber, source) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    const entry = await services.database.findDoNotCall(normalized);
+    if (!entry) return false;
+
+    console.log(`Blocked ${source} call to ${normalized}: number is on the do-not-call list`);
+    await services.database.logComplianceEvent({
+      type: 'dnc_blocked',
+      phoneNumber: normalized,
+      source,
+      details: { listed_at: entry.created_at, listed_reason: entry.reason }
+    });
+    return true;
+  }
+
+  /**
+   * Check the callee's local time against the calling window, logging refusals
+   */
+  async _checkCallingHours(services, rules, contactDetails) {
+    const phoneNumber = normalizePhoneNumber(contactDetails.phone);
+    const { timezone, source } = calleeTimezone(rules, phoneNumber, contactDetails.timezone);
+    const { allowed, localTime, nextAllowedAt } = checkCallingHours(rules, timezone);
+    if (allowed) return { allowed };
+
+    const deferred = rules.action === 'defer' && nextAllowedAt;
+    console.log(`Outside calling hours for ${phoneNumber} (${localTime} ${timezone}); ${deferred ? 'deferring' : 'rejecting'} call`);
+    await services.database.logComplianceEvent({
+      type: deferred ? 'calling_hours_deferred' : 'calling_hours_blocked',
+      phoneNumber,
+      source: 'outbound',
+      details: {
+        timezone,
+        timezone_source: source,
+        local_time: localTime,
+        window: `${rules.start}-${rules.end}`,
+        next_allowed_at: nextAllowedAt?.toISOString() || null
+      }
+    });
+    return { allowed, timezone, localTime, nextAllowedAt };
+  }
+
+  /**
+   * Hold an outbound call until the callee's calling window opens.  The call
+   * goes through makeOutboundCall again then, so the do-not-call list and
+   * the window are checked afresh.  Deferred calls live in memory, like
+   * active calls, and are lost on restart.
+   */
+  _deferOutboundCall(tenantId, callConfig, { timezone, localTime, nextAllowedAt }) {
+    const deferredId = uuidv4();
+    const timer = setTimeout(async () => {
+      this.deferredCalls.delete(deferredId);
+      try {
+        const result = await this.makeOutboundCall(tenantId, callConfig);
+        console.log(`Deferred call ${deferredId} for tenant ${tenantId}: ${result.status}`);
+      } catch (error) {
+        console.error(`Error placing deferred call ${deferredId} for tenant ${tenantId}:`, error.message);
+      }
+    }, nextAllowedAt.getTime() - Date.now());
+    timer.unref();
+
+    this.deferredCalls.set(deferredId, { tenantId, timer, scheduledFor: nextAllowedAt });
+    return {
+      tenantId,
+      deferredId,
+      status: 'deferred',
+      scheduledFor: nextAllowedAt.toISOString(),
+      metadata: {
+        direction: 'outbound',
+        customerNumber: callConfig.contactDetails.phone,
+        timezone,
+        localTime
+      }
+    };
+  }
+
+  /**
+   * The caller asked not to be called again: add them to the tenant's list
+   */
+  async _recordOptOut(callData) {
+    const { services, callId, conversation } = callData;
+    const phoneNumber = normalizePhoneNumber(conversation.customerNumber || conversation.customer_number);
+    if (!isValidPhoneNumber(phoneNumber)) return;
+
+    const added = await services.database.addDoNotCall({
+      phoneNumber,
+      reason: OPT_OUT_REASON,
+      source: 'opt_out',
+      conversationId: callId
+    });
+    if (added) {
+      await services.database.logComplianceEvent({
+        type: 'dnc_added',
+        phoneNumber,
+        source: 'opt_out',
+        details: { reason: OPT_OUT_REASON, conversation_id: callId }
+      });
+    }
+    console.log(`Added ${phoneNumber} to the do-not-call list for tenant ${callData.tenantId} (opt-out)`);
   }
 
   async _handleTransferRequest(callData, aiResult) {
@@ -1,14 +1,25 @@
-import { createClient } from '@deepgram/sdk';
 import fetch from 'node-fetch';
-import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs/promises';
-import path from 'path';
+import { createProvider } from '../../src/llm-providers/index.js';
+import { createSpeechProvider, listSpeechProviders } from '../../src/speech-providers/index.js';
+import { IntentHeader, intentInstructions, parseIntentConfig, INTENT_RESPONSES } from '../../src/intent.js';
+import { classifyConsent } from '../../src/consent.js';
+import { detectLanguage } from '../../src/language.js';
 
 /**
  * Tenant-specific AI service with isolated configurations
  */
 class TenantAIService {
-  constructor(aiConfig, globalVoiceConfig, tenantVoiceConfig) {
+  /**
+   * @param {Object} aiConfig - AI configuration
+   * @param {Object} globalVoiceConfig - Global voice configuration (provider, apiKey)
+   * @param {Object} tenantVoiceConfig - Tenant-specific voice configuration (voiceName, etc.)
+   * @param {Object} options - Options
+   * @param {string} options.tenantId - Tenant whose storage quota generated audio counts against
+   * @param {Object} options.audioStore - AudioStore (src/audio-storage) generated audio is saved to
+   */
+  constructor(aiConfig, globalVoiceConfig, tenantVoiceConfig, { tenantId = null, audioStore = null } = {}) {
+    this.tenantId = tenantId;
+    this.audioStore = audioStore;
     this.updateConfig(aiConfig, globalVoiceConfig, tenantVoiceConfig);
   }
 
@@ -21,11 +32,18 @@ class TenantAIService {
   updateConfig(aiConfig, globalVoiceConfig, tenantVoiceConfig) {
     this.aiConfig = aiConfig;
     this.voiceConfig = { ...globalVoiceConfig, ...tenantVoiceConfig };
+    this.llm = null; // Created on first use from the shared provider registry
     
-    // Initialize voice service client
-    if (this.voiceConfig.provider === 'deepgram') {
-      this.deepgram = createClient(this.voiceConfig.apiKey);
-    }
+    // Speech engines from the shared registry (src/speech-providers).
+    // ElevenLabs and Azure voices are called directly below. Recognition
+    // uses voiceConfig.stt, or Deepgram when that is the voice provider.
+    const { provider, apiKey, voiceName, url } = this.voiceConfig;
+    this.tts = listSpeechProviders().includes(provider)
+      ? createSpeechProvider({ provider, apiKey, url, voice: voiceName })
+      : null;
+
+    const sttConfig = this.voiceConfig.stt || (provider === 'deepgram' ? { provider, apiKey } : null);
+    this.stt = sttConfig ? createSpeechProvider({ apiKey, ...sttConfig }) : null;
   }
 
   /**
@@ -33,43 +51,50 @@ class TenantAIService {
    * @param {Array} messages - Conversation messages
    * @param {string} systemPrompt - Agent prompt
    * @param {string} conversationId - Conversation ID for context
+   * @param {Object} options - Options
+   * @param {Object} options.intents - Agent intent config (see src/intent.js); defaults apply when omitted
+   * @param {string} options.language - Language instruction for multilingual agents (see src/language.js)
    * @returns {Promise<Object>} AI response with metadata
    */
-  async generateResponse(messages, systemPrompt, conversationId) {
+  async generateResponse(messages, systemPrompt, conversationId, { intents = null, language = null } = {}) {
     try {
+      const history = messages.map(msg => ({ role: msg.role, content: msg.content }));
+      const intentConfig = parseIntentConfig(intents);
+      const instructions = [systemPrompt, language, intentInstructions(intentConfig)].filter(Boolean);
       const conversationMessages = [
-        { role: 'system', content: systemPrompt },
-        ...messages.map(msg => ({ role: msg.role, content: msg.content }))
+        { role: 'system', content: instructions.join('\n\n') },
+        ...history
       ];
 
-      let response;
-      
-      switch (this.aiConfig.provider) {
-        case 'openai':
-          response = await this._generateOpenAIResponse(conversationMessages);
-          break;
-        case 'anthropic':
-          response = await this._generateAnthropicResponse(conversationMessages);
-          break;
-        case 'openrouter':
-          response = await this._generateOpenRouterResponse(conversationMessages);
-          break;
-        case 'azure':
-          response = await this._generateAzureResponse(conversationMessages);
-          break;
-        default:
-          throw new Error(`Unsupported AI provider: ${this.aiConfig.provider}`);
-      }
+      // The reply opens with the turn's intent (see src/intent.js)
+      const result = await this._getLLMProvider().chat(conversationMessages);
+      const header = new IntentHeader(intentConfig);
+      const reply = header.push(result.content || '');
+      const intent = header.finish();
 
-      // Analyze for transfer requests and other intents
-      const analysis = this._analyzeResponse(response);
+      if (intent.intent !== 'continue') {
+        console.log(`Intent ${intent.intent} (${intent.confidence}) for ${conversationId}: ${intent.reason}`);
+        return {
+          response: INTENT_RESPONSES[intent.intent],
+          transferRequested: intent.intent === 'transfer',
+          transferReason: intent.intent === 'transfer' ? intent.reason : null,
+          endCall: intent.intent !== 'transfer',
+          intent: intent.intent,
+          confidence: intent.confidence,
+          reason: intent.reason,
+          usage: result.usage
+        };
+      }
 
       return {
-        response: response.trim(),
-        transferRequested: analysis.transferRequested,
-        transferReason: analysis.transferReason,
-        intent: analysis.intent,
-        confidence: analysis.confidence
+        response: reply.trim(),
+        transferRequested: false,
+        transferReason: null,
+        endCall: false,
+        intent: intent.intent,
+        confidence: intent.confidence,
+        reason: intent.reason,
+        usage: result.usage
       };
     } catch (error) {
       console.error('Error generating AI response:', error);
@@ -78,31 +103,39 @@ class TenantAIService {
   }
 
   /**
-   * Transcribe audio using Deepgram ASR
+   * Classify the caller's answer to a consent script
+   * @param {Object} reply - Speech and/or digits collected by <Gather>
+   * @param {string} script - What the caller was asked
+   * @returns {Promise<Object>} Answer, method and reason (see src/consent.js)
+   */
+  async classifyConsent(reply, script) {
+    return await classifyConsent(this._getLLMProvider(), reply, script, { timeout: this.aiConfig?.timeout });
+  }
+
+  /**
+   * Work out which of the agent's languages the caller is speaking
+   * @param {string} text - The caller's first utterance
+   * @param {Array<string>} languages - The agent's language codes
+   * @returns {Promise<string|null>} Language code, or null when unsure (see src/language.js)
+   */
+  async detectLanguage(text, languages) {
+    return await detectLanguage(this._getLLMProvider(), text, languages, { timeout: this.aiConfig?.timeout });
+  }
+
+  /**
+   * Transcribe audio with the tenant's speech recognition provider
    * @param {Buffer} audioBuffer - Audio buffer to transcribe
+   * @param {string} language - Language code, e.g. en-US
    * @returns {Promise<string>} Transcribed text
    */
-  async transcribeAudio(audioBuffer) {
+  async transcribeAudio(audioBuffer, language = 'en-US') {
     try {
-      if (this.voiceConfig.provider !== 'deepgram') {
-        throw new Error(`ASR only supported for Deepgram provider, got: ${this.voiceConfig.provider}`);
-      }
-
-      const response = await this.deepgram.listen.prerecorded.transcribeFile(
-        audioBuffer,
-        {
-          model: 'nova-2', // Deepgram's latest model
-          smart_format: true,
-          punctuate: true,
-          language: 'en-US'
-        }
-      );
-
-      if (response.result && response.result.results && response.result.results.channels[0]) {
-        return response.result.results.channels[0].alternatives[0].transcript || '';
+      if (!this.stt) {
+        throw new Error(`ASR needs voiceConfig.stt when the voice provider is ${this.voiceConfig.provider}`);
       }
 
-      return '';
+      const { transcript } = await this.stt.transcribe(audioBuffer, { language });
+      return transcript;
     } catch (error) {
       console.error('Error transcribing audio:', error);
       return '';
@@ -114,9 +147,6 @@ class TenantAIService {
       let audioUrl;
       
       switch (this.voiceConfig.provider) {
-        case 'deepgram':
-          audioUrl = await this._generateDeepgramTTS(text, voiceToUse);
-          break;
         case 'elevenlabs':
           audioUrl = await this._generateElevenLabsTTS(text, voiceToUse);
           break;
@@ -124,7 +154,10 @@ class TenantAIService {
           audioUrl = await this._generateAzureTTS(text, voiceToUse);
           break;
         default:
-          throw new Error(`Unsupported voice provider: ${this.voiceConfig.provider}`);
+          if (!this.tts) {
+            throw new Error(`Unsupported voice provider: ${this.voiceConfig.provider}`);
+          }
+          audioUrl = await this._generateProviderTTS(text, voiceToUse);
       }
 
       return {
@@ -164,7 +197,8 @@ class TenantAIService {
       const analysis = await this.generateResponse(
         [{ role: 'user', content: analysisPrompt }],
         'You are a conversation analyst. Provide objective analysis in JSON format.',
-        'analysis'
+        'analysis',
+        { intents: { enabled: false } }
       );
 
       try {
@@ -209,125 +243,20 @@ class TenantAIService {
     console.log('TenantAIService cleanup completed');
   }
 
-  // Private methods for different AI providers
-  async _generateOpenAIResponse(messages) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.aiConfig.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: this.aiConfig.model || 'gpt-4o-mini',
-        messages: messages,
-        max_tokens: this.aiConfig.maxTokens || 75,
-        temperature: this.aiConfig.temperature || 0.6
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
-  }
-
-  async _generateAnthropicResponse(messages) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': this.aiConfig.apiKey,
-        'Content-Type': 'application/json',
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: this.aiConfig.model || 'claude-3-haiku-20240307',
-        max_tokens: this.aiConfig.maxTokens || 75,
-        temperature: this.aiConfig.temperature || 0.6,
-        messages: messages.filter(msg => msg.role !== 'system'),
-        system: messages.find(msg => msg.role === 'system')?.content || ''
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Anthropic API error: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.content[0].text;
-  }
-
-  async _generateOpenRouterResponse(messages) {
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.aiConfig.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: this.aiConfig.model || 'openai/gpt-4o-mini',
-        messages: messages,
-        max_tokens: this.aiConfig.maxTokens || 75,
-        temperature: this.aiConfig.temperature || 0.6
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenRouter API error: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
-  }
-
-  async _generateAzureResponse(messages) {
-    const response = await fetch(this.aiConfig.endpoint, {
-      method: 'POST',
-      headers: {
-        'api-key': this.aiConfig.apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        messages: messages,
-        max_tokens: this.aiConfig.maxTokens || 75,
-        temperature: this.aiConfig.temperature || 0.6
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Azure API error: ${response.statusText}`);
+  // Private methods
+  _getLLMProvider() {
+    if (!this.llm) {
+      this.llm = createProvider(this.aiConfig || {});
     }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
+    return this.llm;
   }
 
-  async _generateDeepgramTTS(text, voice) {
+  async _generateProviderTTS(text, voice) {
     try {
-      const response = await this.deepgram.speak.request(
-        { text },
-        {
-          model: voice || 'aura-asteria-en',
-          encoding: 'linear16',
-          sample_rate: 48000
-        }
-      );
-
-      const stream = await response.getStream();
-      const buffer = await this._streamToBuffer(stream);
-      
-      // Save to temporary file
-      const fileName = `tts_${uuidv4()}.wav`;
-      const filePath = path.join(process.cwd(), 'temp', fileName);
-      
-      // Ensure temp directory exists
-      await fs.mkdir(path.dirname(filePath), { recursive: true });
-      await fs.writeFile(filePath, buffer);
-
-      return `/temp/${fileName}`;
+      const buffer = await this.tts.synthesize(text, { voice, format: 'wav' });
+      return await this._saveAudio(buffer, 'wav');
     } catch (error) {
-      console.error('Deepgram TTS error:', error);
+      console.error(`${this.voiceConfig.provider} TTS error:`, error);
       throw error;
     }
   }
@@ -355,15 +284,17 @@ class TenantAIService {
     }
 
     const buffer = await response.buffer();
-    
-    // Save to temporary file
-    const fileName = `tts_${uuidv4()}.mp3`;
-    const filePath = path.join(process.cwd(), 'temp', fileName);
-    
-    await fs.mkdir(path.dirname(filePath), { recursive: true });
-    await fs.writeFile(filePath, buffer);
+    return this._saveAudio(buffer, 'mp3');
+  }
 
-    return `/temp/${fileName}`;
+  // Store generated speech in the tenant's namespace, under its quota, and
+  // return an expiring link for Twilio
+  async _saveAudio(buffer, extension) {
+    if (!this.audioStore) {
+      throw new Error('No audio storage configured for generated speech');
+    }
+    const { url } = await this.audioStore.save(buffer, { extension, tenantId: this.tenantId });
+    return url;
   }
 
   async _generateAzureTTS(text, voice) {
@@ -371,42 +302,6 @@ class TenantAIService {
     throw new Error('Azure TTS not implemented yet');
   }
 
-  _analyzeResponse(response) {
-    const transferKeywords = ['transfer', 'human', 'representative', 'agent', 'speak to someone', 'escalate'];
-    const lowerResponse = response.toLowerCase();
-    
-    const transferRequested = transferKeywords.some(keyword => 
-      lowerResponse.includes(keyword)
-    );
-
-    return {
-      transferRequested,
-      transferReason: transferRequested ? 'Customer requested human assistance' : null,
-      intent: this._detectIntent(response),
-      confidence: 0.8
-    };
-  }
-
-  _detectIntent(response) {
-    const intents = {
-      greeting: ['hello', 'hi', 'good morning', 'good afternoon'],
-      question: ['what', 'how', 'when', 'where', 'why', '?'],
-      complaint: ['problem', 'issue', 'wrong', 'error', 'not working'],
-      compliment: ['great', 'excellent', 'good job', 'thank you'],
-      goodbye: ['bye', 'goodbye', 'thank you', 'have a good day']
-    };
-
-    const lowerResponse = response.toLowerCase();
-    
-    for (const [intent, keywords] of Object.entries(intents)) {
-      if (keywords.some(keyword => lowerResponse.includes(keyword))) {
-        return intent;
-      }
-    }
-    
-    return 'general';
-  }
-
   _categorizeConversation(transcript) {
     const categories = {
       sales: ['buy', 'purchase', 'price', 'cost', 'order'],
@@ -426,15 +321,6 @@ class TenantAIService {
     
     return found.length > 0 ? found : ['general'];
   }
-
-  async _streamToBuffer(stream) {
-    const chunks = [];
-    return new Promise((resolve, reject) => {
-      stream.on('data', chunk => chunks.push(chunk));
-      stream.on('error', reject);
-      stream.on('end', () => resolve(Buffer.concat(chunks)));
-    });
-  }
 }
 
 export { TenantAIService };
\ No newline at end of file
@@ -1,4 +1,5 @@
 import twilio from 'twilio';
+import fetch from 'node-fetch';
 
 /**
  * Tenant-specific Twilio service with isolated credentials
@@ -40,15 +41,18 @@ class TenantTwilioService {
    * @param {string} to - Destination phone number
    * @param {string} callId - Internal call ID
    * @param {string} webhookUrl - Webhook URL for call handling
+   * @param {Object} options - Call options
+   * @param {string} options.recordingChannels - 'mono', or 'dual' to record each side on its own channel
    * @returns {Promise<Object>} Call result
    */
-  async makeOutboundCall(to, callId, webhookUrl) {
+  async makeOutboundCall(to, callId, webhookUrl, { recordingChannels = 'mono' } = {}) {
     try {
       const call = await this.client.calls.create({
         to,
         from: this.phoneNumber,
         url: webhookUrl,
         record: true,
+        recordingChannels,
         statusCallback: `${webhookUrl}/status`,
         statusCallbackEvent: ['completed'],
         statusCallbackMethod: 'POST'
@@ -66,33 +70,93 @@ class TenantTwilioService {
   }
 
   /**
-   * Generate consent TwiML
+   * Download a recording's audio with the tenant's credentials
+   * @param {string} recordingUrl - RecordingUrl from the status callback
+   * @param {string} format - mp3 or wav
+   * @returns {Promise<Buffer|null>} Audio, or null while Twilio is still processing it
+   */
+  async fetchRecording(recordingUrl, format = 'mp3') {
+    const response = await fetch(`${recordingUrl.replace(/\.(mp3|wav)$/, '')}.${format}`, {
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.credentials.accountSid}:${this.credentials.authToken}`).toString('base64')}`
+      }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Recording download failed: ${response.status} ${response.statusText}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Delete a recording from the tenant's Twilio account
+   * @param {string} recordingSid - Recording SID (RE...)
+   */
+  async deleteRecording(recordingSid) {
+    await this.client.recordings(recordingSid).remove();
+  }
+
+  /**
+   * Generate consent TwiML: read the consent script and collect a spoken
+   * answer or a keypress. Empty results still post back so a missing
+   * answer is recorded too.
    * @param {string} actionUrl - Action URL for consent response
+   * @param {Object} options - Prompt options
+   * @param {string} options.audioUrl - Script synthesized in the agent's voice (optional)
+   * @param {string} options.text - Script text, spoken by Twilio when there is no audio
+   * @param {boolean} options.dtmf - Accept 1/2 keypresses as well as speech
+   * @param {number} options.attempt - 1 for the first time the script is read
+   * @param {string} options.language - <Gather> language the answer is recognized in
    * @returns {string} TwiML XML
    */
-  generateConsentTwiml(actionUrl) {
+  generateConsentTwiml(actionUrl, { audioUrl = null, text = null, dtmf = true, attempt = 1, language = 'en-US' } = {}) {
+    const input = dtmf ? 'input="dtmf speech" numDigits="1"' : 'input="speech"';
+    const prompt = audioUrl ? `<Play>${this._escapeXml(audioUrl)}</Play>` : `<Say voice="alice">${this._escapeXml(text)}</Say>`;
+
     return `<?xml version="1.0" encoding="UTF-8"?><Response>
-      <Gather input="speech" action="${actionUrl}?consent=true" method="POST" timeout="10" speechTimeout="auto" language="en-US">
-        <Say voice="alice">This call may be recorded for quality and training purposes. Do you consent to being recorded? Please say yes or no.</Say>
+      <Gather ${input} action="${actionUrl}?consent=true&amp;attempt=${attempt}" method="POST" timeout="10" speechTimeout="auto" language="${language}" actionOnEmptyResult="true">
+        ${prompt}
       </Gather>
       <Say voice="alice">I didn't hear a response. Please call back. Goodbye.</Say>
       <Hangup/>
     </Response>`;
   }
 
+  /**
+   * Generate the language menu of a multilingual agent: each line is read
+   * in its own language, and the choice posts back with ?language=menu.
+   * No answer posts back too, for the default language.
+   * @param {string} actionUrl - Action URL for the choice
+   * @param {Array<Object>} menu - Entries from languageMenu (src/language.js)
+   * @returns {string} TwiML XML
+   */
+  generateLanguageMenuTwiml(actionUrl, menu) {
+    const lines = menu
+      .map(({ gather, text }) => `<Say language="${gather}">${this._escapeXml(text)}</Say>`)
+      .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?><Response>
+      <Gather input="dtmf speech" numDigits="1" action="${actionUrl}?language=menu" method="POST" timeout="5" speechTimeout="auto" language="${menu[0].gather}" actionOnEmptyResult="true">
+        ${lines}
+      </Gather>
+      <Hangup/>
+    </Response>`;
+  }
+
   /**
    * Generate standard TwiML for conversation
    * @param {string} audioUrl - URL for audio playback
    * @param {string} actionUrl - Action URL for next interaction
    * @param {boolean} enableBargeIn - Enable barge-in capability
+   * @param {string} language - <Gather> language, e.g. es-US (see src/language.js)
    * @returns {string} TwiML XML
    */
-  generateTwiml(audioUrl = null, actionUrl = null, enableBargeIn = true) {
+  generateTwiml(audioUrl = null, actionUrl = null, enableBargeIn = true, language = 'en-US') {
     let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
 
     if (audioUrl && actionUrl) {
-      twiml += `<Gather input="speech" action="${actionUrl}" method="POST" timeout="3" speechTimeout="auto" language="en-US" actionOnEmptyResult="false" bargeIn="${enableBargeIn ? 'true' : 'false'}">`;
-      twiml += `<Play>${audioUrl}</Play>`;
+      twiml += `<Gather input="speech" action="${actionUrl}" method="POST" timeout="3" speechTimeout="auto" language="${language}" actionOnEmptyResult="false" bargeIn="${enableBargeIn ? 'true' : 'false'}">`;
+      twiml += `<Play>${this._escapeXml(audioUrl)}</Play>`;
       twiml += '</Gather>';
       twiml += "<Say voice=\"alice\">I didn't catch that. Let me connect you to someone who can help.</Say>";
       twiml += '<Hangup/>';
@@ -105,16 +169,34 @@ class TenantTwilioService {
     return twiml;
   }
 
+  /**
+   * Generate TwiML that plays a final message and hangs up
+   * @param {string} audioUrl - URL for goodbye audio (optional)
+   * @returns {string} TwiML XML
+   */
+  generateHangupTwiml(audioUrl = null) {
+    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+
+    if (audioUrl) {
+      twiml += `<Play>${this._escapeXml(audioUrl)}</Play>`;
+    }
+    twiml += '<Hangup/>';
+
+    twiml += '</Response>';
+    return twiml;
+  }
+
   /**
    * Generate transfer TwiML for human handoff
    * @param {string} audioUrl - URL for transfer message audio
    * @param {string} actionUrl - Action URL for time collection
+   * @param {string} language - <Gather> language for the caller's answer
    * @returns {string} TwiML XML
    */
-  generateTransferTwiml(audioUrl, actionUrl) {
+  generateTransferTwiml(audioUrl, actionUrl, language = 'en-US') {
     return `<?xml version="1.0" encoding="UTF-8"?><Response>
-      <Play>${audioUrl}</Play>
-      <Gather input="speech" action="${actionUrl}?transfer=true" method="POST" timeout="10" speechTimeout="auto" language="en-US">
+      <Play>${this._escapeXml(audioUrl)}</Play>
+      <Gather input="speech" action="${actionUrl}?transfer=true" method="POST" timeout="10" speechTimeout="auto" language="${language}">
         <Say voice="alice">What time would be best for someone to call you back?</Say>
       </Gather>
       <Say voice="alice">Thank you. Someone will call you back soon. Goodbye.</Say>
@@ -192,6 +274,16 @@ class TenantTwilioService {
       return false;
     }
   }
+
+  // Private methods
+  _escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
 }
 
 export { TenantTwilioService };
\ No newline at end of file
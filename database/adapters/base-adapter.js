@@ -0,0 +1,155 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// The transaction the running code is in, if any
+const transactionScope = new AsyncLocalStorage();
+
+/**
+ * Base class for the databases the models and tenant databases run on.
+ * Queries are written once, in SQLite's dialect with `?` placeholders;
+ * adapters for other databases translate them (see ./postgres.js).
+ *
+ * `run` resolves `{ lastID, changes }`, `get` the first row or undefined,
+ * `all` every row.
+ */
+export class DatabaseAdapter {
+  /**
+   * @param {Object} databaseConfig
+   * @param {string} databaseConfig.client Registered adapter name.
+   */
+  constructor(databaseConfig = {}) {
+    this.dialect = databaseConfig.client;
+  }
+
+  /**
+   * Open the connection, or the pool.  Queries connect on first use, so
+   * calling this is only needed to fail early.
+   *
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    throw new Error(`${this.dialect} database does not support connecting`);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * @param {string} sql
+   * @param {Array} [params]
+   * @returns {Promise<{lastID: (number|undefined), changes: number}>}
+   */
+  async run(sql, params = []) {
+    throw new Error(`${this.dialect} database does not support run`);
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Array} [params]
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(sql, params = []) {
+    return (await this.all(sql, params))[0];
+  }
+
+  /**
+   * @param {string} sql
+   * @param {Array} [params]
+   * @returns {Promise<Object[]>}
+   */
+  async all(sql, params = []) {
+    throw new Error(`${this.dialect} database does not support all`);
+  }
+
+  /**
+   * Run `work` in a transaction, committed when it resolves and rolled back
+   * when it throws.  Queries made through the adapter while `work` runs,
+   * such as by the model methods it calls, join the transaction, and so do
+   * transactions started inside it.  `work` is also passed a handle with the
+   * same methods as the adapter.
+   *
+   * @template T
+   * @param {(tx: DatabaseAdapter) => Promise<T>} work
+   * @param {{foreignKeys?: boolean}} [options] `foreignKeys: false` suspends
+   *   foreign key checks where the database allows it, for rebuilding tables.
+   * @returns {Promise<T>}
+   */
+  async transaction(work, options = {}) {
+    const open = this.currentTransaction();
+    if (open) return await work(open);
+
+    return await this.runTransaction(async (tx) => {
+      tx.transaction = (nested) => nested(tx);
+      try {
+        return await transactionScope.run(tx, () => work(tx));
+      } finally {
+        tx.finished = true;
+      }
+    }, options);
+  }
+
+  /**
+   * Begin a transaction, run `work` with a handle for it, then commit or
+   * roll back.  Adapters implement this; callers use transaction().
+   *
+   * @template T
+   * @param {(tx: DatabaseAdapter) => Promise<T>} work
+   * @param {{foreignKeys?: boolean}} options
+   * @returns {Promise<T>}
+   */
+  async runTransaction(work, options) {
+    throw new Error(`${this.dialect} database does not support transactions`);
+  }
+
+  /**
+   * @returns {DatabaseAdapter|null} The handle of this database's transaction
+   *   the calling code is running in, if any.
+   */
+  currentTransaction() {
+    const tx = transactionScope.getStore();
+    return tx && !tx.finished && Object.getPrototypeOf(tx) === this ? tx : null;
+  }
+
+  /**
+   * Run `work` while holding a lock named `name`, so only one process at a
+   * time does it (e.g. migrating).  Databases only one process can write to
+   * don't need one.
+   *
+   * @template T
+   * @param {string} name
+   * @param {() => Promise<T>} work
+   * @returns {Promise<T>}
+   */
+  async withLock(name, work) {
+    return await work();
+  }
+
+  /**
+   * @param {string} table
+   * @returns {Promise<boolean>}
+   */
+  async tableExists(table) {
+    throw new Error(`${this.dialect} database does not support listing tables`);
+  }
+
+  /**
+   * @param {string} table
+   * @returns {Promise<string[]>} The table's column names, in order.
+   */
+  async columnNames(table) {
+    throw new Error(`${this.dialect} database does not support listing columns`);
+  }
+
+  /**
+   * A condition true when the JSON array in `column` has an element equal
+   * to a string, compared exactly.  The string goes in the one `?`
+   * parameter of the condition.
+   *
+   * @param {string} column E.g. `tags`.
+   * @returns {string}
+   */
+  jsonArrayContains(column) {
+    throw new Error(`${this.dialect} database does not support JSON arrays`);
+  }
+}
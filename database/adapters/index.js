@@ -0,0 +1,45 @@
+import { SqliteAdapter } from './sqlite.js';
+import { PostgresAdapter } from './postgres.js';
+
+export { DatabaseAdapter } from './base-adapter.js';
+export { translateSql } from './postgres.js';
+
+/**
+ * Registry of database adapters.  The single-tenant app picks one in
+ * database/connection.js (PostgreSQL when `DATABASE_URL` is set), the
+ * multi-tenant core with `database.client` in config/global-config.js.
+ */
+const factories = new Map();
+
+/**
+ * @param {string} name Adapter name as used in `client`.
+ * @param {(databaseConfig: Object) => import('./base-adapter.js').DatabaseAdapter} factory
+ */
+export function registerDatabaseAdapter(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Create an adapter for the given configuration.  Nothing connects until
+ * the first query.
+ *
+ * @param {Object} databaseConfig Must include `client`.
+ * @returns {import('./base-adapter.js').DatabaseAdapter}
+ */
+export function createDatabase(databaseConfig) {
+  const factory = factories.get(databaseConfig.client);
+  if (!factory) {
+    throw new Error(`Unsupported database: ${databaseConfig.client}. Available: ${listDatabaseAdapters().join(', ')}`);
+  }
+  return factory(databaseConfig);
+}
+
+/**
+ * @returns {string[]} Registered adapter names.
+ */
+export function listDatabaseAdapters() {
+  return Array.from(factories.keys());
+}
+
+registerDatabaseAdapter('sqlite', databaseConfig => new SqliteAdapter(databaseConfig));
+registerDatabaseAdapter('postgres', databaseConfig => new PostgresAdapter(databaseConfig));
@@ -0,0 +1,172 @@
+import Database from 'sqlite3';
+import fs from 'fs/promises';
+import path from 'path';
+import { DatabaseAdapter } from './base-adapter.js';
+
+/**
+ * A SQLite file, for a single app instance and for development.  Use
+ * `:memory:` as the filename for a throwaway database.
+ *
+ * There is one connection, so a transaction holds it exclusively: other
+ * transactions, and queries from code outside it, wait for it to finish.
+ * Foreign keys are enforced.
+ */
+export class SqliteAdapter extends DatabaseAdapter {
+  /**
+   * @param {Object} databaseConfig See DatabaseAdapter, plus `filename`.
+   */
+  constructor(databaseConfig) {
+    super(databaseConfig);
+    if (!databaseConfig.filename) {
+      throw new Error('SQLite database needs a filename');
+    }
+    this.filename = databaseConfig.filename;
+    this.db = null;
+    this.opening = null;
+    this.transactions = Promise.resolve();
+    this.pendingTransactions = 0;
+  }
+
+  async connect() {
+    if (this.db) return this.db;
+    if (!this.opening) {
+      this.opening = this.open().finally(() => {
+        this.opening = null;
+      });
+    }
+    return await this.opening;
+  }
+
+  async open() {
+    if (this.filename !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true });
+    }
+    return new Promise((resolve, reject) => {
+      const db = new Database.Database(this.filename, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // SQLite leaves foreign keys unchecked unless asked, per connection
+        db.run('PRAGMA foreign_keys = ON', (pragmaErr) => {
+          if (pragmaErr) {
+            reject(pragmaErr);
+          } else {
+            this.db = db;
+            resolve(db);
+          }
+        });
+      });
+    });
+  }
+
+  // Queries from outside a transaction wait for it, rather than becoming
+  // part of it and being rolled back with it
+  async connection() {
+    if (!this.inTransaction && !this.currentTransaction()) {
+      while (this.pendingTransactions > 0) {
+        await this.transactions;
+      }
+    }
+    return await this.connect();
+  }
+
+  async close() {
+    if (this.db) {
+      return new Promise((resolve, reject) => {
+        this.db.close((err) => {
+          if (err) {
+            reject(err);
+          } else {
+            this.db = null;
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  async run(sql, params = []) {
+    const db = await this.connection();
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  async get(sql, params = []) {
+    const db = await this.connection();
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async all(sql, params = []) {
+    const db = await this.connection();
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async runTransaction(work, { foreignKeys = true } = {}) {
+    // Queued, since the connection can only hold one transaction
+    this.pendingTransactions++;
+    const result = this.transactions.then(() => this.transact(work, foreignKeys));
+    this.transactions = result.catch(() => {}).then(() => {
+      this.pendingTransactions--;
+    });
+    return await result;
+  }
+
+  async transact(work, foreignKeys) {
+    const tx = Object.create(this);
+    tx.inTransaction = true;
+
+    // The pragma has no effect inside a transaction, so it's switched outside
+    const { foreign_keys: enforced } = await tx.get('PRAGMA foreign_keys');
+    if (!foreignKeys) await tx.run('PRAGMA foreign_keys = OFF');
+
+    await tx.run('BEGIN');
+    try {
+      const result = await work(tx);
+      await tx.run('COMMIT');
+      return result;
+    } catch (error) {
+      await tx.run('ROLLBACK');
+      throw error;
+    } finally {
+      if (!foreignKeys) await tx.run(`PRAGMA foreign_keys = ${enforced ? 'ON' : 'OFF'}`);
+    }
+  }
+
+  async tableExists(table) {
+    const row = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return Boolean(row);
+  }
+
+  async columnNames(table) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.map(column => column.name);
+  }
+
+  jsonArrayContains(column) {
+    return `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value = ?)`;
+  }
+}
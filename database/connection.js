@@ -1,94 +1,26 @@
-import Database from 'sqlite3';
+import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createDatabase } from './adapters/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DB_PATH = path.join(__dirname, '..', 'database', 'voice_ai.db');
+// Read here rather than in src/config.js so scripts/migrate.js can use the
+// same database without the app's credentials
+dotenv.config();
 
-class DatabaseConnection {
-  constructor() {
-    this.db = null;
-  }
+// DB_PATH moves the SQLite file, e.g. to a scratch file for the tests
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'database', 'voice_ai.db');
 
-  async connect() {
-    if (this.db) return this.db;
+// PostgreSQL when DATABASE_URL is set, for running several app instances
+// against one database; otherwise the SQLite file
+const dbInstance = process.env.DATABASE_URL
+  ? createDatabase({
+      client: 'postgres',
+      url: process.env.DATABASE_URL,
+      poolSize: parseInt(process.env.DB_POOL_SIZE) || 10
+    })
+  : createDatabase({ client: 'sqlite', filename: DB_PATH });
 
-    return new Promise((resolve, reject) => {
-      this.db = new Database.Database(DB_PATH, (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.db);
-        }
-      });
-    });
-  }
-
-  async close() {
-    if (this.db) {
-      return new Promise((resolve) => {
-        this.db.close(() => {
-          this.db = null;
-          resolve();
-        });
-      });
-    }
-  }
-
-  async run(sql, params = []) {
-    const db = await this.connect();
-    return new Promise((resolve, reject) => {
-      if (params.length === 0) {
-        // No params, execute SQL directly
-        db.run(sql, function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({ lastID: this.lastID, changes: this.changes });
-          }
-        });
-      } else {
-        // With params
-        const args = [sql].concat(params).concat(function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({ lastID: this.lastID, changes: this.changes });
-          }
-        });
-        db.run.apply(db, args);
-      }
-    });
-  }
-
-  async get(sql, params = []) {
-    const db = await this.connect();
-    return new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
-  }
-
-  async all(sql, params = []) {
-    const db = await this.connect();
-    return new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
-  }
-}
-
-const dbInstance = new DatabaseConnection();
-export default dbInstance;
\ No newline at end of file
+export default dbInstance;
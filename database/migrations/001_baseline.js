@@ -0,0 +1,257 @@
+import { ensureTable } from '../migrator.js';
+
+// The schema both the single-tenant app and tenant databases share.
+// Databases created before migrations existed (by scripts/init-db.js or by
+// the old TenantDatabase schema) have their tables brought to these
+// definitions, keeping their rows. Rows of the multi-tenant core carry
+// tenant_id; the single-tenant app leaves it null.
+const TABLES = [
+  ['agents', `
+    CREATE TABLE agents (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT,
+      name TEXT NOT NULL,
+      prompt TEXT NOT NULL,
+      type TEXT DEFAULT 'sales',
+      use_case TEXT CHECK(use_case IN ('inbound', 'outbound', 'both')) DEFAULT 'both',
+      phone_number TEXT,
+      voice TEXT DEFAULT 'aura-asteria-en',
+      tools TEXT, -- JSON array of tool definitions, see services/ToolService.js
+      intent_config TEXT, -- JSON intent classification settings, see src/intent.js
+      transfer_config TEXT, -- JSON live transfer settings, see services/TransferService.js
+      voicemail_config TEXT, -- JSON answering machine behaviour, see services/VoicemailService.js
+      consent_config TEXT, -- JSON consent/disclosure scripts per jurisdiction, see src/consent.js
+      calling_hours TEXT, -- JSON outbound calling window overriding the global one, see src/calling-hours.js
+      language_config TEXT, -- JSON languages spoken, detection mode and voices, see src/language.js
+      redaction_config TEXT, -- JSON PII redaction policy overriding the global one, see src/redaction.js
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `],
+  ['contacts', `
+    CREATE TABLE contacts (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      phone_number TEXT NOT NULL UNIQUE,
+      email TEXT,
+      company TEXT,
+      notes TEXT,
+      tags TEXT,
+      timezone TEXT, -- IANA zone; otherwise worked out from the number
+      last_called DATETIME,
+      call_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `],
+  ['conversations', `
+    CREATE TABLE conversations (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT,
+      agent_id TEXT, -- single-tenant agent; the core keeps its agent in agent_config
+      agent_config TEXT, -- JSON agent settings the core started the call with
+      call_sid TEXT,
+      direction TEXT CHECK(direction IN ('inbound', 'outbound')) NOT NULL,
+      customer_number TEXT NOT NULL,
+      status TEXT, -- core call state: initiated, active, completed, failed
+      transcription TEXT,
+      audio_url TEXT,
+      recording_url TEXT,
+      recording_key TEXT, -- our copy in audio storage, see services/RecordingService.js
+      recording_channels INTEGER, -- 2 for dual-channel recordings
+      recording_expires_at DATETIME, -- when the copy is deleted; null keeps it
+      aligned_transcript TEXT, -- JSON: timed utterances from the recording, see src/transcript.js
+      rating INTEGER CHECK(rating >= 1 AND rating <= 10),
+      analysis TEXT,
+      success BOOLEAN DEFAULT 0,
+      duration INTEGER,
+      outcome TEXT, -- 'voicemail' when an answering machine picked up
+      answered_by TEXT, -- Twilio answering machine detection result
+      consent_outcome TEXT, -- granted, declined, unclear, no_response or disclosed
+      consent_at DATETIME,
+      consent_record TEXT, -- JSON: jurisdiction, script read, answer and how it was given
+      language TEXT, -- language the call was held in, e.g. 'es'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      FOREIGN KEY (agent_id) REFERENCES agents (id)
+    )
+  `],
+  ['conversation_messages', `
+    CREATE TABLE conversation_messages (
+      id TEXT PRIMARY KEY,
+      conversation_id TEXT NOT NULL,
+      role TEXT CHECK(role IN ('user', 'assistant')) NOT NULL,
+      content TEXT NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+    )
+  `],
+  ['callback_requests', `
+    CREATE TABLE callback_requests (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT,
+      conversation_id TEXT NOT NULL,
+      customer_number TEXT,
+      agent_id TEXT,
+      reason TEXT DEFAULT 'Human transfer requested',
+      preferred_time DATETIME,
+      status TEXT CHECK(status IN ('pending', 'scheduled', 'completed', 'cancelled')) DEFAULT 'pending',
+      notes TEXT,
+      timezone TEXT, -- IANA zone the caller's preferred time was interpreted in
+      attempts INTEGER DEFAULT 0,
+      last_attempt_at DATETIME,
+      next_attempt_at DATETIME,
+      call_sid TEXT, -- callback call currently in progress
+      outcome TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations (id),
+      FOREIGN KEY (agent_id) REFERENCES agents (id)
+    )
+  `],
+  ['tool_invocations', `
+    CREATE TABLE tool_invocations (
+      id TEXT PRIMARY KEY,
+      conversation_id TEXT NOT NULL,
+      tool_name TEXT NOT NULL,
+      arguments TEXT,
+      result TEXT,
+      status TEXT CHECK(status IN ('success', 'error')) NOT NULL,
+      duration_ms INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+    )
+  `],
+  ['campaigns', `
+    CREATE TABLE campaigns (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      status TEXT CHECK(status IN ('draft', 'running', 'paused', 'completed', 'cancelled')) DEFAULT 'draft',
+      window_start TEXT DEFAULT '09:00', -- local HH:mm calls may start from
+      window_end TEXT DEFAULT '17:00',
+      calling_days TEXT, -- JSON array such as ["mon","tue"]; null means every day
+      timezone TEXT DEFAULT 'UTC',
+      max_concurrent INTEGER DEFAULT 1,
+      calls_per_minute INTEGER DEFAULT 5,
+      max_attempts INTEGER DEFAULT 3,
+      retry_delay_minutes INTEGER DEFAULT 60,
+      retry_on TEXT, -- JSON array of call statuses worth retrying
+      started_at DATETIME,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents (id)
+    )
+  `],
+  ['campaign_contacts', `
+    CREATE TABLE campaign_contacts (
+      id TEXT PRIMARY KEY,
+      campaign_id TEXT NOT NULL,
+      contact_id TEXT NOT NULL,
+      phone_number TEXT NOT NULL,
+      status TEXT CHECK(status IN ('pending', 'calling', 'completed', 'failed', 'cancelled')) DEFAULT 'pending',
+      outcome TEXT,
+      attempts INTEGER DEFAULT 0,
+      last_attempt_at DATETIME,
+      next_attempt_at DATETIME,
+      call_sid TEXT,
+      conversation_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (campaign_id, contact_id),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns (id),
+      FOREIGN KEY (contact_id) REFERENCES contacts (id),
+      FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+    )
+  `],
+  // Tenant databases hold a single tenant, so numbers are unique per database
+  ['do_not_call', `
+    CREATE TABLE do_not_call (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT,
+      phone_number TEXT NOT NULL UNIQUE,
+      reason TEXT,
+      source TEXT CHECK(source IN ('manual', 'import', 'opt_out')) DEFAULT 'manual',
+      conversation_id TEXT, -- the call in which the caller opted out
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+    )
+  `],
+  ['compliance_events', `
+    CREATE TABLE compliance_events (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT,
+      type TEXT NOT NULL, -- dnc_added, dnc_imported, dnc_removed, dnc_blocked, calling_hours_blocked, calling_hours_deferred, pii_revealed
+      phone_number TEXT,
+      source TEXT, -- where it happened: outbound, campaign, callback, opt_out, import, manual
+      details TEXT, -- JSON
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `],
+  ['pii_vault', `
+    CREATE TABLE pii_vault (
+      token TEXT PRIMARY KEY, -- as written into redacted text, e.g. [EMAIL_3fa9c2d1e0]
+      tenant_id TEXT,
+      conversation_id TEXT NOT NULL,
+      type TEXT NOT NULL, -- card, ssn, phone, email, address
+      value TEXT NOT NULL, -- AES-256-GCM sealed with the vault key
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+    )
+  `],
+  ['deferred_calls', `
+    CREATE TABLE deferred_calls (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      contact_id TEXT,
+      phone_number TEXT NOT NULL,
+      timezone TEXT, -- callee's zone the calling window was checked in
+      scheduled_for DATETIME NOT NULL,
+      status TEXT CHECK(status IN ('scheduled', 'placed', 'failed', 'cancelled')) DEFAULT 'scheduled',
+      call_sid TEXT,
+      conversation_id TEXT,
+      outcome TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents (id),
+      FOREIGN KEY (contact_id) REFERENCES contacts (id),
+      FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+    )
+  `]
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_conversations_agent_id ON conversations(agent_id)',
+  'CREATE INDEX IF NOT EXISTS idx_conversations_tenant_id ON conversations(tenant_id)',
+  'CREATE INDEX IF NOT EXISTS idx_conversations_created_at ON conversations(created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON conversation_messages(conversation_id)',
+  'CREATE INDEX IF NOT EXISTS idx_callback_requests_status ON callback_requests(status)',
+  'CREATE INDEX IF NOT EXISTS idx_callback_requests_call_sid ON callback_requests(call_sid)',
+  'CREATE INDEX IF NOT EXISTS idx_callback_requests_tenant_id ON callback_requests(tenant_id)',
+  'CREATE INDEX IF NOT EXISTS idx_campaign_contacts_campaign_status ON campaign_contacts(campaign_id, status)',
+  'CREATE INDEX IF NOT EXISTS idx_campaign_contacts_call_sid ON campaign_contacts(call_sid)',
+  'CREATE INDEX IF NOT EXISTS idx_tool_invocations_conversation_id ON tool_invocations(conversation_id)',
+  'CREATE INDEX IF NOT EXISTS idx_deferred_calls_status ON deferred_calls(status, scheduled_for)',
+  'CREATE INDEX IF NOT EXISTS idx_compliance_events_type ON compliance_events(type, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_compliance_events_tenant_type ON compliance_events(tenant_id, type, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_pii_vault_conversation_id ON pii_vault(conversation_id)'
+];
+
+export async function up(db) {
+  for (const [table, createSql] of TABLES) {
+    await ensureTable(db, table, createSql);
+  }
+  for (const index of INDEXES) {
+    await db.run(index);
+  }
+}
+
+// Reverting the baseline would drop every table, and every call, contact and
+// recording with it, so it refuses; `rollback --to 1` reverts everything after.
+export async function down() {
+  const error = new Error(
+    'The baseline migration cannot be rolled back: it would drop every table and its data. ' +
+    'Roll back to version 1 at most, and restore a backup or drop the database by hand to start over.'
+  );
+  error.code = 'MIGRATION_IRREVERSIBLE';
+  throw error;
+}
@@ -0,0 +1,14 @@
+import { addColumn } from '../migrator.js';
+
+// Deleting an agent or contact archives it instead, so the conversations,
+// callbacks and campaigns that refer to it keep their history. Rolling back
+// makes archived agents and contacts active again.
+export async function up(db) {
+  await addColumn(db, 'agents', 'archived_at DATETIME');
+  await addColumn(db, 'contacts', 'archived_at DATETIME');
+}
+
+export async function down(db) {
+  await db.run('ALTER TABLE agents DROP COLUMN archived_at');
+  await db.run('ALTER TABLE contacts DROP COLUMN archived_at');
+}
@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// 001_baseline.js -> version 1, name "baseline"
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Numbered up/down migrations, tracked in `schema_migrations`.
+ *
+ * Each file in database/migrations exports `up(db)` and `down(db)`, where
+ * `db` is a database adapter (database/adapters).  Both the single-tenant
+ * database and every tenant database (core/TenantDatabase.js) run the same
+ * migrations, so they share one schema, on SQLite or PostgreSQL.
+ *
+ * Every migration runs in its own transaction with foreign key checks off
+ * where the database allows it, so migrations can rebuild tables (see
+ * rebuildTable).  Migrating holds a lock, so app instances starting together
+ * against one PostgreSQL database don't apply a migration twice.
+ */
+class Migrator {
+  /**
+   * @param {import('./adapters/base-adapter.js').DatabaseAdapter} db
+   * @param {Object} [options]
+   * @param {string} [options.directory] Where the migration files are.
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.directory = options.directory || MIGRATIONS_DIR;
+  }
+
+  /**
+   * @returns {Promise<Array<{version: number, name: string, appliedAt: string|null}>>}
+   *   Every known migration, oldest first, plus applied ones whose file is gone.
+   */
+  async status() {
+    const migrations = await this._load();
+    const applied = await this._applied();
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return [
+      ...migrations.map(({ version, name }) => ({ version, name, appliedAt: applied.get(version)?.applied_at ?? null })),
+      ...[...applied.values()]
+        .filter(row => !known.has(row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true }))
+    ].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * @returns {Promise<Array<{version: number, name: string}>>} Migrations not applied yet.
+   */
+  async pending() {
+    const applied = await this._applied();
+    return (await this._load())
+      .filter(migration => !applied.has(migration.version))
+      .map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Apply pending migrations in order.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.to] Stop after this version.
+   * @returns {Promise<Array<{version: number, name: string}>>} The migrations applied.
+   */
+  async migrate(options = {}) {
+    const { to = Infinity } = options;
+    const migrations = await this._load();
+
+    return await this.db.withLock('schema_migrations', async () => {
+      const applied = await this._applied();
+      const done = [];
+
+      for (const migration of migrations) {
+        if (migration.version > to) break;
+        if (applied.has(migration.version)) continue;
+
+        await this._inTransaction(migration, async (tx) => {
+          await migration.up(tx);
+          await tx.run(
+            'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+            [migration.version, migration.name]
+          );
+        });
+        done.push({ version: migration.version, name: migration.name });
+      }
+      return done;
+    });
+  }
+
+  /**
+   * Revert applied migrations, newest first.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.steps=1] How many to revert.
+   * @param {number} [options.to] Revert everything after this version instead.
+   * @returns {Promise<Array<{version: number, name: string}>>} The migrations reverted.
+   */
+  async rollback(options = {}) {
+    const { steps = 1, to } = options;
+    const migrations = new Map((await this._load()).map(migration => [migration.version, migration]));
+
+    return await this.db.withLock('schema_migrations', async () => {
+      const applied = [...(await this._applied()).values()].sort((a, b) => b.version - a.version);
+      const targets = to === undefined ? applied.slice(0, steps) : applied.filter(row => row.version > to);
+      const done = [];
+
+      for (const row of targets) {
+        const migration = migrations.get(row.version);
+        if (!migration) {
+          const error = new Error(`Migration ${row.version} (${row.name}) is applied but its file is missing`);
+          error.code = 'MIGRATION_MISSING';
+          throw error;
+        }
+
+        await this._inTransaction(migration, async (tx) => {
+          await migration.down(tx);
+          await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        });
+        done.push({ version: migration.version, name: migration.name });
+      }
+      return done;
+    });
+  }
+
+  async _load() {
+    const files = await fs.readdir(this.directory);
+    const migrations = [];
+
+    for (const file of files) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) continue;
+
+      const module = await import(pathToFileURL(path.join(this.directory, file)).href);
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      migrations.push({ version: Number(match[1]), name: match[2], up: module.up, down: module.down });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Two migrations are numbered ${migrations[i].version}`);
+      }
+    }
+    return migrations;
+  }
+
+  async _applied() {
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    const rows = await this.db.all('SELECT * FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  async _inTransaction(migration, work) {
+    try {
+      await this.db.transaction(work, { foreignKeys: false });
+    } catch (error) {
+      error.message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Add a column unless the table already has it.
+ *
+ * @param {import('./adapters/base-adapter.js').DatabaseAdapter} db
+ * @param {string} table
+ * @param {string} definition e.g. `status TEXT DEFAULT 'pending'`
+ */
+export async function addColumn(db, table, definition) {
+  const [name] = definition.trim().split(/\s+/);
+  if ((await db.columnNames(table)).includes(name)) return;
+  await db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+}
+
+/**
+ * Create a table, or bring an existing one to the given definition.
+ *
+ * SQLite can't change a column's constraints in place, so a table whose
+ * definition differs is rebuilt: created afresh, the columns both versions
+ * have copied over, the old one dropped.  Its indexes go with it and have to
+ * be created again.  Only SQLite databases predate migrations, so
+ * PostgreSQL tables are only ever created.
+ *
+ * @param {import('./adapters/base-adapter.js').DatabaseAdapter} db
+ * @param {string} table
+ * @param {string} createSql `CREATE TABLE <table> (...)`
+ */
+export async function ensureTable(db, table, createSql) {
+  if (!(await db.tableExists(table))) {
+    await db.run(createSql);
+  } else if (db.dialect === 'sqlite') {
+    const existing = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    if (normalizeSql(existing.sql) !== normalizeSql(createSql)) {
+      await rebuildTable(db, table, createSql);
+    }
+  }
+}
+
+/**
+ * Recreate a table from a new definition, keeping its rows.  Columns the
+ * new definition doesn't have are dropped.
+ *
+ * @param {import('./adapters/base-adapter.js').DatabaseAdapter} db
+ * @param {string} table
+ * @param {string} createSql `CREATE TABLE <table> (...)`
+ */
+export async function rebuildTable(db, table, createSql) {
+  const temporary = `${table}_rebuild`;
+  const oldColumns = await db.columnNames(table);
+
+  await db.run(createSql.replace(new RegExp(`(CREATE TABLE\\s+(?:IF NOT EXISTS\\s+)?)${table}\\b`, 'i'), `$1${temporary}`));
+  const kept = (await db.columnNames(temporary)).filter(column => oldColumns.includes(column)).join(', ');
+  await db.run(`INSERT INTO ${temporary} (${kept}) SELECT ${kept} FROM ${table}`);
+  await db.run(`DROP TABLE ${table}`);
+  await db.run(`ALTER TABLE ${temporary} RENAME TO ${table}`);
+}
+
+function normalizeSql(sql) {
+  return sql
+    .replace(/--[^\n]*/g, '')
+    .replace(/\bIF NOT EXISTS\b/i, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([(),])\s*/g, '$1')
+    .replace(/["`]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+export default Migrator;
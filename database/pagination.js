@@ -0,0 +1,115 @@
+/**
+ * Keyset pagination for the models' list queries.  Rows are ordered by a
+ * sort expression with the id breaking ties, and a page's cursor names the
+ * last row on it: the next page is the rows that sort after that one.
+ * Unlike an offset, a cursor keeps its place while rows are added.
+ *
+ * Sorts are named the way API clients give them: `created_at` ascending,
+ * `-created_at` descending.
+ */
+
+/**
+ * @typedef {Object} Page
+ * @property {Object[]} items
+ * @property {number} total Rows matching the filters, on every page.
+ * @property {string|null} nextCursor Null on the last page.
+ */
+
+/**
+ * Fetch one page of a list query.
+ *
+ * @param {Object} db Database (see database/adapters).
+ * @param {Object} query
+ * @param {string} query.table
+ * @param {string} [query.alias] Name the table goes by in the other parts.
+ * @param {string} [query.select] Columns, default every column of the table.
+ * @param {string} [query.joins] JOIN clauses, e.g. for the agent's name.
+ * @param {string[]} [query.conditions] Filters, ANDed together.
+ * @param {Array} [query.params] Parameters of the conditions.
+ * @param {Object<string, string>} query.sorts Sort name → SQL expression.
+ *   Expressions must not be null; COALESCE nullable columns.
+ * @param {string} query.sort E.g. `-created_at`.
+ * @param {string|null} [query.cursor] From the previous page.
+ * @param {number} query.limit
+ * @returns {Promise<Page>}
+ * @throws {Error} With code `INVALID_LIST_QUERY` for an unknown sort or a
+ *   cursor that isn't from this list and sort.
+ */
+export async function paginate(db, query) {
+  const { table, alias = table, joins = '', conditions = [], params = [], sorts, sort, cursor = null, limit } = query;
+  const select = query.select || `${alias}.*`;
+  const from = alias === table ? table : `${table} ${alias}`;
+
+  const descending = sort.startsWith('-');
+  const expression = sorts[descending ? sort.slice(1) : sort];
+  if (!expression) {
+    throw invalidListQuery(`sort must be one of: ${Object.keys(sorts).flatMap(name => [name, `-${name}`]).join(', ')}`);
+  }
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const { total } = await db.get(`SELECT COUNT(*) AS total FROM ${from} ${joins}${where}`, params);
+
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (cursor) {
+    const id = decodeCursor(cursor, sort);
+    if (!(await db.get(`SELECT id FROM ${table} WHERE id = ?`, [id]))) {
+      throw invalidListQuery('cursor refers to a row that no longer exists');
+    }
+    // Compared with the cursor's row as it is now
+    pageConditions.push(
+      `(${expression}, ${alias}.id) ${descending ? '<' : '>'} (SELECT ${expression}, ${alias}.id FROM ${from} WHERE ${alias}.id = ?)`
+    );
+    pageParams.push(id);
+  }
+
+  const pageWhere = pageConditions.length > 0 ? ` WHERE ${pageConditions.join(' AND ')}` : '';
+  const direction = descending ? 'DESC' : 'ASC';
+  const rows = await db.all(
+    `SELECT ${select} FROM ${from} ${joins}${pageWhere}
+     ORDER BY ${expression} ${direction}, ${alias}.id ${direction} LIMIT ?`,
+    [...pageParams, limit + 1]
+  );
+
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(items[items.length - 1].id, sort) : null;
+  return { items, total, nextCursor };
+}
+
+/**
+ * A date as CURRENT_TIMESTAMP stores it in SQLite, `YYYY-MM-DD HH:MM:SS`
+ * in UTC, so filters on created_at compare as text there and as a
+ * timestamp in PostgreSQL.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function sqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function encodeCursor(id, sort) {
+  return Buffer.from(JSON.stringify({ id, sort })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidListQuery('cursor is not valid');
+  }
+  if (typeof decoded?.id !== 'string') {
+    throw invalidListQuery('cursor is not valid');
+  }
+  if (decoded.sort !== sort) {
+    throw invalidListQuery('cursor is from a list with another sort');
+  }
+  return decoded.id;
+}
+
+function invalidListQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_LIST_QUERY';
+  return error;
+}
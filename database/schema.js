@@ -0,0 +1,184 @@
+/**
+ * Declarative definition of the columns a model may write, driving its
+ * create and update: unknown fields are rejected, values are checked
+ * against their column's type and rules, and omitted ones get defaults on
+ * create and are left alone on update.
+ *
+ * Columns the model manages itself (ids, timestamps, counters) are not
+ * listed, so they can't be written through create or update.
+ *
+ * @typedef {Object} ColumnDefinition
+ * @property {'string'|'integer'|'number'|'boolean'|'json'|'datetime'} type
+ *   `json` columns take objects, arrays or JSON text and store text;
+ *   `datetime` columns take Dates or date strings and store ISO 8601.
+ * @property {boolean} [required] Must be given, and not null or empty.
+ * @property {*} [default] Value on create when omitted.
+ * @property {Array} [enum] Allowed values.
+ * @property {number} [min] Smallest allowed number.
+ * @property {number} [max] Largest allowed number.
+ * @property {(value: *) => *} [parse] Converts a non-null value as given
+ *   before it is checked, e.g. to accept a looser input format.
+ * @property {(value: *) => (string|null)} [validate] Further check of a
+ *   non-null value (parsed, for `json`); returns an error message or null.
+ */
+export class ModelSchema {
+  /**
+   * @param {string} table
+   * @param {Object<string, ColumnDefinition>} columns
+   * @param {Object} [options]
+   * @param {boolean} [options.timestamps] Set `updated_at` on every update.
+   */
+  constructor(table, columns, options = {}) {
+    this.table = table;
+    this.columns = columns;
+    this.timestamps = Boolean(options.timestamps);
+  }
+
+  /**
+   * Check a new row and fill in defaults.
+   *
+   * @param {Object} data
+   * @returns {Object} Values of every column, ready to store.
+   * @throws {Error} With code `VALIDATION_FAILED` and `errors`, a list of
+   *   `{ field, message }`.
+   */
+  forCreate(data) {
+    return this._prepare(data, { fill: true });
+  }
+
+  /**
+   * Check changes to a row.  Fields left out or undefined are not changed;
+   * null clears a column.
+   *
+   * @param {Object} updates
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] Reset the columns left out to their
+   *   defaults instead, replacing the row as an HTTP PUT does.
+   * @returns {Object} Values of the columns to change.
+   * @throws {Error} As forCreate.
+   */
+  forUpdate(updates, options = {}) {
+    return this._prepare(updates, { fill: Boolean(options.replace) });
+  }
+
+  /**
+   * @param {Object} row Column values, including the id.
+   * @returns {[string, Array]} INSERT statement and its parameters.
+   */
+  insert(row) {
+    const fields = Object.keys(row);
+    const placeholders = fields.map(() => '?').join(', ');
+    return [
+      `INSERT INTO ${this.table} (${fields.join(', ')}) VALUES (${placeholders})`,
+      Object.values(row)
+    ];
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} changes Values from forUpdate.
+   * @param {string[]} [also] Further assignments the model makes itself,
+   *   e.g. `archived_at = NULL`.
+   * @returns {[string, Array]} UPDATE statement and its parameters.
+   */
+  update(id, changes, also = []) {
+    const assignments = [...Object.keys(changes).map(field => `${field} = ?`), ...also];
+    if (this.timestamps) assignments.push('updated_at = CURRENT_TIMESTAMP');
+    return [
+      `UPDATE ${this.table} SET ${assignments.join(', ')} WHERE id = ?`,
+      [...Object.values(changes), id]
+    ];
+  }
+
+  _prepare(data, { fill }) {
+    const errors = [];
+    const values = {};
+
+    for (const field of Object.keys(data || {})) {
+      if (!Object.hasOwn(this.columns, field)) {
+        errors.push({ field, message: `Unknown field: ${field}` });
+      }
+    }
+
+    for (const [field, column] of Object.entries(this.columns)) {
+      let value = data?.[field];
+      if (value === undefined) {
+        if (!fill) continue;
+        value = column.default === undefined ? null : column.default;
+      }
+
+      const { value: stored, error } = this._convert(field, column, value);
+      if (error) {
+        errors.push({ field, message: error });
+      } else {
+        values[field] = stored;
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.map(({ message }) => message).join('; '));
+      error.code = 'VALIDATION_FAILED';
+      error.errors = errors;
+      throw error;
+    }
+    return values;
+  }
+
+  _convert(field, column, value) {
+    if (value !== null && column.parse) value = column.parse(value);
+    if (value === null || (column.required && value === '')) {
+      return column.required ? { error: `${field} is required` } : { value: null };
+    }
+
+    let parsed = value;
+    switch (column.type) {
+      case 'string':
+        if (typeof value !== 'string') return { error: `${field} must be a string` };
+        break;
+      case 'integer':
+        if (!Number.isInteger(value)) return { error: `${field} must be a whole number` };
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${field} must be a number` };
+        break;
+      case 'boolean':
+        // Stored as 1 or 0, which is how rows read back
+        if (typeof value !== 'boolean' && value !== 0 && value !== 1) return { error: `${field} must be true or false` };
+        parsed = Boolean(value);
+        break;
+      case 'json':
+        if (typeof value === 'string') {
+          try {
+            parsed = JSON.parse(value);
+          } catch {
+            return { error: `${field} must be valid JSON` };
+          }
+        } else if (typeof value !== 'object') {
+          return { error: `${field} must be an object or array` };
+        }
+        break;
+      case 'datetime':
+        parsed = value instanceof Date ? value : typeof value === 'string' ? new Date(value) : null;
+        if (!parsed || Number.isNaN(parsed.getTime())) return { error: `${field} must be a date and time` };
+        break;
+      default:
+        throw new Error(`Unknown type ${column.type} for ${this.table}.${field}`);
+    }
+
+    if (column.enum && !column.enum.includes(parsed)) {
+      return { error: `${field} must be one of: ${column.enum.join(', ')}` };
+    }
+    if (column.min !== undefined && parsed < column.min) {
+      return { error: `${field} must be at least ${column.min}` };
+    }
+    if (column.max !== undefined && parsed > column.max) {
+      return { error: `${field} must be at most ${column.max}` };
+    }
+    const error = column.validate ? column.validate(parsed) : null;
+    if (error) return { error };
+
+    if (column.type === 'json') return { value: JSON.stringify(parsed) };
+    if (column.type === 'datetime') return { value: parsed.toISOString() };
+    return { value: parsed };
+  }
+}
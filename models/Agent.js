@@ -1,55 +1,92 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from '../database/connection.js';
+import { ModelSchema } from '../database/schema.js';
+import { paginate } from '../database/pagination.js';
+
+// JSON settings, each validated further by its owner (see src/routes/agents.js)
+const JSON_SETTINGS = [
+  'tools', 'intent_config', 'transfer_config', 'voicemail_config', 'consent_config',
+  'calling_hours', 'language_config', 'redaction_config'
+];
+
+const schema = new ModelSchema('agents', {
+  name: { type: 'string', required: true },
+  prompt: { type: 'string', required: true },
+  type: { type: 'string', default: 'sales' },
+  use_case: { type: 'string', enum: ['inbound', 'outbound', 'both'], default: 'both' },
+  phone_number: { type: 'string' },
+  voice: { type: 'string', default: 'aura-asteria-en' },
+  ...Object.fromEntries(JSON_SETTINGS.map(field => [field, { type: 'json' }]))
+}, { timestamps: true });
+
+const SORTS = {
+  created_at: 'created_at',
+  name: 'LOWER(name)'
+};
 
 class Agent {
   static async create(agentData) {
     const id = uuidv4();
-    const { name, prompt, type = 'sales', use_case = 'both', phone_number = null, voice = 'aura-asteria-en' } = agentData;
+    const row = schema.forCreate(agentData);
 
-    await db.run(
-      `INSERT INTO agents (id, name, prompt, type, use_case, phone_number, voice) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [id, name, prompt, type, use_case, phone_number, voice]
-    );
+    await db.run(...schema.insert({ id, ...row }));
 
-    return { 
-      id, 
-      name, 
-      prompt, 
-      type, 
-      use_case, 
-      phone_number, 
-      voice 
-    };
+    return { id, ...row };
   }
 
+  // Archived agents too, for the calls and callbacks they took part in
   static async findById(id) {
     return await db.get('SELECT * FROM agents WHERE id = ?', [id]);
   }
 
-  static async findAll() {
-    return await db.all('SELECT * FROM agents ORDER BY created_at DESC');
+  // An agent that can still place and take calls
+  static async findActiveById(id) {
+    return await db.get('SELECT * FROM agents WHERE id = ? AND archived_at IS NULL', [id]);
   }
 
-  static async update(id, updates) {
-    const fields = Object.keys(updates);
-    const values = Object.values(updates);
-    const setClause = fields.map(field => `${field} = ?`).join(', ');
+  // Every agent, for routing inbound calls
+  static async findAll({ includeArchived = false } = {}) {
+    const where = includeArchived ? '' : ' WHERE archived_at IS NULL';
+    return await db.all(`SELECT * FROM agents${where} ORDER BY created_at DESC`);
+  }
 
-    await db.run(
-      `UPDATE agents SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-      [...values, id]
-    );
+  // A page of agents, newest first unless sorted otherwise (see
+  // database/pagination.js)
+  static async findPage({ includeArchived = false, sort = '-created_at', cursor = null, limit = 100 } = {}) {
+    const conditions = includeArchived ? [] : ['archived_at IS NULL'];
+    return await paginate(db, { table: 'agents', conditions, sorts: SORTS, sort, cursor, limit });
+  }
+
+  // Changes the fields given; `replace: true` resets the rest to defaults
+  static async update(id, updates, options = {}) {
+    const changes = schema.forUpdate(updates, options);
+    if (Object.keys(changes).length > 0) {
+      await db.run(...schema.update(id, changes));
+    }
 
     return await this.findById(id);
   }
 
-  static async delete(id) {
-    await db.run('DELETE FROM agents WHERE id = ?', [id]);
-    return true;
+  // Agents are archived rather than deleted, as conversations, callbacks and
+  // campaigns refer to them. False when there is no such agent.
+  static async archive(id) {
+    const result = await db.run(
+      'UPDATE agents SET archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  static async restore(id) {
+    await db.run(
+      'UPDATE agents SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+    return await this.findById(id);
   }
 
   static async findByPhoneNumber(phoneNumber) {
-    return await db.get('SELECT * FROM agents WHERE phone_number = ?', [phoneNumber]);
+    return await db.get('SELECT * FROM agents WHERE phone_number = ? AND archived_at IS NULL', [phoneNumber]);
   }
 }
 
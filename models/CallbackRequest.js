@@ -1,5 +1,12 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from '../database/connection.js';
+import { paginate, sqlTimestamp } from '../database/pagination.js';
+
+// Requests without a preferred time sort after every one with one
+const SORTS = {
+  created_at: 'cr.created_at',
+  preferred_time: "COALESCE(cr.preferred_time, '9999-12-31')"
+};
 
 class CallbackRequest {
   static async create(requestData) {
@@ -35,11 +42,35 @@ class CallbackRequest {
     );
   }
 
-  static async findAll(limit = 50) {
-    return await db.all(
-      'SELECT cr.*, a.name as agent_name FROM callback_requests cr JOIN agents a ON cr.agent_id = a.id ORDER BY cr.created_at DESC LIMIT ?',
-      [limit]
-    );
+  // A page of requests, newest first unless sorted otherwise (see
+  // database/pagination.js); `from` is inclusive and `to` exclusive
+  static async findAll({
+    status = null, agentId = null, from = null, to = null, sort = '-created_at', cursor = null, limit = 50
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    const filter = (condition, value) => {
+      conditions.push(condition);
+      params.push(value);
+    };
+
+    if (status) filter('cr.status = ?', status);
+    if (agentId) filter('cr.agent_id = ?', agentId);
+    if (from) filter('cr.created_at >= ?', sqlTimestamp(from));
+    if (to) filter('cr.created_at < ?', sqlTimestamp(to));
+
+    return await paginate(db, {
+      table: 'callback_requests',
+      alias: 'cr',
+      select: 'cr.*, a.name as agent_name',
+      joins: 'LEFT JOIN agents a ON cr.agent_id = a.id',
+      conditions,
+      params,
+      sorts: SORTS,
+      sort,
+      cursor,
+      limit
+    });
   }
 
   static async updateStatus(id, status, notes = null) {
@@ -51,6 +82,45 @@ class CallbackRequest {
     return await this.findById(id);
   }
 
+  static async findByCallSid(callSid) {
+    return await db.get('SELECT * FROM callback_requests WHERE call_sid = ?', [callSid]);
+  }
+
+  // Times are stored as ISO 8601 UTC strings so they compare as text
+  static async schedule(id, preferredTime, timezone) {
+    const at = preferredTime.toISOString();
+    await db.run(
+      'UPDATE callback_requests SET status = ?, preferred_time = ?, timezone = ?, next_attempt_at = ? WHERE id = ?',
+      ['scheduled', at, timezone, at, id]
+    );
+
+    return await this.findById(id);
+  }
+
+  // Scheduled requests whose time has come and that have no call in progress
+  static async findDue(now = new Date()) {
+    return await db.all(
+      'SELECT * FROM callback_requests WHERE status = ? AND call_sid IS NULL AND next_attempt_at <= ? ORDER BY next_attempt_at ASC',
+      ['scheduled', now.toISOString()]
+    );
+  }
+
+  static async markAttempt(id, callSid) {
+    await db.run(
+      'UPDATE callback_requests SET attempts = attempts + 1, last_attempt_at = ?, call_sid = ? WHERE id = ?',
+      [new Date().toISOString(), callSid, id]
+    );
+  }
+
+  static async recordOutcome(id, { status, outcome, nextAttemptAt = null }) {
+    await db.run(
+      'UPDATE callback_requests SET status = ?, outcome = ?, next_attempt_at = ?, call_sid = NULL WHERE id = ?',
+      [status, outcome, nextAttemptAt ? nextAttemptAt.toISOString() : null, id]
+    );
+
+    return await this.findById(id);
+  }
+
   static async getPendingRequests() {
     return await db.all(
       'SELECT * FROM callback_requests WHERE status = ? ORDER BY created_at ASC',
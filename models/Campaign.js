@@ -0,0 +1,75 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/connection.js';
+
+// Per-status contact counts, joined onto campaign rows
+const PROGRESS_COLUMNS = `
+  (SELECT COUNT(*) FROM campaign_contacts cc WHERE cc.campaign_id = c.id) as total_contacts,
+  (SELECT COUNT(*) FROM campaign_contacts cc WHERE cc.campaign_id = c.id AND cc.status = 'pending') as pending_contacts,
+  (SELECT COUNT(*) FROM campaign_contacts cc WHERE cc.campaign_id = c.id AND cc.status = 'calling') as calling_contacts,
+  (SELECT COUNT(*) FROM campaign_contacts cc WHERE cc.campaign_id = c.id AND cc.status = 'completed') as completed_contacts,
+  (SELECT COUNT(*) FROM campaign_contacts cc WHERE cc.campaign_id = c.id AND cc.status = 'failed') as failed_contacts`;
+
+class Campaign {
+  static async create(campaignData) {
+    const id = uuidv4();
+    const {
+      name,
+      agent_id,
+      window_start = '09:00',
+      window_end = '17:00',
+      calling_days = null,
+      timezone = 'UTC',
+      max_concurrent = 1,
+      calls_per_minute = 5,
+      max_attempts = 3,
+      retry_delay_minutes = 60,
+      retry_on = null
+    } = campaignData;
+
+    await db.run(`
+      INSERT INTO campaigns
+      (id, name, agent_id, window_start, window_end, calling_days, timezone, max_concurrent, calls_per_minute, max_attempts, retry_delay_minutes, retry_on)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, agent_id, window_start, window_end, calling_days, timezone, max_concurrent, calls_per_minute, max_attempts, retry_delay_minutes, retry_on]
+    );
+
+    return await this.findById(id);
+  }
+
+  static async findById(id) {
+    return await db.get(
+      `SELECT c.*, a.name as agent_name, ${PROGRESS_COLUMNS}
+       FROM campaigns c LEFT JOIN agents a ON c.agent_id = a.id WHERE c.id = ?`,
+      [id]
+    );
+  }
+
+  static async findAll(limit = 50) {
+    return await db.all(
+      `SELECT c.*, a.name as agent_name, ${PROGRESS_COLUMNS}
+       FROM campaigns c LEFT JOIN agents a ON c.agent_id = a.id ORDER BY c.created_at DESC LIMIT ?`,
+      [limit]
+    );
+  }
+
+  static async findByStatus(status) {
+    return await db.all('SELECT * FROM campaigns WHERE status = ? ORDER BY created_at ASC', [status]);
+  }
+
+  static async updateStatus(id, status) {
+    const timestamps = {
+      running: ', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)',
+      completed: ', completed_at = CURRENT_TIMESTAMP',
+      cancelled: ', completed_at = CURRENT_TIMESTAMP'
+    };
+
+    await db.run(
+      `UPDATE campaigns SET status = ?, updated_at = CURRENT_TIMESTAMP${timestamps[status] || ''} WHERE id = ?`,
+      [status, id]
+    );
+
+    return await this.findById(id);
+  }
+}
+
+export default Campaign;
@@ -0,0 +1,92 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/connection.js';
+
+// One row per contact dialled by a campaign. Times used for scheduling are
+// ISO 8601 UTC strings so they compare as text.
+class CampaignContact {
+  // Contacts already in the campaign are skipped; returns how many were added
+  static async addContacts(campaignId, contacts) {
+    let added = 0;
+    for (const contact of contacts) {
+      const result = await db.run(`
+        INSERT OR IGNORE INTO campaign_contacts (id, campaign_id, contact_id, phone_number)
+        VALUES (?, ?, ?, ?)`,
+        [uuidv4(), campaignId, contact.id, contact.phone_number]
+      );
+      added += result.changes;
+    }
+    return added;
+  }
+
+  static async findById(id) {
+    return await db.get('SELECT * FROM campaign_contacts WHERE id = ?', [id]);
+  }
+
+  static async findByCampaignId(campaignId) {
+    return await db.all(
+      `SELECT cc.*, ct.name as contact_name FROM campaign_contacts cc
+       LEFT JOIN contacts ct ON cc.contact_id = ct.id
+       WHERE cc.campaign_id = ? ORDER BY cc.created_at ASC`,
+      [campaignId]
+    );
+  }
+
+  static async findByCallSid(callSid) {
+    return await db.get('SELECT * FROM campaign_contacts WHERE call_sid = ?', [callSid]);
+  }
+
+  // Pending contacts that may be dialled now, oldest first
+  static async findDue(campaignId, limit, now = new Date()) {
+    return await db.all(
+      `SELECT * FROM campaign_contacts
+       WHERE campaign_id = ? AND status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+       ORDER BY next_attempt_at IS NOT NULL, next_attempt_at ASC, created_at ASC LIMIT ?`,
+      [campaignId, now.toISOString(), limit]
+    );
+  }
+
+  static async countByStatus(campaignId, status) {
+    const row = await db.get(
+      'SELECT COUNT(*) as count FROM campaign_contacts WHERE campaign_id = ? AND status = ?',
+      [campaignId, status]
+    );
+    return row.count;
+  }
+
+  // Calls started since `since`, for calls-per-minute pacing
+  static async countAttemptsSince(campaignId, since) {
+    const row = await db.get(
+      'SELECT COUNT(*) as count FROM campaign_contacts WHERE campaign_id = ? AND last_attempt_at >= ?',
+      [campaignId, since.toISOString()]
+    );
+    return row.count;
+  }
+
+  static async markCalling(id, { callSid, conversationId }) {
+    await db.run(`
+      UPDATE campaign_contacts
+      SET status = 'calling', attempts = attempts + 1, last_attempt_at = ?, call_sid = ?, conversation_id = ?
+      WHERE id = ?`,
+      [new Date().toISOString(), callSid, conversationId, id]
+    );
+  }
+
+  static async recordOutcome(id, { status, outcome, nextAttemptAt = null }) {
+    await db.run(
+      'UPDATE campaign_contacts SET status = ?, outcome = ?, next_attempt_at = ?, call_sid = NULL WHERE id = ?',
+      [status, outcome, nextAttemptAt ? nextAttemptAt.toISOString() : null, id]
+    );
+
+    return await this.findById(id);
+  }
+
+  static async cancelPending(campaignId) {
+    await db.run(
+      `UPDATE campaign_contacts SET status = 'cancelled', outcome = 'Campaign cancelled'
+       WHERE campaign_id = ? AND status = 'pending'`,
+      [campaignId]
+    );
+  }
+}
+
+export default CampaignContact;
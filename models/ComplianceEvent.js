@@ -0,0 +1,37 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/connection.js';
+
+class ComplianceEvent {
+  static async create(eventData) {
+    const id = uuidv4();
+    const { type, phone_number = null, source = null, details = {} } = eventData;
+
+    await db.run(
+      `INSERT INTO compliance_events (id, type, phone_number, source, details) VALUES (?, ?, ?, ?, ?)`,
+      [id, type, phone_number, source, JSON.stringify(details)]
+    );
+
+    return { id, ...eventData };
+  }
+
+  static async findAll({ type = null, phoneNumber = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    if (phoneNumber) {
+      conditions.push('phone_number = ?');
+      params.push(phoneNumber);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return await db.all(
+      `SELECT * FROM compliance_events ${where} ORDER BY created_at DESC LIMIT ?`,
+      [...params, limit]
+    );
+  }
+}
+
+export default ComplianceEvent;
@@ -1,79 +1,133 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from '../database/connection.js';
+import { ModelSchema } from '../database/schema.js';
+import { paginate } from '../database/pagination.js';
+
+// Tags may be given as a JSON array or, as older clients send them, a
+// comma-separated string
+function parseTags(tags) {
+  if (typeof tags !== 'string' || tags.trim().startsWith('[')) return tags;
+  const list = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+// Call stats (last_called, call_count) are kept by Conversation.createOutbound
+const schema = new ModelSchema('contacts', {
+  name: { type: 'string', required: true },
+  phone_number: { type: 'string', required: true },
+  email: { type: 'string' },
+  company: { type: 'string' },
+  notes: { type: 'string' },
+  tags: {
+    type: 'json',
+    parse: parseTags,
+    validate: tags => (Array.isArray(tags) && tags.every(tag => typeof tag === 'string') ? null : 'tags must be an array of strings')
+  },
+  timezone: { type: 'string' } // IANA zone, checked by the caller (see src/timezone.js)
+}, { timestamps: true });
+
+// Contacts never called sort as called longest ago
+const SORTS = {
+  created_at: 'created_at',
+  name: 'LOWER(name)',
+  last_called: "COALESCE(last_called, '1970-01-01')",
+  call_count: 'COALESCE(call_count, 0)'
+};
+
+// Conditions for contacts carrying a tag (matched exactly, as an element of
+// the tags array) and/or matching a search term
+function matchConditions({ tag, search }) {
+  const conditions = [];
+  const params = [];
+
+  if (tag) {
+    conditions.push(db.jsonArrayContains('tags'));
+    params.push(tag);
+  }
+  if (search) {
+    conditions.push('(name LIKE ? OR phone_number LIKE ? OR company LIKE ? OR email LIKE ?)');
+    const searchTerm = `%${search}%`;
+    params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+
+  return { conditions, params };
+}
 
 class Contact {
   static async create(contactData) {
     const id = uuidv4();
-    const {
-      name,
-      phone_number,
-      email = null,
-      company = null,
-      notes = null,
-      tags = null
-    } = contactData;
-
-    await db.run(`
-      INSERT INTO contacts (id, name, phone_number, email, company, notes, tags)
-      VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [id, name, phone_number, email, company, notes, tags]
-    );
+    const row = schema.forCreate(contactData);
+
+    await db.run(...schema.insert({ id, ...row }));
 
-    return { id, ...contactData };
+    return { id, ...row };
   }
 
+  // Archived contacts too, for the calls made to them
   static async findById(id) {
     return await db.get('SELECT * FROM contacts WHERE id = ?', [id]);
   }
 
-  static async findAll(limit = 100, search = null) {
-    let query = 'SELECT * FROM contacts';
-    const params = [];
-
-    if (search) {
-      query += ' WHERE name LIKE ? OR phone_number LIKE ? OR company LIKE ? OR email LIKE ?';
-      const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
-    }
+  // A contact that can still be called
+  static async findActiveById(id) {
+    return await db.get('SELECT * FROM contacts WHERE id = ? AND archived_at IS NULL', [id]);
+  }
 
-    query += ' ORDER BY created_at DESC LIMIT ?';
-    params.push(limit);
+  // A page of contacts, newest first unless sorted otherwise (see
+  // database/pagination.js)
+  static async findAll({
+    search = null, tag = null, includeArchived = false, sort = '-created_at', cursor = null, limit = 100
+  } = {}) {
+    const { conditions, params } = matchConditions({ tag, search });
+    if (!includeArchived) conditions.unshift('archived_at IS NULL');
 
-    return await db.all(query, params);
+    return await paginate(db, { table: 'contacts', conditions, params, sorts: SORTS, sort, cursor, limit });
   }
 
-  static async update(id, updates) {
-    const fields = Object.keys(updates);
-    const values = Object.values(updates);
-    const setClause = fields.map(field => `${field} = ?`).join(', ');
+  // Every contact matching a tag and/or search term, for bulk selection
+  static async findMatching({ tag = null, search = null } = {}) {
+    const { conditions, params } = matchConditions({ tag, search });
+    conditions.unshift('archived_at IS NULL');
 
-    await db.run(
-      `UPDATE contacts SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-      [...values, id]
-    );
-
-    return await this.findById(id);
+    return await db.all(`SELECT * FROM contacts WHERE ${conditions.join(' AND ')} ORDER BY created_at ASC`, params);
   }
 
-  static async delete(id) {
-    await db.run('DELETE FROM contacts WHERE id = ?', [id]);
-    return true;
+  // Changes the fields given; `replace: true` resets the rest to defaults
+  static async update(id, updates, options = {}) {
+    const changes = schema.forUpdate(updates, options);
+    if (Object.keys(changes).length > 0) {
+      await db.run(...schema.update(id, changes));
+    }
+
+    return await this.findById(id);
   }
 
-  static async updateCallStats(id) {
-    await db.run(
-      'UPDATE contacts SET last_called = CURRENT_TIMESTAMP, call_count = call_count + 1 WHERE id = ?',
+  // Contacts are archived rather than deleted, as campaign entries and
+  // deferred calls refer to them. False when there is no such contact.
+  static async archive(id) {
+    const result = await db.run(
+      'UPDATE contacts SET archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       [id]
     );
+    return result.changes > 0;
+  }
+
+  // Brings an archived contact back, optionally with new details
+  static async restore(id, updates = {}, options = {}) {
+    const changes = schema.forUpdate(updates, options);
+    await db.run(...schema.update(id, changes, ['archived_at = NULL']));
+
+    return await this.findById(id);
   }
 
+  // Archived contacts too: a number belongs to one contact, archived or not
   static async findByPhoneNumber(phoneNumber) {
     return await db.get('SELECT * FROM contacts WHERE phone_number = ?', [phoneNumber]);
   }
 
   static async getCallHistory(limit = 50) {
     return await db.all(
-      'SELECT * FROM contacts WHERE last_called IS NOT NULL ORDER BY last_called DESC LIMIT ?',
+      'SELECT * FROM contacts WHERE last_called IS NOT NULL AND archived_at IS NULL ORDER BY last_called DESC LIMIT ?',
       [limit]
     );
   }
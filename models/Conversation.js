@@ -1,31 +1,64 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from '../database/connection.js';
+import { ModelSchema } from '../database/schema.js';
+import { paginate, sqlTimestamp } from '../database/pagination.js';
+
+// Columns of the single-tenant app; tenant_id, agent_config, status and
+// completed_at belong to the multi-tenant core (see core/TenantDatabase.js)
+const schema = new ModelSchema('conversations', {
+  agent_id: { type: 'string' },
+  call_sid: { type: 'string' },
+  direction: { type: 'string', required: true, enum: ['inbound', 'outbound'] },
+  customer_number: { type: 'string', required: true },
+  transcription: { type: 'string' },
+  audio_url: { type: 'string' },
+  recording_url: { type: 'string' },
+  recording_key: { type: 'string' },
+  recording_channels: { type: 'integer', enum: [1, 2] },
+  recording_expires_at: { type: 'datetime' },
+  aligned_transcript: { type: 'json' },
+  rating: { type: 'integer', min: 1, max: 10 },
+  analysis: { type: 'json' },
+  success: { type: 'boolean', default: false },
+  duration: { type: 'integer', min: 0 },
+  outcome: { type: 'string' },
+  answered_by: { type: 'string' },
+  consent_outcome: { type: 'string', enum: ['granted', 'declined', 'unclear', 'no_response', 'disclosed'] },
+  consent_at: { type: 'datetime' },
+  consent_record: { type: 'json' },
+  language: { type: 'string' }
+}, { timestamps: true });
+
+// Unrated calls and ones without a duration sort as 0
+const SORTS = {
+  created_at: 'c.created_at',
+  rating: 'COALESCE(c.rating, 0)',
+  duration: 'COALESCE(c.duration, 0)'
+};
 
 class Conversation {
   static async create(conversationData) {
     const id = uuidv4();
-    const {
-      agent_id,
-      call_sid,
-      direction,
-      customer_number,
-      transcription = null,
-      audio_url = null,
-      recording_url = null,
-      rating = null,
-      analysis = null,
-      success = false,
-      duration = null
-    } = conversationData;
-
-    await db.run(`
-      INSERT INTO conversations
-      (id, agent_id, call_sid, direction, customer_number, transcription, audio_url, recording_url, rating, analysis, success, duration)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, agent_id, call_sid, direction, customer_number, transcription, audio_url, recording_url, rating, analysis, success, duration]
-    );
+    const row = schema.forCreate(conversationData);
+
+    await db.run(...schema.insert({ id, ...row }));
+
+    return { id, ...row };
+  }
 
-    return { id, ...conversationData };
+  // An outbound call's conversation, counted against the contact called.
+  // Both writes join the transaction through its scope, this.create's too
+  static async createOutbound(conversationData, contactId = null) {
+    return await db.transaction(async () => {
+      const conversation = await this.create({ ...conversationData, direction: 'outbound' });
+      if (contactId) {
+        await db.run(
+          'UPDATE contacts SET last_called = CURRENT_TIMESTAMP, call_count = call_count + 1 WHERE id = ?',
+          [contactId]
+        );
+      }
+      return conversation;
+    });
   }
 
   static async findById(id) {
@@ -39,32 +72,63 @@ class Conversation {
     );
   }
 
-  static async findAll(limit = 100) {
-    return await db.all(
-      'SELECT c.*, a.name as agent_name FROM conversations c JOIN agents a ON c.agent_id = a.id ORDER BY c.created_at DESC LIMIT ?',
-      [limit]
-    );
+  // A page of calls, newest first unless sorted otherwise (see
+  // database/pagination.js); `from` is inclusive and `to` exclusive
+  static async findAll({
+    agentId = null, direction = null, from = null, to = null, minRating = null, maxRating = null, success = null,
+    sort = '-created_at', cursor = null, limit = 50
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    const filter = (condition, value) => {
+      conditions.push(condition);
+      params.push(value);
+    };
+
+    if (agentId) filter('c.agent_id = ?', agentId);
+    if (direction) filter('c.direction = ?', direction);
+    if (from) filter('c.created_at >= ?', sqlTimestamp(from));
+    if (to) filter('c.created_at < ?', sqlTimestamp(to));
+    if (minRating !== null) filter('c.rating >= ?', minRating);
+    if (maxRating !== null) filter('c.rating <= ?', maxRating);
+    if (success !== null) filter('c.success = ?', success ? 1 : 0);
+
+    return await paginate(db, {
+      table: 'conversations',
+      alias: 'c',
+      select: 'c.*, a.name as agent_name',
+      joins: 'LEFT JOIN agents a ON c.agent_id = a.id',
+      conditions,
+      params,
+      sorts: SORTS,
+      sort,
+      cursor,
+      limit
+    });
   }
 
   static async update(id, updates) {
-    const fields = Object.keys(updates);
-    const values = Object.values(updates);
-    const setClause = fields.map(field => `${field} = ?`).join(', ');
-
-    await db.run(
-      `UPDATE conversations SET ${setClause} WHERE id = ?`,
-      [...values, id]
-    );
+    const changes = schema.forUpdate(updates);
+    if (Object.keys(changes).length > 0) {
+      await db.run(...schema.update(id, changes));
+    }
 
     return await this.findById(id);
   }
 
-  static async addMessage(conversationId, role, content) {
+  // With audioUrl, the message's audio becomes the conversation's current
+  // audio in the same transaction
+  static async addMessage(conversationId, role, content, { audioUrl = null } = {}) {
     const id = uuidv4();
-    await db.run(
-      'INSERT INTO conversation_messages (id, conversation_id, role, content) VALUES (?, ?, ?, ?)',
-      [id, conversationId, role, content]
-    );
+    await db.transaction(async (tx) => {
+      await tx.run(
+        'INSERT INTO conversation_messages (id, conversation_id, role, content) VALUES (?, ?, ?, ?)',
+        [id, conversationId, role, content]
+      );
+      if (audioUrl) {
+        await tx.run('UPDATE conversations SET audio_url = ? WHERE id = ?', [audioUrl, conversationId]);
+      }
+    });
     return { id, conversation_id: conversationId, role, content };
   }
 
@@ -94,9 +158,39 @@ class Conversation {
     return await db.get(query, params);
   }
 
+  // Calls per language they were held in; calls from before languages
+  // were tracked (or that ended before one was set) count as null
+  static async getLanguageBreakdown(agentId = null) {
+    let query = `
+      SELECT
+        language,
+        COUNT(*) as total_calls,
+        AVG(rating) as avg_rating,
+        SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) as successful_calls
+      FROM conversations
+    `;
+    const params = [];
+
+    if (agentId) {
+      query += ' WHERE agent_id = ?';
+      params.push(agentId);
+    }
+    query += ' GROUP BY language ORDER BY total_calls DESC';
+
+    return await db.all(query, params);
+  }
+
   static async findByCallSid(callSid) {
     return await db.get('SELECT * FROM conversations WHERE call_sid = ?', [callSid]);
   }
+
+  // Archived recordings past their retention (see services/RecordingService.js)
+  static async findExpiredRecordings(now = new Date()) {
+    return await db.all(
+      'SELECT * FROM conversations WHERE recording_key IS NOT NULL AND recording_expires_at IS NOT NULL AND recording_expires_at <= ?',
+      [now.toISOString()]
+    );
+  }
 }
 
 export default Conversation;
\ No newline at end of file
@@ -0,0 +1,55 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/connection.js';
+
+class DeferredCall {
+  // Times are stored as ISO 8601 UTC strings so they compare as text
+  static async create(callData) {
+    const id = uuidv4();
+    const { agent_id, contact_id = null, phone_number, timezone = null, scheduled_for } = callData;
+
+    await db.run(
+      `INSERT INTO deferred_calls (id, agent_id, contact_id, phone_number, timezone, scheduled_for) VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, agent_id, contact_id, phone_number, timezone, scheduled_for.toISOString()]
+    );
+
+    return await this.findById(id);
+  }
+
+  static async findById(id) {
+    return await db.get('SELECT * FROM deferred_calls WHERE id = ?', [id]);
+  }
+
+  static async findAll(limit = 50) {
+    return await db.all(
+      'SELECT dc.*, a.name as agent_name FROM deferred_calls dc LEFT JOIN agents a ON dc.agent_id = a.id ORDER BY dc.scheduled_for DESC LIMIT ?',
+      [limit]
+    );
+  }
+
+  static async findDue(now = new Date()) {
+    return await db.all(
+      'SELECT * FROM deferred_calls WHERE status = ? AND scheduled_for <= ? ORDER BY scheduled_for ASC',
+      ['scheduled', now.toISOString()]
+    );
+  }
+
+  static async reschedule(id, scheduledFor) {
+    await db.run(
+      'UPDATE deferred_calls SET scheduled_for = ? WHERE id = ?',
+      [scheduledFor.toISOString(), id]
+    );
+
+    return await this.findById(id);
+  }
+
+  static async recordOutcome(id, { status, outcome = null, callSid = null, conversationId = null }) {
+    await db.run(
+      'UPDATE deferred_calls SET status = ?, outcome = ?, call_sid = ?, conversation_id = ? WHERE id = ?',
+      [status, outcome, callSid, conversationId, id]
+    );
+
+    return await this.findById(id);
+  }
+}
+
+export default DeferredCall;
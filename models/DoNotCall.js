@@ -0,0 +1,31 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/connection.js';
+
+class DoNotCall {
+  // Numbers already on the list keep their original entry
+  static async add(entryData) {
+    const { phone_number, reason = null, source = 'manual', conversation_id = null } = entryData;
+
+    const result = await db.run(
+      `INSERT OR IGNORE INTO do_not_call (id, phone_number, reason, source, conversation_id) VALUES (?, ?, ?, ?, ?)`,
+      [uuidv4(), phone_number, reason, source, conversation_id]
+    );
+
+    return { added: result.changes > 0, entry: await this.findByPhoneNumber(phone_number) };
+  }
+
+  static async findByPhoneNumber(phoneNumber) {
+    return await db.get('SELECT * FROM do_not_call WHERE phone_number = ?', [phoneNumber]);
+  }
+
+  static async findAll(limit = 100) {
+    return await db.all('SELECT * FROM do_not_call ORDER BY created_at DESC LIMIT ?', [limit]);
+  }
+
+  static async delete(phoneNumber) {
+    const result = await db.run('DELETE FROM do_not_call WHERE phone_number = ?', [phoneNumber]);
+    return result.changes > 0;
+  }
+}
+
+export default DoNotCall;
@@ -0,0 +1,19 @@
+import db from '../database/connection.js';
+
+class PiiVault {
+  // Tokens are derived from the value, so storing one twice is a no-op
+  static async store(conversationId, entries) {
+    for (const { token, type, value } of entries) {
+      await db.run(
+        'INSERT OR IGNORE INTO pii_vault (token, conversation_id, type, value) VALUES (?, ?, ?, ?)',
+        [token, conversationId, type, value]
+      );
+    }
+  }
+
+  static async findByConversationId(conversationId) {
+    return await db.all('SELECT * FROM pii_vault WHERE conversation_id = ?', [conversationId]);
+  }
+}
+
+export default PiiVault;
@@ -0,0 +1,34 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/connection.js';
+
+class ToolInvocation {
+  static async create(invocationData) {
+    const id = uuidv4();
+    const {
+      conversation_id,
+      tool_name,
+      arguments: args = {},
+      result = null,
+      status = 'success',
+      duration_ms = null
+    } = invocationData;
+
+    await db.run(`
+      INSERT INTO tool_invocations
+      (id, conversation_id, tool_name, arguments, result, status, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, conversation_id, tool_name, JSON.stringify(args), JSON.stringify(result), status, duration_ms]
+    );
+
+    return { id, ...invocationData };
+  }
+
+  static async findByConversationId(conversationId) {
+    return await db.all(
+      'SELECT * FROM tool_invocations WHERE conversation_id = ? ORDER BY created_at ASC',
+      [conversationId]
+    );
+  }
+}
+
+export default ToolInvocation;
@@ -4,6 +4,7 @@ class VoiceAIAgentSystem {
     constructor() {
         this.currentTab = 'agents';
         this.ws = null;
+        this.nextPages = {}; // List name -> URL of its next page
         this.init();
     }
 
@@ -11,7 +12,9 @@ class VoiceAIAgentSystem {
         this.bindEvents();
         this.loadAgents();
         this.loadContacts();
+        this.loadCallAgentFilter();
         this.loadCalls();
+        this.loadCampaigns();
         this.loadCallbacks();
         this.loadAnalytics();
     }
@@ -21,6 +24,7 @@ class VoiceAIAgentSystem {
         document.getElementById('agents-tab').addEventListener('click', () => this.switchTab('agents'));
         document.getElementById('contacts-tab').addEventListener('click', () => this.switchTab('contacts'));
         document.getElementById('calls-tab').addEventListener('click', () => this.switchTab('calls'));
+        document.getElementById('campaigns-tab').addEventListener('click', () => this.switchTab('campaigns'));
         document.getElementById('callbacks-tab').addEventListener('click', () => this.switchTab('callbacks'));
         document.getElementById('analytics-tab').addEventListener('click', () => this.switchTab('analytics'));
 
@@ -31,12 +35,26 @@ class VoiceAIAgentSystem {
         // Contact modal
         document.getElementById('create-contact-btn').addEventListener('click', () => this.openContactModal());
         document.getElementById('contact-form').addEventListener('submit', (e) => this.saveContact(e));
-        document.getElementById('contact-search').addEventListener('input', (e) => this.searchContacts(e.target.value));
+        document.getElementById('contact-search').addEventListener('input', () => this.loadContacts());
+        document.getElementById('contact-tag').addEventListener('input', () => this.loadContacts());
+        document.getElementById('contact-sort').addEventListener('change', () => this.loadContacts());
+
+        // List filters
+        document.querySelectorAll('#calls-section .filter-bar input, #calls-section .filter-bar select').forEach(control => {
+            control.addEventListener('change', () => this.loadCalls());
+        });
+        document.querySelectorAll('#callbacks-section .filter-bar select').forEach(control => {
+            control.addEventListener('change', () => this.loadCallbacks());
+        });
 
         // Call modal
         document.getElementById('make-call-btn').addEventListener('click', () => this.openCallModal());
         document.getElementById('call-form').addEventListener('submit', (e) => this.makeCall(e));
 
+        // Campaign modal
+        document.getElementById('create-campaign-btn').addEventListener('click', () => this.openCampaignModal());
+        document.getElementById('campaign-form').addEventListener('submit', (e) => this.saveCampaign(e));
+
         // Modal close
         document.querySelectorAll('.modal-close').forEach(close => {
             close.addEventListener('click', () => this.closeAllModals());
@@ -69,10 +87,18 @@ class VoiceAIAgentSystem {
             } else if (e.target.classList.contains('view-conversation-btn')) {
                 const conversationId = e.target.dataset.conversationId;
                 this.viewConversation(conversationId);
+            } else if (e.target.classList.contains('view-campaign-btn')) {
+                this.viewCampaign(e.target.dataset.campaignId);
+            } else if (e.target.classList.contains('campaign-action-btn')) {
+                this.updateCampaign(e.target.dataset.campaignId, e.target.dataset.action);
             } else if (e.target.classList.contains('update-callback-btn')) {
                 const callbackId = e.target.dataset.callbackId;
                 const status = e.target.dataset.status;
                 this.updateCallbackStatus(callbackId, status);
+            } else if (e.target.classList.contains('seek-btn')) {
+                this.seekRecording(parseFloat(e.target.dataset.start));
+            } else if (e.target.classList.contains('load-more-btn')) {
+                this.loadMore(e.target.dataset.list);
             }
         });
     }
@@ -89,22 +115,73 @@ class VoiceAIAgentSystem {
         this.currentTab = tabName;
     }
 
-    async loadAgents() {
+    // A page of a list endpoint: { data, total, next_cursor, next }
+    async fetchPage(url) {
+        const response = await fetch(url);
+        const page = await response.json();
+        if (!response.ok) throw new Error(page.error || 'Request failed');
+        return page;
+    }
+
+    // Every item of a list, following its next links
+    async fetchAll(url) {
+        const items = [];
+        for (let next = url; next;) {
+            const page = await this.fetchPage(next);
+            items.push(...page.data);
+            next = page.next;
+        }
+        return items;
+    }
+
+    // Fetches the first page of a list, or with append its next page, and
+    // updates the count and Load more button under it
+    async loadPage(list, url, render, append) {
+        const page = await this.fetchPage(append ? this.nextPages[list] : url);
+        render(page.data, append);
+
+        this.nextPages[list] = page.next;
+        const shown = document.getElementById(`${list}-list`).querySelectorAll('.card').length;
+        document.getElementById(`${list}-pager`).innerHTML = page.total > 0 ? `
+            <span>Showing ${shown} of ${page.total}</span>
+            ${page.next ? `<button class="btn secondary load-more-btn" data-list="${list}">Load more</button>` : ''}
+        ` : '';
+    }
+
+    loadMore(list) {
+        const loaders = {
+            agents: () => this.loadAgents(true),
+            contacts: () => this.loadContacts(true),
+            calls: () => this.loadCalls(true),
+            callbacks: () => this.loadCallbacks(true)
+        };
+        loaders[list]();
+    }
+
+    // Query string of a list's filter controls, leaving out empty ones
+    listQuery(controls) {
+        const params = new URLSearchParams();
+        Object.entries(controls).forEach(([name, id]) => {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(name, value);
+        });
+        return params.toString();
+    }
+
+    async loadAgents(append = false) {
         try {
-            const response = await fetch('/api/agents');
-            const agents = await response.json();
-            this.renderAgents(agents);
+            await this.loadPage('agents', '/api/agents', (agents, more) => this.renderAgents(agents, more), append);
         } catch (error) {
             console.error('Error loading agents:', error);
             this.showError('Failed to load agents');
         }
     }
 
-    renderAgents(agents) {
+    renderAgents(agents, append = false) {
         const container = document.getElementById('agents-list');
-        container.innerHTML = '';
+        if (!append) container.innerHTML = '';
 
-        if (agents.length === 0) {
+        if (agents.length === 0 && !append) {
             container.innerHTML = '<p class="empty-state">No agents created yet. Create your first agent to get started.</p>';
             return;
         }
@@ -131,33 +208,59 @@ class VoiceAIAgentSystem {
         this.bindAgentCardEvents();
     }
 
-    async loadCalls() {
+    async loadCalls(append = false) {
+        const params = new URLSearchParams(this.listQuery({
+            agent_id: 'call-filter-agent',
+            direction: 'call-filter-direction',
+            success: 'call-filter-success',
+            min_rating: 'call-filter-min-rating',
+            max_rating: 'call-filter-max-rating',
+            from: 'call-filter-from',
+            sort: 'call-sort'
+        }));
+        // The API's `to` is exclusive; the picker's day is included
+        const to = document.getElementById('call-filter-to').valueAsDate;
+        if (to) {
+            to.setUTCDate(to.getUTCDate() + 1);
+            params.set('to', to.toISOString().slice(0, 10));
+        }
+
         try {
-            const response = await fetch('/api/calls');
-            const calls = await response.json();
-            this.renderCalls(calls);
+            await this.loadPage('calls', `/api/calls?${params}`, (calls, more) => this.renderCalls(calls, more), append);
         } catch (error) {
             console.error('Error loading calls:', error);
             this.showError('Failed to load calls');
         }
     }
 
-    async loadCallbacks() {
+    // Archived agents too, as their calls are still listed
+    async loadCallAgentFilter() {
         try {
-            const response = await fetch('/api/calls/callbacks');
-            const callbacks = await response.json();
-            this.renderCallbacks(callbacks);
+            const agents = await this.fetchAll('/api/agents?include_archived=true&sort=name');
+            const select = document.getElementById('call-filter-agent');
+            agents.forEach(agent => {
+                select.innerHTML += `<option value="${agent.id}">${this.escapeHtml(agent.name)}</option>`;
+            });
+        } catch (error) {
+            console.error('Error loading agents for call filter:', error);
+        }
+    }
+
+    async loadCallbacks(append = false) {
+        const query = this.listQuery({ status: 'callback-filter-status', sort: 'callback-sort' });
+        try {
+            await this.loadPage('callbacks', `/api/calls/callbacks?${query}`, (callbacks, more) => this.renderCallbacks(callbacks, more), append);
         } catch (error) {
             console.error('Error loading callbacks:', error);
             this.showError('Failed to load callback requests');
         }
     }
 
-    renderCalls(calls) {
+    renderCalls(calls, append = false) {
         const container = document.getElementById('calls-list');
-        container.innerHTML = '';
+        if (!append) container.innerHTML = '';
 
-        if (calls.length === 0) {
+        if (calls.length === 0 && !append) {
             container.innerHTML = '<p class="empty-state">No calls recorded yet.</p>';
             return;
         }
@@ -167,7 +270,10 @@ class VoiceAIAgentSystem {
             card.className = 'card';
             let statusText, statusClass;
 
-            if (call.rating >= 8) {
+            if (call.outcome === 'voicemail') {
+                statusText = 'Voicemail';
+                statusClass = 'info';
+            } else if (call.rating >= 8) {
                 statusText = 'Excellent';
                 statusClass = 'success';
             } else if (call.rating >= 6) {
@@ -185,6 +291,7 @@ class VoiceAIAgentSystem {
                 <h3>${call.customer_number}</h3>
                 <p><strong>Agent:</strong> ${call.agent_name}</p>
                 <p><strong>Direction:</strong> ${call.direction}</p>
+                ${call.language ? `<p><strong>Language:</strong> ${call.language.toUpperCase()}</p>` : ''}
                 <p><strong>Status:</strong> <span class="status ${statusClass}">${statusText}</span></p>
                 ${call.rating ? `<p><strong>Rating:</strong> ${call.rating}/10</p>` : ''}
                 <p><strong>Date:</strong> ${new Date(call.created_at).toLocaleDateString()}</p>
@@ -196,11 +303,185 @@ class VoiceAIAgentSystem {
         });
     }
 
-    renderCallbacks(callbacks) {
-        const container = document.getElementById('callbacks-list');
+    async loadCampaigns() {
+        try {
+            const response = await fetch('/api/campaigns');
+            const campaigns = await response.json();
+            this.renderCampaigns(campaigns);
+        } catch (error) {
+            console.error('Error loading campaigns:', error);
+            this.showError('Failed to load campaigns');
+        }
+    }
+
+    renderCampaigns(campaigns) {
+        const container = document.getElementById('campaigns-list');
         container.innerHTML = '';
 
-        if (callbacks.length === 0) {
+        if (campaigns.length === 0) {
+            container.innerHTML = '<p class="empty-state">No campaigns yet. Create one to dial a list of contacts.</p>';
+            return;
+        }
+
+        const statusClasses = { running: 'success', completed: 'success', paused: 'warning', draft: 'info', cancelled: 'error' };
+        const actions = {
+            draft: [['start', 'Start', 'primary'], ['cancel', 'Cancel', 'danger']],
+            running: [['pause', 'Pause', 'secondary'], ['cancel', 'Cancel', 'danger']],
+            paused: [['resume', 'Resume', 'primary'], ['cancel', 'Cancel', 'danger']]
+        };
+
+        campaigns.forEach(campaign => {
+            const card = document.createElement('div');
+            card.className = 'card';
+            const done = campaign.completed_contacts + campaign.failed_contacts;
+
+            card.innerHTML = `
+                <h3>${this.escapeHtml(campaign.name)}</h3>
+                <p><strong>Agent:</strong> ${campaign.agent_name || 'Deleted agent'}</p>
+                <p><strong>Status:</strong> <span class="status ${statusClasses[campaign.status]}">${campaign.status}</span></p>
+                <p><strong>Progress:</strong> ${done}/${campaign.total_contacts} dialled (${campaign.completed_contacts} answered, ${campaign.failed_contacts} failed, ${campaign.calling_contacts} in progress)</p>
+                <p><strong>Window:</strong> ${campaign.window_start}-${campaign.window_end} ${campaign.timezone}</p>
+                <p><strong>Pacing:</strong> ${campaign.max_concurrent} concurrent, ${campaign.calls_per_minute}/min</p>
+                <div class="card-actions">
+                    <button class="btn secondary view-campaign-btn" data-campaign-id="${campaign.id}">Details</button>
+                    ${(actions[campaign.status] || []).map(([action, label, style]) =>
+                        `<button class="btn ${style} campaign-action-btn" data-campaign-id="${campaign.id}" data-action="${action}">${label}</button>`
+                    ).join('')}
+                </div>
+            `;
+            container.appendChild(card);
+        });
+    }
+
+    async openCampaignModal() {
+        const form = document.getElementById('campaign-form');
+        const agentSelect = document.getElementById('campaign-agent');
+        form.reset();
+        document.getElementById('campaign-timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        try {
+            const agents = await this.fetchAll('/api/agents');
+            agentSelect.innerHTML = '<option value="">Select an agent</option>';
+            agents.forEach(agent => {
+                if (agent.use_case === 'outbound' || agent.use_case === 'both') {
+                    agentSelect.innerHTML += `<option value="${agent.id}">${agent.name} (${agent.type})</option>`;
+                }
+            });
+        } catch (error) {
+            console.error('Error loading agents for campaign:', error);
+            this.showError('Failed to load agents');
+        }
+
+        document.getElementById('campaign-modal').classList.add('show');
+    }
+
+    async saveCampaign(e) {
+        e.preventDefault();
+
+        const formData = new FormData(e.target);
+        const campaignData = {
+            name: formData.get('campaign-name'),
+            agent_id: formData.get('campaign-agent'),
+            tag: formData.get('campaign-tag').trim() || undefined,
+            search: formData.get('campaign-search').trim() || undefined,
+            window_start: formData.get('campaign-window-start'),
+            window_end: formData.get('campaign-window-end'),
+            timezone: formData.get('campaign-timezone').trim(),
+            max_concurrent: parseInt(formData.get('campaign-max-concurrent')),
+            calls_per_minute: parseInt(formData.get('campaign-calls-per-minute')),
+            max_attempts: parseInt(formData.get('campaign-max-attempts')),
+            retry_delay_minutes: parseInt(formData.get('campaign-retry-delay')),
+            start: formData.get('campaign-start') === 'on'
+        };
+
+        const csvFile = document.getElementById('campaign-csv').files[0];
+        if (csvFile) {
+            campaignData.csv = await csvFile.text();
+        }
+        if (!campaignData.tag && !campaignData.search && !campaignData.csv) {
+            this.showError('Choose contacts by tag, search or CSV');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/campaigns', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(campaignData)
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to create campaign');
+            }
+
+            this.closeAllModals();
+            this.loadCampaigns();
+            this.loadContacts();
+            const skipped = result.skipped ? ` (${result.skipped} CSV rows skipped)` : '';
+            this.showSuccess(`Campaign created with ${result.added} contacts${skipped}`);
+        } catch (error) {
+            console.error('Error creating campaign:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async updateCampaign(campaignId, action) {
+        if (action === 'cancel' && !confirm('Cancel this campaign? Contacts not yet called will be skipped.')) return;
+
+        try {
+            const response = await fetch(`/api/campaigns/${campaignId}/${action}`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to update campaign');
+            }
+            this.loadCampaigns();
+            this.showSuccess(`Campaign ${result.status}`);
+        } catch (error) {
+            console.error('Error updating campaign:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async viewCampaign(campaignId) {
+        try {
+            const response = await fetch(`/api/campaigns/${campaignId}`);
+            const campaign = await response.json();
+
+            document.getElementById('campaign-details-content').innerHTML = `
+                <div class="conversation-info">
+                    <p><strong>Campaign:</strong> ${this.escapeHtml(campaign.name)}</p>
+                    <p><strong>Agent:</strong> ${campaign.agent_name || 'Deleted agent'}</p>
+                    <p><strong>Status:</strong> ${campaign.status}</p>
+                    <p><strong>Contacts:</strong> ${campaign.total_contacts} total, ${campaign.pending_contacts} waiting, ${campaign.calling_contacts} in progress, ${campaign.completed_contacts} answered, ${campaign.failed_contacts} failed</p>
+                    <p><strong>Retries:</strong> up to ${campaign.max_attempts} attempts, ${campaign.retry_delay_minutes} minutes apart</p>
+                </div>
+                <div class="conversation-messages">
+                    <h4>Contacts</h4>
+                    ${campaign.contacts.map(entry => `
+                        <div class="message">
+                            <div class="message-role">${this.escapeHtml(entry.contact_name || entry.phone_number)} (${entry.phone_number})</div>
+                            <div class="message-content">
+                                ${entry.status}${entry.outcome ? ` - ${this.escapeHtml(entry.outcome)}` : ''}, ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}
+                                ${entry.conversation_id ? `<button class="btn secondary view-conversation-btn" data-conversation-id="${entry.conversation_id}">View Call</button>` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+
+            document.getElementById('campaign-details-modal').classList.add('show');
+        } catch (error) {
+            console.error('Error loading campaign:', error);
+            this.showError('Failed to load campaign');
+        }
+    }
+
+    renderCallbacks(callbacks, append = false) {
+        const container = document.getElementById('callbacks-list');
+        if (!append) container.innerHTML = '';
+
+        if (callbacks.length === 0 && !append) {
             container.innerHTML = '<p class="empty-state">No callback requests at this time.</p>';
             return;
         }
@@ -216,12 +497,16 @@ class VoiceAIAgentSystem {
                 <p><strong>Agent:</strong> ${callback.agent_name || 'Unassigned'}</p>
                 <p><strong>Reason:</strong> ${callback.reason}</p>
                 <p><strong>Status:</strong> <span class="status ${statusClass}">${callback.status}</span></p>
-                ${callback.notes ? `<p><strong>Notes:</strong> ${callback.notes}</p>` : ''}
+                ${callback.notes ? `<p><strong>Notes:</strong> ${this.escapeHtml(callback.notes)}</p>` : ''}
+                ${callback.preferred_time ? `<p><strong>Callback time:</strong> ${this.formatCallbackTime(callback)}</p>` : ''}
+                ${callback.attempts ? `<p><strong>Attempts:</strong> ${callback.attempts}${callback.outcome ? ` (${this.escapeHtml(callback.outcome)})` : ''}</p>` : ''}
                 <p><strong>Requested:</strong> ${new Date(callback.created_at).toLocaleDateString()}</p>
                 <div class="card-actions">
                     ${callback.status === 'pending' ?
                         `<button class="btn primary update-callback-btn" data-callback-id="${callback.id}" data-status="scheduled">Schedule</button>
                          <button class="btn danger update-callback-btn" data-callback-id="${callback.id}" data-status="completed">Complete</button>` :
+                      callback.status === 'scheduled' ?
+                        `<button class="btn danger update-callback-btn" data-callback-id="${callback.id}" data-status="cancelled">Cancel</button>` :
                         `<button class="btn secondary update-callback-btn" data-callback-id="${callback.id}" data-status="pending">Reopen</button>`
                     }
                 </div>
@@ -230,6 +515,17 @@ class VoiceAIAgentSystem {
         });
     }
 
+    // Shown in the zone the caller's preferred time was given in
+    formatCallbackTime(callback) {
+        const options = { dateStyle: 'medium', timeStyle: 'short' };
+        try {
+            const time = new Date(callback.preferred_time).toLocaleString(undefined, { ...options, timeZone: callback.timezone || undefined });
+            return callback.timezone ? `${time} ${callback.timezone}` : time;
+        } catch {
+            return new Date(callback.preferred_time).toLocaleString(undefined, options);
+        }
+    }
+
     async loadAnalytics() {
         try {
             const response = await fetch('/api/calls/analytics');
@@ -260,6 +556,18 @@ class VoiceAIAgentSystem {
                 <div class="metric-value">${analytics.avg_duration ? Math.round(analytics.avg_duration) : 0}s</div>
                 <div class="metric-label">Avg Duration</div>
             </div>
+            ${(analytics.by_language || []).filter(row => row.language).map(row => `
+                <div class="metric-card">
+                    <div class="metric-value">${row.total_calls}</div>
+                    <div class="metric-label">Calls in ${this.escapeHtml(row.language.toUpperCase())}</div>
+                </div>
+            `).join('')}
+            ${analytics.tts_cache?.hit_rate != null ? `
+                <div class="metric-card">
+                    <div class="metric-value">${Math.round(analytics.tts_cache.hit_rate * 100)}%</div>
+                    <div class="metric-label">TTS Cache Hits (${analytics.tts_cache.hits}/${analytics.tts_cache.hits + analytics.tts_cache.misses})</div>
+                </div>
+            ` : ''}
         `;
     }
 
@@ -276,12 +584,44 @@ class VoiceAIAgentSystem {
             document.getElementById('agent-voice').value = agent.voice;
             document.getElementById('agent-phone').value = agent.phone_number || '';
             document.getElementById('agent-prompt').value = agent.prompt;
+            document.getElementById('agent-tools').value = agent.tools ? JSON.stringify(JSON.parse(agent.tools), null, 2) : '';
+            const transfer = agent.transfer_config ? JSON.parse(agent.transfer_config) : {};
+            document.getElementById('agent-transfer-mode').value = transfer.mode || 'callback';
+            document.getElementById('agent-transfer-target').value = transfer.target || '';
+            document.getElementById('agent-transfer-timeout').value = transfer.timeout || 20;
+            form.dataset.transferWhisper = transfer.whisper !== false; // not editable here; keep it
+            const consent = agent.consent_config ? JSON.parse(agent.consent_config) : {};
+            document.getElementById('agent-consent-mode').value = consent.mode || 'auto';
+            document.getElementById('agent-consent-script').value = consent.script || '';
+            form.dataset.consentConfig = JSON.stringify(consent); // keeps settings not editable here
+            const voicemail = agent.voicemail_config ? JSON.parse(agent.voicemail_config) : {};
+            document.getElementById('agent-voicemail-action').value = voicemail.action || 'hangup';
+            document.getElementById('agent-voicemail-message').value = voicemail.message || '';
+            const callingHours = agent.calling_hours ? JSON.parse(agent.calling_hours) : {};
+            document.getElementById('agent-calling-start').value = callingHours.start || '';
+            document.getElementById('agent-calling-end').value = callingHours.end || '';
+            document.getElementById('agent-calling-action').value = callingHours.action || '';
+            form.dataset.callingHours = JSON.stringify(callingHours); // keeps settings not editable here
+            const language = agent.language_config ? JSON.parse(agent.language_config) : {};
+            const languages = language.languages || [];
+            const defaultLanguage = language.default || languages[0];
+            document.getElementById('agent-languages').value = [defaultLanguage, ...languages.filter(code => code !== defaultLanguage)].filter(Boolean).join(', ');
+            document.getElementById('agent-language-detect').value = language.detect || 'auto';
+            form.dataset.languageConfig = JSON.stringify(language); // keeps voices
+            const redaction = agent.redaction_config ? JSON.parse(agent.redaction_config) : {};
+            document.getElementById('agent-redaction').value = redaction.enabled === undefined ? '' : (redaction.enabled ? 'on' : 'off');
+            form.dataset.redactionConfig = JSON.stringify(redaction); // keeps types
             form.dataset.agentId = agent.id;
         } else {
             title.textContent = 'Create Agent';
             form.reset();
             document.getElementById('agent-use-case').value = 'both';
             delete form.dataset.agentId;
+            delete form.dataset.transferWhisper;
+            delete form.dataset.consentConfig;
+            delete form.dataset.callingHours;
+            delete form.dataset.languageConfig;
+            delete form.dataset.redactionConfig;
         }
 
         modal.classList.add('show');
@@ -304,13 +644,78 @@ class VoiceAIAgentSystem {
             prompt: formData.get('agent-prompt')
         };
 
+        const tools = formData.get('agent-tools').trim();
+        try {
+            agentData.tools = tools ? JSON.parse(tools) : [];
+        } catch {
+            this.showError('Tools must be valid JSON');
+            return;
+        }
+
+        const transferMode = formData.get('agent-transfer-mode');
+        agentData.transfer_config = transferMode === 'callback'
+            ? { mode: 'callback' }
+            : {
+                mode: transferMode,
+                target: formData.get('agent-transfer-target').trim(),
+                timeout: parseInt(formData.get('agent-transfer-timeout')) || 20,
+                whisper: e.target.dataset.transferWhisper !== 'false'
+            };
+
+        const consent = JSON.parse(e.target.dataset.consentConfig || '{}');
+        consent.mode = formData.get('agent-consent-mode');
+        const consentScript = formData.get('agent-consent-script').trim();
+        if (consentScript) {
+            consent.script = consentScript;
+        } else {
+            delete consent.script;
+        }
+        agentData.consent_config = consent;
+
+        agentData.voicemail_config = {
+            action: formData.get('agent-voicemail-action'),
+            message: formData.get('agent-voicemail-message').trim() || null
+        };
+
+        const callingHours = JSON.parse(e.target.dataset.callingHours || '{}');
+        for (const [field, input] of [['start', 'agent-calling-start'], ['end', 'agent-calling-end'], ['action', 'agent-calling-action']]) {
+            const value = formData.get(input);
+            if (value) {
+                callingHours[field] = value;
+            } else {
+                delete callingHours[field];
+            }
+        }
+        agentData.calling_hours = Object.keys(callingHours).length > 0 ? callingHours : null;
+
+        const languages = formData.get('agent-languages').split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+        if (languages.length > 0) {
+            const language = JSON.parse(e.target.dataset.languageConfig || '{}');
+            language.languages = languages;
+            language.default = languages[0];
+            language.detect = formData.get('agent-language-detect');
+            language.voices = Object.fromEntries(Object.entries(language.voices || {}).filter(([code]) => languages.includes(code)));
+            agentData.language_config = language;
+        } else {
+            agentData.language_config = null;
+        }
+
+        const redaction = JSON.parse(e.target.dataset.redactionConfig || '{}');
+        const redactionSetting = formData.get('agent-redaction');
+        if (redactionSetting) {
+            redaction.enabled = redactionSetting === 'on';
+        } else {
+            delete redaction.enabled;
+        }
+        agentData.redaction_config = Object.keys(redaction).length > 0 ? redaction : null;
+
         try {
             const agentId = e.target.dataset.agentId;
             let response;
 
             if (agentId) {
                 response = await fetch(`/api/agents/${agentId}`, {
-                    method: 'PUT',
+                    method: 'PATCH',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(agentData)
                 });
@@ -327,31 +732,30 @@ class VoiceAIAgentSystem {
                 this.loadAgents();
                 this.showSuccess(agentId ? 'Agent updated successfully' : 'Agent created successfully');
             } else {
-                throw new Error('Failed to save agent');
+                const { error } = await response.json();
+                throw new Error(error || 'Failed to save agent');
             }
         } catch (error) {
             console.error('Error saving agent:', error);
-            this.showError('Failed to save agent');
+            this.showError(error.message || 'Failed to save agent');
         }
     }
 
-    async loadContacts(search = null) {
+    async loadContacts(append = false) {
+        const query = this.listQuery({ search: 'contact-search', tag: 'contact-tag', sort: 'contact-sort' });
         try {
-            const url = search ? `/api/contacts?search=${encodeURIComponent(search)}` : '/api/contacts';
-            const response = await fetch(url);
-            const contacts = await response.json();
-            this.renderContacts(contacts);
+            await this.loadPage('contacts', `/api/contacts?${query}`, (contacts, more) => this.renderContacts(contacts, more), append);
         } catch (error) {
             console.error('Error loading contacts:', error);
             this.showError('Failed to load contacts');
         }
     }
 
-    renderContacts(contacts) {
+    renderContacts(contacts, append = false) {
         const container = document.getElementById('contacts-list');
-        container.innerHTML = '';
+        if (!append) container.innerHTML = '';
 
-        if (contacts.length === 0) {
+        if (contacts.length === 0 && !append) {
             container.innerHTML = '<p class="empty-state">No contacts found. Add your first contact to get started.</p>';
             return;
         }
@@ -388,6 +792,7 @@ class VoiceAIAgentSystem {
             document.getElementById('contact-phone').value = contact.phone_number;
             document.getElementById('contact-email').value = contact.email || '';
             document.getElementById('contact-company').value = contact.company || '';
+            document.getElementById('contact-timezone').value = contact.timezone || '';
             document.getElementById('contact-notes').value = contact.notes || '';
             document.getElementById('contact-tags').value = contact.tags ? JSON.parse(contact.tags).join(', ') : '';
             form.dataset.contactId = contact.id;
@@ -417,6 +822,7 @@ class VoiceAIAgentSystem {
             email: formData.get('contact-email'),
             company: formData.get('contact-company'),
             notes: formData.get('contact-notes'),
+            timezone: formData.get('contact-timezone').trim() || null,
             tags: tags
         };
 
@@ -426,7 +832,7 @@ class VoiceAIAgentSystem {
 
             if (contactId) {
                 response = await fetch(`/api/contacts/${contactId}`, {
-                    method: 'PUT',
+                    method: 'PATCH',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(contactData)
                 });
@@ -492,10 +898,6 @@ class VoiceAIAgentSystem {
         }
     }
 
-    searchContacts(query) {
-        this.loadContacts(query);
-    }
-
     editAgent(agentId) {
         // Fetch agent data from API
         fetch(`/api/agents/${agentId}`)
@@ -532,8 +934,7 @@ class VoiceAIAgentSystem {
         const numberInput = document.getElementById('call-number');
 
         // Load agents into select
-        fetch('/api/agents')
-            .then(response => response.json())
+        this.fetchAll('/api/agents')
             .then(agents => {
                 agentSelect.innerHTML = '<option value="">Select an agent</option>';
                 agents.forEach(agent => {
@@ -578,7 +979,12 @@ class VoiceAIAgentSystem {
                 body: JSON.stringify(callData)
             });
 
-            if (response.ok) {
+            if (response.status === 202) {
+                // Outside the callee's calling hours; placed when the window opens
+                const deferred = await response.json();
+                this.closeAllModals();
+                this.showSuccess(`Outside calling hours (${deferred.timezone}); the call will be placed at ${new Date(deferred.scheduled_for).toLocaleString()}`);
+            } else if (response.ok) {
                 this.closeAllModals();
                 this.loadCalls();
                 this.showSuccess('Call initiated successfully');
@@ -610,18 +1016,58 @@ class VoiceAIAgentSystem {
             modal.querySelector('.modal-content').classList.add('large');
 
             let recordingHtml = '';
-            if (conversation.recording_url) {
+            if (conversation.recording_key || conversation.recording_url) {
+                const channelsNote = conversation.recording_channels === 2
+                    ? '<p class="recording-note">Dual-channel: customer and agent are on separate stereo tracks.</p>'
+                    : '';
                 recordingHtml = `
                     <div class="recording-section">
                         <h4>Call Recording</h4>
-                        <audio controls style="width: 100%; margin: 10px 0;">
-                            <source src="/api/calls/recording/${conversation.id}" type="audio/wav">
+                        ${channelsNote}
+                        <audio controls preload="metadata" style="width: 100%; margin: 10px 0;">
+                            <source src="/api/calls/recording/${conversation.id}" type="audio/mpeg">
                             Your browser does not support the audio element.
                         </audio>
                     </div>
                 `;
             }
 
+            // Lines timed against the recording; clicking one plays from there
+            let alignedHtml = '';
+            if (conversation.aligned_transcript && recordingHtml) {
+                alignedHtml = `
+                    <div class="conversation-messages aligned-transcript">
+                        <h4>Recording Transcript</h4>
+                        ${conversation.aligned_transcript.utterances.map(utterance => `
+                            <div class="message ${utterance.speaker === 'agent' ? 'assistant' : 'user'}" data-start="${utterance.start}" data-end="${utterance.end}">
+                                <div class="message-role">
+                                    <button class="seek-btn" data-start="${utterance.start}">${this.formatOffset(utterance.start)}</button>
+                                    ${this.speakerLabel(utterance.speaker)}
+                                </div>
+                                <div class="message-content">${this.escapeHtml(utterance.text)}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }
+
+            let toolsHtml = '';
+            if (conversation.tool_invocations && conversation.tool_invocations.length > 0) {
+                toolsHtml = `
+                    <div class="conversation-messages">
+                        <h4>Tool Calls</h4>
+                        ${conversation.tool_invocations.map(invocation => `
+                            <div class="message tool ${invocation.status}">
+                                <div class="message-role">${invocation.tool_name} (${invocation.status}, ${invocation.duration_ms}ms)</div>
+                                <div class="message-content">Arguments: ${this.escapeHtml(invocation.arguments)}</div>
+                                <div class="message-content">Result: ${this.escapeHtml(invocation.result)}</div>
+                                <div class="message-time">${new Date(invocation.created_at).toLocaleTimeString()}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }
+
             content.innerHTML = `
                 <div class="conversation-info">
                     <p><strong>Agent:</strong> ${conversation.agent_name}</p>
@@ -629,10 +1075,13 @@ class VoiceAIAgentSystem {
                     <p><strong>Direction:</strong> ${conversation.direction}</p>
                     <p><strong>Rating:</strong> ${conversation.rating || 'Not rated'}/10</p>
                     <p><strong>Success:</strong> ${conversation.success ? 'Yes' : 'No'}</p>
+                    ${conversation.outcome === 'voicemail' ? '<p><strong>Outcome:</strong> Reached voicemail</p>' : ''}
+                    ${conversation.consent_outcome ? `<p><strong>Consent:</strong> ${conversation.consent_outcome.replace('_', ' ')} (${new Date(conversation.consent_at).toLocaleString()})</p>` : ''}
                     <p><strong>Date:</strong> ${new Date(conversation.created_at).toLocaleString()}</p>
                     ${conversation.duration ? `<p><strong>Duration:</strong> ${Math.round(conversation.duration)}s</p>` : ''}
                 </div>
                 ${recordingHtml}
+                ${alignedHtml}
                 <div class="conversation-messages">
                     <h4>Conversation Transcript</h4>
                     ${conversation.messages
@@ -645,8 +1094,20 @@ class VoiceAIAgentSystem {
                         </div>
                     `).join('')}
                 </div>
+                ${toolsHtml}
             `;
 
+            // Highlight the line being played
+            const player = content.querySelector('.recording-section audio');
+            if (player && alignedHtml) {
+                player.addEventListener('timeupdate', () => {
+                    content.querySelectorAll('.aligned-transcript .message').forEach(line => {
+                        const playing = player.currentTime >= parseFloat(line.dataset.start) && player.currentTime < parseFloat(line.dataset.end);
+                        line.classList.toggle('playing', playing);
+                    });
+                });
+            }
+
             modal.classList.add('show');
         } catch (error) {
             console.error('Error loading conversation:', error);
@@ -656,15 +1117,11 @@ class VoiceAIAgentSystem {
 
     async updateCallbackStatus(callbackId, status) {
         try {
-            let notes = '';
-            if (status === 'scheduled') {
-                notes = 'Scheduled for callback';
-            }
-
+            // Notes are left as they are; they hold the caller's preferred time
             const response = await fetch(`/api/calls/callbacks/${callbackId}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ status, notes })
+                body: JSON.stringify({ status })
             });
 
             if (response.ok) {
@@ -679,6 +1136,32 @@ class VoiceAIAgentSystem {
         }
     }
 
+    seekRecording(seconds) {
+        const player = document.querySelector('#conversation-content .recording-section audio');
+        if (!player) return;
+        player.currentTime = seconds;
+        player.play();
+    }
+
+    // m:ss offset into the recording
+    formatOffset(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+
+    speakerLabel(speaker) {
+        if (speaker === 'agent') return 'Agent';
+        if (speaker === 'customer') return 'Customer';
+        if (speaker === 'unknown') return 'Unknown speaker';
+        return `Speaker ${Number(speaker.replace('speaker_', '')) + 1}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
     showSuccess(message) {
         this.showNotification(message, 'success');
     }
@@ -0,0 +1,88 @@
+import path from 'path';
+import db from '../database/connection.js';
+import { createDatabase } from '../database/adapters/index.js';
+import Migrator from '../database/migrator.js';
+
+const USAGE = `Usage: node scripts/migrate.js <migrate|rollback|status> [options]
+
+  migrate              Apply pending migrations
+  rollback             Revert the last migration
+  status               List migrations and whether they are applied
+
+Options:
+  --to <version>       migrate: stop after this version; rollback: revert everything after it
+  --steps <n>          rollback: revert the last n migrations (default 1)
+  --database <target>  Migrate another database: a SQLite file such as a tenant
+                       database, or a postgres:// URL (default: DATABASE_URL,
+                       else database/voice_ai.db)
+  --schema <name>      With a postgres:// URL, the schema to migrate, e.g. a
+                       tenant's (default: public)`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const [flag, value] = [rest[i], rest[i + 1]];
+    if (!['--to', '--steps', '--database', '--schema'].includes(flag) || value === undefined) {
+      throw new Error(`Unknown option ${flag}`);
+    }
+    options[flag.slice(2)] = value;
+  }
+  for (const key of ['to', 'steps']) {
+    if (options[key] !== undefined) {
+      const number = Number(options[key]);
+      if (!Number.isInteger(number) || number < 0) throw new Error(`--${key} must be a whole number`);
+      options[key] = number;
+    }
+  }
+  return { command, options };
+}
+
+function openDatabase({ database, schema }) {
+  if (/^postgres(ql)?:\/\//.test(database)) {
+    return createDatabase({ client: 'postgres', url: database, schema, poolSize: 2 });
+  }
+  return createDatabase({ client: 'sqlite', filename: path.resolve(database) });
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  const { command, options } = args;
+  if (!['migrate', 'rollback', 'status'].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const connection = options.database ? openDatabase(options) : db;
+  const migrator = new Migrator(connection);
+
+  try {
+    if (command === 'migrate') {
+      const applied = await migrator.migrate({ to: options.to });
+      applied.forEach(({ version, name }) => console.log(`Applied ${version} ${name}`));
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'rollback') {
+      const reverted = await migrator.rollback({ steps: options.steps, to: options.to });
+      reverted.forEach(({ version, name }) => console.log(`Reverted ${version} ${name}`));
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+    } else {
+      for (const { version, name, appliedAt, missing } of await migrator.status()) {
+        const state = missing ? `applied ${appliedAt}, file missing` : appliedAt ? `applied ${appliedAt}` : 'pending';
+        console.log(`${String(version).padStart(3, '0')} ${name.padEnd(30)} ${state}`);
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await connection.close();
+  }
+}
+
+main();
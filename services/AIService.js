@@ -1,134 +1,302 @@
-import { createClient } from '@deepgram/sdk';
-import fetch from 'node-fetch';
-import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs/promises';
-import path from 'path';
 import config from '../src/config.js';
+import { SentenceSplitter } from '../src/llm-stream.js';
+import { createProvider } from '../src/llm-providers/index.js';
+import { createSpeechProvider } from '../src/speech-providers/index.js';
+import { IntentHeader, intentInstructions, DEFAULT_INTENT_CONFIG, INTENT_RESPONSES, INTENT_LINE_TOKENS } from '../src/intent.js';
+import { classifyConsent } from '../src/consent.js';
+import { detectLanguage } from '../src/language.js';
+import { ttsCache } from '../src/tts-cache.js';
+import { audioStore } from '../src/audio-store.js';
+
+// Upper bound on LLM -> tool -> LLM round trips within a single reply
+const MAX_TOOL_ROUNDS = 3;
 
 class AIService {
   constructor() {
-    this.deepgram = createClient(config.deepgram.apiKey);
+    // Honour STT_PROVIDER / TTS_PROVIDER; see src/speech-providers
+    this.stt = createSpeechProvider(config.speech.stt);
+    this.tts = createSpeechProvider(config.speech.tts);
     this.llmProvider = config.llm.provider;
     this.llmApiKey = config.llm.apiKey;
     this.llmModel = config.llm.model;
     this.llmMaxTokens = config.llm.maxTokens;
     this.llmTemperature = config.llm.temperature;
+    // Honours LLM_PROVIDER; see src/llm-providers for the available providers
+    this.llm = createProvider({
+      ...config.llm,
+      referer: config.app.baseUrl,
+      title: 'Voice AI Agent System'
+    });
   }
 
-  async generateResponse(messages, agentPrompt, conversationId = null) {
-    try {
-      const lastMessage = messages[messages.length - 1];
-      const userInput = lastMessage?.content?.toLowerCase() || '';
-
-      // Check for human transfer requests
-      const transferKeywords = [
-        'speak to a human', 'talk to a human', 'transfer to human',
-        'speak to a person', 'talk to a person', 'transfer to person',
-        'human representative', 'live person', 'real person',
-        'customer service', 'speak to manager', 'talk to manager'
-      ];
+  // `tools` is the agent's toolbox from ToolService.forConversation: the
+  // model may call them before replying and their results are fed back in.
+  // `intents` is the agent's parsed intent config (src/intent.js); the
+  // model classifies the caller's turn on the first line of its reply, and
+  // anything other than `continue` replaces the reply with the matching
+  // canned response (overridable per call through `intentResponses`).
+  // `language` is the instruction from src/language.js for multilingual
+  // agents.
+  async generateResponse(messages, agentPrompt, conversationId = null, { signal, tools = null, intents = DEFAULT_INTENT_CONFIG, intentResponses, language = null } = {}) {
+    const header = new IntentHeader(intents);
 
-      const wantsTransfer = transferKeywords.some(keyword => userInput.includes(keyword));
+    try {
+      const llmMessages = this.buildVoiceMessages(messages, agentPrompt, language, intents);
+      const options = { ...this.voiceOptions(intents), signal, tools: tools?.definitions };
+
+      let result = await this.llm.chat(llmMessages, options);
+      let reply = header.push(result.content || '');
+      for (let round = 1; tools && result.toolCalls.length > 0 && !header.overrides && round <= MAX_TOOL_ROUNDS; round++) {
+        await this.runToolCalls(llmMessages, result.content, result.toolCalls, tools, signal);
+        result = await this.llm.chat(llmMessages, options);
+        reply = header.push(result.content || '');
+      }
 
-      if (wantsTransfer) {
-        return {
-          response: "I understand you'd like to speak with a human representative. I'll arrange for a callback from our team. When would be a good time for us to reach you?",
-          transferRequested: true,
-          transferReason: 'Customer requested human assistance'
-        };
+      const intent = header.finish();
+      if (intent.intent !== 'continue') {
+        return this.intentResult(intent, intentResponses);
       }
 
-      // Add voice conversation instructions for concise responses
-      const voiceInstructions = `You are a voice assistant. Keep your responses CONCISE and CONVERSATIONAL - aim for 1-2 sentences maximum. Avoid long explanations. Be natural and friendly, like you're talking to someone on the phone. Respond quickly and to the point.
+      return {
+        response: reply.trim(),
+        intent,
+        transferRequested: false,
+        endCall: false,
+        usage: result.usage
+      };
+    } catch (error) {
+      // A cancelled turn (caller barged in) must not fall back to an apology
+      if (signal?.aborted) throw error;
 
-${agentPrompt}`;
+      if (header.overrides) {
+        return this.intentResult(header.intent, intentResponses);
+      }
 
-      const systemMessage = {
-        role: 'system',
-        content: voiceInstructions
+      console.error('Error generating LLM response:', error);
+      return {
+        response: 'I apologize, but I\'m having trouble responding right now. Please try again.',
+        intent: header.finish(),
+        transferRequested: false,
+        endCall: false
       };
+    }
+  }
 
-      const payload = {
-        model: this.llmModel,
-        messages: [systemMessage, ...messages],
-        max_tokens: Math.min(this.llmMaxTokens, 75), // Cap at 75 tokens for voice responses
-        temperature: this.llmTemperature
-      };
+  // Same contract as generateResponse, but streams the completion and calls
+  // onSentence for each sentence as soon as it is complete so TTS can start
+  // before the model has finished. Text spoken ahead of a tool call (e.g.
+  // "let me check") plays while the tool runs.
+  //
+  // The intent line comes first in the stream, so it is known before the
+  // first sentence is spoken: when the turn is a transfer, hang-up or
+  // opt-out the stream is abandoned there and only the canned response is
+  // spoken.
+  async generateStreamingResponse(messages, agentPrompt, conversationId = null, { signal, onSentence, tools = null, intents = DEFAULT_INTENT_CONFIG, intentResponses, language = null } = {}) {
+    const startedAt = Date.now();
+    let spoken = '';
+    let firstSentence = true;
+    const speak = (sentence) => {
+      if (firstSentence) {
+        console.log(`First sentence ready after ${Date.now() - startedAt}ms`);
+        firstSentence = false;
+      }
+      spoken = spoken ? `${spoken} ${sentence}` : sentence;
+      onSentence?.(sentence);
+    };
+
+    const header = new IntentHeader(intents);
+    // Stops the completion once the intent line overrides the reply
+    const completion = new AbortController();
+    const completionSignal = signal ? AbortSignal.any([signal, completion.signal]) : completion.signal;
+    const replaceWithIntent = () => {
+      completion.abort();
+      const result = this.intentResult(header.intent, intentResponses);
+      speak(result.response);
+      return result;
+    };
 
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.llmApiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': config.app.baseUrl,
-          'X-Title': 'Voice AI Agent System'
-        },
-        body: JSON.stringify(payload),
-        signal: AbortSignal.timeout(config.llm.timeout)
-      });
+    try {
+      let usage = null;
+      const llmMessages = this.buildVoiceMessages(messages, agentPrompt, language, intents);
+      const splitter = new SentenceSplitter();
+
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        let toolCalls = [];
+        let text = '';
+        const stream = this.llm.stream(llmMessages, {
+          ...this.voiceOptions(intents),
+          signal: completionSignal,
+          tools: tools?.definitions,
+          onUsage: (reported) => { usage = reported; },
+          onToolCalls: (calls) => { toolCalls = calls; }
+        });
+        for await (const delta of stream) {
+          text += delta;
+          splitter.push(header.push(delta)).forEach(speak);
+          if (header.overrides) return replaceWithIntent();
+        }
+        const rest = splitter.flush();
+        if (rest) speak(rest);
 
-      if (!response.ok) {
-        throw new Error(`LLM API error: ${response.status}`);
+        // The last round's tool calls would have no round left to read them
+        if (!tools || toolCalls.length === 0 || round === MAX_TOOL_ROUNDS) break;
+        await this.runToolCalls(llmMessages, text, toolCalls, tools, signal);
       }
 
-      const data = await response.json();
+      const intent = header.finish();
+      if (header.overrides) return replaceWithIntent();
+
       return {
-        response: data.choices[0].message.content,
-        transferRequested: false
+        response: spoken,
+        intent,
+        transferRequested: false,
+        endCall: false,
+        usage
       };
     } catch (error) {
-      console.error('Error generating LLM response:', error);
+      if (signal?.aborted) throw error;
+      if (header.overrides) return replaceWithIntent();
+
+      console.error('Error streaming LLM response:', error);
+
+      // Keep whatever was already spoken; only apologise if nothing was
+      if (!spoken) {
+        speak('I apologize, but I\'m having trouble responding right now. Please try again.');
+      }
       return {
-        response: 'I apologize, but I\'m having trouble responding right now. Please try again.',
-        transferRequested: false
+        response: spoken,
+        intent: header.finish(),
+        transferRequested: false,
+        endCall: false
       };
     }
   }
 
-  async transcribeAudio(audioBuffer) {
-    try {
-      const response = await this.deepgram.listen.prerecorded.transcribeFile(
-        audioBuffer,
-        {
-          model: config.deepgram.sttModel,
-          smart_format: true,
-          punctuate: true
-        }
-      );
+  // Classify the caller's answer to a consent script (see src/consent.js)
+  async classifyConsent(reply, script) {
+    return await classifyConsent(this.llm, reply, script, { timeout: config.llm.timeout });
+  }
+
+  // Which of `languages` the caller is speaking, or null (see src/language.js)
+  async detectLanguage(text, languages, { signal } = {}) {
+    return await detectLanguage(this.llm, text, languages, { signal, timeout: config.llm.timeout });
+  }
+
+  intentResult(intent, intentResponses = {}) {
+    console.log(`Intent ${intent.intent} (${intent.confidence}): ${intent.reason}`);
+    return {
+      response: intentResponses[intent.intent] || INTENT_RESPONSES[intent.intent],
+      intent,
+      transferRequested: intent.intent === 'transfer',
+      transferReason: intent.intent === 'transfer' ? intent.reason : null,
+      endCall: intent.intent !== 'transfer'
+    };
+  }
+
+  // Append the assistant's tool calls and each tool's result to the
+  // conversation sent to the LLM, in the OpenAI message format. A model
+  // calling tools is answering the caller, so they run even when its
+  // intent line is still to come.
+  async runToolCalls(llmMessages, content, toolCalls, tools, signal) {
+    signal?.throwIfAborted();
+
+    llmMessages.push({
+      role: 'assistant',
+      content: content || null,
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+      }))
+    });
+
+    for (const call of toolCalls) {
+      signal?.throwIfAborted();
+      const result = await tools.execute(call, { signal });
+      llmMessages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(result)
+      });
+    }
+  }
+
+  buildVoiceMessages(messages, agentPrompt, language = null, intents = null) {
+    // Add voice conversation instructions for concise responses
+    let voiceInstructions = `You are a voice assistant. Keep your responses CONCISE and CONVERSATIONAL - aim for 1-2 sentences maximum. Avoid long explanations. Be natural and friendly, like you're talking to someone on the phone. Respond quickly and to the point.
+
+${agentPrompt}`;
+    if (language) {
+      voiceInstructions += `\n\n${language}`;
+    }
+    const intentLine = intents && intentInstructions(intents);
+    if (intentLine) {
+      voiceInstructions += `\n\n${intentLine}`;
+    }
+
+    const systemMessage = {
+      role: 'system',
+      content: voiceInstructions
+    };
+
+    return [systemMessage, ...messages];
+  }
+
+  voiceOptions(intents = null) {
+    const intentLine = intents && intentInstructions(intents) ? INTENT_LINE_TOKENS : 0;
+    return {
+      maxTokens: Math.min(this.llmMaxTokens, 75) + intentLine, // Cap at 75 tokens for voice responses
+      temperature: this.llmTemperature,
+      timeout: config.llm.timeout
+    };
+  }
 
-      return response.result.results.channels[0].alternatives[0].transcript;
+  // With `words`, for transcribing a whole recording after the call: the
+  // provider's { transcript, language, words } with word timings and
+  // speakers (diarized, or per channel when `channels` is 2), and failures
+  // are thrown. Otherwise just the transcript text, '' on failure.
+  async transcribeAudio(audioBuffer, { words = false, channels = 1, language, mimetype, redact } = {}) {
+    if (words) {
+      return await this.stt.transcribe(audioBuffer, { words, channels, language, mimetype, redact });
+    }
+
+    try {
+      const { transcript } = await this.stt.transcribe(audioBuffer);
+      return transcript;
     } catch (error) {
       console.error('Error transcribing audio:', error);
       return '';
     }
   }
 
-  async generateTTS(text, voice = config.deepgram.ttsModel) {
+  // Audio is kept in src/audio-store.js; `url` is a link that expires
+  // after AUDIO_URL_TTL and `key` names the file for later links.
+  // `cache` is for fixed phrases (greetings, consent scripts, goodbyes):
+  // the audio is synthesised once and reused from src/tts-cache.js.
+  // `prewarm` fills the cache ahead of the first call without counting as
+  // a cache lookup.
+  async generateTTS(text, voice = config.speech.tts.voice, { signal, cache = false, prewarm = false } = {}) {
     try {
-      const response = await this.deepgram.speak.request(
-        { text },
-        {
-          model: voice,
-          encoding: 'linear16',
-          container: 'wav'
-        }
-      );
-
-      const audioStream = await response.getStream();
-      if (!audioStream) {
-        throw new Error('No audio stream received from Deepgram');
+      if (cache && ttsCache.enabled) {
+        const entry = await ttsCache.fetch(
+          this.ttsCacheSpec(text, voice, 'wav'),
+          () => this.tts.synthesize(text, { voice, format: 'wav', signal }),
+          { prewarm }
+        );
+        return {
+          url: entry.url,
+          key: entry.key,
+          duration: this.estimateDuration(text),
+          cached: entry.hit
+        };
       }
 
-      const audioData = await this.streamToBuffer(audioStream);
-
-      const filename = `${uuidv4()}.wav`;
-      const filepath = path.join(config.audio.storagePath, filename);
-
-      await fs.writeFile(filepath, audioData);
+      const audioData = await this.tts.synthesize(text, { voice, format: 'wav', signal });
+      const { key, url } = await audioStore.save(audioData, { prefix: 'tts', extension: 'wav' });
 
       return {
-        url: `/audio/${filename}`,
-        filepath,
+        url,
+        key,
         duration: this.estimateDuration(text)
       };
     } catch (error) {
@@ -137,6 +305,38 @@ ${agentPrompt}`;
     }
   }
 
+  // Raw 8 kHz mu-law audio for Twilio media streams (no container, no file)
+  async generateStreamAudio(text, voice = config.speech.tts.voice, { signal, cache = false, prewarm = false } = {}) {
+    try {
+      if (cache && ttsCache.enabled) {
+        const entry = await ttsCache.fetch(
+          this.ttsCacheSpec(text, voice, 'mulaw'),
+          () => this.tts.synthesize(text, { voice, format: 'mulaw', signal }),
+          { prewarm }
+        );
+        const audio = await audioStore.read(entry.key);
+        if (audio) return audio; // Otherwise evicted in the meantime
+      }
+
+      return await this.tts.synthesize(text, { voice, format: 'mulaw', signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error('Error generating stream audio:', error);
+      throw error;
+    }
+  }
+
+  // What makes synthesised audio distinct: the provider, its default voice
+  // (used when no voice is given, or for local engines) and the request
+  ttsCacheSpec(text, voice, format) {
+    return {
+      provider: `${this.tts.name}:${this.tts.voice || ''}`,
+      voice,
+      format,
+      text
+    };
+  }
+
   async analyzeConversation(transcription, messages) {
     try {
       const analysisPrompt = `
@@ -160,10 +360,11 @@ ${agentPrompt}`;
 
       try {
         const result = JSON.parse(response);
-        // Ensure rating is a valid number
+        // Ensure rating is a whole number from 1 to 10, as stored
         if (typeof result.rating !== 'number' || result.rating < 1 || result.rating > 10) {
           result.rating = 5;
         }
+        result.rating = Math.round(result.rating);
         return result;
       } catch {
         return {
@@ -191,57 +392,19 @@ ${agentPrompt}`;
         content: systemPrompt
       };
 
-      const payload = {
-        model: this.llmModel,
-        messages: [systemMessage, ...messages],
-        max_tokens: 200, // More tokens for analysis
-        temperature: 0.3 // Lower temperature for consistent analysis
-      };
-
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.llmApiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': config.app.baseUrl,
-          'X-Title': 'Voice AI Agent System'
-        },
-        body: JSON.stringify(payload),
-        signal: AbortSignal.timeout(5000) // 5 seconds for analysis
+      const result = await this.llm.chat([systemMessage, ...messages], {
+        maxTokens: 200, // More tokens for analysis
+        temperature: 0.3, // Lower temperature for consistent analysis
+        timeout: 5000 // 5 seconds for analysis
       });
 
-      if (!response.ok) {
-        throw new Error(`LLM API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return data.choices[0].message.content;
+      return result.content;
     } catch (error) {
       console.error('Error generating analysis response:', error);
       throw error;
     }
   }
 
-  streamToBuffer(stream) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        const chunks = [];
-        const reader = stream.getReader();
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          if (value) chunks.push(value);
-        }
-
-        reader.releaseLock();
-        resolve(Buffer.concat(chunks));
-      } catch (error) {
-        reject(error);
-      }
-    });
-  }
-
   estimateDuration(text) {
     const wordsPerMinute = 150;
     const wordCount = text.split(' ').length;
@@ -0,0 +1,294 @@
+import config from '../src/config.js';
+import Agent from '../models/Agent.js';
+import Conversation from '../models/Conversation.js';
+import Contact from '../models/Contact.js';
+import CallbackRequest from '../models/CallbackRequest.js';
+import TransferService from './TransferService.js';
+import DoNotCallService from './DoNotCallService.js';
+import CallingHoursService from './CallingHoursService.js';
+import { isValidTimeZone, getZonedParts, formatZoned, zonedTimeToUtc } from '../src/timezone.js';
+import { calleeTimezone } from '../src/calling-hours.js';
+
+// Final call statuses that are worth another attempt
+const RETRY_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+export const CALLBACK_GREETING = "Hello, this is a callback about your earlier call with us. Please hold while I connect you with our team.";
+export const CALLBACK_UNAVAILABLE_MESSAGE = "I'm sorry, no one is available right now. We'll try you again a little later. Goodbye.";
+export const CALLBACK_TIME_CONFIRMED_MESSAGE = "Thank you for providing your preferred time. We'll call you back soon. Goodbye.";
+
+// Places the callbacks customers ask for. The spoken preferred time
+// ("tomorrow afternoon") is turned into a timestamp, the request moves to
+// `scheduled`, and a poller dials the customer when it is due: either into
+// a human line (the agent's live transfer target or CALLBACK_HUMAN_NUMBER)
+// or back to the AI agent. Unanswered calls are retried until
+// config.callbacks.maxAttempts, then the request is cancelled.
+class CallbackService {
+  constructor(aiService, twilioService) {
+    this.aiService = aiService;
+    this.twilioService = twilioService;
+    this.transferService = new TransferService(aiService, twilioService);
+    this.doNotCallService = new DoNotCallService();
+    this.callingHoursService = new CallingHoursService();
+    this.timer = null;
+    this.ticking = false;
+
+    this.timeZone = config.callbacks.timezone;
+    if (!isValidTimeZone(this.timeZone)) {
+      console.error(`Invalid CALLBACK_TIMEZONE ${this.timeZone}, using UTC`);
+      this.timeZone = 'UTC';
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), config.callbacks.pollInterval);
+    this.timer.unref();
+    this.tick();
+    console.log(`Callback scheduler running every ${config.callbacks.pollInterval / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      const dueRequests = await CallbackRequest.findDue();
+      for (const request of dueRequests) {
+        await this.placeCall(request);
+      }
+    } catch (error) {
+      console.error('Error running callback scheduler:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Store what the caller said and schedule the request if a time can be
+  // worked out from it. Otherwise it stays pending for someone to schedule
+  // by hand. Never throws, so callers need not wait for the LLM round-trip.
+  async setPreferredTime(requestId, spokenTime) {
+    try {
+      const request = await CallbackRequest.updateStatus(requestId, 'pending', `Preferred time: ${spokenTime}`);
+
+      // "Tomorrow afternoon" is the caller's afternoon
+      const timeZone = await this.timeZoneFor(request);
+      const preferredTime = await this.parsePreferredTime(spokenTime, new Date(), timeZone);
+      if (!preferredTime) {
+        console.log(`Could not work out a callback time from "${spokenTime}"; leaving request ${requestId} pending`);
+        return null;
+      }
+
+      const scheduled = await CallbackRequest.schedule(requestId, preferredTime, timeZone);
+      console.log(`Callback ${requestId} scheduled for ${preferredTime.toISOString()} (${timeZone})`);
+      return scheduled;
+    } catch (error) {
+      console.error('Error scheduling callback request:', error);
+      return null;
+    }
+  }
+
+  // The caller's time zone, worked out as for calling hours: their
+  // contact's zone, else the one their number implies. CALLBACK_TIMEZONE
+  // when neither says.
+  async timeZoneFor(request) {
+    const contact = await Contact.findByPhoneNumber(request.customer_number);
+    return calleeTimezone({ timezone: this.timeZone }, request.customer_number, contact?.timezone).timezone;
+  }
+
+  // Resolve a spoken time to a Date, reading it in `timeZone`. Times in the
+  // past and "as soon as possible" resolve to now; null means no time was
+  // given.
+  async parsePreferredTime(spokenTime, now = new Date(), timeZone = this.timeZone) {
+    const { weekday } = getZonedParts(now, timeZone);
+    const systemPrompt = `You turn the time a caller asked to be called back at into a calendar date and time.
+It is now ${weekday} ${formatZoned(now, timeZone)} in the ${timeZone} time zone.
+Use 09:00 for "morning", 14:00 for "afternoon", 18:00 for "evening" and 10:00 when only a day is given. A time without a day means the next time that time comes around. Convert times the caller gives in another time zone to ${timeZone}.
+Respond with JSON only: {"datetime": "YYYY-MM-DDTHH:mm"} in ${timeZone} local time, {"asap": true} if they want a call as soon as possible, or {"datetime": null} if no time can be worked out.`;
+
+    const response = await this.aiService.generateAnalysisResponse(
+      [{ role: 'user', content: spokenTime }],
+      systemPrompt
+    );
+
+    // Models sometimes wrap the JSON in prose or code fences
+    const match = response?.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(match[0]);
+    } catch {
+      return null;
+    }
+
+    if (parsed.asap) return now;
+    const preferredTime = parsed.datetime ? zonedTimeToUtc(parsed.datetime, timeZone) : null;
+    if (!preferredTime) return null;
+    return preferredTime < now ? now : preferredTime;
+  }
+
+  // Manual scheduling from the dashboard/API. Without an explicit time the
+  // caller's parsed preferred time is kept if still ahead, else it is due now.
+  async schedule(request, preferredTime = null) {
+    const now = new Date();
+    let at = preferredTime;
+    if (!at && request.preferred_time && new Date(request.preferred_time) > now) {
+      at = new Date(request.preferred_time);
+    }
+    return await CallbackRequest.schedule(request.id, at || now, request.timezone || await this.timeZoneFor(request));
+  }
+
+  humanLineFor(agent) {
+    const transferConfig = this.transferService.parseConfig(agent);
+    if (transferConfig.mode !== 'callback' && transferConfig.target) {
+      return transferConfig.target;
+    }
+    return config.callbacks.humanNumber || null;
+  }
+
+  async placeCall(request) {
+    const agent = request.agent_id ? await Agent.findActiveById(request.agent_id) : null;
+    if (!agent) {
+      await CallbackRequest.recordOutcome(request.id, { status: 'cancelled', outcome: 'Agent archived or deleted' });
+      return;
+    }
+    if (await this.doNotCallService.check(request.customer_number, 'callback', { callback_request_id: request.id })) {
+      await CallbackRequest.recordOutcome(request.id, { status: 'cancelled', outcome: 'do-not-call' });
+      return;
+    }
+    // The customer asked for this call, so it waits for their calling hours
+    // rather than being dropped; the attempt is not counted
+    const contact = await Contact.findByPhoneNumber(request.customer_number);
+    const hours = await this.callingHoursService.check(agent, request.customer_number, {
+      contact,
+      source: 'callback',
+      details: { callback_request_id: request.id },
+      defer: true
+    });
+    if (!hours.allowed) {
+      await CallbackRequest.recordOutcome(request.id, {
+        status: hours.nextAllowedAt ? 'scheduled' : 'cancelled',
+        outcome: 'outside calling hours',
+        nextAttemptAt: hours.nextAllowedAt
+      });
+      return;
+    }
+
+    const humanLine = this.humanLineFor(agent);
+    const url = humanLine
+      ? `${config.app.baseUrl}/api/calls/callbacks/${request.id}/connect`
+      : `${config.app.baseUrl}/api/calls/twiml/${agent.id}`;
+
+    try {
+      const callResult = await this.twilioService.makeOutboundCall(request.customer_number, agent.id, url);
+      await CallbackRequest.markAttempt(request.id, callResult.callSid);
+
+      // The AI agent handles the call through the normal webhooks, so it
+      // needs a conversation like any other outbound call
+      if (!humanLine) {
+        await Conversation.create({
+          agent_id: agent.id,
+          call_sid: callResult.callSid,
+          direction: 'outbound',
+          customer_number: request.customer_number
+        });
+      }
+
+      console.log(`Callback ${request.id} placed to ${request.customer_number} (${humanLine ? 'human line' : 'AI agent'})`);
+    } catch (error) {
+      console.error(`Error placing callback ${request.id}:`, error.message);
+      await CallbackRequest.markAttempt(request.id, null);
+      await this.retryOrCancel(await CallbackRequest.findById(request.id), 'failed');
+    }
+  }
+
+  // Final status of a callback call, from the /api/calls/status webhook.
+  // Returns null for calls that are not callbacks.
+  async handleCallStatus(callSid, callStatus) {
+    const request = await CallbackRequest.findByCallSid(callSid);
+    if (!request) return null;
+
+    if (callStatus === 'completed') {
+      return await CallbackRequest.recordOutcome(request.id, { status: 'completed', outcome: 'Customer answered' });
+    }
+    if (RETRY_STATUSES.includes(callStatus)) {
+      return await this.retryOrCancel(request, callStatus);
+    }
+    return null;
+  }
+
+  async retryOrCancel(request, reason) {
+    if (request.attempts >= config.callbacks.maxAttempts) {
+      return await CallbackRequest.recordOutcome(request.id, {
+        status: 'cancelled',
+        outcome: `${reason} after ${request.attempts} attempts`
+      });
+    }
+
+    return await CallbackRequest.recordOutcome(request.id, {
+      status: 'scheduled',
+      outcome: reason,
+      nextAttemptAt: new Date(Date.now() + config.callbacks.retryDelay)
+    });
+  }
+
+  // TwiML for the customer's leg of a human-line callback
+  async buildConnectTwiml(requestId) {
+    const request = await CallbackRequest.findById(requestId);
+    const agent = request ? await Agent.findById(request.agent_id) : null;
+    const humanLine = agent ? this.humanLineFor(agent) : null;
+    if (!humanLine) return this.twilioService.generateHangupTwiml();
+
+    const transferConfig = this.transferService.parseConfig(agent);
+    const greeting = await this.aiService.generateTTS(CALLBACK_GREETING, agent.voice, { cache: true });
+    const baseUrl = `${config.app.baseUrl}/api/calls/callbacks/${request.id}`;
+
+    return this.twilioService.generateDialTwiml(humanLine, {
+      audioUrl: greeting.url,
+      actionUrl: `${baseUrl}/dial-status`,
+      whisperUrl: transferConfig.whisper ? `${baseUrl}/whisper` : null,
+      timeout: transferConfig.timeout
+    });
+  }
+
+  // Brief the team member on the original call before they are connected
+  async buildWhisperTwiml(requestId) {
+    const request = await CallbackRequest.findById(requestId);
+    const agent = request ? await Agent.findById(request.agent_id) : null;
+    if (!agent) return this.twilioService.generateWhisperTwiml();
+
+    const whisperUrl = await this.transferService.getWhisperUrl(agent, request.conversation_id, {
+      intro: 'Callback.'
+    });
+    return this.twilioService.generateWhisperTwiml(whisperUrl);
+  }
+
+  // The customer answered; record whether the team did too
+  async handleDialStatus(requestId, dialCallStatus) {
+    const request = await CallbackRequest.findById(requestId);
+    if (!request) return this.twilioService.generateHangupTwiml();
+
+    if (dialCallStatus === 'completed' || dialCallStatus === 'answered') {
+      await CallbackRequest.recordOutcome(request.id, { status: 'completed', outcome: 'Connected to team' });
+      return this.twilioService.generateHangupTwiml();
+    }
+
+    await this.retryOrCancel(request, `team ${dialCallStatus}`);
+    const agent = await Agent.findById(request.agent_id);
+    const tts = await this.aiService.generateTTS(CALLBACK_UNAVAILABLE_MESSAGE, agent?.voice, { cache: true });
+    return this.twilioService.generateHangupTwiml(tts.url);
+  }
+
+  // Local time of a request for display, e.g. in tool results
+  formatPreferredTime(request) {
+    if (!request?.preferred_time) return null;
+    const timeZone = request.timezone || this.timeZone;
+    return `${formatZoned(new Date(request.preferred_time), timeZone).replace('T', ' ')} ${timeZone}`;
+  }
+}
+
+export default CallbackService;
@@ -0,0 +1,163 @@
+import config from '../src/config.js';
+import Agent from '../models/Agent.js';
+import Contact from '../models/Contact.js';
+import Conversation from '../models/Conversation.js';
+import DeferredCall from '../models/DeferredCall.js';
+import ComplianceEvent from '../models/ComplianceEvent.js';
+import DoNotCallService from './DoNotCallService.js';
+import {
+  DEFAULT_CALLING_HOURS,
+  validateCallingHours,
+  resolveCallingHours,
+  calleeTimezone,
+  checkCallingHours
+} from '../src/calling-hours.js';
+
+// Keeps outbound calls inside the callee's calling hours (see
+// src/calling-hours.js): the global window from config.callingHours,
+// overridden per agent by `agents.calling_hours`. Calls from the outbound
+// route are rejected or deferred according to the rules' action; deferred
+// ones are kept in `deferred_calls` and placed by a poller when the window
+// opens. Campaigns and scheduled callbacks always defer, into their own
+// queues. Every refusal goes to the compliance log.
+class CallingHoursService {
+  constructor(twilioService = null) {
+    this.twilioService = twilioService;
+    this.doNotCallService = new DoNotCallService();
+    this.timer = null;
+    this.ticking = false;
+
+    this.defaults = config.callingHours;
+    const error = validateCallingHours(this.defaults);
+    if (error) {
+      console.error(`Invalid CALLING_HOURS settings (${error}), using ${DEFAULT_CALLING_HOURS.start}-${DEFAULT_CALLING_HOURS.end}`);
+      this.defaults = DEFAULT_CALLING_HOURS;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    // Deferred calls wait for a window to open, so the callback poll
+    // interval is fine-grained enough
+    this.timer = setInterval(() => this.tick(), config.callbacks.pollInterval);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      const dueCalls = await DeferredCall.findDue();
+      for (const call of dueCalls) {
+        await this.placeDeferred(call);
+      }
+    } catch (error) {
+      console.error('Error placing deferred calls:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  rulesFor(agent) {
+    return resolveCallingHours(this.defaults, agent?.calling_hours);
+  }
+
+  // Returns { allowed: true, timezone } when the call may be placed now.
+  // Otherwise logs the refusal and returns { allowed: false, action,
+  // timezone, localTime, nextAllowedAt }. `defer` forces the deferred
+  // action for paths that reschedule on their own (campaigns, callbacks).
+  async check(agent, phoneNumber, { contact = null, source, details = {}, defer = false, now = new Date() } = {}) {
+    const rules = this.rulesFor(agent);
+    const { timezone, source: timezoneSource } = calleeTimezone(rules, phoneNumber, contact?.timezone);
+    const { allowed, localTime, nextAllowedAt } = checkCallingHours(rules, timezone, now);
+    if (allowed) return { allowed, timezone };
+
+    const action = defer ? 'defer' : rules.action;
+    console.log(`Outside calling hours for ${phoneNumber} (${localTime} ${timezone}); ${action === 'defer' ? 'deferring' : 'rejecting'} ${source} call`);
+    await ComplianceEvent.create({
+      type: action === 'defer' ? 'calling_hours_deferred' : 'calling_hours_blocked',
+      phone_number: phoneNumber,
+      source,
+      details: {
+        ...details,
+        timezone,
+        timezone_source: timezoneSource,
+        local_time: localTime,
+        window: `${rules.start}-${rules.end}`,
+        next_allowed_at: nextAllowedAt?.toISOString() || null
+      }
+    });
+    return { allowed, action, timezone, localTime, nextAllowedAt };
+  }
+
+  async defer(agent, phoneNumber, contact, { timezone, nextAllowedAt }) {
+    const call = await DeferredCall.create({
+      agent_id: agent.id,
+      contact_id: contact?.id || null,
+      phone_number: phoneNumber,
+      timezone,
+      scheduled_for: nextAllowedAt
+    });
+    console.log(`Deferred call ${call.id} to ${phoneNumber} until ${call.scheduled_for}`);
+    return call;
+  }
+
+  // The window has opened: check the list and the hours again, since
+  // either may have changed, then dial as the outbound route does
+  async placeDeferred(call) {
+    const agent = await Agent.findActiveById(call.agent_id);
+    if (!agent) {
+      await DeferredCall.recordOutcome(call.id, { status: 'cancelled', outcome: 'Agent archived or deleted' });
+      return;
+    }
+    if (await this.doNotCallService.check(call.phone_number, 'deferred', { deferred_call_id: call.id })) {
+      await DeferredCall.recordOutcome(call.id, { status: 'cancelled', outcome: 'do-not-call' });
+      return;
+    }
+
+    const contact = call.contact_id ? await Contact.findById(call.contact_id) : null;
+    const hours = await this.check(agent, call.phone_number, {
+      contact,
+      source: 'deferred',
+      details: { deferred_call_id: call.id },
+      defer: true
+    });
+    if (!hours.allowed) {
+      if (hours.nextAllowedAt) {
+        await DeferredCall.reschedule(call.id, hours.nextAllowedAt);
+      } else {
+        await DeferredCall.recordOutcome(call.id, { status: 'cancelled', outcome: 'No calling window' });
+      }
+      return;
+    }
+
+    try {
+      const callbackUrl = `${config.app.baseUrl}/api/calls/twiml/${agent.id}`;
+      const callResult = await this.twilioService.makeOutboundCall(call.phone_number, agent.id, callbackUrl);
+
+      const conversation = await Conversation.createOutbound({
+        agent_id: agent.id,
+        call_sid: callResult.callSid,
+        customer_number: call.phone_number
+      }, contact?.id);
+
+      await DeferredCall.recordOutcome(call.id, {
+        status: 'placed',
+        callSid: callResult.callSid,
+        conversationId: conversation.id
+      });
+      console.log(`Deferred call ${call.id} placed to ${call.phone_number}`);
+    } catch (error) {
+      console.error(`Error placing deferred call ${call.id}:`, error.message);
+      await DeferredCall.recordOutcome(call.id, { status: 'failed', outcome: error.message });
+    }
+  }
+}
+
+export default CallingHoursService;
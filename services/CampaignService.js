@@ -0,0 +1,310 @@
+import config from '../src/config.js';
+import Agent from '../models/Agent.js';
+import Contact from '../models/Contact.js';
+import Conversation from '../models/Conversation.js';
+import Campaign from '../models/Campaign.js';
+import CampaignContact from '../models/CampaignContact.js';
+import { isValidTimeZone } from '../src/timezone.js';
+import { WEEKDAYS, isWithinHours } from '../src/calling-hours.js';
+import { parseCsvRecords } from '../src/csv.js';
+import DoNotCallService from './DoNotCallService.js';
+import CallingHoursService from './CallingHoursService.js';
+
+// Final call statuses other than completed
+const UNANSWERED_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+// Outcomes a campaign may retry: the above, or an answering machine
+const RETRYABLE_OUTCOMES = [...UNANSWERED_STATUSES, 'voicemail'];
+export const DEFAULT_RETRY_ON = ['busy', 'no-answer', 'voicemail'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// Campaign actions and the statuses they are allowed from
+const TRANSITIONS = {
+  start: { from: ['draft'], to: 'running' },
+  pause: { from: ['running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'running' },
+  cancel: { from: ['draft', 'running', 'paused'], to: 'cancelled' }
+};
+
+// Numeric campaign settings and their allowed ranges
+const LIMITS = {
+  max_concurrent: [1, 50],
+  calls_per_minute: [1, 120],
+  max_attempts: [1, 10],
+  retry_delay_minutes: [1, 7 * 24 * 60]
+};
+
+// Dials campaign contacts through an agent. A poller walks the running
+// campaigns and places calls while inside the campaign's calling window,
+// keeping at most max_concurrent calls up and calls_per_minute started per
+// rolling minute. Call outcomes arrive through the /api/calls/status
+// webhook; busy, no-answer and voicemail (per retry_on) are retried after
+// retry_delay_minutes until max_attempts.
+class CampaignService {
+  constructor(twilioService) {
+    this.twilioService = twilioService;
+    this.doNotCallService = new DoNotCallService();
+    this.callingHoursService = new CallingHoursService();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), config.campaigns.pollInterval);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      const campaigns = await Campaign.findByStatus('running');
+      for (const campaign of campaigns) {
+        await this.dialCampaign(campaign);
+      }
+    } catch (error) {
+      console.error('Error running campaigns:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Returns an error message for the first invalid setting, or null
+  validateSettings(settings) {
+    const { window_start, window_end, calling_days, timezone, retry_on } = settings;
+
+    for (const [field, value] of [['window_start', window_start], ['window_end', window_end]]) {
+      if (value !== undefined && !TIME_PATTERN.test(value)) {
+        return `${field} must be a 24-hour HH:mm time`;
+      }
+    }
+    if (window_start !== undefined && window_start === window_end) {
+      return 'The calling window must not be empty';
+    }
+    if (calling_days !== undefined && calling_days !== null &&
+        (!Array.isArray(calling_days) || calling_days.length === 0 || calling_days.some(day => !WEEKDAYS.includes(day)))) {
+      return `calling_days must be a non-empty array of: ${WEEKDAYS.join(', ')}`;
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return `Unknown time zone: ${timezone}`;
+    }
+    for (const [field, [min, max]] of Object.entries(LIMITS)) {
+      const value = settings[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+        return `${field} must be a whole number between ${min} and ${max}`;
+      }
+    }
+    if (retry_on !== undefined && retry_on !== null &&
+        (!Array.isArray(retry_on) || retry_on.some(status => !RETRYABLE_OUTCOMES.includes(status)))) {
+      return `retry_on must be an array of: ${RETRYABLE_OUTCOMES.join(', ')}`;
+    }
+    return null;
+  }
+
+  // Resolve a contact selection (explicit ids, a tag, a search term and/or
+  // CSV text) to de-duplicated contacts. CSV rows without a usable phone
+  // number are counted in `skipped`.
+  async selectContacts({ contact_ids, tag, search, csv } = {}) {
+    const selected = new Map();
+    let skipped = 0;
+
+    if (Array.isArray(contact_ids)) {
+      for (const id of contact_ids) {
+        const contact = await Contact.findActiveById(id);
+        if (contact) selected.set(contact.id, contact);
+        else skipped++;
+      }
+    }
+    if (tag || search) {
+      for (const contact of await Contact.findMatching({ tag, search })) {
+        selected.set(contact.id, contact);
+      }
+    }
+    if (csv) {
+      const imported = await this.importCsv(csv);
+      imported.contacts.forEach(contact => selected.set(contact.id, contact));
+      skipped += imported.skipped;
+    }
+
+    return { contacts: Array.from(selected.values()), skipped };
+  }
+
+  // CSV needs a phone_number (or phone) column; name, email and company are
+  // optional. Unknown numbers become new contacts; archived ones are restored.
+  async importCsv(csv) {
+    const contacts = [];
+    let skipped = 0;
+
+    for (const record of parseCsvRecords(csv)) {
+      const phoneNumber = (record.phone_number || record.phone || '').replace(/[\s().-]/g, '');
+      if (!PHONE_PATTERN.test(phoneNumber)) {
+        skipped++;
+        continue;
+      }
+
+      let contact = await Contact.findByPhoneNumber(phoneNumber);
+      if (contact?.archived_at) {
+        contact = await Contact.restore(contact.id);
+      }
+      contact ||= await Contact.create({
+        name: record.name || phoneNumber,
+        phone_number: phoneNumber,
+        email: record.email || null,
+        company: record.company || null
+      });
+      contacts.push(contact);
+    }
+
+    return { contacts, skipped };
+  }
+
+  // Apply start/pause/resume/cancel. Returns { campaign } or { error }.
+  async transition(campaign, action) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      return { error: `Unknown campaign action: ${action}` };
+    }
+    if (!transition.from.includes(campaign.status)) {
+      return { error: `Cannot ${action} a ${campaign.status} campaign` };
+    }
+
+    if (action === 'cancel') {
+      // Calls already in progress finish; nothing else is dialled
+      await CampaignContact.cancelPending(campaign.id);
+    }
+    console.log(`Campaign ${campaign.id} ${transition.to}`);
+    return { campaign: await Campaign.updateStatus(campaign.id, transition.to) };
+  }
+
+  isWithinWindow(campaign, now = new Date()) {
+    return isWithinHours({
+      start: campaign.window_start,
+      end: campaign.window_end,
+      days: campaign.calling_days ? JSON.parse(campaign.calling_days) : null
+    }, campaign.timezone, now);
+  }
+
+  async dialCampaign(campaign, now = new Date()) {
+    const calling = await CampaignContact.countByStatus(campaign.id, 'calling');
+    const pending = await CampaignContact.countByStatus(campaign.id, 'pending');
+    if (pending === 0 && calling === 0) {
+      await Campaign.updateStatus(campaign.id, 'completed');
+      console.log(`Campaign ${campaign.id} completed`);
+      return;
+    }
+    if (pending === 0 || !this.isWithinWindow(campaign, now)) return;
+
+    const startedLastMinute = await CampaignContact.countAttemptsSince(campaign.id, new Date(now.getTime() - 60 * 1000));
+    const slots = Math.min(campaign.max_concurrent - calling, campaign.calls_per_minute - startedLastMinute);
+    if (slots <= 0) return;
+
+    const dueContacts = await CampaignContact.findDue(campaign.id, slots, now);
+    if (dueContacts.length === 0) return;
+
+    const agent = await Agent.findActiveById(campaign.agent_id);
+    if (!agent) {
+      console.error(`Agent ${campaign.agent_id} for campaign ${campaign.id} is archived or gone; pausing`);
+      await Campaign.updateStatus(campaign.id, 'paused');
+      return;
+    }
+
+    for (const entry of dueContacts) {
+      await this.placeCall(campaign, agent, entry);
+    }
+  }
+
+  async placeCall(campaign, agent, entry) {
+    if (await this.doNotCallService.check(entry.phone_number, 'campaign', { campaign_id: campaign.id })) {
+      await CampaignContact.recordOutcome(entry.id, { status: 'cancelled', outcome: 'do-not-call' });
+      return;
+    }
+    // Inside the campaign's window but outside the callee's own calling
+    // hours: try again when they open, without using up an attempt
+    const hours = await this.callingHoursService.check(agent, entry.phone_number, {
+      contact: await Contact.findById(entry.contact_id),
+      source: 'campaign',
+      details: { campaign_id: campaign.id },
+      defer: true
+    });
+    if (!hours.allowed) {
+      await CampaignContact.recordOutcome(entry.id, hours.nextAllowedAt
+        ? { status: 'pending', outcome: 'outside calling hours', nextAttemptAt: hours.nextAllowedAt }
+        : { status: 'cancelled', outcome: 'outside calling hours' });
+      return;
+    }
+
+    try {
+      const callbackUrl = `${config.app.baseUrl}/api/calls/twiml/${agent.id}`;
+      const callResult = await this.twilioService.makeOutboundCall(entry.phone_number, agent.id, callbackUrl);
+
+      const conversation = await Conversation.createOutbound({
+        agent_id: agent.id,
+        call_sid: callResult.callSid,
+        customer_number: entry.phone_number
+      }, entry.contact_id);
+
+      await CampaignContact.markCalling(entry.id, { callSid: callResult.callSid, conversationId: conversation.id });
+    } catch (error) {
+      console.error(`Error dialling ${entry.phone_number} for campaign ${campaign.id}:`, error.message);
+      await CampaignContact.markCalling(entry.id, { callSid: null, conversationId: null });
+      await this.retryOrFail(campaign, await CampaignContact.findById(entry.id), 'failed');
+    }
+  }
+
+  // Final status of a campaign call, from the /api/calls/status webhook.
+  // Returns null for calls that are not part of a campaign.
+  async handleCallStatus(callSid, callStatus) {
+    const entry = await CampaignContact.findByCallSid(callSid);
+    if (!entry) return null;
+
+    if (callStatus === 'completed') {
+      return await CampaignContact.recordOutcome(entry.id, { status: 'completed', outcome: 'answered' });
+    }
+    if (UNANSWERED_STATUSES.includes(callStatus)) {
+      const campaign = await Campaign.findById(entry.campaign_id);
+      return await this.retryOrFail(campaign, entry, callStatus);
+    }
+    return null;
+  }
+
+  // Answering machine detection hit a machine. Retried when the campaign's
+  // retry_on includes "voicemail"; otherwise final, and counted as completed
+  // if the agent left a message.
+  async recordVoicemail(entry, { messageLeft }) {
+    const campaign = await Campaign.findById(entry.campaign_id);
+    if (!messageLeft || this.retryOn(campaign).includes('voicemail')) {
+      return await this.retryOrFail(campaign, entry, 'voicemail');
+    }
+    return await CampaignContact.recordOutcome(entry.id, { status: 'completed', outcome: 'voicemail left' });
+  }
+
+  retryOn(campaign) {
+    return campaign.retry_on ? JSON.parse(campaign.retry_on) : DEFAULT_RETRY_ON;
+  }
+
+  async retryOrFail(campaign, entry, callStatus) {
+    const retryOn = this.retryOn(campaign);
+
+    if (campaign.status === 'cancelled') {
+      return await CampaignContact.recordOutcome(entry.id, { status: 'cancelled', outcome: callStatus });
+    }
+    if (retryOn.includes(callStatus) && entry.attempts < campaign.max_attempts) {
+      return await CampaignContact.recordOutcome(entry.id, {
+        status: 'pending',
+        outcome: callStatus,
+        nextAttemptAt: new Date(Date.now() + campaign.retry_delay_minutes * 60 * 1000)
+      });
+    }
+    return await CampaignContact.recordOutcome(entry.id, { status: 'failed', outcome: callStatus });
+  }
+}
+
+export default CampaignService;
@@ -0,0 +1,87 @@
+import Conversation from '../models/Conversation.js';
+import {
+  parseConsentConfig,
+  resolveJurisdiction,
+  consentPolicy,
+  consentOutcome,
+  CONSENT_RETRY_PROMPT
+} from '../src/consent.js';
+
+// The consent step at the start of every call (see src/consent.js for the
+// agent settings). The script is spoken in the agent's own voice; the
+// outcome, when it happened and what was said are stored on the
+// conversation as the compliance record.
+class ConsentService {
+  constructor(aiService, twilioService) {
+    this.aiService = aiService;
+    this.twilioService = twilioService;
+  }
+
+  // `body` is the raw Twilio webhook, which carries the caller's location
+  policyFor(agent, body) {
+    return consentPolicy(parseConsentConfig(agent.consent_config), resolveJurisdiction(body));
+  }
+
+  // Every distinct policy the agent can apply: the defaults where consent
+  // is required and where a disclosure is enough (e.g. one-party consent
+  // New York), plus each jurisdiction override
+  policiesFor(agent) {
+    const consentConfig = parseConsentConfig(agent.consent_config);
+    const jurisdictions = [null, 'US-NY', ...Object.keys(consentConfig.jurisdictions || {})];
+    const policies = new Map();
+    for (const jurisdiction of jurisdictions) {
+      const policy = consentPolicy(consentConfig, jurisdiction);
+      if (policy.text) policies.set(`${policy.ask}:${policy.text}`, policy);
+    }
+    return Array.from(policies.values());
+  }
+
+  // `language` is the <Gather> language the answer is recognized in
+  async buildPromptTwiml(agent, policy, actionUrl, attempt = 1, language = 'en-US') {
+    const text = attempt > 1 ? `${CONSENT_RETRY_PROMPT} ${policy.text}` : policy.text;
+
+    let audioUrl = null;
+    try {
+      audioUrl = (await this.aiService.generateTTS(text, agent.voice, { cache: true })).url;
+    } catch (error) {
+      // Still ask, in Twilio's voice, rather than skip consent
+      console.error('Error synthesizing consent script:', error.message);
+    }
+    return this.twilioService.generateConsentTwiml(actionUrl, { audioUrl, text, dtmf: policy.dtmf, attempt, language });
+  }
+
+  // Classify the caller's answer. Returns { outcome, policy }; a null
+  // outcome means the answer was unclear and the caller should be asked again.
+  async handleResponse(agent, conversation, body, attempt = 1) {
+    const policy = this.policyFor(agent, body);
+    const reply = { speech: body.SpeechResult, digits: body.Digits };
+    const { answer, method, reason } = await this.aiService.classifyConsent(reply, policy.text);
+    console.log(`Consent answer for conversation ${conversation.id}: ${answer} (${reason})`);
+
+    const outcome = consentOutcome(answer, attempt);
+    if (outcome) {
+      await this.record(conversation.id, policy, outcome, {
+        method,
+        response: reply.digits || reply.speech || null,
+        reason,
+        attempts: attempt
+      });
+    }
+    return { outcome, policy };
+  }
+
+  async record(conversationId, policy, outcome, details = {}) {
+    await Conversation.update(conversationId, {
+      consent_outcome: outcome,
+      consent_at: new Date().toISOString(),
+      consent_record: JSON.stringify({
+        jurisdiction: policy.jurisdiction,
+        asked: policy.ask,
+        script: policy.text,
+        ...details
+      })
+    });
+  }
+}
+
+export default ConsentService;
@@ -0,0 +1,105 @@
+import DoNotCall from '../models/DoNotCall.js';
+import ComplianceEvent from '../models/ComplianceEvent.js';
+import {
+  DNC_SOURCES,
+  OPT_OUT_REASON,
+  normalizePhoneNumber,
+  isValidPhoneNumber,
+  parsePhoneList
+} from '../src/dnc.js';
+
+// The do-not-call suppression list. Every outbound path (the outbound
+// route, campaigns, scheduled callbacks) checks it before dialling, and
+// callers who ask not to be called again are added automatically. Blocked
+// attempts and changes to the list go to the compliance log.
+class DoNotCallService {
+  // Returns the list entry when the number must not be dialled, after
+  // logging the blocked attempt; null when the call may go ahead.
+  // `source` names the outbound path, e.g. "outbound" or "campaign".
+  async check(phoneNumber, source, details = {}) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    const entry = await DoNotCall.findByPhoneNumber(normalized);
+    if (!entry) return null;
+
+    console.log(`Blocked ${source} call to ${normalized}: number is on the do-not-call list`);
+    await ComplianceEvent.create({
+      type: 'dnc_blocked',
+      phone_number: normalized,
+      source,
+      details: { ...details, listed_at: entry.created_at, listed_reason: entry.reason }
+    });
+    return entry;
+  }
+
+  // Returns { entry, added } or { error }
+  async add(phoneNumber, { reason = null, source = 'manual', conversationId = null } = {}) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!isValidPhoneNumber(normalized)) {
+      return { error: 'Phone number must be in E.164 format, e.g. +15551234567' };
+    }
+    if (!DNC_SOURCES.includes(source)) {
+      return { error: `Source must be one of: ${DNC_SOURCES.join(', ')}` };
+    }
+
+    const { added, entry } = await DoNotCall.add({
+      phone_number: normalized,
+      reason,
+      source,
+      conversation_id: conversationId
+    });
+    if (added) {
+      await ComplianceEvent.create({
+        type: 'dnc_added',
+        phone_number: normalized,
+        source,
+        details: { reason, conversation_id: conversationId }
+      });
+    }
+    return { entry, added };
+  }
+
+  // Add every number in an uploaded CSV or plain-text list
+  async importList(text, { reason = null } = {}) {
+    const { numbers, skipped } = parsePhoneList(text);
+
+    let added = 0;
+    for (const phoneNumber of numbers) {
+      const result = await DoNotCall.add({ phone_number: phoneNumber, reason, source: 'import' });
+      if (result.added) added++;
+    }
+    await ComplianceEvent.create({
+      type: 'dnc_imported',
+      source: 'import',
+      details: { reason, added, duplicates: numbers.length - added, skipped }
+    });
+    return { added, duplicates: numbers.length - added, skipped };
+  }
+
+  async remove(phoneNumber) {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    const removed = await DoNotCall.delete(normalized);
+    if (removed) {
+      await ComplianceEvent.create({ type: 'dnc_removed', phone_number: normalized, source: 'manual' });
+    }
+    return removed;
+  }
+
+  // The caller asked not to be called again (the opt_out intent)
+  async recordOptOut(conversation) {
+    if (!conversation?.customer_number) return null;
+
+    const result = await this.add(conversation.customer_number, {
+      reason: OPT_OUT_REASON,
+      source: 'opt_out',
+      conversationId: conversation.id
+    });
+    if (result.error) {
+      console.error(`Could not add opt-out ${conversation.customer_number} to the do-not-call list: ${result.error}`);
+      return null;
+    }
+    console.log(`Added ${result.entry.phone_number} to the do-not-call list (opt-out)`);
+    return result.entry;
+  }
+}
+
+export default DoNotCallService;
@@ -0,0 +1,86 @@
+import Conversation from '../models/Conversation.js';
+import {
+  parseLanguageConfig,
+  needsDetection,
+  languageSettings,
+  languageInstruction,
+  languageMenu,
+  menuChoice,
+  matchLanguage
+} from '../src/language.js';
+
+// The caller's language on multilingual agents (see src/language.js for
+// the agent settings). The language is picked once per call, from the
+// keypad menu or the caller's first words, and stored on the conversation;
+// every later turn reads it back to choose the <Gather> language, STT
+// language, LLM instruction and TTS voice.
+class LanguageService {
+  constructor(aiService, twilioService) {
+    this.aiService = aiService;
+    this.twilioService = twilioService;
+  }
+
+  configFor(agent) {
+    return parseLanguageConfig(agent.language_config);
+  }
+
+  // Settings for the conversation's language, or the agent's default
+  settingsFor(agent, conversation) {
+    return languageSettings(this.configFor(agent), conversation?.language, agent.voice);
+  }
+
+  instructionFor(agent, settings) {
+    return languageInstruction(this.configFor(agent), settings);
+  }
+
+  // Whether to offer the menu before the call starts
+  offersMenu(agent, conversation) {
+    const languageConfig = this.configFor(agent);
+    return languageConfig.detect === 'menu' && needsDetection(languageConfig) && !conversation?.language;
+  }
+
+  // Whether the caller's next words decide the language
+  detectsFromSpeech(agent) {
+    const languageConfig = this.configFor(agent);
+    return languageConfig.detect === 'auto' && needsDetection(languageConfig);
+  }
+
+  buildMenuTwiml(agent, actionUrl) {
+    return this.twilioService.generateLanguageMenuTwiml(actionUrl, languageMenu(this.configFor(agent)));
+  }
+
+  // The caller's menu choice; no or an unknown answer keeps the default
+  async handleMenuResponse(agent, conversation, body) {
+    const languageConfig = this.configFor(agent);
+    const code = menuChoice(languageConfig, { speech: body.SpeechResult, digits: body.Digits }) || languageConfig.default;
+    console.log(`Language chosen from menu for conversation ${conversation.id}: ${code}`);
+    return await this.setLanguage(agent, conversation, code);
+  }
+
+  // Classify the caller's first utterance. `heard` is the language a
+  // multilingual recognizer tagged it with, which saves the LLM call.
+  async detect(agent, conversation, text, { heard = null, signal } = {}) {
+    const languageConfig = this.configFor(agent);
+    const code = matchLanguage(languageConfig, heard) ||
+      await this.aiService.detectLanguage(text, languageConfig.languages, { signal }) ||
+      conversation.language ||
+      languageConfig.default;
+
+    if (code !== conversation.language) {
+      console.log(`Detected ${code} for conversation ${conversation.id}`);
+    }
+    return await this.setLanguage(agent, conversation, code);
+  }
+
+  // Store the language (when it changed) and return its settings
+  async setLanguage(agent, conversation, code) {
+    const settings = languageSettings(this.configFor(agent), code, agent.voice);
+    if (conversation.language !== settings.code) {
+      await Conversation.update(conversation.id, { language: settings.code });
+      conversation.language = settings.code;
+    }
+    return settings;
+  }
+}
+
+export default LanguageService;
@@ -0,0 +1,116 @@
+import config from '../src/config.js';
+import Conversation from '../models/Conversation.js';
+import { audioStore } from '../src/audio-store.js';
+import {
+  RECORDING_FORMAT,
+  parseEncryptionKey,
+  encryptRecording,
+  decryptRecording,
+  recordingExpiry,
+  recordingSid,
+  waitForRecording
+} from '../src/recordings.js';
+
+// Copies call recordings out of Twilio when a call completes (see
+// src/recordings.js), so playback no longer depends on Twilio keeping
+// them. Copies go to audio storage under recordings/, encrypted when
+// RECORDING_ENCRYPTION_KEY is set. With RECORDING_RETENTION_DAYS they are
+// deleted, here and at Twilio, once they expire.
+class RecordingService {
+  constructor(twilioService) {
+    this.twilioService = twilioService;
+    this.encryptionKey = parseEncryptionKey(config.recordings.encryptionKey);
+    this.timer = null;
+    this.purging = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    if (!this.encryptionKey) {
+      console.warn('RECORDING_ENCRYPTION_KEY is not set; call recordings are stored unencrypted');
+    }
+    this.timer = setInterval(() => this.purgeExpired(), config.audio.cleanupInterval);
+    this.timer.unref();
+    this.purgeExpired();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Download the recording and store our own copy. `channels` is 2 for
+  // dual-channel recordings, with customer and agent on separate tracks.
+  async archive(conversation, recordingUrl, { channels = 1 } = {}) {
+    if (conversation.recording_key) return conversation.recording_key;
+
+    const audio = await waitForRecording(() => this.twilioService.fetchRecording(recordingUrl, RECORDING_FORMAT));
+    const key = `recordings/${conversation.id}.${RECORDING_FORMAT}`;
+    await audioStore.put(key, encryptRecording(audio, this.encryptionKey));
+
+    await Conversation.update(conversation.id, {
+      recording_url: recordingUrl,
+      recording_key: key,
+      recording_channels: channels,
+      recording_expires_at: recordingExpiry(config.recordings.retentionDays)
+    });
+    console.log(`Recording for conversation ${conversation.id} archived (${audio.length} bytes)`);
+
+    if (config.recordings.deleteFromTwilio) {
+      await this.deleteFromTwilio(recordingUrl);
+    }
+    return key;
+  }
+
+  // The recording's audio, or null when there is no archived copy
+  async load(conversation) {
+    if (!conversation.recording_key) return null;
+    const data = await audioStore.read(conversation.recording_key);
+    return data ? decryptRecording(data, this.encryptionKey) : null;
+  }
+
+  // Delete recordings past their retention, along with Twilio's copy so
+  // playback can't fall back to it
+  async purgeExpired() {
+    if (this.purging) return 0;
+    this.purging = true;
+    let purged = 0;
+    try {
+      for (const conversation of await Conversation.findExpiredRecordings()) {
+        try {
+          await audioStore.delete(conversation.recording_key);
+          if (conversation.recording_url) {
+            await this.deleteFromTwilio(conversation.recording_url);
+          }
+          await Conversation.update(conversation.id, {
+            recording_key: null,
+            recording_url: null,
+            recording_expires_at: null
+          });
+          purged++;
+        } catch (error) {
+          console.error(`Error deleting recording for conversation ${conversation.id}:`, error.message);
+        }
+      }
+      if (purged > 0) console.log(`Deleted ${purged} expired call recordings`);
+    } catch (error) {
+      console.error('Error purging expired recordings:', error);
+    } finally {
+      this.purging = false;
+    }
+    return purged;
+  }
+
+  async deleteFromTwilio(recordingUrl) {
+    const sid = recordingSid(recordingUrl);
+    if (!sid) return;
+    try {
+      await this.twilioService.deleteRecording(sid);
+    } catch (error) {
+      // Already gone at Twilio is fine
+      if (error.status !== 404) throw error;
+    }
+  }
+}
+
+export default RecordingService;
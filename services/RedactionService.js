@@ -0,0 +1,178 @@
+import config from '../src/config.js';
+import Conversation from '../models/Conversation.js';
+import ToolInvocation from '../models/ToolInvocation.js';
+import ComplianceEvent from '../models/ComplianceEvent.js';
+import PiiVault from '../models/PiiVault.js';
+import {
+  DEFAULT_REDACTION_CONFIG,
+  validateRedactionConfig,
+  resolveRedactionConfig,
+  redactText,
+  redactWords,
+  maskValue,
+  vaultToken,
+  sealValue,
+  openValue,
+  revealText,
+  vaultAccessAllowed,
+  deepgramRedact
+} from '../src/redaction.js';
+import { parseEncryptionKey } from '../src/recordings.js';
+
+// Keeps PII out of what we store, log and send for analysis (see
+// src/redaction.js): the global policy from config.redaction, overridden
+// per agent by `agents.redaction_config`. With PII_VAULT_KEY set, stored
+// text carries vault tokens and the originals are kept encrypted in
+// `pii_vault`, so holders of PII_VAULT_ACCESS_TOKEN can read the call back
+// unredacted; every such read goes to the compliance log. The agent itself
+// still sees what the caller said, so tools work on the real values.
+class RedactionService {
+  constructor() {
+    this.defaults = config.redaction;
+    const error = validateRedactionConfig(this.defaults);
+    if (error) {
+      console.error(`Invalid PII_REDACTION settings (${error}), redacting all types`);
+      this.defaults = DEFAULT_REDACTION_CONFIG;
+    }
+    this.vaultKey = parseEncryptionKey(config.redaction.vaultKey, 'PII vault key');
+  }
+
+  policyFor(agent) {
+    return resolveRedactionConfig(this.defaults, agent?.redaction_config);
+  }
+
+  // Provider-side redaction classes for transcribing recordings, or
+  // undefined when Deepgram redaction is off
+  providerRedact(agent) {
+    const policy = this.policyFor(agent);
+    return config.redaction.deepgram && policy.enabled ? deepgramRedact(policy.types) : undefined;
+  }
+
+  // For log lines and analysis prompts: labels only, nothing vaulted
+  mask(value, agent = null) {
+    return maskValue(value, this.policyFor(agent));
+  }
+
+  async redact(text, conversationId, agent) {
+    const { text: redacted, entities } = redactText(text, this.policyFor(agent), this.tokenFor(conversationId));
+    await this.vault(conversationId, entities);
+    return redacted;
+  }
+
+  // Every string in a JSON value, e.g. tool arguments and results
+  async redactValue(value, conversationId, agent) {
+    if (typeof value === 'string') return await this.redact(value, conversationId, agent);
+    if (Array.isArray(value)) {
+      return await Promise.all(value.map(item => this.redactValue(item, conversationId, agent)));
+    }
+    if (value && typeof value === 'object') {
+      const entries = await Promise.all(Object.entries(value).map(async ([key, item]) => [key, await this.redactValue(item, conversationId, agent)]));
+      return Object.fromEntries(entries);
+    }
+    return value;
+  }
+
+  // Conversation.addMessage with the content redacted
+  async addMessage(conversationId, role, content, agent, options = {}) {
+    return await Conversation.addMessage(conversationId, role, await this.redact(content, conversationId, agent), options);
+  }
+
+  // An aligned transcript (see src/transcript.js) with PII words replaced
+  async redactTranscript(aligned, conversationId, agent) {
+    const policy = this.policyFor(agent);
+    const tokenFor = this.tokenFor(conversationId);
+    const found = [];
+    const utterances = aligned.utterances.map(utterance => {
+      const { words, entities } = redactWords(utterance.words, policy, tokenFor);
+      found.push(...entities);
+      return entities.length > 0
+        ? { ...utterance, text: words.map(word => word.word).join(' '), words }
+        : utterance;
+    });
+    await this.vault(conversationId, found);
+    return { ...aligned, utterances };
+  }
+
+  // Messages as the caller said them, for the agent's own context
+  async revealMessages(messages, conversationId) {
+    const values = await this.vaultValues(conversationId);
+    if (values.size === 0) return messages;
+    return messages.map(message => ({ ...message, content: revealText(message.content, values) }));
+  }
+
+  authorize(token) {
+    return vaultAccessAllowed(token, config.redaction.accessToken);
+  }
+
+  // The call's messages, transcripts and tool invocations with vaulted
+  // values restored. Logged to the compliance log; null when the
+  // conversation doesn't exist.
+  async unredacted(conversationId, { source = 'api', requestedBy = null } = {}) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) return null;
+
+    const values = await this.vaultValues(conversationId);
+    const reveal = value => revealValue(value, values);
+    const messages = await Conversation.getMessages(conversationId);
+    const toolInvocations = await ToolInvocation.findByConversationId(conversationId);
+
+    await ComplianceEvent.create({
+      type: 'pii_revealed',
+      phone_number: conversation.customer_number,
+      source,
+      details: { conversation_id: conversationId, values: values.size, requested_by: requestedBy }
+    });
+
+    return {
+      id: conversation.id,
+      transcription: reveal(conversation.transcription),
+      aligned_transcript: conversation.aligned_transcript ? reveal(JSON.parse(conversation.aligned_transcript)) : null,
+      messages: messages.map(message => ({ ...message, content: reveal(message.content) })),
+      tool_invocations: toolInvocations.map(invocation => ({
+        ...invocation,
+        arguments: reveal(invocation.arguments),
+        result: reveal(invocation.result)
+      }))
+    };
+  }
+
+  tokenFor(conversationId) {
+    return this.vaultKey
+      ? (type, value) => vaultToken(this.vaultKey, conversationId, type, value)
+      : undefined;
+  }
+
+  async vault(conversationId, entities) {
+    if (!this.vaultKey || entities.length === 0) return;
+    await PiiVault.store(conversationId, entities.map(({ token, type, value }) => ({
+      token,
+      type,
+      value: sealValue(this.vaultKey, value)
+    })));
+  }
+
+  async vaultValues(conversationId) {
+    if (!this.vaultKey) return new Map();
+    const rows = await PiiVault.findByConversationId(conversationId);
+    const values = new Map();
+    for (const row of rows) {
+      try {
+        values.set(row.token, openValue(this.vaultKey, row.value));
+      } catch (error) {
+        console.error(`Cannot open vaulted value ${row.token}:`, error.message);
+      }
+    }
+    return values;
+  }
+}
+
+function revealValue(value, values) {
+  if (typeof value === 'string') return revealText(value, values);
+  if (Array.isArray(value)) return value.map(item => revealValue(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, revealValue(item, values)]));
+  }
+  return value;
+}
+
+export default RedactionService;
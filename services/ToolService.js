@@ -0,0 +1,246 @@
+import fetch from 'node-fetch';
+import Contact from '../models/Contact.js';
+import CallbackRequest from '../models/CallbackRequest.js';
+import ToolInvocation from '../models/ToolInvocation.js';
+import RedactionService from './RedactionService.js';
+
+// Tool names must satisfy the strictest provider (OpenAI function names)
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const HTTP_TOOL_TIMEOUT = 5000;
+// Keep tool output small; it is fed back into a 75-token voice reply
+const MAX_RESULT_LENGTH = 2000;
+
+// Built-in tools. An agent enables one with `{ "type": "lookup_contact" }`;
+// name, description and parameters may be overridden per agent.
+const BUILTIN_TOOLS = {
+  lookup_contact: {
+    description: 'Look up the CRM record for the caller\'s phone number.',
+    parameters: { type: 'object', properties: {} },
+    // Only ever the caller's own record: a number the model passes could be
+    // anyone's, and whoever is on the line would hear their details
+    async run(args, context) {
+      const contact = await Contact.findByPhoneNumber(context.customerNumber);
+      if (!contact || contact.archived_at) {
+        return { found: false };
+      }
+      return {
+        found: true,
+        name: contact.name,
+        company: contact.company,
+        email: contact.email,
+        notes: contact.notes,
+        last_called: contact.last_called,
+        call_count: contact.call_count
+      };
+    }
+  },
+
+  create_callback: {
+    description: 'Schedule a callback from a human team member for the caller.',
+    parameters: {
+      type: 'object',
+      properties: {
+        preferred_time: { type: 'string', description: 'When the caller would like to be called back, as they said it' },
+        reason: { type: 'string', description: 'Why the caller wants a callback' }
+      }
+    },
+    async run(args, context) {
+      const callbackRequest = await CallbackRequest.create({
+        conversation_id: context.conversationId,
+        customer_number: context.customerNumber,
+        agent_id: context.agent.id,
+        reason: args.reason || 'Callback requested during call',
+        status: 'pending'
+      });
+
+      const scheduled = args.preferred_time && context.callbacks
+        ? await context.callbacks.setPreferredTime(callbackRequest.id, args.preferred_time)
+        : null;
+      if (!scheduled) {
+        return { callback_request_id: callbackRequest.id, status: 'pending' };
+      }
+      return {
+        callback_request_id: callbackRequest.id,
+        status: scheduled.status,
+        scheduled_for: context.callbacks.formatPreferredTime(scheduled)
+      };
+    }
+  }
+};
+
+class ToolService {
+  // `callbackService` lets create_callback schedule the call it records
+  constructor(callbackService = null) {
+    this.callbackService = callbackService;
+    this.redactionService = new RedactionService();
+  }
+
+  // Tools are stored on the agent as a JSON array (agents.tools)
+  parseTools(agent) {
+    if (!agent?.tools) return [];
+    try {
+      const tools = JSON.parse(agent.tools);
+      return Array.isArray(tools) ? tools : [];
+    } catch (error) {
+      console.error(`Invalid tools JSON for agent ${agent.id}:`, error.message);
+      return [];
+    }
+  }
+
+  // Returns an error message for the first invalid tool, or null
+  validateTools(tools) {
+    if (!Array.isArray(tools)) {
+      return 'Tools must be an array';
+    }
+
+    const names = new Set();
+    for (const tool of tools) {
+      if (!tool || typeof tool !== 'object') {
+        return 'Each tool must be an object';
+      }
+      if (tool.type !== 'http' && !BUILTIN_TOOLS[tool.type]) {
+        return `Unknown tool type: ${tool.type}. Available: ${[...Object.keys(BUILTIN_TOOLS), 'http'].join(', ')}`;
+      }
+
+      const name = tool.name || tool.type;
+      if (!TOOL_NAME_PATTERN.test(name)) {
+        return `Invalid tool name: ${name}`;
+      }
+      if (names.has(name)) {
+        return `Duplicate tool name: ${name}`;
+      }
+      names.add(name);
+
+      if (tool.parameters !== undefined && (typeof tool.parameters !== 'object' || tool.parameters.type !== 'object')) {
+        return `Tool ${name}: parameters must be a JSON schema of type "object"`;
+      }
+      if (tool.type === 'http') {
+        if (!tool.description) {
+          return `Tool ${name}: description is required`;
+        }
+        if (!/^https?:\/\//.test(tool.url || '')) {
+          return `Tool ${name}: url must be an http(s) URL`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // OpenAI-format definitions sent to the LLM
+  getDefinitions(tools) {
+    return tools.map(tool => {
+      const builtin = BUILTIN_TOOLS[tool.type] || {};
+      return {
+        type: 'function',
+        function: {
+          name: tool.name || tool.type,
+          description: tool.description || builtin.description,
+          parameters: tool.parameters || builtin.parameters || { type: 'object', properties: {} }
+        }
+      };
+    });
+  }
+
+  // Bundle an agent's tools with the call they run in, in the shape
+  // AIService expects. Returns null when the agent has no tools.
+  forConversation(agent, { conversationId, customerNumber }) {
+    const tools = this.parseTools(agent);
+    if (tools.length === 0) return null;
+
+    const context = { agent, conversationId, customerNumber, callbacks: this.callbackService };
+    return {
+      definitions: this.getDefinitions(tools),
+      execute: (call, options = {}) => this.execute(tools, call, context, options)
+    };
+  }
+
+  // Run one tool call from the LLM and record it against the conversation.
+  // Failures are returned to the model as `{ error }` rather than thrown so
+  // it can tell the caller something went wrong.
+  async execute(tools, call, context, { signal } = {}) {
+    const startedAt = Date.now();
+    const tool = tools.find(candidate => (candidate.name || candidate.type) === call.name);
+
+    let result;
+    let status = 'success';
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool: ${call.name}`);
+      }
+      result = tool.type === 'http'
+        ? await this.callHttpTool(tool, call.arguments, context, signal)
+        : await BUILTIN_TOOLS[tool.type].run(call.arguments, context);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Tool ${call.name} failed:`, error.message);
+      result = { error: error.message };
+      status = 'error';
+    }
+
+    const durationMs = Date.now() - startedAt;
+    console.log(`Tool ${call.name} ${status} in ${durationMs}ms`);
+
+    try {
+      // The model gets the real result; only the stored copy is redacted
+      await ToolInvocation.create({
+        conversation_id: context.conversationId,
+        tool_name: call.name,
+        arguments: await this.redactionService.redactValue(call.arguments, context.conversationId, context.agent),
+        result: await this.redactionService.redactValue(result, context.conversationId, context.agent),
+        status,
+        duration_ms: durationMs
+      });
+    } catch (error) {
+      console.error('Error recording tool invocation:', error);
+    }
+
+    return result;
+  }
+
+  async callHttpTool(tool, args, context, signal) {
+    const method = (tool.method || 'POST').toUpperCase();
+    const timeoutSignal = AbortSignal.timeout(tool.timeout || HTTP_TOOL_TIMEOUT);
+
+    let url = tool.url;
+    const options = {
+      method,
+      headers: { ...tool.headers },
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    };
+
+    if (method === 'GET') {
+      const query = new URLSearchParams(args).toString();
+      if (query) url += (url.includes('?') ? '&' : '?') + query;
+    } else {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify({
+        tool: tool.name || tool.type,
+        arguments: args,
+        conversation_id: context.conversationId,
+        agent_id: context.agent.id,
+        customer_number: context.customerNumber
+      });
+    }
+
+    const response = await fetch(url, options);
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${text.slice(0, MAX_RESULT_LENGTH)}`);
+    }
+
+    let result;
+    try {
+      result = JSON.parse(text);
+    } catch {
+      result = { response: text };
+    }
+
+    // Measured as it is sent to the model; JSON cut short would not parse
+    const serialized = JSON.stringify(result);
+    if (serialized.length <= MAX_RESULT_LENGTH) return result;
+    return { response: serialized.slice(0, MAX_RESULT_LENGTH), truncated: true };
+  }
+}
+
+export default ToolService;
@@ -0,0 +1,48 @@
+import Conversation from '../models/Conversation.js';
+import Agent from '../models/Agent.js';
+import RedactionService from './RedactionService.js';
+import { contentTypeFor } from '../src/audio-storage/audio-store.js';
+import { alignTranscript } from '../src/transcript.js';
+
+// Transcribes archived call recordings with word timings once the call is
+// over (see src/transcript.js), so the dashboard can show when each line
+// was said and seek the recording to it. PII is redacted before the
+// transcript is stored, like the call's messages.
+class TranscriptService {
+  constructor(aiService, recordingService) {
+    this.aiService = aiService;
+    this.recordingService = recordingService;
+    this.redactionService = new RedactionService();
+  }
+
+  // Transcribe the conversation's archived recording and store the aligned
+  // transcript. Resolves null when there is no recording to transcribe.
+  async alignRecording(conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    const audio = conversation && await this.recordingService.load(conversation);
+    if (!audio) return null;
+
+    const agent = conversation.agent_id ? await Agent.findById(conversation.agent_id) : null;
+    const channels = conversation.recording_channels || 1;
+    const { words = [] } = await this.aiService.transcribeAudio(audio, {
+      words: true,
+      channels,
+      language: conversation.language || undefined,
+      mimetype: contentTypeFor(conversation.recording_key),
+      redact: this.redactionService.providerRedact(agent)
+    });
+
+    // Messages are stored redacted; speakers are matched on what was said
+    const messages = await this.redactionService.revealMessages(await Conversation.getMessages(conversationId), conversationId);
+    const aligned = await this.redactionService.redactTranscript(
+      alignTranscript(words, messages, { channels }),
+      conversationId,
+      agent
+    );
+    await Conversation.update(conversationId, { aligned_transcript: JSON.stringify(aligned) });
+    console.log(`Aligned transcript for conversation ${conversationId}: ${aligned.utterances.length} utterances`);
+    return aligned;
+  }
+}
+
+export default TranscriptService;
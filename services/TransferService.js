@@ -0,0 +1,167 @@
+import config from '../src/config.js';
+import Conversation from '../models/Conversation.js';
+import RedactionService from './RedactionService.js';
+
+const TRANSFER_MODES = ['callback', 'dial', 'conference'];
+const DEFAULT_TRANSFER_CONFIG = {
+  mode: 'callback',
+  target: null,
+  timeout: 20,
+  whisper: true
+};
+
+// Phone numbers in E.164 or SIP URIs
+const TARGET_PATTERN = /^(\+[1-9]\d{6,14}|sips?:\S+@\S+)$/;
+
+// Whisper summaries are prepared while the caller hears the hold message.
+// Module-level so the WebSocket server and the webhook routes share them.
+const SUMMARY_TTL = 5 * 60 * 1000;
+const summaries = new Map();
+
+export const LIVE_TRANSFER_MESSAGE = "Let me connect you with someone from our team. Please hold for a moment.";
+export const NO_ANSWER_MESSAGE = "I'm sorry, no one is available right now. I'll arrange for a callback from our team. When would be a good time for us to reach you?";
+
+// Live ("warm") transfers to a human. An agent's transfer_config picks
+// between the callback flow, a <Dial> to a number/SIP URI with the summary
+// whispered to the human, or a <Conference> the human joins after hearing
+// the summary. Unanswered transfers fall back to the callback flow.
+class TransferService {
+  constructor(aiService, twilioService) {
+    this.aiService = aiService;
+    this.twilioService = twilioService;
+    this.redactionService = new RedactionService();
+  }
+
+  parseConfig(agent) {
+    if (!agent?.transfer_config) return { ...DEFAULT_TRANSFER_CONFIG };
+    try {
+      return { ...DEFAULT_TRANSFER_CONFIG, ...JSON.parse(agent.transfer_config) };
+    } catch (error) {
+      console.error(`Invalid transfer config JSON for agent ${agent.id}:`, error.message);
+      return { ...DEFAULT_TRANSFER_CONFIG };
+    }
+  }
+
+  // Returns an error message, or null when valid
+  validateConfig(transferConfig) {
+    if (!transferConfig || typeof transferConfig !== 'object' || Array.isArray(transferConfig)) {
+      return 'Transfer config must be an object';
+    }
+    const { mode = 'callback', target, timeout, whisper } = transferConfig;
+    if (!TRANSFER_MODES.includes(mode)) {
+      return `Transfer mode must be one of: ${TRANSFER_MODES.join(', ')}`;
+    }
+    if (mode !== 'callback' && !TARGET_PATTERN.test(target || '')) {
+      return 'Transfer target must be an E.164 phone number or a SIP URI';
+    }
+    if (mode === 'conference' && target.startsWith('sip')) {
+      return 'Conference transfers require a phone number target';
+    }
+    if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 5 || timeout > 120)) {
+      return 'Transfer timeout must be a whole number of seconds between 5 and 120';
+    }
+    if (whisper !== undefined && typeof whisper !== 'boolean') {
+      return 'Transfer whisper must be a boolean';
+    }
+    return null;
+  }
+
+  isLive(agent) {
+    return this.parseConfig(agent).mode !== 'callback';
+  }
+
+  // Intent response override so the caller hears "please hold" instead of
+  // being asked for a callback time
+  intentResponsesFor(agent) {
+    return this.isLive(agent) ? { transfer: LIVE_TRANSFER_MESSAGE } : undefined;
+  }
+
+  startUrl(conversationId) {
+    return `${config.app.baseUrl}/api/calls/transfer/${conversationId}/start`;
+  }
+
+  // Start summarising the conversation now so the whisper is ready by the
+  // time the human answers
+  prepare(agent, conversationId) {
+    const transferConfig = this.parseConfig(agent);
+    if (transferConfig.mode === 'callback' || !transferConfig.whisper) return;
+
+    const summary = this.createWhisper(agent, conversationId);
+    summary.catch(() => {}); // awaited in getWhisperUrl
+    summaries.set(conversationId, summary);
+    setTimeout(() => summaries.delete(conversationId), SUMMARY_TTL).unref();
+  }
+
+  async getWhisperUrl(agent, conversationId, { intro } = {}) {
+    const summary = summaries.get(conversationId) || this.createWhisper(agent, conversationId, intro);
+    summaries.delete(conversationId);
+    try {
+      return await summary;
+    } catch (error) {
+      console.error('Error preparing transfer whisper:', error);
+      return null;
+    }
+  }
+
+  async createWhisper(agent, conversationId, intro = 'Incoming transfer.') {
+    const messages = await Conversation.getMessages(conversationId);
+    const transcript = this.redactionService.mask(
+      messages.map(m => `${m.role === 'user' ? 'Caller' : 'Agent'}: ${m.content}`).join('\n'),
+      agent
+    );
+
+    const summary = await this.aiService.generateAnalysisResponse(
+      [{ role: 'user', content: transcript }],
+      'You brief a colleague who is about to take over a phone call. In at most two short spoken sentences, say who the caller is and what they need. No preamble.'
+    );
+
+    const tts = await this.aiService.generateTTS(`${intro} ${summary}`, agent.voice);
+    return tts.url;
+  }
+
+  // TwiML for the caller's leg once the hold message has played
+  async buildTransferTwiml(agent, conversation) {
+    const transferConfig = this.parseConfig(agent);
+    const baseUrl = `${config.app.baseUrl}/api/calls/transfer/${conversation.id}`;
+
+    if (transferConfig.mode === 'conference') {
+      await this.twilioService.callTransferTarget(transferConfig.target, {
+        url: `${baseUrl}/whisper`,
+        statusCallback: `${baseUrl}/target-status`,
+        timeout: transferConfig.timeout
+      });
+
+      return this.twilioService.generateConferenceTwiml(this.conferenceName(conversation.id), {
+        actionUrl: `${baseUrl}/dial-status`
+      });
+    }
+
+    return this.twilioService.generateDialTwiml(transferConfig.target, {
+      actionUrl: `${baseUrl}/dial-status`,
+      whisperUrl: transferConfig.whisper ? `${baseUrl}/whisper` : null,
+      timeout: transferConfig.timeout
+    });
+  }
+
+  // TwiML played to the human before they are connected
+  async buildWhisperTwiml(agent, conversationId) {
+    const transferConfig = this.parseConfig(agent);
+    const whisperUrl = transferConfig.whisper ? await this.getWhisperUrl(agent, conversationId) : null;
+
+    if (transferConfig.mode === 'conference') {
+      return this.twilioService.generateConferenceTwiml(this.conferenceName(conversationId), {
+        audioUrl: whisperUrl,
+        startOnEnter: true
+      });
+    }
+
+    // The human is connected to the caller as soon as this TwiML finishes
+    return this.twilioService.generateWhisperTwiml(whisperUrl);
+  }
+
+  conferenceName(conversationId) {
+    return `transfer-${conversationId}`;
+  }
+}
+
+export default TransferService;
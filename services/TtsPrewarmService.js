@@ -0,0 +1,78 @@
+import config from '../src/config.js';
+import { INTENT_RESPONSES } from '../src/intent.js';
+import { CONSENT_RETRY_PROMPT, CONSENT_GRANTED_MESSAGE, CONSENT_DECLINED_MESSAGE } from '../src/consent.js';
+import { parseLanguageConfig, languageSettings, languageGreeting } from '../src/language.js';
+import { ttsCache } from '../src/tts-cache.js';
+import ConsentService from './ConsentService.js';
+import TransferService, { NO_ANSWER_MESSAGE } from './TransferService.js';
+import { CALLBACK_GREETING, CALLBACK_UNAVAILABLE_MESSAGE, CALLBACK_TIME_CONFIRMED_MESSAGE } from './CallbackService.js';
+
+// Fills the TTS cache (src/tts-cache.js) with an agent's fixed phrases when
+// the agent is saved, so even the first caller hears its greeting, consent
+// script and goodbyes without waiting for synthesis. Replies written by the
+// LLM are never cached.
+class TtsPrewarmService {
+  constructor(aiService) {
+    this.aiService = aiService;
+    this.consentService = new ConsentService(aiService);
+    this.transferService = new TransferService(aiService);
+  }
+
+  // The { text, voice } pairs the agent speaks word for word, in the
+  // voices the call flow uses for them
+  phrasesFor(agent) {
+    const phrases = new Map();
+    const add = (text, voice) => phrases.set(`${voice}:${text}`, { text, voice });
+
+    const policies = this.consentService.policiesFor(agent);
+    for (const policy of policies.filter(policy => policy.ask)) {
+      add(policy.text, agent.voice);
+      add(`${CONSENT_RETRY_PROMPT} ${policy.text}`, agent.voice);
+    }
+
+    const languageConfig = parseLanguageConfig(agent.language_config);
+    for (const code of languageConfig.languages) {
+      const { voice } = languageSettings(languageConfig, code, agent.voice);
+      const greeting = languageGreeting(code, agent.name);
+      add(code === 'en' ? `${CONSENT_GRANTED_MESSAGE} ${greeting}` : greeting, voice);
+      for (const policy of policies.filter(policy => !policy.ask)) {
+        add(`${policy.text} ${greeting}`, voice);
+      }
+    }
+
+    const { voice: defaultVoice } = languageSettings(languageConfig, languageConfig.default, agent.voice);
+    const intentResponses = { ...INTENT_RESPONSES, ...this.transferService.intentResponsesFor(agent) };
+    Object.values(intentResponses).forEach(text => add(text, defaultVoice));
+
+    [CONSENT_DECLINED_MESSAGE, CALLBACK_TIME_CONFIRMED_MESSAGE, CALLBACK_GREETING, CALLBACK_UNAVAILABLE_MESSAGE]
+      .forEach(text => add(text, agent.voice));
+    if (this.transferService.isLive(agent)) {
+      add(NO_ANSWER_MESSAGE, agent.voice);
+    }
+
+    return Array.from(phrases.values());
+  }
+
+  // Synthesise whatever isn't cached yet, one phrase at a time so a busy
+  // server isn't flooded. Media stream calls play the mu-law versions.
+  async prewarm(agent) {
+    if (!ttsCache.enabled) return 0;
+
+    let warmed = 0;
+    for (const { text, voice } of this.phrasesFor(agent)) {
+      try {
+        await this.aiService.generateTTS(text, voice, { cache: true, prewarm: true });
+        if (config.twilio.mediaStreams) {
+          await this.aiService.generateStreamAudio(text, voice, { cache: true, prewarm: true });
+        }
+        warmed++;
+      } catch (error) {
+        console.error(`Error pre-warming "${text}" for agent ${agent.id}:`, error.message);
+      }
+    }
+    console.log(`TTS cache pre-warmed with ${warmed} phrases for agent ${agent.id}`);
+    return warmed;
+  }
+}
+
+export default TtsPrewarmService;
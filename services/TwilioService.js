@@ -1,4 +1,5 @@
 import twilio from 'twilio';
+import fetch from 'node-fetch';
 import config from '../src/config.js';
 
 class TwilioService {
@@ -26,9 +27,11 @@ class TwilioService {
         from: this.phoneNumber,
         url: callbackUrl,
         record: true,
+        recordingChannels: config.recordings.channels,
         statusCallback: `${config.app.baseUrl}/api/calls/status`,
         statusCallbackEvent: ['completed'],
-        statusCallbackMethod: 'POST'
+        statusCallbackMethod: 'POST',
+        ...(config.twilio.machineDetection && this.machineDetectionParams(agentId))
       });
 
       return {
@@ -42,17 +45,31 @@ class TwilioService {
     }
   }
 
-  generateTwiml(audioUrl = null, actionUrl = null, enableBargeIn = true) {
+  // Asynchronous answering machine detection: the call proceeds at once and
+  // the result is posted to /api/calls/amd. DetectMessageEnd waits for the
+  // greeting's beep so a voicemail can be left straight away.
+  machineDetectionParams(agentId) {
+    return {
+      machineDetection: 'DetectMessageEnd',
+      asyncAmd: 'true',
+      asyncAmdStatusCallback: `${config.app.baseUrl}/api/calls/amd/${agentId}`,
+      asyncAmdStatusCallbackMethod: 'POST'
+    };
+  }
+
+  // `language` is the <Gather> recognition language, e.g. es-US (see
+  // src/language.js)
+  generateTwiml(audioUrl = null, actionUrl = null, enableBargeIn = true, language = 'en-US') {
     let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
 
     if (audioUrl) {
       // Use reasonable timeout and enable barge-in for natural conversation
-      twiml += `<Gather input="speech" action="${actionUrl}" method="POST" timeout="3" speechTimeout="auto" language="en-US" actionOnEmptyResult="false" bargeIn="${enableBargeIn ? 'true' : 'false'}">`;
-      twiml += `<Play>${audioUrl}</Play>`;
+      twiml += `<Gather input="speech" action="${actionUrl}" method="POST" timeout="3" speechTimeout="auto" language="${language}" actionOnEmptyResult="false" bargeIn="${enableBargeIn ? 'true' : 'false'}">`;
+      twiml += `<Play>${this.escapeXml(audioUrl)}</Play>`;
       twiml += '</Gather>';
     } else {
       // For initial greeting or error cases
-      twiml += `<Gather input="speech" action="${actionUrl}" method="POST" timeout="5" speechTimeout="auto" language="en-US" actionOnEmptyResult="false" bargeIn="true">`;
+      twiml += `<Gather input="speech" action="${actionUrl}" method="POST" timeout="5" speechTimeout="auto" language="${language}" actionOnEmptyResult="false" bargeIn="true">`;
       twiml += '<Pause length="1"/>';
       twiml += '</Gather>';
     }
@@ -65,17 +82,18 @@ class TwilioService {
     return twiml;
   }
 
-  generateConsentTwiml(actionUrl) {
-    const consentMessage = "Hello, this is an AI-powered call. Our conversation will be recorded for quality and training purposes. If you agree to proceed, please say 'yes' or 'I agree'. If you do not wish to continue, you may hang up or say 'no'.";
-
+  // Read the consent script (pre-synthesized in the agent's voice, or <Say>
+  // text as a fallback) and collect a spoken answer or a keypress. Empty
+  // results still post back so a missing answer is recorded too.
+  generateConsentTwiml(actionUrl, { audioUrl = null, text = null, dtmf = true, attempt = 1, language = 'en-US' } = {}) {
     let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
 
-    // Play consent message and gather response
-    twiml += `<Gather input="speech" action="${actionUrl}?consent=true" method="POST" timeout="10" speechTimeout="auto" language="en-US" actionOnEmptyResult="false" bargeIn="true">`;
-    twiml += `<Say voice="alice">${consentMessage}</Say>`;
+    const input = dtmf ? 'input="dtmf speech" numDigits="1"' : 'input="speech"';
+    twiml += `<Gather ${input} action="${actionUrl}?consent=true&amp;attempt=${attempt}" method="POST" timeout="10" speechTimeout="auto" language="${language}" actionOnEmptyResult="true" bargeIn="true">`;
+    twiml += audioUrl ? `<Play>${this.escapeXml(audioUrl)}</Play>` : `<Say voice="alice">${this.escapeXml(text)}</Say>`;
     twiml += '</Gather>';
 
-    // If no response or rejection, hang up
+    // Only reached if the action request itself fails
     twiml += '<Say voice="alice">Thank you for your time. Goodbye.</Say>';
     twiml += '<Hangup/>';
 
@@ -83,17 +101,53 @@ class TwilioService {
     return twiml;
   }
 
-  generateStreamingTwiml(streamUrl) {
+  // The language menu of a multilingual agent: each line is read in its own
+  // language and the choice (a key, or the language's name) posts back
+  // with ?language=menu. No answer posts back too, for the default.
+  generateLanguageMenuTwiml(actionUrl, menu) {
+    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+
+    twiml += `<Gather input="dtmf speech" numDigits="1" action="${actionUrl}?language=menu" method="POST" timeout="5" speechTimeout="auto" language="${menu[0].gather}" actionOnEmptyResult="true">`;
+    menu.forEach(({ gather, text }) => {
+      twiml += `<Say language="${gather}">${this.escapeXml(text)}</Say>`;
+    });
+    twiml += '</Gather>';
+
+    twiml += '<Hangup/>';
+    twiml += '</Response>';
+    return twiml;
+  }
+
+  generateStreamingTwiml(streamUrl, parameters = {}) {
+    // Custom parameters are echoed back in the stream's `start` event
+    const params = Object.entries(parameters)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `<Parameter name="${name}" value="${this.escapeXml(value)}" />`)
+      .join('');
+
     const twiml = `<?xml version="1.0" encoding="UTF-8"?>
       <Response>
         <Connect>
-          <Stream url="${streamUrl}" />
+          <Stream url="${streamUrl}">${params}</Stream>
         </Connect>
         <Pause length="30"/>
       </Response>`;
     return twiml;
   }
 
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  getMediaStreamUrl() {
+    return `${config.app.baseUrl.replace(/^http/, 'ws')}/ws`;
+  }
+
   async getCallRecording(callSid) {
     try {
       const recordings = await this.client.recordings.list({ callSid });
@@ -104,6 +158,24 @@ class TwilioService {
     }
   }
 
+  // Download a recording's audio; null while Twilio is still processing it
+  async fetchRecording(recordingUrl, format = 'mp3') {
+    const response = await fetch(`${recordingUrl.replace(/\.(mp3|wav)$/, '')}.${format}`, {
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64')}`
+      }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Recording download failed: ${response.status} ${response.statusText}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async deleteRecording(recordingSid) {
+    await this.client.recordings(recordingSid).remove();
+  }
+
   async updateCallStatus(callSid, status) {
     try {
       const call = await this.client.calls(callSid).update({ status });
@@ -137,12 +209,107 @@ class TwilioService {
     return twiml;
   }
 
-  generateTransferTwiml(audioUrl, actionUrl) {
+  // Bridge the caller to a human. `whisperUrl` serves TwiML played only to
+  // the human when they answer, before the two are connected; `audioUrl`
+  // plays to the caller before dialling.
+  generateDialTwiml(target, { actionUrl, whisperUrl = null, timeout = 20, audioUrl = null }) {
+    const urlAttr = whisperUrl ? ` url="${whisperUrl}" method="POST"` : '';
+    const endpoint = target.startsWith('sip')
+      ? `<Sip${urlAttr}>${this.escapeXml(target)}</Sip>`
+      : `<Number${urlAttr}>${target}</Number>`;
+
+    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+    if (audioUrl) {
+      twiml += `<Play>${this.escapeXml(audioUrl)}</Play>`;
+    }
+    twiml += `<Dial action="${actionUrl}" method="POST" timeout="${timeout}">${endpoint}</Dial>`;
+    twiml += '</Response>';
+    return twiml;
+  }
+
+  // Join a conference. The caller waits on hold (startOnEnter false) until
+  // the human joins; either side leaving ends it for both.
+  generateConferenceTwiml(name, { audioUrl = null, actionUrl = null, startOnEnter = false } = {}) {
+    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+
+    if (audioUrl) {
+      twiml += `<Play>${this.escapeXml(audioUrl)}</Play>`;
+    }
+    twiml += actionUrl ? `<Dial action="${actionUrl}" method="POST">` : '<Dial>';
+    twiml += `<Conference startConferenceOnEnter="${startOnEnter}" endConferenceOnExit="true" beep="false">${this.escapeXml(name)}</Conference>`;
+    twiml += '</Dial>';
+
+    twiml += '</Response>';
+    return twiml;
+  }
+
+  generateWhisperTwiml(audioUrl = null) {
+    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+
+    if (audioUrl) {
+      twiml += `<Play>${this.escapeXml(audioUrl)}</Play>`;
+    }
+
+    twiml += '</Response>';
+    return twiml;
+  }
+
+  // Ring the human side of a conference transfer
+  async callTransferTarget(to, { url, statusCallback, timeout }) {
+    try {
+      const call = await this.client.calls.create({
+        to,
+        from: this.phoneNumber,
+        url,
+        timeout,
+        statusCallback,
+        statusCallbackEvent: ['completed'],
+        statusCallbackMethod: 'POST'
+      });
+      return call.sid;
+    } catch (error) {
+      console.error('Error calling transfer target:', error);
+      throw error;
+    }
+  }
+
+  // Point a live call at new TwiML (e.g. to leave a media stream or conference)
+  async redirectCall(callSid, url) {
+    try {
+      return await this.client.calls(callSid).update({ url, method: 'POST' });
+    } catch (error) {
+      console.error('Error redirecting call:', error);
+      throw error;
+    }
+  }
+
+  // Play a message, then fetch the next TwiML from `url`
+  generateRedirectTwiml(audioUrl, url) {
+    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+    twiml += `<Play>${this.escapeXml(audioUrl)}</Play>`;
+    twiml += `<Redirect method="POST">${url}</Redirect>`;
+    twiml += '</Response>';
+    return twiml;
+  }
+
+  generateHangupTwiml(audioUrl = null) {
+    let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+
+    if (audioUrl) {
+      twiml += `<Play>${this.escapeXml(audioUrl)}</Play>`;
+    }
+    twiml += '<Hangup/>';
+
+    twiml += '</Response>';
+    return twiml;
+  }
+
+  generateTransferTwiml(audioUrl, actionUrl, language = 'en-US') {
     let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
 
     // Play the transfer message and gather preferred time
-    twiml += `<Gather input="speech" action="${actionUrl}?transfer=true" method="POST" timeout="10" speechTimeout="auto" language="en-US" actionOnEmptyResult="false" bargeIn="true">`;
-    twiml += `<Play>${audioUrl}</Play>`;
+    twiml += `<Gather input="speech" action="${actionUrl}?transfer=true" method="POST" timeout="10" speechTimeout="auto" language="${language}" actionOnEmptyResult="false" bargeIn="true">`;
+    twiml += `<Play>${this.escapeXml(audioUrl)}</Play>`;
     twiml += '</Gather>';
 
     // If no response, hang up gracefully
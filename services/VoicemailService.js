@@ -0,0 +1,160 @@
+import config from '../src/config.js';
+import { audioStore } from '../src/audio-store.js';
+import Agent from '../models/Agent.js';
+import Conversation from '../models/Conversation.js';
+import CallbackRequest from '../models/CallbackRequest.js';
+import CampaignContact from '../models/CampaignContact.js';
+import Contact from '../models/Contact.js';
+import CallbackService from './CallbackService.js';
+import CampaignService from './CampaignService.js';
+import CallingHoursService from './CallingHoursService.js';
+import { calleeTimezone } from '../src/calling-hours.js';
+
+const VOICEMAIL_ACTIONS = ['continue', 'hangup', 'message', 'retry'];
+const DEFAULT_VOICEMAIL_CONFIG = {
+  action: 'hangup',
+  message: null
+};
+const MAX_MESSAGE_LENGTH = 500;
+
+// Twilio AnsweredBy values that mean nobody picked up in person
+const MACHINE_RESULTS = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'];
+
+// What an agent does when answering machine detection (AMD) finds a
+// machine on an outbound call. An agent's voicemail_config picks one of:
+//   continue - carry on as if a person answered
+//   hangup   - end the call (default)
+//   message  - leave a voicemail: `message`, or one written from the agent's
+//              prompt, synthesized ahead of time into `script`/`audio_key`
+//   retry    - end the call and place it again later, as a deferred call
+// The conversation is marked with the `voicemail` outcome. Campaign and
+// callback calls are retried by their own retry rules.
+class VoicemailService {
+  constructor(aiService, twilioService) {
+    this.aiService = aiService;
+    this.twilioService = twilioService;
+    this.callbackService = new CallbackService(aiService, twilioService);
+    this.campaignService = new CampaignService(twilioService);
+    this.callingHoursService = new CallingHoursService(twilioService);
+  }
+
+  parseConfig(agent) {
+    if (!agent?.voicemail_config) return { ...DEFAULT_VOICEMAIL_CONFIG };
+    try {
+      return { ...DEFAULT_VOICEMAIL_CONFIG, ...JSON.parse(agent.voicemail_config) };
+    } catch (error) {
+      console.error(`Invalid voicemail config JSON for agent ${agent.id}:`, error.message);
+      return { ...DEFAULT_VOICEMAIL_CONFIG };
+    }
+  }
+
+  // Returns an error message, or null when valid
+  validateConfig(voicemailConfig) {
+    if (!voicemailConfig || typeof voicemailConfig !== 'object' || Array.isArray(voicemailConfig)) {
+      return 'Voicemail config must be an object';
+    }
+    const { action = 'hangup', message } = voicemailConfig;
+    if (!VOICEMAIL_ACTIONS.includes(action)) {
+      return `Voicemail action must be one of: ${VOICEMAIL_ACTIONS.join(', ')}`;
+    }
+    if (message !== undefined && message !== null &&
+        (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+      return `Voicemail message must be text of at most ${MAX_MESSAGE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // Synthesize the agent's voicemail so it can play the moment the beep is
+  // detected. Called after the agent is saved; returns the stored config,
+  // or null when the agent doesn't leave messages.
+  async prepare(agent) {
+    const voicemailConfig = this.parseConfig(agent);
+    if (voicemailConfig.action !== 'message') return null;
+
+    const script = voicemailConfig.message || await this.writeMessage(agent);
+    const tts = await this.aiService.generateTTS(script, agent.voice, { cache: true });
+
+    const prepared = { ...voicemailConfig, script, audio_key: tts.key };
+    delete prepared.audio_url; // Stored by older versions, before audio links expired
+    await Agent.update(agent.id, { voicemail_config: JSON.stringify(prepared) });
+    console.log(`Voicemail message prepared for agent ${agent.id}`);
+    return prepared;
+  }
+
+  async writeMessage(agent) {
+    const message = await this.aiService.generateAnalysisResponse(
+      [{ role: 'user', content: agent.prompt }],
+      'You write the voicemail an AI phone agent leaves when an outbound call reaches an answering machine. From the agent instructions you are given, write at most three short spoken sentences: who is calling, why, and how to get back in touch. Do not make up names, numbers or offers that are not in the instructions. Reply with the message only.'
+    );
+    return message.trim().replace(/^"|"$/g, '');
+  }
+
+  // TwiML played to the machine after its greeting
+  async buildMessageTwiml(agent) {
+    let voicemailConfig = this.parseConfig(agent);
+
+    // Audio files are cleaned up periodically; re-synthesize if needed
+    if (!voicemailConfig.audio_key || !await audioStore.exists(voicemailConfig.audio_key)) {
+      voicemailConfig = await this.prepare({ ...agent, voicemail_config: JSON.stringify({ ...voicemailConfig, action: 'message' }) });
+    }
+    return this.twilioService.generateHangupTwiml(audioStore.url(voicemailConfig.audio_key));
+  }
+
+  // Async AMD result for an outbound call, from the /api/calls/amd webhook
+  async handleDetection(agent, callSid, answeredBy) {
+    const conversation = await Conversation.findByCallSid(callSid);
+    if (conversation) {
+      await Conversation.update(conversation.id, { answered_by: answeredBy });
+    }
+    if (!MACHINE_RESULTS.includes(answeredBy)) return;
+
+    const voicemailConfig = this.parseConfig(agent);
+    console.log(`Answering machine on ${callSid} (${answeredBy}), action: ${voicemailConfig.action}`);
+    if (voicemailConfig.action === 'continue') return;
+
+    if (conversation) {
+      await Conversation.update(conversation.id, { outcome: 'voicemail' });
+    }
+
+    const messageLeft = voicemailConfig.action === 'message';
+    if (messageLeft) {
+      await this.twilioService.redirectCall(callSid, `${config.app.baseUrl}/api/calls/amd/${agent.id}/message`);
+    } else {
+      await this.twilioService.updateCallStatus(callSid, 'completed');
+    }
+
+    await this.recordAttempt(agent, callSid, conversation, {
+      messageLeft,
+      retry: voicemailConfig.action === 'retry'
+    });
+  }
+
+  // Campaign and callback calls follow their own retry rules. Other
+  // outbound calls are queued with the deferred calls, which places the
+  // same AI call again: a callback request could ring the agent's human
+  // line with a callback greeting the customer never asked for.
+  async recordAttempt(agent, callSid, conversation, { messageLeft, retry }) {
+    const campaignEntry = await CampaignContact.findByCallSid(callSid);
+    if (campaignEntry) {
+      return await this.campaignService.recordVoicemail(campaignEntry, { messageLeft });
+    }
+
+    const callbackRequest = await CallbackRequest.findByCallSid(callSid);
+    if (callbackRequest) {
+      return await this.callbackService.retryOrCancel(callbackRequest, 'voicemail');
+    }
+
+    if (retry && conversation) {
+      const phoneNumber = conversation.customer_number;
+      const contact = await Contact.findByPhoneNumber(phoneNumber);
+      const rules = this.callingHoursService.rulesFor(agent);
+      return await this.callingHoursService.defer(agent, phoneNumber, contact, {
+        timezone: calleeTimezone(rules, phoneNumber, contact?.timezone).timezone,
+        nextAllowedAt: new Date(Date.now() + config.callbacks.retryDelay)
+      });
+    }
+    return null;
+  }
+}
+
+export default VoicemailService;
@@ -1,15 +1,34 @@
 import { WebSocketServer } from 'ws';
-import { createClient } from '@deepgram/sdk';
 import AIService from './AIService.js';
+import TwilioService from './TwilioService.js';
+import ToolService from './ToolService.js';
+import TransferService from './TransferService.js';
+import CallbackService, { CALLBACK_TIME_CONFIRMED_MESSAGE } from './CallbackService.js';
+import DoNotCallService from './DoNotCallService.js';
+import LanguageService from './LanguageService.js';
+import RedactionService from './RedactionService.js';
 import Conversation from '../models/Conversation.js';
 import Agent from '../models/Agent.js';
 import config from '../src/config.js';
+import { parseIntentConfig } from '../src/intent.js';
+import { DETECTION_STT } from '../src/language.js';
+import { createSpeechProvider } from '../src/speech-providers/index.js';
+
+// 20ms of 8 kHz mu-law audio, the frame size Twilio itself sends
+const MULAW_FRAME_BYTES = 160;
 
 class WebSocketService {
   constructor(server) {
     this.wss = new WebSocketServer({ server, path: '/ws' });
-    this.deepgram = createClient(config.deepgram.apiKey);
+    this.stt = createSpeechProvider(config.speech.stt);
     this.aiService = new AIService();
+    this.twilioService = new TwilioService();
+    this.transferService = new TransferService(this.aiService, this.twilioService);
+    this.callbackService = new CallbackService(this.aiService, this.twilioService);
+    this.toolService = new ToolService(this.callbackService);
+    this.doNotCallService = new DoNotCallService();
+    this.languageService = new LanguageService(this.aiService, this.twilioService);
+    this.redactionService = new RedactionService();
     this.activeConnections = new Map();
 
     this.wss.on('connection', this.handleConnection.bind(this));
@@ -22,11 +41,29 @@ class WebSocketService {
     const connection = {
       id: connectionId,
       ws,
-      deepgramConnection: null,
+      transcription: null,
       agentId: null,
       conversationId: null,
       audioBuffer: [],
-      isListening: false
+      isListening: false,
+      // Twilio media stream state
+      streamSid: null,
+      callSid: null,
+      utteranceBuffer: [],
+      pendingMarks: new Set(),
+      markCounter: 0,
+      callbackRequestId: null,
+      // The call's turns as said, for the LLM; the stored messages are
+      // redacted, and can only be revealed when a vault key is set
+      history: null,
+      // Language settings (src/language.js); while detecting, recognition
+      // runs multilingual and reports the language it heard
+      language: null,
+      detectingLanguage: false,
+      heardLanguage: null,
+      // Barge-in state: the in-flight LLM/TTS turn and whether we're hanging up or transferring
+      currentTurn: null,
+      isClosing: false
     };
 
     this.activeConnections.set(connectionId, connection);
@@ -40,6 +77,12 @@ class WebSocketService {
     try {
       const data = JSON.parse(message.toString());
 
+      // Twilio media stream frames carry `event`, browser clients carry `type`
+      if (data.event) {
+        await this.handleTwilioEvent(connection, data);
+        return;
+      }
+
       switch (data.type) {
         case 'start':
           await this.startListening(connection, data);
@@ -58,6 +101,201 @@ class WebSocketService {
     }
   }
 
+  async handleTwilioEvent(connection, data) {
+    switch (data.event) {
+      case 'connected':
+        console.log(`Twilio media stream connected: ${connection.id}`);
+        break;
+      case 'start':
+        await this.startMediaStream(connection, data.start);
+        break;
+      case 'media':
+        this.processMediaFrame(connection, data.media);
+        break;
+      case 'mark':
+        await this.handleMark(connection, data.mark?.name);
+        break;
+      case 'stop':
+        await this.stopListening(connection);
+        break;
+      default:
+        break;
+    }
+  }
+
+  async startMediaStream(connection, start) {
+    const params = start.customParameters || {};
+
+    connection.streamSid = start.streamSid;
+    connection.callSid = start.callSid;
+
+    const agent = await Agent.findById(params.agentId);
+    if (!agent) {
+      console.error(`Media stream started for unknown agent: ${params.agentId}`);
+      connection.ws.close();
+      return;
+    }
+    connection.agentId = agent.id;
+
+    let conversation = params.conversationId
+      ? await Conversation.findById(params.conversationId)
+      : await Conversation.findByCallSid(start.callSid);
+    if (!conversation) {
+      conversation = await Conversation.create({
+        agent_id: agent.id,
+        call_sid: start.callSid,
+        direction: params.direction || 'inbound',
+        customer_number: params.from || 'unknown'
+      });
+    }
+    connection.conversationId = conversation.id;
+
+    connection.language = this.languageService.settingsFor(agent, conversation);
+    if (this.languageService.detectsFromSpeech(agent)) {
+      const messages = await Conversation.getMessages(conversation.id);
+      connection.detectingLanguage = !messages.some(m => m.role === 'user');
+    }
+    this.openStreamTranscription(connection);
+
+    connection.isListening = true;
+    console.log(`Media stream ${connection.streamSid} started - Agent: ${agent.name}, CallSid: ${connection.callSid}, Language: ${connection.detectingLanguage ? 'detecting' : connection.language.code}`);
+
+    if (params.greeting) {
+      await this.speak(connection, params.greeting, connection.language.voice);
+    }
+  }
+
+  // (Re)open the recognition stream for the call's language
+  openStreamTranscription(connection) {
+    const language = connection.detectingLanguage
+      ? DETECTION_STT
+      : { model: config.speech.stt.model, language: connection.language.stt };
+
+    connection.transcription = this.stt.listen({
+      ...language,
+      encoding: 'mulaw',
+      sampleRate: 8000,
+      endpointing: 300
+    });
+
+    connection.transcription.on('transcript', (result) => {
+      this.handleTranscription(connection, result);
+    });
+
+    connection.transcription.on('error', (error) => {
+      console.error('Speech recognition error:', error);
+    });
+  }
+
+  // The first utterance settled the language: move recognition to it
+  async settleLanguage(connection, agent, conversation, utterance, signal) {
+    const language = await this.languageService.detect(agent, conversation, utterance, {
+      heard: connection.heardLanguage,
+      signal
+    });
+    connection.language = language;
+    connection.detectingLanguage = false;
+
+    connection.transcription?.close();
+    this.openStreamTranscription(connection);
+    console.log(`Conversation ${conversation.id} continues in ${language.name}`);
+  }
+
+  processMediaFrame(connection, media) {
+    if (!connection.isListening || !connection.transcription) return;
+    if (media.track && media.track !== 'inbound') return;
+
+    connection.transcription.send(Buffer.from(media.payload, 'base64'));
+  }
+
+  async handleMark(connection, name) {
+    // Marks flushed by a `clear` were already dropped from pendingMarks
+    if (!name || !connection.pendingMarks.delete(name)) return;
+
+    const action = name.split(':')[1];
+    if (!action || !connection.callSid) return;
+
+    try {
+      if (action === 'hangup') {
+        await this.twilioService.updateCallStatus(connection.callSid, 'completed');
+      } else if (action === 'transfer') {
+        // Leaves the media stream; the call continues on the transfer TwiML
+        await this.twilioService.redirectCall(connection.callSid, this.transferService.startUrl(connection.conversationId));
+      }
+    } catch (error) {
+      console.error(`Error running ${action} for streamed call:`, error);
+    }
+  }
+
+  // Fixed phrases (greeting, goodbye); replies are streamed by respondToCaller
+  async speak(connection, text, voice, { hangup = false, signal } = {}) {
+    const audio = await this.aiService.generateStreamAudio(text, voice, { signal, cache: true });
+    if (signal?.aborted) return;
+
+    if (hangup) {
+      connection.isClosing = true;
+    }
+    this.sendAudio(connection, audio, this.nextMarkName(connection, hangup ? 'hangup' : null));
+  }
+
+  // Queue a bare mark behind whatever audio is already playing; `action`
+  // ('hangup' or 'transfer') runs once the caller has heard it all
+  afterPlayback(connection, action) {
+    connection.isClosing = true;
+    this.sendAudio(connection, Buffer.alloc(0), this.nextMarkName(connection, action));
+  }
+
+  nextMarkName(connection, action = null) {
+    return `${connection.id}_${++connection.markCounter}${action ? `:${action}` : ''}`;
+  }
+
+  isAgentSpeaking(connection) {
+    return connection.pendingMarks.size > 0;
+  }
+
+  interrupt(connection) {
+    // Let the goodbye play out; interrupting it would skip the hangup
+    if (connection.isClosing) return;
+
+    if (connection.currentTurn) {
+      connection.currentTurn.abort();
+      connection.currentTurn = null;
+    }
+
+    if (this.isAgentSpeaking(connection)) {
+      console.log(`Caller barged in on stream ${connection.streamSid}, clearing agent audio`);
+      this.clearAudio(connection);
+    }
+  }
+
+  // Drop the agent audio Twilio has buffered but not yet played
+  clearAudio(connection) {
+    connection.pendingMarks.clear();
+    if (connection.ws.readyState === connection.ws.OPEN) {
+      connection.ws.send(JSON.stringify({ event: 'clear', streamSid: connection.streamSid }));
+    }
+  }
+
+  sendAudio(connection, audio, markName) {
+    if (connection.ws.readyState !== connection.ws.OPEN) return;
+
+    for (let offset = 0; offset < audio.length; offset += MULAW_FRAME_BYTES) {
+      connection.ws.send(JSON.stringify({
+        event: 'media',
+        streamSid: connection.streamSid,
+        media: { payload: audio.subarray(offset, offset + MULAW_FRAME_BYTES).toString('base64') }
+      }));
+    }
+
+    // Twilio echoes the mark back once playback reaches it
+    connection.pendingMarks.add(markName);
+    connection.ws.send(JSON.stringify({
+      event: 'mark',
+      streamSid: connection.streamSid,
+      mark: { name: markName }
+    }));
+  }
+
   async startListening(connection, data) {
     const { agentId, callSid } = data;
 
@@ -84,20 +322,19 @@ class WebSocketService {
       });
     }
     connection.conversationId = conversation.id;
+    connection.language = this.languageService.settingsFor(agent, conversation);
 
-    connection.deepgramConnection = this.deepgram.listen.live({
-      model: config.deepgram.sttModel,
-      smart_format: true,
-      punctuate: true,
-      interim_results: true
+    connection.transcription = this.stt.listen({
+      model: config.speech.stt.model,
+      language: connection.language.stt
     });
 
-    connection.deepgramConnection.addListener('transcriptReceived', (transcription) => {
-      this.handleTranscription(connection, transcription);
+    connection.transcription.on('transcript', (result) => {
+      this.handleTranscription(connection, result);
     });
 
-    connection.deepgramConnection.addListener('error', (error) => {
-      console.error('Deepgram error:', error);
+    connection.transcription.on('error', (error) => {
+      console.error('Speech recognition error:', error);
       connection.ws.send(JSON.stringify({ type: 'error', message: 'Transcription error' }));
     });
 
@@ -106,25 +343,35 @@ class WebSocketService {
   }
 
   processAudio(connection, data) {
-    if (!connection.isListening || !connection.deepgramConnection) return;
+    if (!connection.isListening || !connection.transcription) return;
 
     const audioData = Buffer.from(data.audio, 'base64');
-    connection.deepgramConnection.send(audioData);
+    connection.transcription.send(audioData);
   }
 
   async stopListening(connection) {
-    if (connection.deepgramConnection) {
-      connection.deepgramConnection.finish();
-      connection.deepgramConnection = null;
+    if (connection.transcription) {
+      connection.transcription.close();
+      connection.transcription = null;
     }
 
     connection.isListening = false;
-    connection.ws.send(JSON.stringify({ type: 'stopped' }));
+
+    // Twilio closes the socket itself after `stop`; only browser clients get a reply
+    if (!connection.streamSid && connection.ws.readyState === connection.ws.OPEN) {
+      connection.ws.send(JSON.stringify({ type: 'stopped' }));
+    }
   }
 
-  async handleTranscription(connection, transcription) {
-    const transcript = transcription?.channel?.alternatives?.[0]?.transcript || '';
-    const isFinal = !transcription.is_final;
+  async handleTranscription(connection, { transcript, isFinal, speechFinal, language }) {
+    if (connection.detectingLanguage && transcript && isFinal) {
+      connection.heardLanguage = language || connection.heardLanguage;
+    }
+
+    if (connection.streamSid) {
+      await this.handleStreamTranscription(connection, transcript, isFinal, speechFinal);
+      return;
+    }
 
     if (transcript && isFinal) {
       connection.ws.send(JSON.stringify({
@@ -134,24 +381,32 @@ class WebSocketService {
       }));
 
       try {
-        await Conversation.addMessage(connection.conversationId, 'user', transcript);
-
-        const messages = await Conversation.getMessages(connection.conversationId);
         const agent = await Agent.findById(connection.agentId);
-
-        const aiResponse = await this.aiService.generateResponse(
-          messages.map(m => ({ role: m.role, content: m.content })),
-          agent.prompt
+        await this.addTurn(connection, 'user', transcript, agent);
+
+        const messages = [...await this.historyFor(connection)];
+        const conversation = await Conversation.findById(connection.conversationId);
+
+        const aiResult = await this.aiService.generateResponse(
+          messages,
+          agent.prompt,
+          connection.conversationId,
+          {
+            tools: this.toolService.forConversation(agent, {
+              conversationId: connection.conversationId,
+              customerNumber: conversation?.customer_number
+            }),
+            intents: parseIntentConfig(agent.intent_config),
+            language: this.languageService.instructionFor(agent, connection.language)
+          }
         );
 
-        await Conversation.addMessage(connection.conversationId, 'assistant', aiResponse);
-
-        const ttsResult = await this.aiService.generateTTS(aiResponse, agent.voice);
-        await Conversation.update(connection.conversationId, { audio_url: ttsResult.url });
+        const ttsResult = await this.aiService.generateTTS(aiResult.response, connection.language.voice);
+        await this.addTurn(connection, 'assistant', aiResult.response, agent, { audioUrl: ttsResult.url });
 
         connection.ws.send(JSON.stringify({
           type: 'response',
-          text: aiResponse,
+          text: aiResult.response,
           audioUrl: ttsResult.url
         }));
       } catch (error) {
@@ -170,6 +425,154 @@ class WebSocketService {
     }
   }
 
+  async handleStreamTranscription(connection, transcript, isFinal, speechFinal) {
+    // Any caller speech (interim included) cuts off the agent and any
+    // response still being generated for the previous utterance
+    if (transcript && (this.isAgentSpeaking(connection) || connection.currentTurn)) {
+      this.interrupt(connection);
+    }
+
+    // The recognizer may split one utterance across several final segments;
+    // only answer once the caller has finished speaking
+    if (transcript && isFinal) {
+      connection.utteranceBuffer.push(transcript);
+    }
+    if (!speechFinal || connection.utteranceBuffer.length === 0) return;
+
+    const utterance = connection.utteranceBuffer.join(' ');
+    connection.utteranceBuffer = [];
+
+    const turn = new AbortController();
+    connection.currentTurn = turn;
+
+    try {
+      await this.respondToCaller(connection, utterance, turn.signal);
+    } catch (error) {
+      if (!turn.signal.aborted) {
+        console.error('Error processing streamed AI response:', error);
+      }
+    } finally {
+      if (connection.currentTurn === turn) {
+        connection.currentTurn = null;
+      }
+    }
+  }
+
+  async respondToCaller(connection, utterance, signal) {
+    const agent = await Agent.findById(connection.agentId);
+    console.log(`Stream speech received: ${this.redactionService.mask(utterance, agent)}`);
+
+    // The caller is answering the "when should we call you back" question
+    if (connection.callbackRequestId) {
+      // Working out the time takes an LLM round-trip; don't keep the caller waiting
+      this.callbackService.setPreferredTime(connection.callbackRequestId, utterance);
+      connection.callbackRequestId = null;
+
+      await this.addTurn(connection, 'user', utterance, agent);
+      await this.addTurn(connection, 'assistant', CALLBACK_TIME_CONFIRMED_MESSAGE, agent);
+      await this.speak(connection, CALLBACK_TIME_CONFIRMED_MESSAGE, agent.voice, { hangup: true });
+      return;
+    }
+
+    const conversation = await Conversation.findById(connection.conversationId);
+    if (connection.detectingLanguage) {
+      await this.settleLanguage(connection, agent, conversation, utterance, signal);
+    }
+    const { voice } = connection.language;
+
+    await this.addTurn(connection, 'user', utterance, agent);
+
+    // Synthesis of each sentence starts as soon as the LLM finishes it;
+    // playback is chained so sentences still reach the caller in order
+    let playback = Promise.resolve();
+    const onSentence = (sentence) => {
+      const audio = this.aiService.generateStreamAudio(sentence, voice, { signal });
+      audio.catch(() => {}); // awaited below, once earlier sentences are queued
+      playback = playback.then(async () => {
+        try {
+          const buffer = await audio;
+          if (!signal.aborted) {
+            this.sendAudio(connection, buffer, this.nextMarkName(connection));
+          }
+        } catch (error) {
+          if (!signal.aborted) {
+            console.error('Error synthesizing streamed sentence:', error);
+          }
+        }
+      });
+    };
+
+    const messages = [...await this.historyFor(connection)];
+    const aiResult = await this.aiService.generateStreamingResponse(
+      messages,
+      agent.prompt,
+      connection.conversationId,
+      {
+        signal,
+        onSentence,
+        tools: this.toolService.forConversation(agent, {
+          conversationId: connection.conversationId,
+          customerNumber: conversation.customer_number
+        }),
+        intents: parseIntentConfig(agent.intent_config),
+        intentResponses: this.transferService.intentResponsesFor(agent),
+        language: this.languageService.instructionFor(agent, connection.language)
+      }
+    );
+    signal.throwIfAborted();
+
+    console.log(`AI Response: ${this.redactionService.mask(aiResult.response, agent)}`);
+    await this.addTurn(connection, 'assistant', aiResult.response, agent);
+
+    const liveTransfer = aiResult.transferRequested && this.transferService.isLive(agent);
+    if (liveTransfer) {
+      this.transferService.prepare(agent, connection.conversationId);
+    } else if (aiResult.transferRequested) {
+      const { default: CallbackRequest } = await import('../models/CallbackRequest.js');
+      const callbackRequest = await CallbackRequest.create({
+        conversation_id: connection.conversationId,
+        customer_number: conversation.customer_number,
+        agent_id: agent.id,
+        reason: aiResult.transferReason,
+        status: 'pending'
+      });
+      connection.callbackRequestId = callbackRequest.id;
+    } else if (aiResult.intent.intent === 'opt_out') {
+      await this.doNotCallService.recordOptOut(conversation);
+    }
+
+    await playback;
+
+    if (signal.aborted) return;
+    if (liveTransfer) {
+      this.afterPlayback(connection, 'transfer');
+    } else if (aiResult.endCall) {
+      this.afterPlayback(connection, 'hangup');
+    }
+  }
+
+  // Stores the message redacted and keeps it as said in the call's history
+  async addTurn(connection, role, content, agent, options = {}) {
+    const history = await this.historyFor(connection);
+    await this.redactionService.addMessage(connection.conversationId, role, content, agent, options);
+    history.push({ role, content });
+  }
+
+  // Starts from whatever was stored before this connection (an outbound
+  // greeting, say), then grows turn by turn without a round trip to the
+  // database, so the LLM never sees redaction labels in place of what the
+  // caller said
+  async historyFor(connection) {
+    if (!connection.history) {
+      const messages = await this.redactionService.revealMessages(
+        await Conversation.getMessages(connection.conversationId),
+        connection.conversationId
+      );
+      connection.history = messages.map(m => ({ role: m.role, content: m.content }));
+    }
+    return connection.history;
+  }
+
   handleDisconnection(connectionId) {
     const connection = this.activeConnections.get(connectionId);
     if (connection) {
@@ -197,4 +600,4 @@ class WebSocketService {
   }
 }
 
-export default WebSocketService;
\ No newline at end of file
+export default WebSocketService;
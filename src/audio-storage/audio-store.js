@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { checkKey } from './base-storage.js';
+
+const CONTENT_TYPES = {
+  wav: 'audio/wav',
+  ulaw: 'audio/basic',
+  mp3: 'audio/mpeg'
+};
+
+/**
+ * Lifecycle of generated audio on top of a storage backend:
+ *
+ * - `save` stores a new file under a random key, optionally in a tenant's
+ *   namespace (`tenants/<tenantId>/...`) where a storage quota applies.
+ * - `url` hands out a link that expires after `urlTtl` seconds, good for
+ *   a Twilio `<Play>`.  Backends that can't presign (local disk) get links
+ *   to the `/audio` route (./route.js), signed with `urlSecret`.
+ * - `cleanup` deletes files older than `retention`, except under the
+ *   `keep` prefixes whose owners manage them (the TTS cache).  `start`
+ *   runs it every `cleanupInterval`.
+ */
+export class AudioStore {
+  /**
+   * @param {import('./base-storage.js').AudioStorage} backend
+   * @param {Object} options
+   * @param {string} options.urlSecret Key for signing `/audio` links.
+   * @param {string} [options.baseUrl] Where the `/audio` route is reachable,
+   *   e.g. `https://example.com/audio`; a bare path is resolved by Twilio
+   *   against the webhook URL.
+   * @param {number} [options.urlTtl] Seconds a link stays valid.
+   * @param {number} [options.retention] Age in ms after which files are deleted.
+   * @param {number} [options.cleanupInterval] Ms between cleanups.
+   * @param {number} [options.maxFileSize] Largest file accepted, in bytes.
+   * @param {string[]} [options.keep] Key prefixes cleanup leaves alone.
+   * @param {number} [options.tenantQuota] Bytes each tenant may store; unset for no limit.
+   * @param {Object<string, number>} [options.tenantQuotas] Per-tenant overrides of `tenantQuota`.
+   */
+  constructor(backend, options) {
+    if (!options.urlSecret) {
+      throw new Error('Audio storage needs a URL signing secret');
+    }
+    this.backend = backend;
+    this.urlSecret = options.urlSecret;
+    this.baseUrl = (options.baseUrl || '/audio').replace(/\/$/, '');
+    this.urlTtl = options.urlTtl || 60 * 60;
+    this.retention = options.retention || 24 * 60 * 60 * 1000;
+    this.cleanupInterval = options.cleanupInterval || 60 * 60 * 1000;
+    this.maxFileSize = options.maxFileSize || Infinity;
+    this.keep = options.keep || [];
+    this.tenantQuota = options.tenantQuota || null;
+    this.tenantQuotas = options.tenantQuotas || {};
+    // tenantId -> bytes stored, counted from a listing on first use
+    this.usage = new Map();
+    this.timer = null;
+    this.cleaning = false;
+  }
+
+  /**
+   * Store a new audio file under a random key.
+   *
+   * @param {Buffer} audio
+   * @param {{prefix?: string, extension?: string, tenantId?: string}} [options]
+   * @returns {Promise<{key: string, url: string}>}
+   */
+  async save(audio, { prefix = 'tts', extension = 'wav', tenantId = null } = {}) {
+    const key = `${tenantId ? this.tenantPrefix(tenantId) : ''}${prefix}/${uuidv4()}.${extension}`;
+    await this.put(key, audio, { tenantId });
+    return { key, url: this.url(key) };
+  }
+
+  /**
+   * Store audio under a key of the caller's choosing, replacing any file
+   * already there.
+   *
+   * @param {string} key
+   * @param {Buffer} audio
+   * @param {{tenantId?: string}} [options] Counts the file against this tenant's quota.
+   */
+  async put(key, audio, { tenantId = null } = {}) {
+    if (audio.length > this.maxFileSize) {
+      throw new Error(`Audio file of ${audio.length} bytes exceeds the ${this.maxFileSize} byte limit`);
+    }
+    if (tenantId) await this.reserve(tenantId, audio.length);
+
+    try {
+      await this.backend.put(checkKey(key), audio, { contentType: contentTypeFor(key) });
+    } catch (error) {
+      if (tenantId) this.release(tenantId, audio.length);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Buffer|null>}
+   */
+  read(key) {
+    return this.backend.get(key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>}
+   */
+  exists(key) {
+    return this.backend.exists(key);
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Promise<Array<{key: string, size: number, modified: number}>>}
+   */
+  list(prefix) {
+    return this.backend.list(prefix);
+  }
+
+  /**
+   * @param {string} key
+   * @param {{size?: number}} [options] Size of the file, when known, to keep tenant usage exact.
+   */
+  async delete(key, { size } = {}) {
+    await this.backend.delete(key);
+
+    const tenantId = this.tenantOf(key);
+    if (!tenantId) return;
+    if (size === undefined) {
+      this.usage.delete(tenantId); // Recounted on next use rather than guessed
+    } else {
+      this.release(tenantId, size);
+    }
+  }
+
+  /**
+   * An expiring link to `key`.
+   *
+   * @param {string} key
+   * @param {{expiresIn?: number}} [options] Seconds; defaults to `urlTtl`.
+   * @returns {string} A presigned backend URL, or one under `baseUrl`.
+   */
+  url(key, { expiresIn = this.urlTtl } = {}) {
+    const presigned = this.backend.signedUrl(key, expiresIn);
+    if (presigned) return presigned;
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const path = checkKey(key).split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/${path}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  /**
+   * Check a link produced by `url`.
+   *
+   * @param {string} key
+   * @param {string|number} expires Unix time in seconds.
+   * @param {string} signature
+   * @returns {boolean}
+   */
+  verify(key, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Delete files older than `retention`.
+   *
+   * @param {{prefix?: string, olderThan?: number}} [options] Limit to keys
+   *   under `prefix`, or use a different age in ms.
+   * @returns {Promise<number>} Files deleted.
+   */
+  async cleanup({ prefix = '', olderThan = this.retention } = {}) {
+    const cutoff = Date.now() - olderThan;
+    let deleted = 0;
+    for (const object of await this.backend.list(prefix)) {
+      if (object.modified > cutoff || this.isKept(object.key)) continue;
+      try {
+        await this.delete(object.key, { size: object.size });
+        deleted++;
+      } catch (error) {
+        console.error(`Error deleting audio ${object.key}:`, error.message);
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Run `cleanup` now and every `cleanupInterval`.
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runCleanup(), this.cleanupInterval);
+    this.timer.unref();
+    this.runCleanup();
+    console.log(`Audio cleanup running every ${this.cleanupInterval / 1000}s, deleting files older than ${this.retention / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @param {string} tenantId
+   * @returns {Promise<{bytes: number, quota: number|null}>}
+   */
+  async tenantUsage(tenantId) {
+    return { bytes: await this.usageOf(tenantId), quota: this.quotaFor(tenantId) };
+  }
+
+  async runCleanup() {
+    if (this.cleaning) return;
+    this.cleaning = true;
+    try {
+      const deleted = await this.cleanup();
+      if (deleted > 0) console.log(`Audio cleanup deleted ${deleted} files`);
+    } catch (error) {
+      console.error('Error cleaning up audio:', error);
+    } finally {
+      this.cleaning = false;
+    }
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.urlSecret).update(`${key}\n${expires}`).digest('hex');
+  }
+
+  isKept(key) {
+    const tenantId = this.tenantOf(key);
+    const relative = tenantId ? key.slice(this.tenantPrefix(tenantId).length) : key;
+    return this.keep.some(prefix => relative.startsWith(prefix));
+  }
+
+  tenantPrefix(tenantId) {
+    return `tenants/${encodeURIComponent(tenantId)}/`;
+  }
+
+  tenantOf(key) {
+    const match = key.match(/^tenants\/([^/]+)\//);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  quotaFor(tenantId) {
+    return this.tenantQuotas[tenantId] ?? this.tenantQuota;
+  }
+
+  async usageOf(tenantId) {
+    if (!this.usage.has(tenantId)) {
+      const objects = await this.backend.list(this.tenantPrefix(tenantId));
+      this.usage.set(tenantId, objects.reduce((total, object) => total + object.size, 0));
+    }
+    return this.usage.get(tenantId);
+  }
+
+  // Count `bytes` against the tenant's quota. When full, files whose links
+  // have already expired are deleted first; if that isn't enough the
+  // write is refused.
+  async reserve(tenantId, bytes) {
+    const quota = this.quotaFor(tenantId);
+    if (quota && await this.usageOf(tenantId) + bytes > quota) {
+      await this.cleanup({ prefix: this.tenantPrefix(tenantId), olderThan: this.urlTtl * 1000 });
+      const used = await this.usageOf(tenantId);
+      if (used + bytes > quota) {
+        const error = new Error(`Audio storage quota of ${quota} bytes exceeded for tenant ${tenantId} (${used} bytes used)`);
+        error.code = 'AUDIO_QUOTA_EXCEEDED';
+        throw error;
+      }
+    }
+    this.usage.set(tenantId, await this.usageOf(tenantId) + bytes);
+  }
+
+  release(tenantId, bytes) {
+    if (this.usage.has(tenantId)) {
+      this.usage.set(tenantId, Math.max(0, this.usage.get(tenantId) - bytes));
+    }
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns {string} MIME type from the key's extension.
+ */
+export function contentTypeFor(key) {
+  return CONTENT_TYPES[key.slice(key.lastIndexOf('.') + 1)] || 'application/octet-stream';
+}
@@ -0,0 +1,87 @@
+/**
+ * Base class for the places generated audio is kept.  Objects are
+ * addressed by a slash-separated key such as `tts/<uuid>.wav` or
+ * `tenants/<tenantId>/tts/<uuid>.wav`; backends only store bytes and
+ * `AudioStore` (./audio-store.js) adds URLs, retention and quotas on top.
+ */
+export class AudioStorage {
+  /**
+   * @param {Object} storageConfig
+   * @param {string} storageConfig.backend Registered backend name.
+   */
+  constructor(storageConfig = {}) {
+    this.name = storageConfig.backend;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} body
+   * @param {{contentType?: string}} [options]
+   * @returns {Promise<void>}
+   */
+  async put(key, body, options) {
+    throw new Error(`${this.name} storage does not support writing`);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Buffer|null>} The object, or null when it doesn't exist.
+   */
+  async get(key) {
+    throw new Error(`${this.name} storage does not support reading`);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>}
+   */
+  async exists(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  /**
+   * Remove an object.  Removing a missing object is not an error.
+   *
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.name} storage does not support deleting`);
+  }
+
+  /**
+   * @param {string} prefix Only keys starting with this are listed.
+   * @returns {Promise<Array<{key: string, size: number, modified: number}>>}
+   *   `modified` is in milliseconds since the epoch.
+   */
+  async list(prefix) {
+    throw new Error(`${this.name} storage does not support listing`);
+  }
+
+  /**
+   * Backends that can hand out their own expiring links (S3 presigned URLs)
+   * override this; `AudioStore` signs links to its `/audio` route otherwise.
+   *
+   * @param {string} key
+   * @param {number} expiresIn Seconds the URL stays valid.
+   * @returns {string|null}
+   */
+  signedUrl(key, expiresIn) {
+    return null;
+  }
+}
+
+/**
+ * Reject keys that could escape the storage root or bucket prefix.
+ *
+ * @param {string} key
+ * @returns {string} The key, unchanged.
+ */
+export function checkKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') ||
+      key.split('/').some(part => !part || part === '.' || part === '..') ||
+      /[\\\0]/.test(key)) {
+    throw new Error(`Invalid audio key: ${key}`);
+  }
+  return key;
+}
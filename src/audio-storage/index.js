@@ -0,0 +1,44 @@
+import { LocalAudioStorage } from './local.js';
+import { S3AudioStorage } from './s3.js';
+
+export { AudioStore } from './audio-store.js';
+export { createAudioRouter, sendAudio } from './route.js';
+
+/**
+ * Registry of audio storage backends, picked with `AUDIO_STORAGE` for the
+ * single-tenant app (see src/audio-store.js) and `audioStorage.backend` in
+ * config/global-config.js for the multi-tenant core.
+ */
+const factories = new Map();
+
+/**
+ * @param {string} name Backend name as used in `AUDIO_STORAGE`.
+ * @param {(storageConfig: Object) => import('./base-storage.js').AudioStorage} factory
+ */
+export function registerAudioStorage(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Create a backend instance for the given configuration.
+ *
+ * @param {Object} storageConfig Must include `backend`.
+ * @returns {import('./base-storage.js').AudioStorage}
+ */
+export function createAudioStorage(storageConfig) {
+  const factory = factories.get(storageConfig.backend);
+  if (!factory) {
+    throw new Error(`Unsupported audio storage: ${storageConfig.backend}. Available: ${listAudioStorages().join(', ')}`);
+  }
+  return factory(storageConfig);
+}
+
+/**
+ * @returns {string[]} Registered backend names.
+ */
+export function listAudioStorages() {
+  return Array.from(factories.keys());
+}
+
+registerAudioStorage('local', storageConfig => new LocalAudioStorage(storageConfig));
+registerAudioStorage('s3', storageConfig => new S3AudioStorage(storageConfig));
@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AudioStorage, checkKey } from './base-storage.js';
+
+/**
+ * Audio files on local disk.  The directory must not be served statically:
+ * files are only reachable through the signed `/audio` route.
+ */
+export class LocalAudioStorage extends AudioStorage {
+  /**
+   * @param {Object} storageConfig See AudioStorage, plus `path`: the root
+   *   directory.
+   */
+  constructor(storageConfig) {
+    super(storageConfig);
+    if (!storageConfig.path) {
+      throw new Error('Local audio storage needs a path');
+    }
+    this.root = path.resolve(storageConfig.path);
+  }
+
+  async put(key, body) {
+    const filepath = this.pathFor(key);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+
+    // Write under a temporary name so a half-written file is never served
+    const tempPath = `${filepath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, body);
+    await fs.rename(tempPath, filepath);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.pathFor(key));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      return (await fs.stat(this.pathFor(key))).isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    await fs.unlink(this.pathFor(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const key = path.relative(this.root, entryPath).split(path.sep).join('/');
+          if (!key.startsWith(prefix)) continue;
+          const stats = await fs.stat(entryPath).catch(() => null);
+          if (stats) objects.push({ key, size: stats.size, modified: stats.mtimeMs });
+        }
+      }
+    };
+
+    // Only walk the directory the prefix points into
+    const dir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    await walk(dir ? this.pathFor(dir) : this.root);
+    return objects;
+  }
+
+  pathFor(key) {
+    return path.join(this.root, ...checkKey(key).split('/'));
+  }
+}
@@ -0,0 +1,70 @@
+import express from 'express';
+import { contentTypeFor } from './audio-store.js';
+import { checkKey } from './base-storage.js';
+
+/**
+ * Serves files from an AudioStore to whoever holds a link from
+ * `audioStore.url()`: Twilio fetching a `<Play>`, or the dashboard.
+ * Links without a valid, unexpired signature are refused, so stored audio
+ * can't be listed or guessed.
+ *
+ * @param {import('./audio-store.js').AudioStore} audioStore
+ * @returns {express.Router} Mount it where the store's `baseUrl` points.
+ */
+export function createAudioRouter(audioStore) {
+  const router = express.Router();
+
+  router.get(/^\/(.+)$/, async (req, res) => {
+    const key = req.params[0];
+    try {
+      checkKey(key);
+    } catch {
+      return res.status(404).json({ error: 'Audio not found' });
+    }
+    if (!audioStore.verify(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired audio link' });
+    }
+
+    try {
+      const audio = await audioStore.read(key);
+      if (!audio) {
+        return res.status(404).json({ error: 'Audio not found' });
+      }
+
+      const maxAge = Math.max(0, parseInt(req.query.expires) - Math.floor(Date.now() / 1000));
+      res.set('Cache-Control', `private, max-age=${maxAge}`);
+      sendAudio(req, res, audio, contentTypeFor(key));
+    } catch (error) {
+      console.error(`Error serving audio ${key}:`, error);
+      res.status(500).json({ error: 'Failed to load audio' });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Send audio with HTTP range support, so browsers can seek and Twilio can
+ * fetch in parts.  Multiple ranges are answered with the whole file.
+ *
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {Buffer} audio
+ * @param {string} contentType
+ */
+export function sendAudio(req, res, audio, contentType) {
+  res.set('Accept-Ranges', 'bytes');
+  res.type(contentType);
+
+  const ranges = req.headers.range ? req.range(audio.length) : null;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${audio.length}`);
+    return res.status(416).end();
+  }
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.set('Content-Range', `bytes ${start}-${end}/${audio.length}`);
+    return res.status(206).send(audio.subarray(start, end + 1));
+  }
+  res.send(audio);
+}
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { AudioStorage, checkKey } from './base-storage.js';
+
+/**
+ * Audio in an S3-compatible bucket: AWS S3, or a local stand-in such as
+ * MinIO for development.  Requests are signed with AWS Signature Version 4
+ * and use path-style URLs (`<endpoint>/<bucket>/<key>`), which every
+ * S3-compatible server understands.  Twilio fetches audio straight from the
+ * bucket through presigned URLs, so the bucket itself can stay private.
+ */
+export class S3AudioStorage extends AudioStorage {
+  /**
+   * @param {Object} storageConfig See AudioStorage, plus:
+   *   `endpoint` (e.g. `http://localhost:9000`), `bucket`, `region`
+   *   (default `us-east-1`), `accessKeyId`, `secretAccessKey`, `timeout`
+   *   in ms, and `publicEndpoint` when Twilio must reach the bucket under
+   *   a different address than this server does.
+   */
+  constructor(storageConfig) {
+    super(storageConfig);
+    const { endpoint, bucket, accessKeyId, secretAccessKey } = storageConfig;
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 audio storage needs an endpoint, bucket, access key ID and secret access key');
+    }
+    this.endpoint = endpoint.replace(/\/$/, '');
+    this.publicEndpoint = (storageConfig.publicEndpoint || endpoint).replace(/\/$/, '');
+    this.bucket = bucket;
+    this.region = storageConfig.region || 'us-east-1';
+    this.credentials = { accessKeyId, secretAccessKey };
+    this.timeout = storageConfig.timeout || 30000;
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+    await this.request('PUT', this.objectPath(key), { body, headers: { 'content-type': contentType } });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', this.objectPath(key), { allowMissing: true });
+    return response ? Buffer.from(await response.arrayBuffer()) : null;
+  }
+
+  async exists(key) {
+    return (await this.request('HEAD', this.objectPath(key), { allowMissing: true })) !== null;
+  }
+
+  async delete(key) {
+    await this.request('DELETE', this.objectPath(key), { allowMissing: true });
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken = null;
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+      const response = await this.request('GET', `/${encode(this.bucket)}`, { query });
+      const xml = await response.text();
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        objects.push({
+          key: unescapeXml(tagValue(contents, 'Key')),
+          size: parseInt(tagValue(contents, 'Size')) || 0,
+          modified: Date.parse(tagValue(contents, 'LastModified')) || 0
+        });
+      }
+      continuationToken = tagValue(xml, 'IsTruncated') === 'true'
+        ? unescapeXml(tagValue(xml, 'NextContinuationToken'))
+        : null;
+    } while (continuationToken);
+    return objects;
+  }
+
+  signedUrl(key, expiresIn) {
+    const url = new URL(this.publicEndpoint);
+    const objectPath = `${url.pathname.replace(/\/$/, '')}${this.objectPath(key)}`;
+    const amzDate = amzTimestamp(new Date());
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.credentials.accessKeyId}/${credentialScope(amzDate, this.region)}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(Math.max(Math.floor(expiresIn), 1), 7 * 24 * 60 * 60)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const { signature } = signRequest({
+      method: 'GET',
+      path: objectPath,
+      query,
+      headers: { host: url.host },
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      amzDate,
+      region: this.region,
+      credentials: this.credentials
+    });
+    return `${url.origin}${objectPath}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+
+  objectPath(key) {
+    return `/${encode(this.bucket)}/${checkKey(key).split('/').map(encode).join('/')}`;
+  }
+
+  // Signed request to the bucket. With `allowMissing`, a 404 resolves to
+  // null instead of throwing.
+  async request(method, resourcePath, { query = {}, body, headers = {}, allowMissing = false } = {}) {
+    const url = new URL(this.endpoint);
+    const requestPath = `${url.pathname.replace(/\/$/, '')}${resourcePath}`;
+    const amzDate = amzTimestamp(new Date());
+    const payloadHash = sha256(body || '');
+
+    const signedHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const { signature, signedHeaderNames } = signRequest({
+      method,
+      path: requestPath,
+      query,
+      headers: signedHeaders,
+      payloadHash,
+      amzDate,
+      region: this.region,
+      credentials: this.credentials
+    });
+
+    const { host, ...requestHeaders } = signedHeaders;
+    requestHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${this.credentials.accessKeyId}/${credentialScope(amzDate, this.region)}, ` +
+      `SignedHeaders=${signedHeaderNames}, Signature=${signature}`;
+
+    const queryString = canonicalQuery(query);
+    const response = await fetch(`${url.origin}${requestPath}${queryString ? `?${queryString}` : ''}`, {
+      method,
+      headers: requestHeaders,
+      body,
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (response.status === 404 && allowMissing) return null;
+    if (!response.ok) {
+      const detail = method === 'HEAD' ? '' : (await response.text()).slice(0, 200);
+      throw new Error(`S3 ${method} ${resourcePath} failed: ${response.status} ${detail}`.trim());
+    }
+    return response;
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function amzTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function credentialScope(amzDate, region) {
+  return `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+}
+
+function canonicalQuery(query) {
+  return Object.entries(query)
+    .map(([name, value]) => [encode(name), encode(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * AWS Signature Version 4 for an S3 request.  `path` must already be
+ * URI-encoded; `headers` are the headers to sign, including `host`.
+ *
+ * @returns {{signature: string, signedHeaderNames: string}}
+ */
+function signRequest({ method, path, query = {}, headers, payloadHash, amzDate, region, credentials }) {
+  const canonicalHeaders = Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const signedHeaderNames = canonicalHeaders.map(([name]) => name).join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery(query),
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaderNames,
+    payloadHash
+  ].join('\n');
+
+  const scope = credentialScope(amzDate, region);
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  let signingKey = hmac(`AWS4${credentials.secretAccessKey}`, amzDate.slice(0, 8));
+  for (const part of [region, 's3', 'aws4_request']) {
+    signingKey = hmac(signingKey, part);
+  }
+
+  return {
+    signature: hmac(signingKey, stringToSign).toString('hex'),
+    signedHeaderNames
+  };
+}
+
+function tagValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : '';
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
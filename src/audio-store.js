@@ -1,38 +1,16 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { v4 as uuidv4 } from 'uuid';
+import config from './config.js';
+import { AudioStore, createAudioStorage } from './audio-storage/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-class AudioStore {
-  constructor() {
-    this.audioDir = path.join(__dirname, '..', 'public', 'audio');
-    if (!fs.existsSync(this.audioDir)) {
-      fs.mkdirSync(this.audioDir, { recursive: true });
-    }
-  }
-
-  async saveAudio(audioBuffer) {
-    const filename = `${uuidv4()}.mp3`;
-    const filePath = path.join(this.audioDir, filename);
-    await fs.promises.writeFile(filePath, audioBuffer);
-    return `/audio/${filename}`; // Returns the URL path
-  }
-
-  cleanup() {
-    // Cleanup old files (older than 1 hour)
-    const files = fs.readdirSync(this.audioDir);
-    const now = Date.now();
-    files.forEach(file => {
-      const filePath = path.join(this.audioDir, file);
-      const stats = fs.statSync(filePath);
-      if (now - stats.mtimeMs > 3600000) { // 1 hour
-        fs.unlinkSync(filePath);
-      }
-    });
-  }
-}
-
-export const audioStore = new AudioStore();
\ No newline at end of file
+// Generated audio for the single-tenant app, on the backend picked with
+// AUDIO_STORAGE (see src/audio-storage). Links expire after AUDIO_URL_TTL
+// and files after AUDIO_RETENTION. Cleanup leaves cache/ (evicted by the
+// TTS cache) and recordings/ (kept for RECORDING_RETENTION_DAYS) alone.
+export const audioStore = new AudioStore(createAudioStorage(config.audio.storage), {
+  urlSecret: config.audio.urlSecret,
+  baseUrl: `${config.app.baseUrl}/audio`,
+  urlTtl: config.audio.urlTtl,
+  retention: config.audio.retention,
+  cleanupInterval: config.audio.cleanupInterval,
+  maxFileSize: config.audio.maxFileSize,
+  keep: ['cache/', 'recordings/']
+});
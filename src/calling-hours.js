@@ -0,0 +1,198 @@
+/**
+ * Calling-hours guardrails for outbound dialing, shared by the single-tenant
+ * app and the multi-tenant core.  Every outbound call is checked against the
+ * callee's local time; outside the allowed hours it is either rejected or
+ * deferred to the start of the next window.
+ *
+ * Rules are JSON objects layered global default → tenant → agent, each
+ * overriding only the fields it sets:
+ *
+ *   {
+ *     "start": "08:00",
+ *     "end": "21:00",
+ *     "days": ["mon", "tue", "wed", "thu", "fri", "sat"],
+ *     "action": "defer",
+ *     "timezone": "America/New_York"
+ *   }
+ *
+ * `days` null means every day; `timezone` is only the fallback for callees
+ * whose zone cannot be worked out from their contact record or number.
+ * `enabled: false` turns the check off.
+ */
+
+import { isValidTimeZone, getZonedParts, formatZoned, zonedTimeToUtc } from './timezone.js';
+import { timezoneForNumber } from './phone-timezones.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const CALLING_HOURS_ACTIONS = ['reject', 'defer'];
+
+/** The 8am-9pm local window US telemarketing rules allow */
+export const DEFAULT_CALLING_HOURS = {
+  enabled: true,
+  start: '08:00',
+  end: '21:00',
+  days: null,
+  action: 'reject',
+  timezone: 'UTC'
+};
+
+/** Returned to API clients when a call is refused */
+export const OUTSIDE_CALLING_HOURS_MESSAGE = "It is outside calling hours in the callee's time zone";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check calling-hours rules supplied through the API or configuration.
+ *
+ * @param {Object} rules A partial rule set.
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateCallingHours(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'Calling hours must be an object';
+  }
+  const { enabled, start, end, days, action, timezone } = rules;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'Calling hours: enabled must be a boolean';
+  }
+  for (const [field, value] of [['start', start], ['end', end]]) {
+    if (value !== undefined && !TIME_PATTERN.test(value)) {
+      return `Calling hours: ${field} must be a 24-hour HH:mm time`;
+    }
+  }
+  if (start !== undefined && start === end) {
+    return 'Calling hours: the window must not be empty';
+  }
+  if (days !== undefined && days !== null &&
+      (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(day)))) {
+    return `Calling hours: days must be a non-empty array of: ${WEEKDAYS.join(', ')}`;
+  }
+  if (action !== undefined && !CALLING_HOURS_ACTIONS.includes(action)) {
+    return `Calling hours: action must be one of ${CALLING_HOURS_ACTIONS.join(', ')}`;
+  }
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return `Calling hours: unknown time zone ${timezone}`;
+  }
+  return null;
+}
+
+/**
+ * Merge rule layers over the defaults.  Layers may be JSON strings, objects
+ * or empty; later layers win.
+ *
+ * @param {...(string|Object|null)} layers e.g. global, tenant, agent.
+ * @returns {Object} A complete rule set.
+ */
+export function resolveCallingHours(...layers) {
+  const rules = { ...DEFAULT_CALLING_HOURS };
+  for (let layer of layers) {
+    if (typeof layer === 'string') {
+      try {
+        layer = JSON.parse(layer);
+      } catch (err) {
+        console.error('Invalid calling hours JSON, ignoring:', err.message);
+        continue;
+      }
+    }
+    if (layer && typeof layer === 'object') {
+      Object.assign(rules, layer);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Work out the callee's time zone: the contact's own, else the one their
+ * number implies, else the rules' fallback.
+ *
+ * @param {Object} rules From resolveCallingHours.
+ * @param {string} phoneNumber E.164 number.
+ * @param {string|null} [contactTimezone]
+ * @returns {{timezone: string, source: 'contact'|'number'|'default'}}
+ */
+export function calleeTimezone(rules, phoneNumber, contactTimezone = null) {
+  if (isValidTimeZone(contactTimezone)) {
+    return { timezone: contactTimezone, source: 'contact' };
+  }
+  const fromNumber = timezoneForNumber(phoneNumber);
+  if (fromNumber) {
+    return { timezone: fromNumber, source: 'number' };
+  }
+  return { timezone: rules.timezone, source: 'default' };
+}
+
+/**
+ * `days` are the days a window opens on, so the small hours of a window
+ * such as 18:00-02:00 belong to the day before.
+ *
+ * @param {{start: string, end: string, days: string[]|null}} window
+ * @param {string} timeZone
+ * @param {Date} [now]
+ * @returns {boolean} Whether `now` falls inside the window in `timeZone`.
+ */
+export function isWithinHours({ start, end, days }, timeZone, now = new Date()) {
+  const { weekday, hour, minute } = getZonedParts(now, timeZone);
+  const current = hour * 60 + minute;
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  // Windows such as 18:00-02:00 wrap past midnight
+  const wraps = from > to;
+  const inside = wraps
+    ? current >= from || current < to
+    : current >= from && current < to;
+  if (!inside) return false;
+
+  const today = WEEKDAYS.indexOf(weekday.slice(0, 3).toLowerCase());
+  const openedOn = wraps && current < to ? (today + 6) % 7 : today;
+  return !days || days.includes(WEEKDAYS[openedOn]);
+}
+
+/**
+ * Decide whether a call may be placed now.
+ *
+ * @param {Object} rules From resolveCallingHours.
+ * @param {string} timeZone The callee's zone (see calleeTimezone).
+ * @param {Date} [now]
+ * @returns {{allowed: boolean, localTime: string, nextAllowedAt: Date|null}}
+ *   `localTime` is the callee's wall clock as `YYYY-MM-DDTHH:mm`;
+ *   `nextAllowedAt` is the next window start when the call is not allowed.
+ */
+export function checkCallingHours(rules, timeZone, now = new Date()) {
+  const localTime = formatZoned(now, timeZone);
+  if (!rules.enabled || isWithinHours(rules, timeZone, now)) {
+    return { allowed: true, localTime, nextAllowedAt: null };
+  }
+  return { allowed: false, localTime, nextAllowedAt: nextWindowStart(rules, timeZone, now) };
+}
+
+/**
+ * @param {{start: string, days: string[]|null}} window
+ * @param {string} timeZone
+ * @param {Date} now
+ * @returns {Date|null} When the window next opens after `now` in
+ *   `timeZone`; null when it opens on none of the next seven days.
+ */
+export function nextWindowStart({ start, days }, timeZone, now) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+
+  // Walk the callee's calendar forward to the first allowed day whose
+  // window has not yet opened
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(year, month - 1, day + offset));
+    if (days && !days.includes(WEEKDAYS[date.getUTCDay()])) continue;
+
+    const localDate = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    const opensAt = zonedTimeToUtc(`${localDate}T${start}`, timeZone);
+    if (opensAt > now) return opensAt;
+  }
+  return null;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
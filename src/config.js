@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,30 +11,72 @@ dotenv.config();
 const requiredEnvVars = [
   'TWILIO_ACCOUNT_SID',
   'TWILIO_AUTH_TOKEN',
-  'TWILIO_PHONE_NUMBER',
-  'DEEPGRAM_API_KEY',
-  'LLM_API_KEY'
+  'TWILIO_PHONE_NUMBER'
 ];
 
+// Speech runs on Deepgram unless both sides use local engines
+const sttProvider = process.env.STT_PROVIDER || 'deepgram';
+const ttsProvider = process.env.TTS_PROVIDER || 'deepgram';
+if (sttProvider === 'deepgram' || ttsProvider === 'deepgram') {
+  requiredEnvVars.push('DEEPGRAM_API_KEY');
+}
+
+// Local LLM servers (ollama) run without an API key
+if (process.env.LLM_PROVIDER !== 'ollama') {
+  requiredEnvVars.push('LLM_API_KEY');
+}
+
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 if (missingVars.length > 0) {
   throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
+// Audio links are signed with AUDIO_URL_SECRET. Without one, a key is
+// derived from the Twilio auth token rather than reusing the token, which
+// also signs Twilio's webhooks.
+function audioUrlSecret() {
+  if (process.env.AUDIO_URL_SECRET) return process.env.AUDIO_URL_SECRET;
+  const key = crypto.hkdfSync('sha256', process.env.TWILIO_AUTH_TOKEN, '', 'voice-ai audio url signing', 32);
+  return Buffer.from(key).toString('hex');
+}
+
 const config = {
   twilio: {
     accountSid: process.env.TWILIO_ACCOUNT_SID,
     authToken: process.env.TWILIO_AUTH_TOKEN,
-    phoneNumber: process.env.TWILIO_PHONE_NUMBER
+    phoneNumber: process.env.TWILIO_PHONE_NUMBER,
+    // Use <Connect><Stream> full-duplex audio instead of <Gather> round-trips
+    mediaStreams: process.env.TWILIO_MEDIA_STREAMS === 'true',
+    // Answering machine detection on outbound calls (see services/VoicemailService.js)
+    machineDetection: process.env.TWILIO_MACHINE_DETECTION !== 'false'
   },
   deepgram: {
     apiKey: process.env.DEEPGRAM_API_KEY,
     sttModel: process.env.DEEPGRAM_STT_MODEL || 'nova-2',
     ttsModel: process.env.DEEPGRAM_TTS_MODEL || 'aura-asteria-en'
   },
+  speech: {
+    // Recognition and synthesis engines (see src/speech-providers). whisper
+    // and vosk (STT) and piper and espeak (TTS) run locally, without network
+    // access or a Deepgram key.
+    stt: {
+      provider: sttProvider,
+      apiKey: process.env.DEEPGRAM_API_KEY,
+      model: process.env.DEEPGRAM_STT_MODEL || 'nova-2',
+      url: process.env.STT_URL // Local engine address; each provider has a default
+    },
+    tts: {
+      provider: ttsProvider,
+      apiKey: process.env.DEEPGRAM_API_KEY,
+      // Voice for local engines, used whenever an agent has a Deepgram (aura-*) voice
+      voice: ttsProvider === 'deepgram' ? process.env.DEEPGRAM_TTS_MODEL || 'aura-asteria-en' : process.env.TTS_VOICE,
+      url: process.env.TTS_URL
+    }
+  },
   llm: {
     provider: process.env.LLM_PROVIDER || 'openrouter',
     apiKey: process.env.LLM_API_KEY,
+    baseUrl: process.env.LLM_BASE_URL, // Override the provider's API root (e.g. a remote Ollama host)
     model: process.env.LLM_MODEL || 'openai/gpt-4o-mini', // Faster model
     maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 75, // Even more concise
     temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.6, // Slightly lower for consistency
@@ -45,12 +88,71 @@ const config = {
     env: process.env.NODE_ENV || 'development'
   },
   database: {
-    path: path.join(__dirname, '..', 'database', 'voice_ai.db')
+    path: path.join(__dirname, '..', 'database', 'voice_ai.db'),
+    // Apply pending migrations (database/migrations) when the server starts
+    autoMigrate: process.env.DB_AUTO_MIGRATE === 'true'
   },
   audio: {
-    storagePath: path.join(__dirname, '..', 'public', 'audio'),
+    // Where generated audio is kept (see src/audio-storage): local disk or an S3-compatible bucket
+    storage: {
+      backend: process.env.AUDIO_STORAGE || 'local',
+      path: process.env.AUDIO_STORAGE_PATH || path.join(__dirname, '..', 'storage', 'audio'),
+      endpoint: process.env.S3_ENDPOINT,
+      publicEndpoint: process.env.S3_PUBLIC_ENDPOINT, // When Twilio reaches the bucket under another address
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    },
+    urlSecret: audioUrlSecret(), // Signs /audio links
+    urlSecretDerived: !process.env.AUDIO_URL_SECRET,
+    urlTtl: parseInt(process.env.AUDIO_URL_TTL) || 60 * 60, // Seconds an audio link stays valid
+    retention: parseInt(process.env.AUDIO_RETENTION) || 24 * 60 * 60 * 1000, // 24 hours
     maxFileSize: parseInt(process.env.MAX_AUDIO_FILE_SIZE) || 50 * 1024 * 1024, // 50MB
-    cleanupInterval: parseInt(process.env.AUDIO_CLEANUP_INTERVAL) || 24 * 60 * 60 * 1000 // 24 hours
+    cleanupInterval: parseInt(process.env.AUDIO_CLEANUP_INTERVAL) || 60 * 60 * 1000 // 1 hour
+  },
+  recordings: {
+    // Call recordings, copied out of Twilio when calls complete (see services/RecordingService.js)
+    channels: process.env.RECORDING_CHANNELS === 'dual' ? 'dual' : 'mono', // dual: caller and agent on separate tracks
+    encryptionKey: process.env.RECORDING_ENCRYPTION_KEY, // 32 bytes, hex or base64; unset stores recordings unencrypted
+    retentionDays: parseInt(process.env.RECORDING_RETENTION_DAYS) || 0, // 0 keeps recordings until deleted
+    deleteFromTwilio: process.env.RECORDING_DELETE_FROM_TWILIO === 'true', // Once our copy is stored
+    transcribe: process.env.RECORDING_TRANSCRIPTS !== 'false' // Word-timed transcript of each archived recording
+  },
+  redaction: {
+    // PII in transcripts, logs and analysis prompts; agents override
+    // enabled/types with redaction_config (see src/redaction.js)
+    enabled: process.env.PII_REDACTION !== 'false',
+    types: process.env.PII_REDACTION_TYPES ? process.env.PII_REDACTION_TYPES.split(',').map(type => type.trim()) : ['card', 'ssn', 'phone', 'email', 'address'],
+    vaultKey: process.env.PII_VAULT_KEY, // 32 bytes, hex or base64; unset redacts without keeping the originals
+    accessToken: process.env.PII_VAULT_ACCESS_TOKEN, // X-Vault-Token for /api/calls/:id/unredacted; unset disables it
+    deepgram: process.env.PII_REDACTION_DEEPGRAM === 'true' // Also ask Deepgram to redact recording transcripts
+  },
+  ttsCache: {
+    // Synthesised greetings, consent scripts and goodbyes, reused across calls (see src/tts-cache.js)
+    enabled: process.env.TTS_CACHE !== 'false',
+    maxBytes: parseInt(process.env.TTS_CACHE_MAX_BYTES) || 200 * 1024 * 1024 // 200MB
+  },
+  callbacks: {
+    schedulerEnabled: process.env.CALLBACK_SCHEDULER !== 'false',
+    timezone: process.env.CALLBACK_TIMEZONE || 'UTC', // Zone spoken callback times are read in when the caller's is unknown
+    humanNumber: process.env.CALLBACK_HUMAN_NUMBER, // Line callbacks connect to; unset lets the AI agent call back
+    pollInterval: parseInt(process.env.CALLBACK_POLL_INTERVAL) || 60 * 1000, // 1 minute
+    maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 3,
+    retryDelay: parseInt(process.env.CALLBACK_RETRY_DELAY) || 30 * 60 * 1000 // 30 minutes
+  },
+  callingHours: {
+    // Global default for every outbound call; agents override it with
+    // calling_hours (see src/calling-hours.js)
+    enabled: process.env.CALLING_HOURS_ENABLED !== 'false',
+    start: process.env.CALLING_HOURS_START || '08:00',
+    end: process.env.CALLING_HOURS_END || '21:00',
+    days: process.env.CALLING_HOURS_DAYS ? process.env.CALLING_HOURS_DAYS.split(',').map(day => day.trim().toLowerCase()) : null,
+    action: process.env.CALLING_HOURS_ACTION || 'reject', // reject or defer
+    timezone: process.env.CALLING_HOURS_TIMEZONE || 'UTC' // For callees whose zone can't be worked out
+  },
+  campaigns: {
+    pollInterval: parseInt(process.env.CAMPAIGN_POLL_INTERVAL) || 5 * 1000 // 5 seconds
   },
   websocket: {
     port: parseInt(process.env.WS_PORT) || 8080
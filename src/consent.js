@@ -0,0 +1,254 @@
+/**
+ * Recording consent and AI disclosure at the start of a call.  Where the
+ * caller's jurisdiction requires every party to agree to a recording
+ * (two-party states), the agent reads a consent script and waits for a
+ * spoken yes/no or a keypress; elsewhere it only reads a disclosure and
+ * carries on.  Spoken answers are classified by a small LLM call rather
+ * than keyword matching, so "I'm not sure" is not taken as agreement.
+ *
+ * Agents configure it with a JSON object (`agents.consent_config`, or
+ * `agentConfig.consent` for tenants):
+ *
+ *   {
+ *     "mode": "auto",
+ *     "script": "This call is recorded. Do you agree to continue?",
+ *     "disclosure": "This call is recorded.",
+ *     "dtmf": true,
+ *     "jurisdictions": { "US-TX": { "mode": "ask" } }
+ *   }
+ *
+ * `mode` is `auto` (ask where the jurisdiction requires it), `ask` (always
+ * ask) or `disclose` (never ask).  Entries in `jurisdictions` are keyed by
+ * `COUNTRY-STATE` or `COUNTRY` and override the agent-wide settings.
+ */
+
+export const CONSENT_MODES = ['auto', 'ask', 'disclose'];
+
+/**
+ * How the consent step ended, stored on the conversation with a timestamp.
+ * Only `granted` and `disclosed` let the call continue.
+ */
+export const CONSENT_OUTCOMES = ['granted', 'declined', 'unclear', 'no_response', 'disclosed'];
+
+/**
+ * US states where every party must consent to a call being recorded.
+ * Calls from other US states need only a disclosure; calls from outside
+ * the US, or from unknown locations, are asked in `auto` mode.
+ */
+export const ALL_PARTY_CONSENT_JURISDICTIONS = [
+  'US-CA', 'US-CT', 'US-DE', 'US-FL', 'US-IL', 'US-MD', 'US-MA',
+  'US-MI', 'US-MT', 'US-NV', 'US-NH', 'US-OR', 'US-PA', 'US-WA'
+];
+
+export const DEFAULT_CONSENT_CONFIG = {
+  mode: 'auto',
+  script: 'Hello, this is an AI-powered call. Our conversation will be recorded for quality and training purposes. If you agree to proceed, please say yes. If you do not wish to continue, say no or hang up.',
+  disclosure: 'Hello, this is an AI-powered call, and our conversation will be recorded for quality and training purposes.',
+  dtmf: true,
+  jurisdictions: {}
+};
+
+/** Appended to the script when keypad answers are accepted */
+export const DTMF_INSTRUCTIONS = 'You can also press 1 to agree or 2 to decline.';
+
+/** Spoken before the script when the first answer could not be understood */
+export const CONSENT_RETRY_PROMPT = "Sorry, I didn't catch that.";
+
+/** Spoken before the greeting once an English-speaking caller consents */
+export const CONSENT_GRANTED_MESSAGE = 'Thank you for your consent.';
+
+/** Spoken before hanging up on any outcome other than consent */
+export const CONSENT_DECLINED_MESSAGE = 'I understand. Thank you for your time. Goodbye.';
+
+const DTMF_ANSWERS = { 1: 'yes', 2: 'no' };
+const MAX_SCRIPT_LENGTH = 1000;
+const JURISDICTION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+
+/**
+ * Merge an agent's stored consent configuration with the defaults.
+ *
+ * @param {string|Object|null} value JSON string or object; null for defaults.
+ * @returns {Object} A complete consent configuration.
+ */
+export function parseConsentConfig(value) {
+  if (!value) return { ...DEFAULT_CONSENT_CONFIG };
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (err) {
+      console.error('Invalid consent config JSON, using defaults:', err.message);
+      return { ...DEFAULT_CONSENT_CONFIG };
+    }
+  }
+  return { ...DEFAULT_CONSENT_CONFIG, ...parsed };
+}
+
+/**
+ * Check a consent configuration supplied through the API.
+ *
+ * @param {Object} consentConfig
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateConsentConfig(consentConfig) {
+  if (!consentConfig || typeof consentConfig !== 'object' || Array.isArray(consentConfig)) {
+    return 'Consent config must be an object';
+  }
+  const { jurisdictions, ...settings } = consentConfig;
+  const error = validateSettings(settings, 'Consent config');
+  if (error) return error;
+
+  if (jurisdictions !== undefined) {
+    if (!jurisdictions || typeof jurisdictions !== 'object' || Array.isArray(jurisdictions)) {
+      return 'Consent config: jurisdictions must be an object';
+    }
+    for (const [code, overrides] of Object.entries(jurisdictions)) {
+      if (!JURISDICTION_PATTERN.test(code)) {
+        return `Consent config: ${code} is not a jurisdiction code such as US-CA or GB`;
+      }
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return `Consent config: jurisdictions.${code} must be an object`;
+      }
+      const overrideError = validateSettings(overrides, `Consent config: jurisdictions.${code}`);
+      if (overrideError) return overrideError;
+    }
+  }
+  return null;
+}
+
+function validateSettings({ mode, script, disclosure, dtmf }, label) {
+  if (mode !== undefined && !CONSENT_MODES.includes(mode)) {
+    return `${label}: mode must be one of ${CONSENT_MODES.join(', ')}`;
+  }
+  for (const [field, text] of [['script', script], ['disclosure', disclosure]]) {
+    if (text !== undefined && (typeof text !== 'string' || !text.trim() || text.length > MAX_SCRIPT_LENGTH)) {
+      return `${label}: ${field} must be text of at most ${MAX_SCRIPT_LENGTH} characters`;
+    }
+  }
+  if (dtmf !== undefined && typeof dtmf !== 'boolean') {
+    return `${label}: dtmf must be a boolean`;
+  }
+  return null;
+}
+
+/**
+ * Work out where the customer is calling from, using the geographic
+ * parameters Twilio adds to each webhook (the caller's for inbound calls,
+ * the callee's for outbound ones).
+ *
+ * @param {Object} body Raw Twilio webhook parameters.
+ * @returns {string|null} e.g. `US-CA`, `GB`, or null when unknown.
+ */
+export function resolveJurisdiction(body) {
+  const outbound = String(body.Direction || '').startsWith('outbound');
+  const country = (outbound ? body.ToCountry : body.FromCountry)?.toUpperCase();
+  const state = (outbound ? body.ToState : body.FromState)?.toUpperCase();
+
+  if (!country) return null;
+  return state && JURISDICTION_PATTERN.test(`${country}-${state}`) ? `${country}-${state}` : country;
+}
+
+/**
+ * Decide whether to ask for consent or only disclose, and what to say.
+ *
+ * @param {Object} consentConfig Parsed configuration (see parseConsentConfig).
+ * @param {string|null} jurisdiction From resolveJurisdiction.
+ * @returns {{jurisdiction: string|null, ask: boolean, text: string, dtmf: boolean}}
+ *   `text` is the script when asking (with keypad instructions when
+ *   accepted) and the disclosure otherwise.
+ */
+export function consentPolicy(consentConfig, jurisdiction) {
+  const { jurisdictions = {}, ...base } = consentConfig;
+  const country = jurisdiction?.split('-')[0];
+  const settings = {
+    ...base,
+    ...(country && country !== jurisdiction ? jurisdictions[country] : null),
+    ...(jurisdiction ? jurisdictions[jurisdiction] : null)
+  };
+
+  const ask = settings.mode === 'ask' ||
+    (settings.mode === 'auto' && requiresConsent(jurisdiction));
+
+  if (!ask) {
+    return { jurisdiction, ask, text: settings.disclosure, dtmf: false };
+  }
+  return {
+    jurisdiction,
+    ask,
+    text: settings.dtmf ? `${settings.script} ${DTMF_INSTRUCTIONS}` : settings.script,
+    dtmf: settings.dtmf
+  };
+}
+
+function requiresConsent(jurisdiction) {
+  if (!jurisdiction?.startsWith('US-')) return true;
+  return ALL_PARTY_CONSENT_JURISDICTIONS.includes(jurisdiction);
+}
+
+/**
+ * Classify the caller's answer to the consent script.  A keypress wins
+ * over speech.  Never throws for model or parse failures; those classify
+ * as `unclear`, which does not count as consent.
+ *
+ * @param {import('./llm-providers/base-provider.js').LLMProvider} llm
+ * @param {{speech?: string, digits?: string}} reply What Twilio's <Gather> collected.
+ * @param {string} script What the caller was asked.
+ * @param {{signal?: AbortSignal, timeout?: number}} [options]
+ * @returns {Promise<{answer: 'yes'|'no'|'unclear'|'none', method: 'dtmf'|'speech'|null, reason: string}>}
+ */
+export async function classifyConsent(llm, { speech, digits }, script, { signal, timeout } = {}) {
+  if (digits) {
+    const answer = DTMF_ANSWERS[digits[0]] || 'unclear';
+    return { answer, method: 'dtmf', reason: `Pressed ${digits}` };
+  }
+  if (!speech?.trim()) {
+    return { answer: 'none', method: null, reason: 'No response' };
+  }
+
+  const systemPrompt = `A caller was asked for consent at the start of a phone call handled by an AI agent. They were told:
+"${script}"
+Classify their reply:
+- yes: they clearly agree to continue
+- no: they refuse, object to the recording or AI, or ask to end the call
+- unclear: anything else, including questions, hesitation ("I'm not sure") or unrelated speech
+Respond with JSON only: {"answer": "<yes|no|unclear>", "reason": "<short reason>"}`;
+
+  try {
+    const result = await llm.chat(
+      [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: speech }
+      ],
+      { maxTokens: 60, temperature: 0, signal, timeout }
+    );
+
+    const match = result.content?.match(/\{[\s\S]*\}/);
+    const parsed = match ? JSON.parse(match[0]) : null;
+    const answer = String(parsed?.answer || '').toLowerCase();
+    if (!['yes', 'no', 'unclear'].includes(answer)) {
+      console.error(`Unusable consent classification: ${result.content}`);
+      return { answer: 'unclear', method: 'speech', reason: 'Classification could not be parsed' };
+    }
+    return { answer, method: 'speech', reason: String(parsed.reason || '') };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.error('Consent classification failed:', err.message);
+    return { answer: 'unclear', method: 'speech', reason: 'Classification failed' };
+  }
+}
+
+/**
+ * Turn a classified answer into a final outcome, or null when the caller
+ * should be asked once more.
+ *
+ * @param {string} answer From classifyConsent.
+ * @param {number} attempt 1 for the first answer.
+ * @returns {string|null} One of CONSENT_OUTCOMES.
+ */
+export function consentOutcome(answer, attempt) {
+  if (answer === 'yes') return 'granted';
+  if (answer === 'no') return 'declined';
+  if (attempt < 2) return null;
+  return answer === 'none' ? 'no_response' : 'unclear';
+}
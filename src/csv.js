@@ -0,0 +1,71 @@
+/**
+ * Minimal RFC 4180 CSV parsing for contact lists uploaded from the web
+ * interface.  Handles quoted fields, escaped quotes ("") and newlines
+ * inside quotes; that is all spreadsheet exports need.
+ */
+
+/**
+ * Parse CSV text into rows of fields.
+ *
+ * @param {string} text
+ * @returns {string[][]} Rows, with blank lines dropped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+  };
+
+  const input = String(text).replace(/^\uFEFF/, ''); // Excel adds a BOM
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Parse CSV text whose first row is a header into objects keyed by the
+ * lower-cased, snake_cased header names ("Phone Number" -> phone_number).
+ *
+ * @param {string} text
+ * @returns {Object<string, string>[]}
+ */
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+  return rows.map(row => Object.fromEntries(keys.map((key, i) => [key, (row[i] || '').trim()])));
+}
@@ -0,0 +1,70 @@
+/**
+ * Do-not-call (DNC) list helpers shared by the single-tenant app and the
+ * multi-tenant core.  Each deployment keeps its own suppression list (the
+ * `do_not_call` table; tenants have one in their own database) and a
+ * `compliance_events` log of additions and blocked call attempts.
+ */
+
+import { parseCsv } from './csv.js';
+
+/** Where a number on the list came from */
+export const DNC_SOURCES = ['manual', 'import', 'opt_out'];
+
+/** Returned to API clients when a call is refused */
+export const DO_NOT_CALL_MESSAGE = 'This number is on the do-not-call list';
+
+/** Reason stored when a caller asks not to be called again */
+export const OPT_OUT_REASON = 'Caller asked not to be called again';
+
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+const PHONE_COLUMNS = ['phone_number', 'phone', 'number'];
+
+/**
+ * Strip the formatting people type into phone numbers.
+ *
+ * @param {string} phoneNumber e.g. "+1 (555) 010-2000"
+ * @returns {string} e.g. "+15550102000"
+ */
+export function normalizePhoneNumber(phoneNumber) {
+  return String(phoneNumber || '').trim().replace(/[\s().-]/g, '');
+}
+
+/**
+ * @param {string} phoneNumber A normalized number.
+ * @returns {boolean} Whether it is in E.164 format.
+ */
+export function isValidPhoneNumber(phoneNumber) {
+  return PHONE_PATTERN.test(phoneNumber);
+}
+
+/**
+ * Read the numbers out of an uploaded suppression file: either a CSV with
+ * a `phone_number`, `phone` or `number` column, or plain text with one
+ * number per line.
+ *
+ * @param {string} text
+ * @returns {{numbers: string[], skipped: number}} Unique E.164 numbers, and
+ *   how many rows held no usable number.
+ */
+export function parsePhoneList(text) {
+  const rows = parseCsv(text);
+  const header = (rows[0] || []).map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+  let column = header.findIndex(name => PHONE_COLUMNS.includes(name));
+  if (column === -1) {
+    column = 0; // No header row: the number is the first field
+  } else {
+    rows.shift();
+  }
+
+  const numbers = new Set();
+  let skipped = 0;
+  for (const row of rows) {
+    const phoneNumber = normalizePhoneNumber(row[column]);
+    if (isValidPhoneNumber(phoneNumber)) {
+      numbers.add(phoneNumber);
+    } else {
+      skipped++;
+    }
+  }
+  return { numbers: Array.from(numbers), skipped };
+}
@@ -4,11 +4,22 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { createServer } from 'http';
 import config from './config.js';
+import { audioStore } from './audio-store.js';
+import { createAudioRouter } from './audio-storage/index.js';
 import db from '../database/connection.js';
+import Migrator from '../database/migrator.js';
 import WebSocketService from '../services/WebSocketService.js';
+import AIService from '../services/AIService.js';
+import TwilioService from '../services/TwilioService.js';
+import CallbackService from '../services/CallbackService.js';
+import CampaignService from '../services/CampaignService.js';
+import CallingHoursService from '../services/CallingHoursService.js';
+import RecordingService from '../services/RecordingService.js';
 import callRoutes from './routes/calls.js';
 import agentRoutes from './routes/agents.js';
 import contactRoutes from './routes/contacts.js';
+import campaignRoutes from './routes/campaigns.js';
+import complianceRoutes from './routes/compliance.js';
 
 const app = express();
 const server = createServer(app);
@@ -47,12 +58,16 @@ app.use('/api/', limiter);
 
 // Static file serving
 app.use(express.static('public'));
-app.use('/audio', express.static('public/audio'));
+
+// Generated audio, only through the signed links from audioStore.url()
+app.use('/audio', createAudioRouter(audioStore));
 
 // API Routes
 app.use('/api/agents', agentRoutes);
 app.use('/api/calls', callRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/compliance', complianceRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -71,9 +86,23 @@ app.get('/', (req, res) => {
 // Initialize WebSocket service
 const wsService = new WebSocketService(server);
 
+// Places scheduled callback requests when they fall due
+const callbackService = new CallbackService(new AIService(), new TwilioService());
+// Dials the contacts of running campaigns
+const campaignService = new CampaignService(new TwilioService());
+// Places outbound calls deferred to the callee's calling hours
+const callingHoursService = new CallingHoursService(new TwilioService());
+// Deletes archived call recordings past RECORDING_RETENTION_DAYS
+const recordingService = new RecordingService(new TwilioService());
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  callbackService.stop();
+  campaignService.stop();
+  callingHoursService.stop();
+  recordingService.stop();
+  audioStore.stop();
   await db.close();
   server.close(() => {
     console.log('Server closed');
@@ -83,6 +112,11 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  callbackService.stop();
+  campaignService.stop();
+  callingHoursService.stop();
+  recordingService.stop();
+  audioStore.stop();
   await db.close();
   server.close(() => {
     console.log('Server closed');
@@ -97,12 +131,35 @@ async function startServer() {
     await db.connect();
     console.log('Database connected successfully');
 
+    const migrator = new Migrator(db);
+    if (config.database.autoMigrate) {
+      const applied = await migrator.migrate();
+      applied.forEach(({ version, name }) => console.log(`Applied migration ${version} ${name}`));
+    } else {
+      const pending = await migrator.pending();
+      if (pending.length > 0) {
+        console.warn(`${pending.length} pending database migration(s); run npm run migrate or set DB_AUTO_MIGRATE=true`);
+      }
+    }
+
     server.listen(config.app.port, () => {
       console.log(`🚀 Voice AI Agent System v2.0.0 running on port ${config.app.port}`);
       console.log(`📊 Web Interface: http://localhost:${config.app.port}`);
       console.log(`🔗 Twilio Webhooks: ${config.app.baseUrl}/api/calls/twiml/:agentId`);
       console.log(`🌐 WebSocket: ws://localhost:${config.websocket.port}`);
     });
+
+    if (config.callbacks.schedulerEnabled) {
+      callbackService.start();
+    }
+    campaignService.start();
+    callingHoursService.start();
+    recordingService.start();
+    if (config.audio.urlSecretDerived) {
+      console.warn('AUDIO_URL_SECRET is not set; audio links are signed with a key derived from TWILIO_AUTH_TOKEN, and rotating the token invalidates them');
+    }
+    // Deletes generated audio older than AUDIO_RETENTION
+    audioStore.start();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
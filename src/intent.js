@@ -0,0 +1,249 @@
+/**
+ * Structured classification of the caller's latest turn.  Instead of
+ * matching keywords, the model labels each turn with one of `INTENTS` plus
+ * a confidence and a one-line reason, in the same completion as its reply:
+ * the reply opens with a JSON line
+ *
+ *   {"intent": "transfer", "confidence": 0.92, "reason": "asks for a manager"}
+ *
+ * which IntentHeader reads off before any of the reply is spoken.  The
+ * voice services act on anything other than `continue` (transfer to a
+ * human, hang up, etc.).
+ *
+ * Agents configure it with a JSON object (`agents.intent_config`, or
+ * `agentConfig.intents` for tenants):
+ *
+ *   {
+ *     "enabled": true,
+ *     "threshold": 0.7,
+ *     "intents": ["transfer", "end_call", "voicemail", "opt_out"],
+ *     "instructions": "Only transfer billing disputes."
+ *   }
+ *
+ * Intents left out of `intents` are never returned, and classifications
+ * below `threshold` fall back to `continue`.
+ */
+
+export const INTENTS = ['continue', 'transfer', 'end_call', 'voicemail', 'opt_out'];
+
+const INTENT_DESCRIPTIONS = {
+  continue: 'the conversation should simply go on',
+  transfer: 'the caller explicitly asks to speak with a human, a manager or a live representative',
+  end_call: 'the caller is finished and wants to end the call (e.g. says goodbye, has no more questions)',
+  voicemail: 'the other side is an answering machine or voicemail greeting, not a person',
+  opt_out: 'the caller asks not to be called again or to be removed from the call list'
+};
+
+/**
+ * What the agent says when a turn is classified as something other than
+ * `continue`.  Transfers go on to ask for a callback time; the rest end
+ * the call.
+ */
+export const INTENT_RESPONSES = {
+  transfer: "I understand you'd like to speak with a human representative. I'll arrange for a callback from our team. When would be a good time for us to reach you?",
+  end_call: 'Thank you for your time. Goodbye.',
+  voicemail: "Sorry we missed you. We'll try again another time. Goodbye.",
+  opt_out: "Understood, I'm sorry to have bothered you. Goodbye."
+};
+
+export const DEFAULT_INTENT_CONFIG = {
+  enabled: true,
+  threshold: 0.7,
+  intents: ['transfer', 'end_call', 'voicemail', 'opt_out'],
+  instructions: ''
+};
+
+// Room the intent line takes in the completion, on top of the reply's own
+export const INTENT_LINE_TOKENS = 40;
+
+// An intent line longer than this is not coming to an end
+const MAX_LINE_LENGTH = 400;
+
+const DISABLED = { intent: 'continue', confidence: 1, reason: 'Intent detection disabled' };
+
+/**
+ * Merge an agent's stored intent configuration with the defaults.
+ *
+ * @param {string|Object|null} value JSON string or object; null for defaults.
+ * @returns {Object} A complete intent configuration.
+ */
+export function parseIntentConfig(value) {
+  if (!value) return { ...DEFAULT_INTENT_CONFIG };
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (err) {
+      console.error('Invalid intent config JSON, using defaults:', err.message);
+      return { ...DEFAULT_INTENT_CONFIG };
+    }
+  }
+  return { ...DEFAULT_INTENT_CONFIG, ...parsed };
+}
+
+/**
+ * Check an intent configuration supplied through the API.
+ *
+ * @param {Object} intentConfig
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateIntentConfig(intentConfig) {
+  if (!intentConfig || typeof intentConfig !== 'object' || Array.isArray(intentConfig)) {
+    return 'Intent config must be an object';
+  }
+  const { enabled, threshold, intents, instructions } = intentConfig;
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'Intent config: enabled must be a boolean';
+  }
+  if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold > 1)) {
+    return 'Intent config: threshold must be a number between 0 and 1';
+  }
+  if (intents !== undefined) {
+    if (!Array.isArray(intents)) {
+      return 'Intent config: intents must be an array';
+    }
+    const unknown = intents.find(intent => !INTENTS.includes(intent) || intent === 'continue');
+    if (unknown !== undefined) {
+      return `Intent config: unknown intent ${unknown}. Available: ${INTENTS.slice(1).join(', ')}`;
+    }
+  }
+  if (instructions !== undefined && typeof instructions !== 'string') {
+    return 'Intent config: instructions must be a string';
+  }
+  return null;
+}
+
+/**
+ * Instructions for the system prompt asking the model to open its reply
+ * with the intent line.
+ *
+ * @param {Object} intentConfig Parsed configuration (see parseIntentConfig).
+ * @returns {string|null} Null when intent detection is off.
+ */
+export function intentInstructions(intentConfig) {
+  if (!detectsIntents(intentConfig)) return null;
+
+  const allowed = ['continue', ...intentConfig.intents];
+  return `Before replying, classify the caller's latest turn as one of these intents:
+${allowed.map(intent => `- ${intent}: ${INTENT_DESCRIPTIONS[intent]}`).join('\n')}
+Mentioning a person, an agent or a department is not a transfer request by itself. When unsure, choose continue.
+${intentConfig.instructions ? `\n${intentConfig.instructions}\n` : ''}
+Start your response with one line of JSON, which is never read out: {"intent": "<intent>", "confidence": <0 to 1>, "reason": "<short reason>"}
+Then, on the next line, your reply to the caller. Write no reply when the intent is not continue.`;
+}
+
+/**
+ * Reads the intent line off the front of a completion, streamed or whole,
+ * and hands back the reply after it.  Until the line is complete nothing
+ * is handed back, so none of it is ever spoken.  A completion without a
+ * usable line classifies as `continue` and is all reply.
+ */
+export class IntentHeader {
+  /**
+   * @param {Object} intentConfig Parsed configuration (see parseIntentConfig).
+   */
+  constructor(intentConfig) {
+    this.config = intentConfig;
+    this.buffer = '';
+    this.replyStarted = false;
+    /** @type {{intent: string, confidence: number, reason: string}|null} Null until the line is read. */
+    this.intent = detectsIntents(intentConfig) ? null : DISABLED;
+  }
+
+  /**
+   * @param {string} text The next chunk of the completion.
+   * @returns {string} Reply text that follows the intent line.
+   */
+  push(text) {
+    if (this.intent) {
+      if (!this.replyStarted) {
+        // The line break after the intent line may come in a later chunk
+        text = text.trimStart();
+        this.replyStarted = text !== '';
+      }
+      return text;
+    }
+    this.buffer += text;
+
+    const start = this.buffer.trimStart();
+    if (!start) return '';
+    if (!start.startsWith('{')) {
+      console.error('Reply had no intent line');
+      return this.settle(null, start);
+    }
+
+    for (let end = start.indexOf('}'); end !== -1; end = start.indexOf('}', end + 1)) {
+      const classification = parseClassification(start.slice(0, end + 1));
+      if (classification) return this.settle(classification, start.slice(end + 1).trimStart());
+    }
+    if (start.length > MAX_LINE_LENGTH) {
+      console.error(`Unusable intent line: ${start}`);
+      return this.settle(null, '');
+    }
+    return '';
+  }
+
+  /**
+   * The completion has ended: an intent line still unfinished classifies
+   * as `continue`, and is dropped rather than spoken.
+   *
+   * @returns {{intent: string, confidence: number, reason: string}}
+   */
+  finish() {
+    if (!this.intent) {
+      if (this.buffer.trim()) console.error(`Unusable intent line: ${this.buffer.trim()}`);
+      this.settle(null, '');
+    }
+    return this.intent;
+  }
+
+  // True once the turn is known to be something other than `continue`
+  get overrides() {
+    return Boolean(this.intent && this.intent.intent !== 'continue');
+  }
+
+  settle(classification, rest) {
+    this.buffer = '';
+    this.intent = resolveClassification(classification, this.config);
+    this.replyStarted = rest !== '';
+    return rest;
+  }
+}
+
+function detectsIntents(intentConfig) {
+  return Boolean(intentConfig?.enabled && intentConfig.intents?.length > 0);
+}
+
+// Unusable classifications and intents the agent doesn't handle fall back
+// to `continue`, and so do ones below the threshold
+function resolveClassification(classification, intentConfig) {
+  const allowed = ['continue', ...intentConfig.intents];
+  if (!classification || !allowed.includes(classification.intent)) {
+    return { intent: 'continue', confidence: 0, reason: 'Classification could not be parsed' };
+  }
+
+  if (classification.intent !== 'continue' && classification.confidence < intentConfig.threshold) {
+    return {
+      intent: 'continue',
+      confidence: classification.confidence,
+      reason: `Below threshold (${classification.intent}): ${classification.reason}`
+    };
+  }
+  return classification;
+}
+
+function parseClassification(text) {
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object') return null;
+    const confidence = Number(parsed.confidence);
+    return {
+      intent: String(parsed.intent || '').toLowerCase(),
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+      reason: String(parsed.reason || '')
+    };
+  } catch {
+    return null;
+  }
+}
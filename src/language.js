@@ -0,0 +1,339 @@
+/**
+ * Multilingual agents, shared by the single-tenant app and the multi-tenant
+ * core.  An agent declares the languages it speaks; the caller's language
+ * is picked from a keypad menu or detected from their first utterance, and
+ * from then on speech recognition, `<Gather>`, the LLM's instructions and
+ * the TTS voice all follow it.  The language in use is stored on the
+ * conversation.
+ *
+ * Agents configure it with a JSON object (`agents.language_config`, or
+ * `agentConfig.language` for tenants):
+ *
+ *   {
+ *     "languages": ["en", "es"],
+ *     "default": "en",
+ *     "detect": "auto",
+ *     "voices": { "es": "aura-2-estrella-es" }
+ *   }
+ *
+ * `detect` is `auto` (classify the first thing the caller says), `menu`
+ * (offer a "press 1 for English" menu before the call starts) or `off`
+ * (always speak the default).  The default language uses the agent's own
+ * voice unless `voices` names another; other languages need a voice
+ * unless one is built in below.
+ */
+
+export const DETECT_MODES = ['auto', 'menu', 'off'];
+
+/**
+ * What each language needs from each provider: its English and native
+ * names, the `<Gather>` language, the Deepgram STT language, a default
+ * Deepgram voice (null where none is built in), the menu line and the
+ * opening greeting.
+ */
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    native: 'English',
+    gather: 'en-US',
+    stt: 'en-US',
+    voice: 'aura-asteria-en',
+    menu: 'For English, press {digit}.',
+    greeting: '{name} here. How can I help you today?'
+  },
+  es: {
+    name: 'Spanish',
+    native: 'Español',
+    gather: 'es-US',
+    stt: 'es',
+    voice: 'aura-2-celeste-es',
+    menu: 'Para español, oprima el {digit}.',
+    greeting: 'Le atiende {name}. ¿En qué puedo ayudarle hoy?'
+  },
+  fr: {
+    name: 'French',
+    native: 'Français',
+    gather: 'fr-FR',
+    stt: 'fr',
+    voice: null,
+    menu: 'Pour le français, appuyez sur le {digit}.',
+    greeting: 'Ici {name}. Comment puis-je vous aider aujourd\'hui ?'
+  },
+  de: {
+    name: 'German',
+    native: 'Deutsch',
+    gather: 'de-DE',
+    stt: 'de',
+    voice: null,
+    menu: 'Für Deutsch drücken Sie die {digit}.',
+    greeting: 'Hier ist {name}. Wie kann ich Ihnen heute helfen?'
+  },
+  it: {
+    name: 'Italian',
+    native: 'Italiano',
+    gather: 'it-IT',
+    stt: 'it',
+    voice: null,
+    menu: 'Per l\'italiano, premere il {digit}.',
+    greeting: 'Sono {name}. Come posso aiutarla oggi?'
+  },
+  nl: {
+    name: 'Dutch',
+    native: 'Nederlands',
+    gather: 'nl-NL',
+    stt: 'nl',
+    voice: null,
+    menu: 'Voor Nederlands, druk op {digit}.',
+    greeting: 'U spreekt met {name}. Waarmee kan ik u vandaag helpen?'
+  },
+  pt: {
+    name: 'Portuguese',
+    native: 'Português',
+    gather: 'pt-BR',
+    stt: 'pt-BR',
+    voice: null,
+    menu: 'Para português, pressione {digit}.',
+    greeting: 'Aqui é {name}. Como posso ajudar hoje?'
+  },
+  ja: {
+    name: 'Japanese',
+    native: '日本語',
+    gather: 'ja-JP',
+    stt: 'ja',
+    voice: null,
+    menu: '日本語は{digit}を押してください。',
+    greeting: '{name}です。本日はどのようなご用件でしょうか。'
+  }
+};
+
+/**
+ * Deepgram settings for a media stream whose language is not known yet:
+ * Nova-3's multilingual mode transcribes any of the above and tags each
+ * transcript with the language it heard.
+ */
+export const DETECTION_STT = { model: 'nova-3', language: 'multi' };
+
+export const DEFAULT_LANGUAGE_CONFIG = {
+  languages: ['en'],
+  default: 'en',
+  detect: 'auto',
+  voices: {}
+};
+
+/**
+ * Merge an agent's stored language configuration with the defaults.
+ *
+ * @param {string|Object|null} value JSON string or object; null for defaults.
+ * @returns {Object} A complete language configuration.
+ */
+export function parseLanguageConfig(value) {
+  if (!value) return { ...DEFAULT_LANGUAGE_CONFIG };
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (err) {
+      console.error('Invalid language config JSON, using defaults:', err.message);
+      return { ...DEFAULT_LANGUAGE_CONFIG };
+    }
+  }
+  const languageConfig = { ...DEFAULT_LANGUAGE_CONFIG, ...parsed };
+  if (!parsed.default && Array.isArray(parsed.languages) && parsed.languages.length > 0) {
+    languageConfig.default = parsed.languages[0];
+  }
+  return languageConfig;
+}
+
+/**
+ * Check a language configuration supplied through the API.
+ *
+ * @param {Object} languageConfig
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateLanguageConfig(languageConfig) {
+  if (!languageConfig || typeof languageConfig !== 'object' || Array.isArray(languageConfig)) {
+    return 'Language config must be an object';
+  }
+  const { languages, detect, voices = {} } = languageConfig;
+  const supported = Object.keys(LANGUAGES);
+
+  if (!Array.isArray(languages) || languages.length === 0 ||
+      languages.some(code => !supported.includes(code)) ||
+      new Set(languages).size !== languages.length) {
+    return `Language config: languages must be a list of distinct codes from: ${supported.join(', ')}`;
+  }
+  if (languages.length > 9) {
+    return 'Language config: at most 9 languages fit on the keypad menu';
+  }
+  const defaultLanguage = languageConfig.default ?? languages[0];
+  if (!languages.includes(defaultLanguage)) {
+    return 'Language config: default must be one of the agent\'s languages';
+  }
+  if (detect !== undefined && !DETECT_MODES.includes(detect)) {
+    return `Language config: detect must be one of ${DETECT_MODES.join(', ')}`;
+  }
+  if (!voices || typeof voices !== 'object' || Array.isArray(voices)) {
+    return 'Language config: voices must be an object';
+  }
+  for (const [code, voice] of Object.entries(voices)) {
+    if (!languages.includes(code)) {
+      return `Language config: voices.${code} is not one of the agent's languages`;
+    }
+    if (typeof voice !== 'string' || !voice.trim()) {
+      return `Language config: voices.${code} must be a voice name`;
+    }
+  }
+  const unvoiced = languages.find(code =>
+    code !== defaultLanguage && !voices[code] && !LANGUAGES[code].voice);
+  if (unvoiced) {
+    return `Language config: voices.${unvoiced} is required, there is no built-in ${LANGUAGES[unvoiced].name} voice`;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} languageConfig Parsed configuration.
+ * @returns {boolean} Whether the caller's language has to be worked out.
+ */
+export function needsDetection(languageConfig) {
+  return languageConfig.languages.length > 1 && languageConfig.detect !== 'off';
+}
+
+/**
+ * Everything a call needs to speak one of the agent's languages.
+ *
+ * @param {Object} languageConfig Parsed configuration.
+ * @param {string|null} code Language in use; null or unknown for the default.
+ * @param {string} agentVoice The agent's own voice.
+ * @returns {{code: string, name: string, gather: string, stt: string, voice: string}}
+ */
+export function languageSettings(languageConfig, code, agentVoice) {
+  const language = languageConfig.languages.includes(code) ? code : languageConfig.default;
+  const { name, gather, stt, voice } = LANGUAGES[language] || LANGUAGES.en;
+  const defaultVoice = language === languageConfig.default ? agentVoice : voice;
+
+  return {
+    code: language,
+    name,
+    gather,
+    stt,
+    voice: languageConfig.voices?.[language] || defaultVoice || agentVoice
+  };
+}
+
+/**
+ * The greeting that opens the conversation, in the caller's language.
+ *
+ * @param {string} code
+ * @param {string} agentName
+ * @returns {string}
+ */
+export function languageGreeting(code, agentName) {
+  return (LANGUAGES[code] || LANGUAGES.en).greeting.replace('{name}', agentName);
+}
+
+/**
+ * Added to the LLM's system prompt so replies follow the caller.  Agents
+ * that only speak English get nothing, which leaves their prompt as it was.
+ *
+ * @param {Object} languageConfig Parsed configuration.
+ * @param {{name: string, code: string}} settings From languageSettings.
+ * @returns {string|null}
+ */
+export function languageInstruction(languageConfig, settings) {
+  if (languageConfig.languages.length === 1 && settings.code === 'en') return null;
+  return `The caller speaks ${settings.name}. Always reply in ${settings.name}, whatever language the instructions above are written in.`;
+}
+
+/**
+ * The keypad menu, one entry per language in the agent's order.
+ *
+ * @param {Object} languageConfig Parsed configuration.
+ * @returns {Array<{digit: string, code: string, gather: string, text: string}>}
+ */
+export function languageMenu(languageConfig) {
+  return languageConfig.languages.map((code, index) => ({
+    digit: String(index + 1),
+    code,
+    gather: LANGUAGES[code].gather,
+    text: LANGUAGES[code].menu.replace('{digit}', index + 1)
+  }));
+}
+
+/**
+ * The language the caller picked from the menu: a keypress, or the
+ * language's name spoken in any of the menu languages.
+ *
+ * @param {Object} languageConfig Parsed configuration.
+ * @param {{speech?: string, digits?: string}} reply What `<Gather>` collected.
+ * @returns {string|null} A language code, or null when nothing matched.
+ */
+export function menuChoice(languageConfig, { speech, digits }) {
+  const menu = languageMenu(languageConfig);
+  if (digits) {
+    return menu.find(entry => entry.digit === digits[0])?.code || null;
+  }
+  const said = String(speech || '').toLowerCase();
+  if (!said) return null;
+  return menu.find(({ code }) =>
+    said.includes(LANGUAGES[code].name.toLowerCase()) ||
+    said.includes(LANGUAGES[code].native.toLowerCase())
+  )?.code || null;
+}
+
+/**
+ * Map a language tag reported by a speech recognizer (`es`, `es-419`,
+ * `pt-BR`) to one of the agent's languages.
+ *
+ * @param {Object} languageConfig Parsed configuration.
+ * @param {string|null} tag
+ * @returns {string|null}
+ */
+export function matchLanguage(languageConfig, tag) {
+  const code = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return languageConfig.languages.includes(code) ? code : null;
+}
+
+/**
+ * Work out which of the agent's languages the caller is speaking.  Never
+ * throws for model or parse failures; those return null and the call stays
+ * in the language it was in.
+ *
+ * @param {import('./llm-providers/base-provider.js').LLMProvider} llm
+ * @param {string} text The caller's first utterance.
+ * @param {string[]} languages The agent's language codes.
+ * @param {{signal?: AbortSignal, timeout?: number}} [options]
+ * @returns {Promise<string|null>} A language code.
+ */
+export async function detectLanguage(llm, text, languages, { signal, timeout } = {}) {
+  if (!text?.trim()) return null;
+
+  const choices = languages.map(code => `- ${code}: ${LANGUAGES[code].name}`).join('\n');
+  const systemPrompt = `Identify the language of a phone caller's words. The words came from a speech recognizer, so they may be misspelled or transliterated. Choose one of:
+${choices}
+Respond with JSON only: {"language": "<code>"}`;
+
+  try {
+    const result = await llm.chat(
+      [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: text }
+      ],
+      { maxTokens: 20, temperature: 0, signal, timeout }
+    );
+
+    const match = result.content?.match(/\{[\s\S]*\}/);
+    const parsed = match ? JSON.parse(match[0]) : null;
+    const code = String(parsed?.language || '').toLowerCase();
+    if (!languages.includes(code)) {
+      console.error(`Unusable language detection: ${result.content}`);
+      return null;
+    }
+    return code;
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.error('Language detection failed:', err.message);
+    return null;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Query strings of the paginated list endpoints and the pages they reply
+ * with.  Every list takes `limit`, `cursor` and `sort` plus its own
+ * filters, and replies with
+ *
+ *   {
+ *     "data": [...],
+ *     "total": 132,
+ *     "next_cursor": "eyJpZCI6...",
+ *     "next": "/api/calls?direction=inbound&cursor=eyJpZCI6..."
+ *   }
+ *
+ * `total` counts every row matching the filters; `next` is null on the
+ * last page.  Sorts and cursors are checked by the model (see
+ * database/pagination.js).
+ */
+
+export const MAX_PAGE_SIZE = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Read a list endpoint's query string into options for the model's
+ * findAll.  Filter names become camelCase (`agent_id` → `agentId`); ones
+ * left out are left out of the options too, as are unknown parameters.
+ *
+ * Filter types: `'string'`, `'integer'`, `'boolean'` (`true` or `false`),
+ * `'date'` (an ISO 8601 date or date-time, read as UTC when it has no
+ * offset) or an array of the allowed values.
+ *
+ * @param {Object} query Express's req.query.
+ * @param {Object} [spec]
+ * @param {Object<string, string|string[]>} [spec.filters]
+ * @param {number} [spec.limit] Page size when none is asked for.
+ * @returns {{ options: Object|null, error: string|null }}
+ */
+export function parseListQuery(query, { filters = {}, limit = 50 } = {}) {
+  const options = { limit };
+
+  if (query.limit !== undefined) {
+    const value = Number(query.limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE) {
+      return { options: null, error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    options.limit = value;
+  }
+  for (const name of ['cursor', 'sort']) {
+    if (typeof query[name] === 'string' && query[name] !== '') options[name] = query[name];
+  }
+
+  for (const [name, type] of Object.entries(filters)) {
+    const raw = query[name];
+    if (raw === undefined || raw === '') continue;
+    if (typeof raw !== 'string') {
+      return { options: null, error: `${name} may only be given once` };
+    }
+
+    const { value, error } = parseFilter(name, type, raw);
+    if (error) return { options: null, error };
+    options[name.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase())] = value;
+  }
+
+  return { options, error: null };
+}
+
+/**
+ * The reply to a list request.
+ *
+ * @param {import('../database/pagination.js').Page} page
+ * @param {string} path The endpoint's path, e.g. `/api/calls`.
+ * @param {Object} query The request's query, kept in the `next` link.
+ * @returns {{ data: Object[], total: number, next_cursor: string|null, next: string|null }}
+ */
+export function listResponse(page, path, query) {
+  const { items, total, nextCursor } = page;
+  const next = nextCursor ? `${path}?${new URLSearchParams({ ...query, cursor: nextCursor })}` : null;
+  return { data: items, total, next_cursor: nextCursor, next };
+}
+
+function parseFilter(name, type, raw) {
+  if (Array.isArray(type)) {
+    return type.includes(raw) ? { value: raw } : { error: `${name} must be one of: ${type.join(', ')}` };
+  }
+
+  switch (type) {
+    case 'string':
+      return { value: raw };
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? { value: Number(raw) } : { error: `${name} must be a whole number` };
+    case 'boolean':
+      if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+      return { error: `${name} must be true or false` };
+    case 'date': {
+      const match = DATE_PATTERN.exec(raw);
+      const [, time, , , offset] = match || [];
+      const date = match ? new Date(`${raw.replace(' ', 'T')}${time && !offset ? 'Z' : ''}`) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        return { error: `${name} must be an ISO 8601 date or date-time` };
+      }
+      return { value: date };
+    }
+    default:
+      throw new Error(`Unknown filter type ${type} for ${name}`);
+  }
+}
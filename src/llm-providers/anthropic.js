@@ -0,0 +1,151 @@
+import { LLMProvider } from './base-provider.js';
+import { readEventStream } from '../llm-stream.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+
+/**
+ * Provider for Anthropic's Messages API.  System prompts move to the
+ * top-level `system` field and tool calls/results become `tool_use` and
+ * `tool_result` content blocks.
+ */
+export class AnthropicProvider extends LLMProvider {
+  constructor(providerConfig) {
+    super(providerConfig);
+    this.model = this.model || 'claude-3-haiku-20240307';
+    this.url = providerConfig.url || ANTHROPIC_URL;
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.post(this.url, this.headers(), this.body(messages, options), options);
+    const data = await response.json();
+
+    const usage = this.normaliseUsage(data.usage);
+    if (usage) options.onUsage?.(usage);
+
+    const blocks = data.content || [];
+    return {
+      content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: blocks.filter(block => block.type === 'tool_use').map(block => ({
+        id: block.id,
+        name: block.name,
+        arguments: block.input || {}
+      })),
+      usage
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const body = { ...this.body(messages, options), stream: true };
+    const response = await this.post(this.url, this.headers(), body, options);
+
+    const toolCalls = new Map();
+    let inputTokens = 0;
+
+    for await (const event of readEventStream(response.body)) {
+      switch (event.type) {
+        case 'message_start':
+          inputTokens = event.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_start':
+          if (event.content_block?.type === 'tool_use') {
+            toolCalls.set(event.index, { id: event.content_block.id, name: event.content_block.name, arguments: '' });
+          }
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            yield event.delta.text;
+          } else if (event.delta?.type === 'input_json_delta') {
+            toolCalls.get(event.index).arguments += event.delta.partial_json;
+          }
+          break;
+        case 'message_delta':
+          if (event.usage) {
+            options.onUsage?.(this.normaliseUsage({ input_tokens: inputTokens, ...event.usage }));
+          }
+          break;
+        case 'error':
+          throw new Error(`${this.name} stream error: ${event.error?.message}`);
+        default:
+          break;
+      }
+    }
+
+    if (toolCalls.size > 0) {
+      options.onToolCalls?.([...toolCalls.values()].map(call => ({
+        ...call,
+        arguments: this.parseArguments(call.arguments)
+      })));
+    }
+  }
+
+  headers() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    };
+  }
+
+  body(messages, options) {
+    const body = {
+      model: this.model,
+      max_tokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? this.temperature,
+      system: messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n'),
+      messages: this.convertMessages(messages.filter(msg => msg.role !== 'system'))
+    };
+
+    if (options.topP !== undefined) body.top_p = options.topP;
+    if (options.tools?.length) {
+      body.tools = options.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      }));
+    }
+
+    return body;
+  }
+
+  convertMessages(messages) {
+    const converted = [];
+
+    for (const msg of messages) {
+      let role = msg.role;
+      let content;
+
+      if (msg.role === 'tool') {
+        role = 'user';
+        content = [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }];
+      } else if (msg.role === 'assistant' && msg.tool_calls?.length) {
+        content = [
+          ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+          ...msg.tool_calls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: this.parseArguments(call.function.arguments)
+          }))
+        ];
+      } else {
+        content = [{ type: 'text', text: msg.content }];
+      }
+
+      // The Messages API requires alternating roles; merge consecutive turns
+      const previous = converted[converted.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...content);
+      } else {
+        converted.push({ role, content });
+      }
+    }
+
+    return converted;
+  }
+
+  normaliseUsage(usage) {
+    if (!usage) return null;
+    const promptTokens = usage.input_tokens || 0;
+    const completionTokens = usage.output_tokens || 0;
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+}
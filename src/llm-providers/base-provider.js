@@ -0,0 +1,82 @@
+import fetch from 'node-fetch';
+
+/**
+ * Common interface for LLM providers.  Every provider accepts chat history
+ * in OpenAI (ChatML) format — including assistant `tool_calls` and `tool`
+ * result messages — and translates it to its own wire format, so callers
+ * never need to know which vendor is behind the registry.
+ *
+ * Call options (all optional):
+ *   - maxTokens, temperature, topP: sampling overrides for this call
+ *   - tools: OpenAI-style `[{ type: 'function', function: { name, description, parameters } }]`
+ *   - signal: AbortSignal to cancel the request
+ *   - timeout: milliseconds before the request is aborted
+ *   - onUsage: called with `{ promptTokens, completionTokens, totalTokens }`
+ *   - onToolCalls: (stream only) called with the tool calls once the stream ends
+ *
+ * Subclasses implement `chat(messages, options)`, resolving to
+ * `{ content, toolCalls, usage }`, and `stream(messages, options)`, an
+ * async generator of text deltas.  Tool calls are normalised to
+ * `{ id, name, arguments }` with `arguments` already parsed.
+ */
+export class LLMProvider {
+  /**
+   * @param {Object} providerConfig Provider settings: apiKey, model, baseUrl,
+   *   maxTokens, temperature, timeout plus any provider-specific fields.
+   */
+  constructor(providerConfig = {}) {
+    this.config = providerConfig;
+    this.name = providerConfig.provider;
+    this.apiKey = providerConfig.apiKey;
+    this.model = providerConfig.model;
+    this.maxTokens = providerConfig.maxTokens || 75;
+    this.temperature = providerConfig.temperature ?? 0.6;
+    this.timeout = providerConfig.timeout || 10000;
+  }
+
+  async chat(messages, options = {}) {
+    throw new Error(`chat() not implemented for LLM provider: ${this.name}`);
+  }
+
+  async *stream(messages, options = {}) {
+    throw new Error(`stream() not implemented for LLM provider: ${this.name}`);
+  }
+
+  /**
+   * POST a JSON body and return the response, throwing on HTTP errors.
+   * The request is aborted when either the caller's signal fires or the
+   * timeout elapses, whichever comes first.
+   */
+  async post(url, headers, body, options = {}) {
+    const timeoutSignal = AbortSignal.timeout(options.timeout || this.timeout);
+    const signal = options.signal ? AbortSignal.any([options.signal, timeoutSignal]) : timeoutSignal;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`${this.name} request failed with status ${response.status}: ${text}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Parse tool-call arguments, which OpenAI-style APIs return as a JSON
+   * string.  Malformed arguments are passed through as `{ _raw }` so the
+   * tool can report the error instead of the call crashing.
+   */
+  parseArguments(args) {
+    if (args && typeof args === 'object') return args;
+    try {
+      return args ? JSON.parse(args) : {};
+    } catch {
+      return { _raw: args };
+    }
+  }
+}
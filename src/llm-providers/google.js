@@ -0,0 +1,139 @@
+import { LLMProvider } from './base-provider.js';
+import { readEventStream } from '../llm-stream.js';
+
+const GOOGLE_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * Provider for Google AI Studio (Gemini).  ChatML roles map to `user` and
+ * `model` contents, system prompts become `systemInstruction`, and tools are
+ * sent as function declarations.  Gemini does not issue tool-call ids, so
+ * ids are synthesised from the function name and position.
+ */
+export class GoogleProvider extends LLMProvider {
+  constructor(providerConfig) {
+    super(providerConfig);
+    this.baseUrl = (providerConfig.baseUrl || GOOGLE_BASE_URL).replace(/\/$/, '');
+  }
+
+  async chat(messages, options = {}) {
+    const url = `${this.baseUrl}/models/${this.model}:generateContent`;
+    const response = await this.post(url, this.headers(), this.body(messages, options), options);
+    const data = await response.json();
+
+    const usage = this.normaliseUsage(data.usageMetadata);
+    if (usage) options.onUsage?.(usage);
+
+    // Extract text from the first candidate; adjust if using different API versions.
+    const candidate = data.candidates?.[0];
+    if (!candidate || !candidate.content) {
+      throw new Error('No candidate response returned from Google AI');
+    }
+
+    const parts = candidate.content.parts || [];
+    return {
+      content: parts.filter(part => part.text).map(part => part.text).join(''),
+      toolCalls: this.extractToolCalls(parts),
+      usage
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const url = `${this.baseUrl}/models/${this.model}:streamGenerateContent?alt=sse`;
+    const response = await this.post(url, this.headers(), this.body(messages, options), options);
+
+    const toolCalls = [];
+    let usage = null;
+
+    for await (const chunk of readEventStream(response.body)) {
+      usage = this.normaliseUsage(chunk.usageMetadata) || usage;
+
+      const parts = chunk.candidates?.[0]?.content?.parts || [];
+      for (const part of parts) {
+        if (part.text) yield part.text;
+      }
+      toolCalls.push(...this.extractToolCalls(parts, toolCalls.length));
+    }
+
+    if (usage) options.onUsage?.(usage);
+    if (toolCalls.length > 0) options.onToolCalls?.(toolCalls);
+  }
+
+  headers() {
+    return { 'x-goog-api-key': this.apiKey };
+  }
+
+  body(messages, options) {
+    const system = messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n');
+
+    const body = {
+      contents: this.convertMessages(messages.filter(msg => msg.role !== 'system')),
+      generationConfig: {
+        maxOutputTokens: options.maxTokens || this.maxTokens,
+        temperature: options.temperature ?? this.temperature
+      }
+    };
+
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    if (options.topP !== undefined) body.generationConfig.topP = options.topP;
+    if (options.tools?.length) {
+      body.tools = [{
+        functionDeclarations: options.tools.map(tool => ({
+          name: tool.function.name,
+          description: tool.function.description,
+          parameters: tool.function.parameters
+        }))
+      }];
+    }
+
+    return body;
+  }
+
+  convertMessages(messages) {
+    // Tool results only carry the call id; Gemini wants the function name
+    const toolNames = new Map();
+
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return {
+          role: 'user',
+          parts: [{
+            functionResponse: {
+              name: toolNames.get(msg.tool_call_id),
+              response: { content: msg.content }
+            }
+          }]
+        };
+      }
+
+      if (msg.role === 'assistant') {
+        const parts = msg.content ? [{ text: msg.content }] : [];
+        for (const call of msg.tool_calls || []) {
+          toolNames.set(call.id, call.function.name);
+          parts.push({ functionCall: { name: call.function.name, args: this.parseArguments(call.function.arguments) } });
+        }
+        return { role: 'model', parts };
+      }
+
+      return { role: 'user', parts: [{ text: msg.content }] };
+    });
+  }
+
+  extractToolCalls(parts, offset = 0) {
+    return parts
+      .filter(part => part.functionCall)
+      .map((part, index) => ({
+        id: `${part.functionCall.name}_${offset + index}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }));
+  }
+
+  normaliseUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.promptTokenCount || 0,
+      completionTokens: usage.candidatesTokenCount || 0,
+      totalTokens: usage.totalTokenCount || 0
+    };
+  }
+}
@@ -0,0 +1,77 @@
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { AnthropicProvider } from './anthropic.js';
+import { GoogleProvider } from './google.js';
+
+/**
+ * Registry of LLM providers shared by `src/llm.js`, `AIService` and the
+ * multi-tenant `TenantAIService`.  Each entry is a factory that receives the
+ * caller's provider config (`{ provider, apiKey, model, baseUrl, ... }`) and
+ * returns an `LLMProvider`.  To add a provider, call `registerProvider` with
+ * a new factory; nothing else needs to change.
+ */
+const factories = new Map();
+
+/**
+ * @param {string} name Provider name as used in `LLM_PROVIDER` / `aiConfig.provider`.
+ * @param {(providerConfig: Object) => import('./base-provider.js').LLMProvider} factory
+ */
+export function registerProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Create a provider instance for the given configuration.
+ *
+ * @param {Object} providerConfig Must include `provider`.
+ * @returns {import('./base-provider.js').LLMProvider}
+ */
+export function createProvider(providerConfig) {
+  const factory = factories.get(providerConfig.provider);
+  if (!factory) {
+    throw new Error(`Unsupported LLM provider: ${providerConfig.provider}. Available: ${listProviders().join(', ')}`);
+  }
+  return factory(providerConfig);
+}
+
+/**
+ * @returns {string[]} Registered provider names.
+ */
+export function listProviders() {
+  return Array.from(factories.keys());
+}
+
+registerProvider('openai', providerConfig => new OpenAICompatibleProvider({
+  ...providerConfig,
+  baseUrl: providerConfig.baseUrl || 'https://api.openai.com/v1',
+  model: providerConfig.model || 'gpt-4o-mini'
+}));
+
+registerProvider('openrouter', providerConfig => new OpenAICompatibleProvider({
+  ...providerConfig,
+  baseUrl: providerConfig.baseUrl || 'https://openrouter.ai/api/v1',
+  model: providerConfig.model || 'openai/gpt-4o-mini',
+  headers: {
+    ...(providerConfig.referer && { 'HTTP-Referer': providerConfig.referer }),
+    ...(providerConfig.title && { 'X-Title': providerConfig.title })
+  }
+}));
+
+// Azure OpenAI: `endpoint` is the full deployment chat-completions URL
+registerProvider('azure', providerConfig => new OpenAICompatibleProvider({
+  ...providerConfig,
+  url: providerConfig.endpoint || providerConfig.url,
+  authHeader: 'api-key'
+}));
+
+// Local OpenAI-compatible servers (Ollama, llama.cpp, LM Studio) for offline
+// development and tests.  No API key is required.
+registerProvider('ollama', providerConfig => new OpenAICompatibleProvider({
+  ...providerConfig,
+  baseUrl: providerConfig.baseUrl || 'http://localhost:11434/v1',
+  model: providerConfig.model || 'llama3.2',
+  authHeader: providerConfig.apiKey ? 'bearer' : 'none'
+}));
+
+registerProvider('anthropic', providerConfig => new AnthropicProvider(providerConfig));
+
+registerProvider('google', providerConfig => new GoogleProvider(providerConfig));
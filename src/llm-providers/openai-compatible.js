@@ -0,0 +1,117 @@
+import { LLMProvider } from './base-provider.js';
+import { readEventStream } from '../llm-stream.js';
+
+/**
+ * Provider for any endpoint that speaks the OpenAI chat completions API:
+ * OpenAI itself, OpenRouter, Azure OpenAI and local servers such as Ollama,
+ * llama.cpp or LM Studio.  The registry configures the base URL and auth
+ * header for each flavour.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} providerConfig See LLMProvider, plus:
+   *   - baseUrl: API root; `/chat/completions` is appended
+   *   - url: full endpoint URL (Azure deployments), overrides baseUrl
+   *   - authHeader: 'bearer' (default), 'api-key' (Azure) or 'none'
+   *   - headers: extra headers sent with every request
+   */
+  constructor(providerConfig) {
+    super(providerConfig);
+    this.url = providerConfig.url || `${providerConfig.baseUrl.replace(/\/$/, '')}/chat/completions`;
+    this.authHeader = providerConfig.authHeader || 'bearer';
+    this.extraHeaders = providerConfig.headers || {};
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.post(this.url, this.headers(), this.body(messages, options), options);
+    const data = await response.json();
+
+    const message = data.choices?.[0]?.message;
+    if (!message) {
+      throw new Error(`No choice returned from ${this.name}`);
+    }
+
+    const usage = this.normaliseUsage(data.usage);
+    if (usage) options.onUsage?.(usage);
+
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: this.parseArguments(call.function.arguments)
+      })),
+      usage
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const body = {
+      ...this.body(messages, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    const response = await this.post(this.url, this.headers(), body, options);
+
+    // Tool call names/arguments arrive in fragments keyed by index
+    const toolCalls = [];
+
+    for await (const chunk of readEventStream(response.body)) {
+      const usage = this.normaliseUsage(chunk.usage);
+      if (usage) options.onUsage?.(usage);
+
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
+
+      for (const fragment of delta.tool_calls || []) {
+        const call = toolCalls[fragment.index] ||= { id: null, name: '', arguments: '' };
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+
+      if (delta.content) yield delta.content;
+    }
+
+    if (toolCalls.length > 0) {
+      options.onToolCalls?.(toolCalls.map(call => ({
+        ...call,
+        arguments: this.parseArguments(call.arguments)
+      })));
+    }
+  }
+
+  headers() {
+    const headers = { ...this.extraHeaders };
+    if (this.authHeader === 'bearer' && this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    } else if (this.authHeader === 'api-key') {
+      headers['api-key'] = this.apiKey;
+    }
+    return headers;
+  }
+
+  body(messages, options) {
+    const body = {
+      messages,
+      max_tokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? this.temperature
+    };
+
+    // Azure deployments pick the model from the URL
+    if (this.model) body.model = this.model;
+    if (options.topP !== undefined) body.top_p = options.topP;
+    if (options.tools?.length) body.tools = options.tools;
+
+    return body;
+  }
+
+  normaliseUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0
+    };
+  }
+}
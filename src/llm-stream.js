@@ -0,0 +1,115 @@
+/**
+ * Helpers for consuming streamed chat completions.  LLM providers return
+ * server-sent events when a request is made with streaming enabled; each
+ * `data:` line carries a JSON chunk with the next few tokens.
+ */
+
+/**
+ * Read a server-sent-event body and yield each event's `data` payload.
+ * Blank separators, `event:` lines and comments (e.g. ": OPENROUTER
+ * PROCESSING") are skipped; the OpenAI-style `[DONE]` sentinel ends the
+ * stream.  Providers whose events carry a `type` field in the JSON payload
+ * (Anthropic) need nothing more than the data lines either.  A payload
+ * that isn't JSON is logged and skipped rather than ending the reply, and
+ * a last line without a trailing newline is still read.
+ *
+ * @param {AsyncIterable<Uint8Array>} body The response body (node-fetch stream).
+ * @returns {AsyncGenerator<Object>} The parsed JSON payloads in order.
+ */
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const event = parseEventLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+
+      if (event === DONE) return;
+      if (event !== null) yield event;
+    }
+  }
+
+  const event = parseEventLine(buffer + decoder.decode());
+  if (event !== null && event !== DONE) yield event;
+}
+
+const DONE = Symbol('done');
+
+// A line's JSON payload, DONE for the end sentinel, or null for anything
+// else
+function parseEventLine(line) {
+  line = line.trim();
+  if (!line.startsWith('data:')) return null;
+
+  const data = line.slice(5).trim();
+  if (data === '[DONE]') return DONE;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    console.warn(`Skipping unparsable stream event: ${data.slice(0, 200)}`);
+    return null;
+  }
+}
+
+// End of a sentence: terminal punctuation, optional closing quote/bracket,
+// then whitespace.  Requiring whitespace keeps decimals like "3.5" intact.
+const SENTENCE_END = /[.!?]+["')\]]*\s+/g;
+
+// Words whose full stop doesn't end the sentence ("Dr. Smith will call")
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'vs', 'e.g', 'i.e', 'approx', 'dept', 'inc', 'ltd'
+]);
+
+/**
+ * Accumulates streamed text and hands back complete sentences so each one
+ * can be synthesised as soon as it is finished.
+ */
+export class SentenceSplitter {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * @param {string} text The next chunk of streamed text.
+   * @returns {string[]} Sentences completed by this chunk.
+   */
+  push(text) {
+    this.buffer += text;
+
+    const sentences = [];
+    let start = 0;
+    let match;
+    SENTENCE_END.lastIndex = 0;
+    while ((match = SENTENCE_END.exec(this.buffer)) !== null) {
+      if (this.isAbbreviation(match)) continue;
+
+      const sentence = this.buffer.slice(start, match.index + match[0].length).trim();
+      if (sentence) sentences.push(sentence);
+      start = SENTENCE_END.lastIndex;
+    }
+
+    this.buffer = this.buffer.slice(start);
+    return sentences;
+  }
+
+  // A single full stop after an abbreviation or an initial ("J. Smith")
+  isAbbreviation(match) {
+    if (!match[0].startsWith('.') || match[0].startsWith('..')) return false;
+    const word = /(\S+)$/.exec(this.buffer.slice(0, match.index))?.[1].replace(/^["'(\[]+/, '') || '';
+    return ABBREVIATIONS.has(word.toLowerCase()) || /^[A-Z]$/.test(word);
+  }
+
+  /**
+   * @returns {string|null} Whatever is left once the stream has ended.
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest || null;
+  }
+}
@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import config from './config.js';
+import { resolveRedactionConfig, maskValue } from './redaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,6 +14,8 @@ class Logger {
       fs.mkdirSync(this.logDir);
     }
     this.currentLogFile = path.join(this.logDir, `call-${new Date().toISOString().slice(0,10)}.log`);
+    // Transcripts and synthesized text pass through here; keep PII out of the files
+    this.redaction = resolveRedactionConfig(config.redaction);
   }
 
   log(type, message, data = {}) {
@@ -19,8 +23,8 @@ class Logger {
     const logEntry = {
       timestamp,
       type,
-      message,
-      data
+      message: maskValue(message, this.redaction),
+      data: maskValue(data, this.redaction)
     };
 
     const logString = JSON.stringify(logEntry, null, 2);
@@ -0,0 +1,133 @@
+/**
+ * Best-effort time zone of a phone number, used when a contact has no
+ * `timezone` of its own.  North American numbers are resolved by area code;
+ * elsewhere only countries that keep a single time zone are listed, so a
+ * number from Australia or Brazil resolves to null rather than a guess.
+ * Area codes that straddle a zone boundary take the zone most of their
+ * subscribers are in.
+ */
+
+const NANP_ZONES = {
+  'America/New_York': [
+    // CT, DE, DC, FL, GA, IN, KY, ME, MD, MA, MI
+    203, 475, 860, 959, 302, 202,
+    239, 305, 321, 352, 386, 407, 448, 561, 645, 656, 689, 727, 728, 754, 772, 786, 813, 850, 863, 904, 941, 954,
+    229, 404, 470, 478, 678, 706, 762, 770, 912, 943,
+    260, 317, 463, 574, 765, 812, 930,
+    502, 606, 859,
+    207, 227, 240, 301, 410, 443, 667,
+    339, 351, 413, 508, 617, 774, 781, 857, 978,
+    231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989,
+    // NH, NJ, NY, NC, OH, PA, RI, SC, eastern TN, VT, VA, WV
+    603, 201, 551, 609, 640, 732, 848, 856, 862, 908, 973,
+    212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934,
+    252, 336, 472, 704, 743, 828, 910, 919, 980, 984,
+    216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937,
+    215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878,
+    401, 803, 839, 843, 854, 864, 423, 865, 802,
+    276, 434, 540, 571, 686, 703, 757, 804, 826, 948, 304, 681,
+    // Ontario and Quebec
+    226, 249, 289, 343, 365, 382, 416, 437, 519, 548, 613, 647, 683, 705, 742, 753, 905,
+    263, 354, 367, 418, 438, 450, 468, 514, 579, 581, 819, 873
+  ],
+  'America/Chicago': [
+    // AL, AR, IL, northwest IN, IA, KS, western KY, LA, MN, MS, MO, NE
+    205, 251, 256, 334, 483, 659, 938, 327, 479, 501, 870,
+    217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 861, 872,
+    219, 319, 515, 563, 641, 712, 316, 620, 785, 913, 270, 364,
+    225, 318, 337, 457, 504, 985, 218, 320, 507, 612, 651, 763, 924, 952,
+    228, 601, 662, 769, 314, 417, 557, 573, 636, 660, 816, 975, 308, 402, 531,
+    // ND, SD, OK, middle and western TN, TX, WI, Manitoba
+    701, 605, 405, 539, 572, 580, 918, 615, 629, 731, 901, 931,
+    210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832, 903, 936, 940, 945, 956, 972, 979,
+    262, 274, 353, 414, 534, 608, 715, 920, 204, 431, 584
+  ],
+  'America/Regina': [306, 474, 639],
+  'America/Denver': [
+    // CO, ID, MT, NM, UT, WY, El Paso TX
+    303, 719, 720, 970, 983, 208, 986, 406, 505, 575, 385, 435, 801, 307, 915
+  ],
+  'America/Edmonton': [368, 403, 587, 780, 825],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    // CA, NV, OR, WA
+    209, 213, 279, 310, 323, 341, 350, 357, 369, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657, 661, 669, 707, 714, 738, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951,
+    702, 725, 775, 458, 503, 541, 971, 206, 253, 360, 425, 509, 564
+  ],
+  'America/Vancouver': [236, 250, 257, 604, 672, 778],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Halifax': [506, 782, 902],
+  'America/St_Johns': [709],
+  'America/Puerto_Rico': [787, 939]
+};
+
+// Country calling codes of single-zone countries
+const COUNTRY_ZONES = {
+  20: 'Africa/Cairo',
+  27: 'Africa/Johannesburg',
+  30: 'Europe/Athens',
+  31: 'Europe/Amsterdam',
+  32: 'Europe/Brussels',
+  33: 'Europe/Paris',
+  34: 'Europe/Madrid',
+  36: 'Europe/Budapest',
+  39: 'Europe/Rome',
+  40: 'Europe/Bucharest',
+  41: 'Europe/Zurich',
+  43: 'Europe/Vienna',
+  44: 'Europe/London',
+  45: 'Europe/Copenhagen',
+  46: 'Europe/Stockholm',
+  47: 'Europe/Oslo',
+  48: 'Europe/Warsaw',
+  49: 'Europe/Berlin',
+  51: 'America/Lima',
+  54: 'America/Argentina/Buenos_Aires',
+  57: 'America/Bogota',
+  60: 'Asia/Kuala_Lumpur',
+  63: 'Asia/Manila',
+  65: 'Asia/Singapore',
+  66: 'Asia/Bangkok',
+  81: 'Asia/Tokyo',
+  82: 'Asia/Seoul',
+  84: 'Asia/Ho_Chi_Minh',
+  86: 'Asia/Shanghai',
+  90: 'Europe/Istanbul',
+  91: 'Asia/Kolkata',
+  92: 'Asia/Karachi',
+  234: 'Africa/Lagos',
+  254: 'Africa/Nairobi',
+  351: 'Europe/Lisbon',
+  353: 'Europe/Dublin',
+  358: 'Europe/Helsinki',
+  420: 'Europe/Prague',
+  852: 'Asia/Hong_Kong',
+  886: 'Asia/Taipei',
+  966: 'Asia/Riyadh',
+  971: 'Asia/Dubai',
+  972: 'Asia/Jerusalem'
+};
+
+const AREA_CODE_ZONES = new Map(
+  Object.entries(NANP_ZONES).flatMap(([zone, areaCodes]) => areaCodes.map(code => [String(code), zone]))
+);
+
+/**
+ * @param {string} phoneNumber E.164 number, e.g. "+14155550100".
+ * @returns {string|null} IANA zone, or null when the number does not pin one down.
+ */
+export function timezoneForNumber(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/[^\d+]/g, '');
+  if (!digits.startsWith('+')) return null;
+
+  if (digits.startsWith('+1')) {
+    return AREA_CODE_ZONES.get(digits.slice(2, 5)) || null;
+  }
+  // Calling codes are prefix-free, so at most one length matches
+  for (const length of [1, 2, 3]) {
+    const zone = COUNTRY_ZONES[digits.slice(1, 1 + length)];
+    if (zone) return zone;
+  }
+  return null;
+}
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+
+/**
+ * Call recordings archived out of Twilio into our own audio storage (see
+ * src/audio-storage), shared by the single-tenant RecordingService and the
+ * multi-tenant core.  Recordings are encrypted at rest with AES-256-GCM when
+ * a key is configured; files written without one are read back as-is, so a
+ * key can be introduced later without migrating old recordings.
+ */
+
+// Format downloaded from Twilio; dual-channel recordings stay stereo
+export const RECORDING_FORMAT = 'mp3';
+
+// Marks an encrypted file: magic, 12-byte IV, 16-byte auth tag, ciphertext
+const MAGIC = Buffer.from('VREC1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * @param {string} value 32 bytes as 64 hex characters or base64.
+ * @param {string} [name] What the key is for, in the error message.
+ * @returns {Buffer|null} The key, or null when none is configured.
+ */
+export function parseEncryptionKey(value, name = 'Recording encryption key') {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes, as 64 hex characters or base64`);
+  }
+  return key;
+}
+
+/**
+ * @param {Buffer} audio
+ * @param {Buffer|null} key Stored unencrypted without a key.
+ * @returns {Buffer}
+ */
+export function encryptRecording(audio, key) {
+  if (!key) return audio;
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(audio), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * @param {Buffer} data As stored.
+ * @param {Buffer|null} key
+ * @returns {Buffer} The recording audio.
+ */
+export function decryptRecording(data, key) {
+  if (!data.subarray(0, MAGIC.length).equals(MAGIC)) return data;
+  if (!key) {
+    throw new Error('Recording is encrypted but no encryption key is configured');
+  }
+
+  const ivStart = MAGIC.length;
+  const tagStart = ivStart + IV_LENGTH;
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(ivStart, tagStart));
+  decipher.setAuthTag(data.subarray(tagStart, tagStart + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(tagStart + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * @param {number} retentionDays 0 or less keeps the recording until deleted.
+ * @param {Date} [from]
+ * @returns {string|null} ISO time the recording is due for deletion.
+ */
+export function recordingExpiry(retentionDays, from = new Date()) {
+  if (!(retentionDays > 0)) return null;
+  return new Date(from.getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * @param {string} recordingUrl Twilio recording URL.
+ * @returns {string|null} The recording SID (RE...).
+ */
+export function recordingSid(recordingUrl) {
+  const match = (recordingUrl || '').match(/\/Recordings\/(RE[0-9a-f]{32})/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Twilio posts the completed status before a recording has always
+ * finished processing, so a download that finds nothing is retried.
+ *
+ * @param {() => Promise<Buffer|null>} download Resolves null while the recording isn't ready.
+ * @param {{attempts?: number, delay?: number}} [options] Delay between attempts in ms.
+ * @returns {Promise<Buffer>}
+ */
+export async function waitForRecording(download, { attempts = 5, delay = 5000 } = {}) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const audio = await download();
+    if (audio) return audio;
+    if (attempt < attempts) await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  throw new Error(`Recording still unavailable after ${attempts} attempts`);
+}
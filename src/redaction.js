@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+
+/**
+ * PII redaction for what callers say aloud: card numbers, SSNs, phone
+ * numbers, emails and street addresses.  Text is redacted before it is
+ * stored, logged or sent to the analysis LLM.
+ *
+ * Stored text gets vault tokens such as `[CARD_NUMBER_3fa9c2d1e0]`, with
+ * the original value encrypted in a vault (see services/RedactionService.js
+ * and the multi-tenant core) so authorized users can reveal it.  Logs and
+ * prompts just get the label, `[CARD_NUMBER]`.
+ *
+ * A policy is `{ enabled, types }`, `types` being a subset of PII_TYPES.
+ */
+
+export const PII_TYPES = ['card', 'ssn', 'phone', 'email', 'address'];
+
+export const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  types: PII_TYPES
+};
+
+const LABELS = {
+  card: 'CARD_NUMBER',
+  ssn: 'SSN',
+  phone: 'PHONE',
+  email: 'EMAIL',
+  address: 'ADDRESS'
+};
+
+// Deepgram's redaction classes covering each type, for transcribing
+// recordings with Deepgram's own `redact` option
+const DEEPGRAM_REDACT = {
+  card: 'pci',
+  ssn: 'ssn',
+  phone: 'pii',
+  email: 'pii',
+  address: 'pii'
+};
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Parkway|Highway';
+
+// Checked in this order; a later match overlapping an earlier one is dropped
+const DETECTORS = [
+  {
+    type: 'email',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}|\b[A-Z0-9._-]+ at [A-Z0-9-]+(?: dot [A-Z0-9-]+)*(?: dot (?:com|net|org|edu|gov|io|co|uk|us))\b/gi
+  },
+  {
+    type: 'card',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    valid: (value) => luhn(digits(value))
+  },
+  {
+    type: 'ssn',
+    pattern: /\b(\d{3})([- ]?)(\d{2})\2(\d{4})\b/g,
+    valid: (value, [, area, , group, serial]) =>
+      area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000'
+  },
+  {
+    type: 'phone',
+    // Phone-shaped numbers only, so order numbers, dates and times stay:
+    // North American (`(212) 555-0123`, `+1 212 555 0123`), international
+    // with a `+` country code, or national with a trunk 0 (`020 7946 0958`)
+    pattern: new RegExp(
+      '(?<![\\w+(.:/-])(?:' +
+        '(?:\\+?1[\\s.-]?)?(?:\\(\\d{3}\\)\\s?|\\d{3}[\\s.-]?)\\d{3}[\\s.-]?\\d{4}' +
+        '|\\+\\d{1,3}(?:[\\s.-]?\\(?\\d{1,4}\\)?){2,5}' +
+        '|\\(?0\\d{1,4}\\)?[\\s.-]\\d{3,4}[\\s.-]\\d{3,4}' +
+      ')(?![\\w:/]|[.-]\\d)',
+      'g'
+    ),
+    valid: (value) => digits(value).length >= 10 && digits(value).length <= 15
+  },
+  {
+    type: 'address',
+    // Street names are capitalized, which keeps "3 of them by the way" out
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][\\w'-]*\\.?\\s+){1,4}(?:${STREET_SUFFIXES})\\b`, 'g')
+  }
+];
+
+// Tokens written by vaultToken(); never redacted again
+const TOKEN_PATTERN = new RegExp(`\\[(?:${Object.values(LABELS).join('|')})_[0-9a-f]{10}\\]`, 'g');
+
+/**
+ * Layer policies over the defaults, later layers winning.  Layers may be
+ * JSON strings (`agents.redaction_config`); invalid JSON is skipped.
+ *
+ * @param {...(Object|string|null)} layers
+ * @returns {{enabled: boolean, types: string[]}}
+ */
+export function resolveRedactionConfig(...layers) {
+  const policy = { ...DEFAULT_REDACTION_CONFIG };
+  for (let layer of layers) {
+    if (typeof layer === 'string') {
+      try {
+        layer = JSON.parse(layer);
+      } catch (err) {
+        console.error('Invalid redaction config JSON, ignoring:', err.message);
+        continue;
+      }
+    }
+    if (layer && typeof layer === 'object') {
+      if (layer.enabled !== undefined) policy.enabled = layer.enabled;
+      if (layer.types !== undefined) policy.types = layer.types;
+    }
+  }
+  return policy;
+}
+
+/**
+ * @param {Object} policy
+ * @returns {string|null} What's wrong with the policy, or null.
+ */
+export function validateRedactionConfig(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Redaction config must be an object';
+  }
+  if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+    return 'Redaction config: enabled must be a boolean';
+  }
+  if (policy.types !== undefined) {
+    if (!Array.isArray(policy.types)) {
+      return 'Redaction config: types must be an array';
+    }
+    const unknown = policy.types.filter(type => !PII_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return `Redaction config: unknown types ${unknown.join(', ')}; use ${PII_TYPES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} text
+ * @param {string[]} [types]
+ * @returns {Array<{type: string, start: number, end: number, value: string}>}
+ *   Non-overlapping matches in text order.
+ */
+export function findPii(text, types = PII_TYPES) {
+  if (!text) return [];
+  const taken = [...text.matchAll(TOKEN_PATTERN)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+  const found = [];
+
+  for (const { type, pattern, valid } of DETECTORS) {
+    if (!types.includes(type)) continue;
+    for (const match of text.matchAll(pattern)) {
+      const value = match[0];
+      const start = match.index;
+      const end = start + value.length;
+      if (valid && !valid(value, match)) continue;
+      if ([...taken, ...found].some(other => start < other.end && end > other.start)) continue;
+      found.push({ type, start, end, value });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace PII in `text` by calling `tokenFor` for each match.
+ *
+ * @param {string} text
+ * @param {{enabled: boolean, types: string[]}} policy
+ * @param {(type: string, value: string) => string} [tokenFor] Defaults to the bare label.
+ * @returns {{text: string, entities: Array<{type: string, value: string, token: string}>}}
+ */
+export function redactText(text, policy, tokenFor = label) {
+  if (!policy.enabled || typeof text !== 'string') return { text, entities: [] };
+
+  const entities = [];
+  let result = '';
+  let last = 0;
+  for (const { type, start, end, value } of findPii(text, policy.types)) {
+    const token = tokenFor(type, value);
+    entities.push({ type, value, token });
+    result += text.slice(last, start) + token;
+    last = end;
+  }
+  return { text: result + text.slice(last), entities };
+}
+
+/**
+ * Redact timed words from a recording transcript.  A match spanning several
+ * words collapses into one word holding the token, timed from the first
+ * word's start to the last one's end, so seeking still lands in the right
+ * place.
+ *
+ * @param {Array<{word: string, start: number, end: number}>} words
+ * @param {{enabled: boolean, types: string[]}} policy
+ * @param {(type: string, value: string) => string} [tokenFor] Defaults to the bare label.
+ * @returns {{words: Object[], entities: Array<{type: string, value: string, token: string}>}}
+ */
+export function redactWords(words, policy, tokenFor = label) {
+  if (!policy.enabled) return { words, entities: [] };
+
+  const offsets = [];
+  let text = '';
+  for (const { word } of words) {
+    if (text) text += ' ';
+    offsets.push(text.length);
+    text += word;
+  }
+
+  const entities = [];
+  const result = [];
+  let next = 0;
+  for (const { type, start, end, value } of findPii(text, policy.types)) {
+    while (next < words.length && offsets[next] + words[next].word.length <= start) {
+      result.push(words[next++]);
+    }
+    const first = next;
+    while (next < words.length && offsets[next] < end) next++;
+    if (next === first) continue;
+
+    const token = tokenFor(type, value);
+    entities.push({ type, value, token });
+    result.push({ ...words[first], word: token, end: words[next - 1].end });
+  }
+  return { words: [...result, ...words.slice(next)], entities };
+}
+
+/**
+ * Redact every string in a value (log lines, analysis prompts) down to bare
+ * labels.  Vault tokens already in the text become labels too, so logs and
+ * prompts never carry anything that could be looked up in the vault.
+ *
+ * @param {*} value
+ * @param {{enabled: boolean, types: string[]}} policy
+ * @returns {*} A redacted copy.
+ */
+export function maskValue(value, policy) {
+  if (typeof value === 'string') {
+    const text = value.replace(TOKEN_PATTERN, token => `${token.slice(0, -12)}]`);
+    return redactText(text, policy).text;
+  }
+  if (Array.isArray(value)) return value.map(item => maskValue(item, policy));
+  if (value && typeof value === 'object' && !(value instanceof Error) && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskValue(item, policy)]));
+  }
+  return value;
+}
+
+/**
+ * @param {string} type
+ * @returns {string} The bare label, e.g. `[EMAIL]`.
+ */
+export function label(type) {
+  return `[${LABELS[type]}]`;
+}
+
+/**
+ * A vault token for a value: the same value in the same conversation
+ * always gets the same token, and without the key it says nothing about
+ * the value.
+ *
+ * @param {Buffer} key Vault key.
+ * @param {string} scope Conversation ID.
+ * @param {string} type
+ * @param {string} value
+ * @returns {string} e.g. `[EMAIL_3fa9c2d1e0]`
+ */
+export function vaultToken(key, scope, type, value) {
+  const id = crypto.createHmac('sha256', key).update(`${scope}\n${type}\n${value}`).digest('hex').slice(0, 10);
+  return `[${LABELS[type]}_${id}]`;
+}
+
+/**
+ * @param {Buffer} key
+ * @param {string} value
+ * @returns {string} AES-256-GCM ciphertext as `iv.tag.ciphertext` in base64.
+ */
+export function sealValue(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * @param {Buffer} key
+ * @param {string} sealed From sealValue.
+ * @returns {string}
+ */
+export function openValue(key, sealed) {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Put vaulted values back in place of their tokens.
+ *
+ * @param {string} text
+ * @param {Map<string, string>} values token -> original value
+ * @returns {string}
+ */
+export function revealText(text, values) {
+  if (typeof text !== 'string') return text;
+  return text.replace(TOKEN_PATTERN, token => values.get(token) ?? token);
+}
+
+/**
+ * Check a presented vault access token in constant time.
+ *
+ * @param {string|undefined} token As presented, e.g. the X-Vault-Token header.
+ * @param {string|undefined} expected The configured token; unset denies everyone.
+ * @returns {boolean}
+ */
+export function vaultAccessAllowed(token, expected) {
+  if (!expected || !token) return false;
+  // Digests are equal-length, so the comparison doesn't leak the token's length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+/**
+ * @param {string[]} types
+ * @returns {string[]} Deepgram `redact` classes for the types.
+ */
+export function deepgramRedact(types) {
+  return [...new Set(types.map(type => DEEPGRAM_REDACT[type]))];
+}
+
+function digits(value) {
+  return value.replace(/\D/g, '');
+}
+
+function luhn(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
@@ -1,13 +1,82 @@
 import express from 'express';
 import Agent from '../../models/Agent.js';
+import ToolService from '../../services/ToolService.js';
+import TransferService from '../../services/TransferService.js';
+import VoicemailService from '../../services/VoicemailService.js';
+import TtsPrewarmService from '../../services/TtsPrewarmService.js';
+import AIService from '../../services/AIService.js';
+import TwilioService from '../../services/TwilioService.js';
+import { validateIntentConfig } from '../../src/intent.js';
+import { validateConsentConfig } from '../../src/consent.js';
+import { validateCallingHours } from '../../src/calling-hours.js';
+import { validateLanguageConfig } from '../../src/language.js';
+import { validateRedactionConfig } from '../../src/redaction.js';
+import { parseListQuery, listResponse } from '../../src/list-query.js';
 
 const router = express.Router();
+const toolService = new ToolService();
+const transferService = new TransferService();
+const aiService = new AIService();
+const voicemailService = new VoicemailService(aiService, new TwilioService());
+const ttsPrewarmService = new TtsPrewarmService(aiService);
+
+// Agent settings stored as JSON text columns, with their validators
+const jsonSettings = {
+  tools: value => toolService.validateTools(value),
+  intent_config: validateIntentConfig,
+  transfer_config: value => transferService.validateConfig(value),
+  voicemail_config: value => voicemailService.validateConfig(value),
+  consent_config: validateConsentConfig,
+  calling_hours: validateCallingHours,
+  language_config: validateLanguageConfig,
+  redaction_config: validateRedactionConfig
+};
+
+// Validate the JSON settings present in a request body; the model checks
+// everything else (see Agent's schema). Null clears a setting.
+function validateJsonSettings(body) {
+  const errors = [];
+  for (const [field, validate] of Object.entries(jsonSettings)) {
+    const value = body[field];
+    if (value === undefined || value === null) continue;
+    const message = validate(value);
+    if (message) errors.push({ field, message });
+  }
+  return errors;
+}
+
+// 400 with every field at fault, from the settings validators or the model
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ error: errors.map(({ message }) => message).join('; '), errors });
+}
+
+// Synthesize the voicemail message in the background so saving stays fast
+function prepareVoicemail(agent) {
+  voicemailService.prepare(agent).catch(error => {
+    console.error(`Error preparing voicemail for agent ${agent.id}:`, error.message);
+  });
+}
+
+// Cache the agent's greetings, consent script and goodbyes in the background
+function prewarmPhrases(agent) {
+  ttsPrewarmService.prewarm(agent).catch(error => {
+    console.error(`Error pre-warming phrases for agent ${agent.id}:`, error.message);
+  });
+}
 
 router.get('/', async (req, res) => {
   try {
-    const agents = await Agent.findAll();
-    res.json(agents);
+    const { options, error } = parseListQuery(req.query, { filters: { include_archived: 'boolean' }, limit: 100 });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = await Agent.findPage(options);
+    res.json(listResponse(page, req.originalUrl.split('?')[0], req.query));
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching agents:', error);
     res.status(500).json({ error: 'Failed to fetch agents' });
   }
@@ -28,41 +97,84 @@ router.get('/:id', async (req, res) => {
 
 router.post('/', async (req, res) => {
   try {
-    const { name, prompt, type, use_case, phone_number, voice } = req.body;
-
-    if (!name || !prompt) {
-      return res.status(400).json({ error: 'Name and prompt are required' });
+    const errors = validateJsonSettings(req.body);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
     }
 
-    const agent = await Agent.create({ name, prompt, type, use_case, phone_number, voice });
+    const agent = await Agent.create(req.body);
+    prepareVoicemail(agent);
+    prewarmPhrases(agent);
     res.status(201).json(agent);
   } catch (error) {
+    if (error.code === 'VALIDATION_FAILED') {
+      return sendValidationErrors(res, error.errors);
+    }
     console.error('Error creating agent:', error);
     res.status(500).json({ error: `Failed to create agent: ${error.message}` });
   }
 });
 
-router.put('/:id', async (req, res) => {
+// PUT replaces the agent: settings left out go back to their defaults.
+// PATCH changes only the fields given. Archived agents are restored before
+// they are changed.
+async function updateAgent(req, res, { replace }) {
   try {
-    const { name, prompt, type, use_case, phone_number, voice } = req.body;
-    const agent = await Agent.update(req.params.id, { name, prompt, type, use_case, phone_number, voice });
-    if (!agent) {
+    const existing = await Agent.findById(req.params.id);
+    if (!existing) {
       return res.status(404).json({ error: 'Agent not found' });
     }
+    if (existing.archived_at) {
+      return res.status(409).json({ error: 'Agent is archived; restore it before changing it' });
+    }
+
+    const errors = validateJsonSettings(req.body);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const agent = await Agent.update(req.params.id, req.body, { replace });
+    // A new prompt or voicemail setting means a new message
+    if (replace || req.body.voicemail_config !== undefined || req.body.prompt !== undefined) {
+      prepareVoicemail(agent);
+    }
+    prewarmPhrases(agent);
     res.json(agent);
   } catch (error) {
+    if (error.code === 'VALIDATION_FAILED') {
+      return sendValidationErrors(res, error.errors);
+    }
     console.error('Error updating agent:', error);
     res.status(500).json({ error: 'Failed to update agent' });
   }
-});
+}
+
+router.put('/:id', (req, res) => updateAgent(req, res, { replace: true }));
+router.patch('/:id', (req, res) => updateAgent(req, res, { replace: false }));
 
+// Archives the agent: it takes no more calls, but its call history stays
 router.delete('/:id', async (req, res) => {
   try {
-    await Agent.delete(req.params.id);
-    res.json({ message: 'Agent deleted successfully' });
+    if (!(await Agent.archive(req.params.id))) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json({ message: 'Agent archived successfully' });
+  } catch (error) {
+    console.error('Error archiving agent:', error);
+    res.status(500).json({ error: 'Failed to archive agent' });
+  }
+});
+
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const agent = await Agent.restore(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agent);
   } catch (error) {
-    console.error('Error deleting agent:', error);
-    res.status(500).json({ error: 'Failed to delete agent' });
+    console.error('Error restoring agent:', error);
+    res.status(500).json({ error: 'Failed to restore agent' });
   }
 });
 
@@ -2,32 +2,112 @@ import express from 'express';
 import Conversation from '../../models/Conversation.js';
 import Agent from '../../models/Agent.js';
 import Contact from '../../models/Contact.js';
+import ToolInvocation from '../../models/ToolInvocation.js';
+import DeferredCall from '../../models/DeferredCall.js';
 import TwilioService from '../../services/TwilioService.js';
 import AIService from '../../services/AIService.js';
+import ToolService from '../../services/ToolService.js';
+import TransferService, { NO_ANSWER_MESSAGE } from '../../services/TransferService.js';
+import CallbackService, { CALLBACK_TIME_CONFIRMED_MESSAGE } from '../../services/CallbackService.js';
+import CampaignService from '../../services/CampaignService.js';
+import VoicemailService from '../../services/VoicemailService.js';
+import ConsentService from '../../services/ConsentService.js';
+import LanguageService from '../../services/LanguageService.js';
+import DoNotCallService from '../../services/DoNotCallService.js';
+import CallingHoursService from '../../services/CallingHoursService.js';
+import RecordingService from '../../services/RecordingService.js';
+import TranscriptService from '../../services/TranscriptService.js';
+import RedactionService from '../../services/RedactionService.js';
 import config from '../../src/config.js';
+import { parseIntentConfig } from '../../src/intent.js';
+import { CONSENT_GRANTED_MESSAGE, CONSENT_DECLINED_MESSAGE } from '../../src/consent.js';
+import { DO_NOT_CALL_MESSAGE } from '../../src/dnc.js';
+import { OUTSIDE_CALLING_HOURS_MESSAGE } from '../../src/calling-hours.js';
+import { languageGreeting } from '../../src/language.js';
+import { parseListQuery, listResponse } from '../../src/list-query.js';
+import { ttsCache } from '../../src/tts-cache.js';
+import { sendAudio } from '../../src/audio-storage/index.js';
+
+const CALLBACK_STATUSES = ['pending', 'scheduled', 'completed', 'cancelled'];
+
+const CALL_FILTERS = {
+  agent_id: 'string',
+  direction: ['inbound', 'outbound'],
+  from: 'date',
+  to: 'date',
+  min_rating: 'integer',
+  max_rating: 'integer',
+  success: 'boolean'
+};
+
+const CALLBACK_FILTERS = {
+  status: CALLBACK_STATUSES,
+  agent_id: 'string',
+  from: 'date',
+  to: 'date'
+};
 
 const router = express.Router();
 const twilioService = new TwilioService();
 const aiService = new AIService();
+const transferService = new TransferService(aiService, twilioService);
+const callbackService = new CallbackService(aiService, twilioService);
+const toolService = new ToolService(callbackService);
+const campaignService = new CampaignService(twilioService);
+const voicemailService = new VoicemailService(aiService, twilioService);
+const consentService = new ConsentService(aiService, twilioService);
+const languageService = new LanguageService(aiService, twilioService);
+const doNotCallService = new DoNotCallService();
+const callingHoursService = new CallingHoursService(twilioService);
+const recordingService = new RecordingService(twilioService);
+const transcriptService = new TranscriptService(aiService, recordingService);
+const redactionService = new RedactionService();
 
 router.get('/', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const conversations = await Conversation.findAll(limit);
-    res.json(conversations);
+    const { options, error } = parseListQuery(req.query, { filters: CALL_FILTERS, limit: 50 });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = await Conversation.findAll(options);
+    res.json(listResponse(page, req.originalUrl.split('?')[0], req.query));
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching conversations:', error);
     res.status(500).json({ error: 'Failed to fetch conversations' });
   }
 });
 
+router.get('/analytics', async (req, res) => {
+  try {
+    const agentId = req.query.agent_id || null;
+    const analytics = await Conversation.getAnalytics(agentId);
+    const byLanguage = await Conversation.getLanguageBreakdown(agentId);
+    res.json({ ...analytics, by_language: byLanguage, tts_cache: ttsCache.stats() });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
 // Callback requests management
 router.get('/callbacks', async (req, res) => {
   try {
     const { default: CallbackRequest } = await import('../../models/CallbackRequest.js');
-    const callbacks = await CallbackRequest.findAll();
-    res.json(callbacks);
+    const { options, error } = parseListQuery(req.query, { filters: CALLBACK_FILTERS, limit: 50 });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = await CallbackRequest.findAll(options);
+    res.json(listResponse(page, req.originalUrl.split('?')[0], req.query));
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching callback requests:', error);
     res.status(500).json({ error: 'Failed to fetch callback requests' });
   }
@@ -36,11 +116,26 @@ router.get('/callbacks', async (req, res) => {
 router.put('/callbacks/:id', async (req, res) => {
   try {
     const { default: CallbackRequest } = await import('../../models/CallbackRequest.js');
-    const { status, notes } = req.body;
-    const updated = await CallbackRequest.updateStatus(req.params.id, status, notes);
-    if (!updated) {
+    const { status, notes, preferred_time } = req.body;
+
+    if (!CALLBACK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${CALLBACK_STATUSES.join(', ')}` });
+    }
+    const preferredTime = preferred_time ? new Date(preferred_time) : null;
+    if (preferredTime && Number.isNaN(preferredTime.getTime())) {
+      return res.status(400).json({ error: 'preferred_time must be an ISO 8601 date-time' });
+    }
+
+    const existing = await CallbackRequest.findById(req.params.id);
+    if (!existing) {
       return res.status(404).json({ error: 'Callback request not found' });
     }
+
+    let updated = await CallbackRequest.updateStatus(existing.id, status, notes === undefined ? existing.notes : notes);
+    // Scheduled requests are placed by the callback scheduler when due
+    if (status === 'scheduled') {
+      updated = await callbackService.schedule(updated, preferredTime);
+    }
     res.json(updated);
   } catch (error) {
     console.error('Error updating callback request:', error);
@@ -48,6 +143,65 @@ router.put('/callbacks/:id', async (req, res) => {
   }
 });
 
+// Callbacks to a human line: greet the customer, then dial the team
+router.post('/callbacks/:id/connect', async (req, res) => {
+  try {
+    res.type('text/xml').send(await callbackService.buildConnectTwiml(req.params.id));
+  } catch (error) {
+    console.error('Error connecting callback:', error);
+    res.type('text/xml').send(twilioService.generateHangupTwiml());
+  }
+});
+
+router.post('/callbacks/:id/whisper', async (req, res) => {
+  try {
+    res.type('text/xml').send(await callbackService.buildWhisperTwiml(req.params.id));
+  } catch (error) {
+    console.error('Error preparing callback whisper:', error);
+    res.type('text/xml').send(twilioService.generateWhisperTwiml());
+  }
+});
+
+router.post('/callbacks/:id/dial-status', async (req, res) => {
+  try {
+    const { DialCallStatus } = req.body;
+    console.log(`Callback ${req.params.id} dial status: ${DialCallStatus}`);
+    res.type('text/xml').send(await callbackService.handleDialStatus(req.params.id, DialCallStatus));
+  } catch (error) {
+    console.error('Error handling callback dial status:', error);
+    res.type('text/xml').send(twilioService.generateHangupTwiml());
+  }
+});
+
+// Outbound calls waiting for the callee's calling hours
+router.get('/deferred', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const calls = await DeferredCall.findAll(limit);
+    res.json(calls);
+  } catch (error) {
+    console.error('Error fetching deferred calls:', error);
+    res.status(500).json({ error: 'Failed to fetch deferred calls' });
+  }
+});
+
+router.delete('/deferred/:id', async (req, res) => {
+  try {
+    const call = await DeferredCall.findById(req.params.id);
+    if (!call) {
+      return res.status(404).json({ error: 'Deferred call not found' });
+    }
+    if (call.status !== 'scheduled') {
+      return res.status(400).json({ error: `Cannot cancel a ${call.status} call` });
+    }
+
+    res.json(await DeferredCall.recordOutcome(call.id, { status: 'cancelled', outcome: 'Cancelled by user' }));
+  } catch (error) {
+    console.error('Error cancelling deferred call:', error);
+    res.status(500).json({ error: 'Failed to cancel deferred call' });
+  }
+});
+
 router.get('/:id', async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id);
@@ -56,13 +210,39 @@ router.get('/:id', async (req, res) => {
     }
 
     const messages = await Conversation.getMessages(req.params.id);
-    res.json({ ...conversation, messages });
+    const toolInvocations = await ToolInvocation.findByConversationId(req.params.id);
+    res.json({
+      ...conversation,
+      aligned_transcript: conversation.aligned_transcript ? JSON.parse(conversation.aligned_transcript) : null,
+      messages,
+      tool_invocations: toolInvocations
+    });
   } catch (error) {
     console.error('Error fetching conversation:', error);
     res.status(500).json({ error: 'Failed to fetch conversation' });
   }
 });
 
+// The call as it was said, for holders of PII_VAULT_ACCESS_TOKEN; every
+// read is written to the compliance log
+router.get('/:id/unredacted', async (req, res) => {
+  try {
+    if (!redactionService.authorize(req.get('X-Vault-Token'))) {
+      return res.status(403).json({ error: 'A valid X-Vault-Token is required' });
+    }
+
+    const unredacted = await redactionService.unredacted(req.params.id, { requestedBy: req.ip });
+    if (!unredacted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json(unredacted);
+  } catch (error) {
+    console.error('Error fetching unredacted conversation:', error);
+    res.status(500).json({ error: 'Failed to fetch unredacted conversation' });
+  }
+});
+
 router.post('/outbound', async (req, res) => {
   try {
     const { agent_id, to, contact_id } = req.body;
@@ -75,7 +255,7 @@ router.post('/outbound', async (req, res) => {
       return res.status(400).json({ error: 'Either phone number or contact ID is required' });
     }
 
-    const agent = await Agent.findById(agent_id);
+    const agent = await Agent.findActiveById(agent_id);
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
@@ -89,25 +269,50 @@ router.post('/outbound', async (req, res) => {
     let contact = null;
 
     if (contact_id) {
-      contact = await Contact.findById(contact_id);
+      contact = await Contact.findActiveById(contact_id);
       if (!contact) {
         return res.status(404).json({ error: 'Contact not found' });
       }
       phoneNumber = contact.phone_number;
+    }
 
-      // Update contact call stats
-      await Contact.updateCallStats(contact_id);
+    if (await doNotCallService.check(phoneNumber, 'outbound', { agent_id, contact_id: contact_id || null })) {
+      return res.status(403).json({ error: DO_NOT_CALL_MESSAGE, code: 'do_not_call', phone_number: phoneNumber });
+    }
+
+    const hours = await callingHoursService.check(agent, phoneNumber, {
+      contact,
+      source: 'outbound',
+      details: { agent_id, contact_id: contact_id || null }
+    });
+    if (!hours.allowed) {
+      if (hours.action === 'defer' && hours.nextAllowedAt) {
+        const deferred = await callingHoursService.defer(agent, phoneNumber, contact, hours);
+        return res.status(202).json({
+          deferred: true,
+          deferred_call_id: deferred.id,
+          scheduled_for: deferred.scheduled_for,
+          timezone: hours.timezone,
+          local_time: hours.localTime
+        });
+      }
+      return res.status(409).json({
+        error: OUTSIDE_CALLING_HOURS_MESSAGE,
+        code: 'outside_calling_hours',
+        timezone: hours.timezone,
+        local_time: hours.localTime,
+        next_allowed_at: hours.nextAllowedAt?.toISOString() || null
+      });
     }
 
     const callbackUrl = `${config.app.baseUrl}/api/calls/twiml/${agent_id}`;
     const callResult = await twilioService.makeOutboundCall(phoneNumber, agent_id, callbackUrl);
 
-    const conversation = await Conversation.create({
+    const conversation = await Conversation.createOutbound({
       agent_id,
       call_sid: callResult.callSid,
-      direction: 'outbound',
       customer_number: phoneNumber
-    });
+    }, contact?.id);
 
     res.json({
       ...callResult,
@@ -195,7 +400,7 @@ router.post('/twiml/:agentId', async (req, res) => {
     // Handle transfer callback time collection
     if (isTransfer) {
       const twilioData = twilioService.parseTwilioRequest(req.body);
-      console.log(`Transfer time response: ${twilioData.speechResult}`);
+      console.log(`Transfer time response: ${redactionService.mask(twilioData.speechResult, agent)}`);
 
       const conversation = await Conversation.findByCallSid(twilioData.callSid);
       if (conversation) {
@@ -209,20 +414,16 @@ router.post('/twiml/:agentId', async (req, res) => {
         );
 
         if (latestRequest && twilioData.speechResult) {
-          await CallbackRequest.updateStatus(
-            latestRequest.id,
-            'pending',
-            `Preferred time: ${twilioData.speechResult}`
-          );
+          // Working out the time takes an LLM round-trip; don't keep the caller waiting
+          callbackService.setPreferredTime(latestRequest.id, twilioData.speechResult);
         }
       }
 
       // Send goodbye message and hang up
-      const goodbyeMessage = "Thank you for providing your preferred time. We'll call you back soon. Goodbye.";
-      const goodbyeTts = await aiService.generateTTS(goodbyeMessage, agent.voice);
+      const goodbyeTts = await aiService.generateTTS(CALLBACK_TIME_CONFIRMED_MESSAGE, agent.voice, { cache: true });
 
       const twiml = `<?xml version="1.0" encoding="UTF-8"?><Response>
-        <Play>${config.app.baseUrl}${goodbyeTts.url}</Play>
+        <Play>${twilioService.escapeXml(goodbyeTts.url)}</Play>
         <Hangup/>
       </Response>`;
 
@@ -245,9 +446,8 @@ async function handleAgentCall(req, res, agent) {
     console.log(`Call handling - Agent: ${agent.name}, From: ${twilioData.from}, CallSid: ${twilioData.callSid}, Consent: ${isConsentResponse}, Direction: ${twilioData.direction}`);
 
     let conversation = await Conversation.findByCallSid(twilioData.callSid);
-
-    // Handle consent response first
-    if (isConsentResponse) {
+    const actionUrl = `${config.app.baseUrl}/api/calls/twiml/${agent.id}`;
+    const ensureConversation = async () => {
       if (!conversation) {
         conversation = await Conversation.create({
           agent_id: agent.id,
@@ -257,65 +457,110 @@ async function handleAgentCall(req, res, agent) {
         });
         console.log(`Created new conversation: ${conversation.id}`);
       }
+      return conversation;
+    };
 
-      // Check if user agreed to proceed
-      const consentResponse = twilioData.speechResult?.toLowerCase() || '';
-      const agreed = consentResponse.includes('yes') || consentResponse.includes('agree') ||
-                     consentResponse.includes('okay') || consentResponse.includes('sure');
+    // The caller picked a language from the menu; carry on with consent
+    if (req.query.language === 'menu') {
+      await ensureConversation();
+      await languageService.handleMenuResponse(agent, conversation, req.body);
+    }
 
-      if (agreed) {
-        console.log('User consented, proceeding with conversation');
-        // User agreed, start the actual conversation
-        const greeting = `Thank you for your consent. ${agent.name} here. How can I help you today?`;
-        console.log(`Sending greeting: ${greeting}`);
+    // Handle consent response first
+    if (isConsentResponse) {
+      await ensureConversation();
 
-        const ttsResult = await aiService.generateTTS(greeting, agent.voice);
+      const attempt = parseInt(req.query.attempt) || 1;
+      const { outcome, policy } = await consentService.handleResponse(agent, conversation, req.body, attempt);
+      const language = languageService.settingsFor(agent, conversation);
 
-        await Conversation.addMessage(conversation.id, 'assistant', greeting);
-        await Conversation.update(conversation.id, { audio_url: ttsResult.url });
+      if (!outcome) {
+        console.log('Consent answer unclear, asking again');
+        return res.type('text/xml').send(await consentService.buildPromptTwiml(agent, policy, actionUrl, attempt + 1, language.gather));
+      }
 
-        const twiml = twilioService.generateTwiml(ttsResult.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`);
-        return res.type('text/xml').send(twiml);
-      } else {
-        console.log('User did not consent, ending call');
-        // User did not agree, end the call
-        const goodbyeMessage = "I understand. Thank you for your time. Goodbye.";
-        const goodbyeTts = await aiService.generateTTS(goodbyeMessage, agent.voice);
-
-        const twiml = `<?xml version="1.0" encoding="UTF-8"?><Response>
-          <Play>${config.app.baseUrl}${goodbyeTts.url}</Play>
-          <Hangup/>
-        </Response>`;
-        return res.type('text/xml').send(twiml);
+      if (outcome === 'granted') {
+        console.log('User consented, proceeding with conversation');
+        const thanks = language.code === 'en' ? `${CONSENT_GRANTED_MESSAGE} ` : '';
+        const greeting = `${thanks}${languageGreeting(language.code, agent.name)}`;
+        return res.type('text/xml').send(await greetCaller(agent, conversation, greeting, language));
       }
+
+      console.log(`Consent ${outcome}, ending call`);
+      const goodbyeTts = await aiService.generateTTS(CONSENT_DECLINED_MESSAGE, agent.voice, { cache: true });
+
+      const twiml = `<?xml version="1.0" encoding="UTF-8"?><Response>
+        <Play>${twilioService.escapeXml(goodbyeTts.url)}</Play>
+        <Hangup/>
+      </Response>`;
+      return res.type('text/xml').send(twiml);
     }
 
     // Check if this is the first interaction (no messages in conversation yet)
     const messages = conversation ? await Conversation.getMessages(conversation.id) : [];
     if (!conversation || messages.length === 0) {
-      console.log('First interaction, playing consent message');
-      // First interaction - play consent message for both inbound and outbound calls
-      const twiml = twilioService.generateConsentTwiml(`${config.app.baseUrl}/api/calls/twiml/${agent.id}`);
-      return res.type('text/xml').send(twiml);
+      // Multilingual agents may ask for the caller's language before anything else
+      if (languageService.offersMenu(agent, conversation)) {
+        console.log('First interaction, offering the language menu');
+        return res.type('text/xml').send(languageService.buildMenuTwiml(agent, actionUrl));
+      }
+
+      // First interaction - consent or disclosure for both inbound and outbound calls
+      const policy = consentService.policyFor(agent, req.body);
+      const language = languageService.settingsFor(agent, conversation);
+      if (policy.ask) {
+        console.log(`First interaction, asking for consent (${policy.jurisdiction || 'unknown jurisdiction'})`);
+        return res.type('text/xml').send(await consentService.buildPromptTwiml(agent, policy, actionUrl, 1, language.gather));
+      }
+
+      // Consent isn't required here; disclose and go straight into the greeting
+      console.log(`First interaction, disclosure only (${policy.jurisdiction})`);
+      await ensureConversation();
+      await consentService.record(conversation.id, policy, 'disclosed');
+      const greeting = `${policy.text} ${languageGreeting(language.code, agent.name)}`;
+      return res.type('text/xml').send(await greetCaller(agent, conversation, greeting, language));
     }
 
+    // The caller's first words settle the language of an auto-detecting agent
+    const firstUtterance = !messages.some(m => m.role === 'user');
+
     let twiml;
     if (twilioData.speechResult) {
-      console.log(`Speech received: ${twilioData.speechResult}`);
-      await Conversation.addMessage(conversation.id, 'user', twilioData.speechResult);
+      console.log(`Speech received: ${redactionService.mask(twilioData.speechResult, agent)}`);
+      const language = languageService.detectsFromSpeech(agent) && firstUtterance
+        ? await languageService.detect(agent, conversation, twilioData.speechResult)
+        : languageService.settingsFor(agent, conversation);
+      await redactionService.addMessage(conversation.id, 'user', twilioData.speechResult, agent);
 
-      const messages = await Conversation.getMessages(conversation.id);
+      const messages = await redactionService.revealMessages(await Conversation.getMessages(conversation.id), conversation.id);
       const aiResult = await aiService.generateResponse(
         messages.map(m => ({ role: m.role, content: m.content })),
         agent.prompt,
-        conversation.id
+        conversation.id,
+        {
+          tools: toolService.forConversation(agent, {
+            conversationId: conversation.id,
+            customerNumber: conversation.customer_number
+          }),
+          intents: parseIntentConfig(agent.intent_config),
+          intentResponses: transferService.intentResponsesFor(agent),
+          language: languageService.instructionFor(agent, language)
+        }
       );
 
-      console.log(`AI Response: ${aiResult.response}`);
-      await Conversation.addMessage(conversation.id, 'assistant', aiResult.response);
+      console.log(`AI Response: ${redactionService.mask(aiResult.response, agent)}`);
 
-      // Handle human transfer request
-      if (aiResult.transferRequested) {
+      // Live transfer: play the hold message, then bridge to a human
+      if (aiResult.transferRequested && transferService.isLive(agent)) {
+        console.log('Human transfer requested, starting live transfer');
+        transferService.prepare(agent, conversation.id);
+
+        const holdTts = await aiService.generateTTS(aiResult.response, language.voice, { cache: true });
+        await redactionService.addMessage(conversation.id, 'assistant', aiResult.response, agent, { audioUrl: holdTts.url });
+
+        twiml = twilioService.generateRedirectTwiml(holdTts.url, transferService.startUrl(conversation.id));
+      } else if (aiResult.transferRequested) {
+        // Handle human transfer request
         console.log('Human transfer requested, creating callback request');
 
         // Import CallbackRequest here to avoid circular dependencies
@@ -329,33 +574,41 @@ async function handleAgentCall(req, res, agent) {
           status: 'pending'
         });
 
-        // Generate transfer response
-        const transferTts = await aiService.generateTTS(aiResult.response, agent.voice);
-        await Conversation.update(conversation.id, { audio_url: transferTts.url });
+        // Generate transfer response (a fixed intent reply, so cached)
+        const transferTts = await aiService.generateTTS(aiResult.response, language.voice, { cache: true });
+        await redactionService.addMessage(conversation.id, 'assistant', aiResult.response, agent, { audioUrl: transferTts.url });
 
         // Use different TwiML for transfer - gather preferred time
-        twiml = twilioService.generateTransferTwiml(transferTts.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`);
+        twiml = twilioService.generateTransferTwiml(transferTts.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`, language.gather);
+      } else if (aiResult.endCall) {
+        console.log(`Ending call on intent: ${aiResult.intent.intent}`);
+        if (aiResult.intent.intent === 'opt_out') {
+          await doNotCallService.recordOptOut(conversation);
+        }
+        const goodbyeTts = await aiService.generateTTS(aiResult.response, language.voice, { cache: true });
+        await redactionService.addMessage(conversation.id, 'assistant', aiResult.response, agent, { audioUrl: goodbyeTts.url });
+
+        twiml = twilioService.generateHangupTwiml(goodbyeTts.url);
       } else {
         // Normal response
-        const ttsResult = await aiService.generateTTS(aiResult.response, agent.voice);
-        await Conversation.update(conversation.id, { audio_url: ttsResult.url });
+        const ttsResult = await aiService.generateTTS(aiResult.response, language.voice);
+        await redactionService.addMessage(conversation.id, 'assistant', aiResult.response, agent, { audioUrl: ttsResult.url });
 
-        twiml = twilioService.generateTwiml(ttsResult.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`);
+        twiml = twilioService.generateTwiml(ttsResult.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`, true, language.gather);
       }
     } else {
       // This shouldn't happen in normal flow since consent comes first for inbound calls
       // For outbound calls, this is the initial greeting
-      const greeting = conversation && conversation.direction === 'outbound' 
-        ? `Hello! This is ${agent.name}. How can I help you today?`
+      const language = languageService.settingsFor(agent, conversation);
+      const greeting = language.code !== 'en'
+        ? languageGreeting(language.code, agent.name)
         : `Hello! This is ${agent.name}. How can I help you today?`;
       console.log(`Sending greeting: ${greeting}`);
 
-      const ttsResult = await aiService.generateTTS(greeting, agent.voice);
-
-      await Conversation.addMessage(conversation.id, 'assistant', greeting);
-      await Conversation.update(conversation.id, { audio_url: ttsResult.url });
+      const ttsResult = await aiService.generateTTS(greeting, language.voice, { cache: true });
+      await redactionService.addMessage(conversation.id, 'assistant', greeting, agent, { audioUrl: ttsResult.url });
 
-      twiml = twilioService.generateTwiml(ttsResult.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`);
+      twiml = twilioService.generateTwiml(ttsResult.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`, true, language.gather);
     }
 
     res.type('text/xml').send(twiml);
@@ -366,19 +619,222 @@ async function handleAgentCall(req, res, agent) {
   }
 }
 
+// Open the conversation once consent is settled. Until the caller's words
+// say otherwise, the call is in the menu choice or the agent's default.
+async function greetCaller(agent, conversation, greeting, language) {
+  console.log(`Sending greeting: ${greeting}`);
+  await languageService.setLanguage(agent, conversation, language.code);
+
+  if (config.twilio.mediaStreams) {
+    await redactionService.addMessage(conversation.id, 'assistant', greeting, agent);
+    // Hand the rest of the call to the full-duplex media stream bridge
+    return twilioService.generateStreamingTwiml(twilioService.getMediaStreamUrl(), {
+      agentId: agent.id,
+      conversationId: conversation.id,
+      greeting
+    });
+  }
+
+  const ttsResult = await aiService.generateTTS(greeting, language.voice, { cache: true });
+  await redactionService.addMessage(conversation.id, 'assistant', greeting, agent, { audioUrl: ttsResult.url });
+
+  return twilioService.generateTwiml(ttsResult.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`, true, language.gather);
+}
+
+// Live transfer webhooks (see services/TransferService.js)
+router.post('/transfer/:conversationId/start', async (req, res) => {
+  let conversation = null;
+  let agent = null;
+  try {
+    ({ conversation, agent } = await loadTransfer(req.params.conversationId));
+    if (!conversation || !agent) {
+      return res.type('text/xml').send(twilioService.generateHangupTwiml());
+    }
+
+    const twiml = await transferService.buildTransferTwiml(agent, conversation);
+    console.log(`Live transfer started for conversation ${conversation.id}`);
+    res.type('text/xml').send(twiml);
+  } catch (error) {
+    console.error('Error starting live transfer:', error);
+    const twiml = agent
+      ? await transferFallbackTwiml(agent, conversation, 'Live transfer failed').catch(() => twilioService.generateHangupTwiml())
+      : twilioService.generateHangupTwiml();
+    res.type('text/xml').send(twiml);
+  }
+});
+
+// Played to the human who answers, before they are connected
+router.post('/transfer/:conversationId/whisper', async (req, res) => {
+  try {
+    const { conversation, agent } = await loadTransfer(req.params.conversationId);
+    if (!conversation || !agent) {
+      return res.type('text/xml').send(twilioService.generateWhisperTwiml());
+    }
+    res.type('text/xml').send(await transferService.buildWhisperTwiml(agent, conversation.id));
+  } catch (error) {
+    console.error('Error building transfer whisper:', error);
+    res.type('text/xml').send(twilioService.generateWhisperTwiml());
+  }
+});
+
+// <Dial> action for the caller's leg: the bridge ended or nobody answered
+router.post('/transfer/:conversationId/dial-status', async (req, res) => {
+  try {
+    const { DialCallStatus } = req.body;
+    console.log(`Transfer dial status for ${req.params.conversationId}: ${DialCallStatus}`);
+
+    const { conversation, agent } = await loadTransfer(req.params.conversationId);
+    if (DialCallStatus === 'completed' || DialCallStatus === 'answered' || !conversation || !agent) {
+      return res.type('text/xml').send(twilioService.generateHangupTwiml());
+    }
+
+    res.type('text/xml').send(await transferFallbackTwiml(agent, conversation, `Live transfer ${DialCallStatus}`));
+  } catch (error) {
+    console.error('Error handling transfer dial status:', error);
+    res.type('text/xml').send(twilioService.generateHangupTwiml());
+  }
+});
+
+// Status callback for the human's leg of a conference transfer
+router.post('/transfer/:conversationId/target-status', async (req, res) => {
+  try {
+    const { CallStatus } = req.body;
+    console.log(`Transfer target status for ${req.params.conversationId}: ${CallStatus}`);
+
+    if (['no-answer', 'busy', 'failed', 'canceled'].includes(CallStatus)) {
+      // The caller is still waiting in the conference; pull them out
+      const conversation = await Conversation.findById(req.params.conversationId);
+      if (conversation?.call_sid) {
+        await twilioService.redirectCall(
+          conversation.call_sid,
+          `${config.app.baseUrl}/api/calls/transfer/${conversation.id}/fallback?status=${CallStatus}`
+        );
+      }
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Error handling transfer target status:', error);
+    res.sendStatus(200); // Always respond 200 to Twilio
+  }
+});
+
+router.post('/transfer/:conversationId/fallback', async (req, res) => {
+  try {
+    const { conversation, agent } = await loadTransfer(req.params.conversationId);
+    if (!conversation || !agent) {
+      return res.type('text/xml').send(twilioService.generateHangupTwiml());
+    }
+    res.type('text/xml').send(await transferFallbackTwiml(agent, conversation, `Live transfer ${req.query.status || 'unanswered'}`));
+  } catch (error) {
+    console.error('Error handling transfer fallback:', error);
+    res.type('text/xml').send(twilioService.generateHangupTwiml());
+  }
+});
+
+// Archive, then transcribe with word timings, in the background: the
+// download can take a few retries while Twilio finishes processing, and
+// the webhook shouldn't wait on it
+async function archiveRecording(conversation, recordingUrl, channels) {
+  try {
+    await recordingService.archive(conversation, recordingUrl, { channels });
+    if (config.recordings.transcribe) {
+      await transcriptService.alignRecording(conversation.id);
+    }
+  } catch (error) {
+    console.error(`Error processing recording for conversation ${conversation.id}:`, error);
+  }
+}
+
+async function loadTransfer(conversationId) {
+  const conversation = await Conversation.findById(conversationId);
+  const agent = conversation ? await Agent.findById(conversation.agent_id) : null;
+  return { conversation, agent };
+}
+
+// Nobody took the call: fall back to the callback flow and ask for a time
+async function transferFallbackTwiml(agent, conversation, reason) {
+  const { default: CallbackRequest } = await import('../../models/CallbackRequest.js');
+  await CallbackRequest.create({
+    conversation_id: conversation.id,
+    customer_number: conversation.customer_number,
+    agent_id: agent.id,
+    reason,
+    status: 'pending'
+  });
+
+  await redactionService.addMessage(conversation.id, 'assistant', NO_ANSWER_MESSAGE, agent);
+  const fallbackTts = await aiService.generateTTS(NO_ANSWER_MESSAGE, agent.voice, { cache: true });
+  return twilioService.generateTransferTwiml(fallbackTts.url, `${config.app.baseUrl}/api/calls/twiml/${agent.id}`, languageService.settingsFor(agent, conversation).gather);
+}
+
+// Async answering machine detection result for an outbound call
+router.post('/amd/:agentId', async (req, res) => {
+  try {
+    const { CallSid, AnsweredBy } = req.body;
+    console.log(`AMD result for ${CallSid}: ${AnsweredBy}`);
+
+    const agent = await Agent.findById(req.params.agentId);
+    if (agent) {
+      await voicemailService.handleDetection(agent, CallSid, AnsweredBy);
+    }
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Error handling machine detection:', error);
+    res.sendStatus(200); // Always respond 200 to Twilio
+  }
+});
+
+// The call is redirected here after the voicemail greeting's beep
+router.post('/amd/:agentId/message', async (req, res) => {
+  try {
+    const agent = await Agent.findById(req.params.agentId);
+    if (!agent) {
+      return res.type('text/xml').send(twilioService.generateHangupTwiml());
+    }
+    res.type('text/xml').send(await voicemailService.buildMessageTwiml(agent));
+  } catch (error) {
+    console.error('Error leaving voicemail:', error);
+    res.type('text/xml').send(twilioService.generateHangupTwiml());
+  }
+});
+
 router.post('/status', async (req, res) => {
   try {
     const { CallSid, CallStatus, RecordingUrl } = req.body;
 
+    // Callback and campaign calls record their outcome and may be queued for a retry
+    await callbackService.handleCallStatus(CallSid, CallStatus);
+    await campaignService.handleCallStatus(CallSid, CallStatus);
+
     const conversation = await Conversation.findByCallSid(CallSid);
     if (conversation) {
       const updates = { recording_url: RecordingUrl };
 
       if (CallStatus === 'completed') {
+        if (RecordingUrl) {
+          // Only outbound calls are placed with recordingChannels set
+          const dual = config.recordings.channels === 'dual' && conversation.direction === 'outbound';
+          archiveRecording(conversation, RecordingUrl, dual ? 2 : 1);
+        }
+
         const messages = await Conversation.getMessages(conversation.id);
         const transcription = messages.map(m => `${m.role}: ${m.content}`).join('\n');
 
-        const analysis = await aiService.analyzeConversation(transcription, messages);
+        if (conversation.outcome === 'voicemail') {
+          // Nobody to rate the agent against; skip the analysis
+          updates.transcription = transcription;
+          updates.success = false;
+          await Conversation.update(conversation.id, updates);
+          return res.sendStatus(200);
+        }
+
+        // Stored messages are already redacted; the analysis LLM gets bare labels
+        const agent = await Agent.findById(conversation.agent_id);
+        const analysis = await aiService.analyzeConversation(
+          redactionService.mask(transcription, agent),
+          redactionService.mask(messages, agent)
+        );
         updates.transcription = transcription;
         updates.analysis = JSON.stringify(analysis);
         updates.rating = analysis.rating;
@@ -401,7 +857,7 @@ router.post('/voicemail', async (req, res) => {
     console.log(`Voicemail received - From: ${From}, CallSid: ${CallSid}, Recording: ${RecordingUrl}`);
     
     // Create a conversation record for the voicemail
-    await Conversation.create({
+    const conversation = await Conversation.create({
       agent_id: null, // No agent assigned
       call_sid: CallSid,
       direction: 'inbound',
@@ -409,6 +865,7 @@ router.post('/voicemail', async (req, res) => {
       recording_url: RecordingUrl,
       transcription: 'Voicemail - No agents available'
     });
+    if (RecordingUrl) archiveRecording(conversation, RecordingUrl, 1);
 
     // Simple response
     const twiml = '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>';
@@ -422,21 +879,20 @@ router.post('/voicemail', async (req, res) => {
 router.get('/recording/:conversationId', async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.conversationId);
-    if (!conversation || !conversation.recording_url) {
+    if (!conversation || (!conversation.recording_key && !conversation.recording_url)) {
       return res.status(404).json({ error: 'Recording not found' });
     }
 
-    // Fetch the recording from Twilio and proxy it to the client
-    const response = await fetch(conversation.recording_url);
-    if (!response.ok) {
+    // Our archived copy, or Twilio's while the archive hasn't finished
+    const audio = conversation.recording_key
+      ? await recordingService.load(conversation)
+      : await twilioService.fetchRecording(conversation.recording_url);
+    if (!audio) {
       return res.status(404).json({ error: 'Failed to fetch recording' });
     }
 
-    const contentType = response.headers.get('content-type') || 'audio/wav';
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
-
-    response.body.pipe(res);
+    res.set('Cache-Control', 'private, max-age=3600');
+    sendAudio(req, res, audio, 'audio/mpeg');
   } catch (error) {
     console.error('Error fetching recording:', error);
     res.status(500).json({ error: 'Failed to fetch recording' });
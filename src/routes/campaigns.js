@@ -0,0 +1,135 @@
+import express from 'express';
+import Agent from '../../models/Agent.js';
+import Campaign from '../../models/Campaign.js';
+import CampaignContact from '../../models/CampaignContact.js';
+import TwilioService from '../../services/TwilioService.js';
+import CampaignService from '../../services/CampaignService.js';
+
+const router = express.Router();
+const campaignService = new CampaignService(new TwilioService());
+
+const SETTING_FIELDS = [
+  'window_start', 'window_end', 'calling_days', 'timezone',
+  'max_concurrent', 'calls_per_minute', 'max_attempts', 'retry_delay_minutes', 'retry_on'
+];
+// Settings stored as JSON text columns
+const JSON_FIELDS = ['calling_days', 'retry_on'];
+
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const campaigns = await Campaign.findAll(limit);
+    res.json(campaigns);
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const contacts = await CampaignContact.findByCampaignId(campaign.id);
+    res.json({ ...campaign, contacts });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+// Body: name, agent_id, a contact selection (contact_ids, tag, search and/or
+// csv text), optional settings, and `start: true` to begin dialling at once
+router.post('/', async (req, res) => {
+  try {
+    const { name, agent_id, start } = req.body;
+
+    if (!name || !agent_id) {
+      return res.status(400).json({ error: 'Name and agent ID are required' });
+    }
+
+    const agent = await Agent.findActiveById(agent_id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (agent.use_case === 'inbound') {
+      return res.status(400).json({ error: 'This agent only supports inbound calls' });
+    }
+
+    const settings = {};
+    for (const field of SETTING_FIELDS) {
+      if (req.body[field] !== undefined) settings[field] = req.body[field];
+    }
+    const settingsError = campaignService.validateSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+    for (const field of JSON_FIELDS) {
+      if (settings[field] !== undefined) {
+        settings[field] = settings[field] === null ? null : JSON.stringify(settings[field]);
+      }
+    }
+
+    const { contacts, skipped } = await campaignService.selectContacts(req.body);
+    if (contacts.length === 0) {
+      return res.status(400).json({ error: 'No contacts matched the selection', skipped });
+    }
+
+    let campaign = await Campaign.create({ name, agent_id, ...settings });
+    const added = await CampaignContact.addContacts(campaign.id, contacts);
+
+    if (start) {
+      ({ campaign } = await campaignService.transition(campaign, 'start'));
+    } else {
+      campaign = await Campaign.findById(campaign.id);
+    }
+
+    res.status(201).json({ ...campaign, added, skipped });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// Add more contacts with the same selection options as creation
+router.post('/:id/contacts', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status === 'completed' || campaign.status === 'cancelled') {
+      return res.status(400).json({ error: `Cannot add contacts to a ${campaign.status} campaign` });
+    }
+
+    const { contacts, skipped } = await campaignService.selectContacts(req.body);
+    const added = await CampaignContact.addContacts(campaign.id, contacts);
+    res.json({ added, skipped, campaign: await Campaign.findById(campaign.id) });
+  } catch (error) {
+    console.error('Error adding campaign contacts:', error);
+    res.status(500).json({ error: 'Failed to add campaign contacts' });
+  }
+});
+
+router.post('/:id/:action(start|pause|resume|cancel)', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const result = await campaignService.transition(campaign, req.params.action);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result.campaign);
+  } catch (error) {
+    console.error(`Error applying campaign action ${req.params.action}:`, error);
+    res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
+
+export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import DoNotCall from '../../models/DoNotCall.js';
+import ComplianceEvent from '../../models/ComplianceEvent.js';
+import DoNotCallService from '../../services/DoNotCallService.js';
+
+const router = express.Router();
+const doNotCallService = new DoNotCallService();
+
+router.get('/dnc', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const entries = await DoNotCall.findAll(limit);
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching do-not-call list:', error);
+    res.status(500).json({ error: 'Failed to fetch do-not-call list' });
+  }
+});
+
+router.post('/dnc', async (req, res) => {
+  try {
+    const { phone_number, reason } = req.body;
+    if (!phone_number) {
+      return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    const result = await doNotCallService.add(phone_number, { reason });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(result.added ? 201 : 200).json(result.entry);
+  } catch (error) {
+    console.error('Error adding to do-not-call list:', error);
+    res.status(500).json({ error: 'Failed to add to do-not-call list' });
+  }
+});
+
+// Body: { csv } with a phone_number column, or one number per line
+router.post('/dnc/import', async (req, res) => {
+  try {
+    const { csv, reason } = req.body;
+    if (!csv) {
+      return res.status(400).json({ error: 'csv is required' });
+    }
+
+    const result = await doNotCallService.importList(csv, { reason });
+    res.json(result);
+  } catch (error) {
+    console.error('Error importing do-not-call list:', error);
+    res.status(500).json({ error: 'Failed to import do-not-call list' });
+  }
+});
+
+router.delete('/dnc/:phoneNumber', async (req, res) => {
+  try {
+    const removed = await doNotCallService.remove(req.params.phoneNumber);
+    if (!removed) {
+      return res.status(404).json({ error: 'Number is not on the do-not-call list' });
+    }
+    res.json({ message: 'Number removed from the do-not-call list' });
+  } catch (error) {
+    console.error('Error removing from do-not-call list:', error);
+    res.status(500).json({ error: 'Failed to remove from do-not-call list' });
+  }
+});
+
+// Compliance log, e.g. ?type=dnc_blocked for refused call attempts
+router.get('/events', async (req, res) => {
+  try {
+    const events = await ComplianceEvent.findAll({
+      type: req.query.type,
+      phoneNumber: req.query.phone_number,
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json(events.map(event => ({ ...event, details: JSON.parse(event.details || '{}') })));
+  } catch (error) {
+    console.error('Error fetching compliance events:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance events' });
+  }
+});
+
+export default router;
@@ -1,15 +1,29 @@
 import express from 'express';
 import Contact from '../../models/Contact.js';
+import { isValidTimeZone } from '../../src/timezone.js';
+import { parseListQuery, listResponse } from '../../src/list-query.js';
 
 const router = express.Router();
 
+const CONTACT_FILTERS = {
+  search: 'string',
+  tag: 'string',
+  include_archived: 'boolean'
+};
+
 router.get('/', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const search = req.query.search || null;
-    const contacts = await Contact.findAll(limit, search);
-    res.json(contacts);
+    const { options, error } = parseListQuery(req.query, { filters: CONTACT_FILTERS, limit: 100 });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = await Contact.findAll(options);
+    res.json(listResponse(page, req.originalUrl.split('?')[0], req.query));
   } catch (error) {
+    if (error.code === 'INVALID_LIST_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching contacts:', error);
     res.status(500).json({ error: 'Failed to fetch contacts' });
   }
@@ -39,73 +53,103 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
-  try {
-    const { name, phone_number, email, company, notes, tags } = req.body;
+// The checks the model can't make itself (see Contact's schema). A new
+// contact may take an archived contact's number, which restores that one.
+async function checkContact(body, id = null) {
+  const errors = [];
+  if (body.timezone && !isValidTimeZone(body.timezone)) {
+    errors.push({ field: 'timezone', message: `Unknown time zone: ${body.timezone}` });
+  }
 
-    if (!name || !phone_number) {
-      return res.status(400).json({ error: 'Name and phone number are required' });
-    }
+  const existingContact = body.phone_number ? await Contact.findByPhoneNumber(body.phone_number) : null;
+  const restoring = id === null && Boolean(existingContact?.archived_at);
+  if (existingContact && existingContact.id !== id && !restoring) {
+    const message = existingContact.archived_at
+      ? 'Phone number belongs to an archived contact'
+      : 'Phone number already exists';
+    errors.push({ field: 'phone_number', message });
+  }
+  return { errors, archivedContact: restoring ? existingContact : null };
+}
 
-    // Check if phone number already exists
-    const existingContact = await Contact.findByPhoneNumber(phone_number);
-    if (existingContact) {
-      return res.status(400).json({ error: 'Phone number already exists' });
+// 400 with every field at fault, from the checks above or the model
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ error: errors.map(({ message }) => message).join('; '), errors });
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const { errors, archivedContact } = await checkContact(req.body);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
     }
 
-    const contact = await Contact.create({
-      name,
-      phone_number,
-      email,
-      company,
-      notes,
-      tags: tags ? JSON.stringify(tags) : null
-    });
+    // Restoring keeps the contact's call history
+    const contact = archivedContact
+      ? await Contact.restore(archivedContact.id, req.body, { replace: true })
+      : await Contact.create(req.body);
 
     res.status(201).json(contact);
   } catch (error) {
+    if (error.code === 'VALIDATION_FAILED') {
+      return sendValidationErrors(res, error.errors);
+    }
     console.error('Error creating contact:', error);
     res.status(500).json({ error: 'Failed to create contact' });
   }
 });
 
-router.put('/:id', async (req, res) => {
+// PUT replaces the contact's details: fields left out are cleared. PATCH
+// changes only the fields given.
+async function updateContact(req, res, { replace }) {
   try {
-    const { name, phone_number, email, company, notes, tags } = req.body;
-
-    // Check if phone number conflicts with another contact
-    const existingContact = await Contact.findByPhoneNumber(phone_number);
-    if (existingContact && existingContact.id !== req.params.id) {
-      return res.status(400).json({ error: 'Phone number already exists' });
+    const { errors } = await checkContact(req.body, req.params.id);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
     }
 
-    const contact = await Contact.update(req.params.id, {
-      name,
-      phone_number,
-      email,
-      company,
-      notes,
-      tags: tags ? JSON.stringify(tags) : null
-    });
-
+    const contact = await Contact.update(req.params.id, req.body, { replace });
     if (!contact) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
     res.json(contact);
   } catch (error) {
+    if (error.code === 'VALIDATION_FAILED') {
+      return sendValidationErrors(res, error.errors);
+    }
     console.error('Error updating contact:', error);
     res.status(500).json({ error: 'Failed to update contact' });
   }
-});
+}
+
+router.put('/:id', (req, res) => updateContact(req, res, { replace: true }));
+router.patch('/:id', (req, res) => updateContact(req, res, { replace: false }));
 
+// Archives the contact: it is left out of lists and campaigns, but its
+// call history stays
 router.delete('/:id', async (req, res) => {
   try {
-    await Contact.delete(req.params.id);
-    res.json({ message: 'Contact deleted successfully' });
+    if (!(await Contact.archive(req.params.id))) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    res.json({ message: 'Contact archived successfully' });
+  } catch (error) {
+    console.error('Error archiving contact:', error);
+    res.status(500).json({ error: 'Failed to archive contact' });
+  }
+});
+
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const contact = await Contact.restore(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    res.json(contact);
   } catch (error) {
-    console.error('Error deleting contact:', error);
-    res.status(500).json({ error: 'Failed to delete contact' });
+    console.error('Error restoring contact:', error);
+    res.status(500).json({ error: 'Failed to restore contact' });
   }
 });
 
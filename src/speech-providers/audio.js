@@ -0,0 +1,201 @@
+/**
+ * Minimal PCM helpers for the local speech engines, which only speak
+ * 16-bit PCM WAV.  Twilio media streams carry raw 8 kHz mu-law, so audio
+ * is converted on the way in (recognition) and out (synthesis).  Mono only.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * @param {number} byte One mu-law sample.
+ * @returns {number} The 16-bit linear sample.
+ */
+function decodeMulawSample(byte) {
+  const value = ~byte & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return sign ? -magnitude : magnitude;
+}
+
+/**
+ * @param {number} sample A 16-bit linear sample.
+ * @returns {number} The mu-law byte.
+ */
+function encodeMulawSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * @param {Buffer} mulaw Raw mu-law bytes.
+ * @returns {Int16Array}
+ */
+export function decodeMulaw(mulaw) {
+  const samples = new Int16Array(mulaw.length);
+  for (let i = 0; i < mulaw.length; i++) {
+    samples[i] = decodeMulawSample(mulaw[i]);
+  }
+  return samples;
+}
+
+/**
+ * @param {Int16Array} samples
+ * @returns {Buffer} Raw mu-law bytes.
+ */
+export function encodeMulaw(samples) {
+  const mulaw = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    mulaw[i] = encodeMulawSample(samples[i]);
+  }
+  return mulaw;
+}
+
+/**
+ * @param {Buffer} buffer Little-endian 16-bit PCM.
+ * @returns {Int16Array}
+ */
+export function bufferToSamples(buffer) {
+  const samples = new Int16Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+/**
+ * @param {Int16Array} samples
+ * @returns {Buffer} Little-endian 16-bit PCM.
+ */
+export function samplesToBuffer(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+  return buffer;
+}
+
+/**
+ * Linear-interpolation resampling; plenty for telephone-quality speech.
+ *
+ * @param {Int16Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Int16Array}
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) return samples;
+
+  const ratio = fromRate / toRate;
+  const resampled = new Int16Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < resampled.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = samples[Math.min(index + 1, samples.length - 1)];
+    resampled[i] = Math.round(samples[index] + (next - samples[index]) * (position - index));
+  }
+  return resampled;
+}
+
+/**
+ * Read a 16-bit PCM WAV file.  Multi-channel audio keeps the first channel.
+ *
+ * @param {Buffer} wav
+ * @returns {{samples: Int16Array, sampleRate: number}}
+ */
+export function parseWav(wav) {
+  if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    // Streaming encoders write 0 or 0xffffffff for sizes they didn't know yet
+    let size = wav.readUInt32LE(offset + 4);
+    if (id === 'data' && (size === 0 || offset + 8 + size > wav.length)) {
+      size = wav.length - offset - 8;
+    }
+
+    if (id === 'fmt ') {
+      format = {
+        encoding: wav.readUInt16LE(offset + 8),
+        channels: wav.readUInt16LE(offset + 10),
+        sampleRate: wav.readUInt32LE(offset + 12),
+        bitsPerSample: wav.readUInt16LE(offset + 22)
+      };
+    } else if (id === 'data') {
+      if (!format || format.encoding !== 1 || format.bitsPerSample !== 16) {
+        throw new Error('Only 16-bit PCM WAV audio is supported');
+      }
+      const interleaved = bufferToSamples(wav.subarray(offset + 8, offset + 8 + size));
+      const samples = format.channels === 1
+        ? interleaved
+        : interleaved.filter((_, i) => i % format.channels === 0);
+      return { samples, sampleRate: format.sampleRate };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error('WAV file has no audio data');
+}
+
+/**
+ * Wrap samples in a mono 16-bit PCM WAV container.
+ *
+ * @param {Int16Array} samples
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+export function buildWav(samples, sampleRate) {
+  const data = samplesToBuffer(samples);
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Convert synthesised WAV audio into what the caller asked for.
+ *
+ * @param {Buffer} wav Engine output.
+ * @param {'wav'|'mulaw'} format `mulaw` is raw 8 kHz mu-law for media streams.
+ * @returns {Buffer}
+ */
+export function convertWav(wav, format) {
+  if (format !== 'mulaw') return wav;
+  const { samples, sampleRate } = parseWav(wav);
+  return encodeMulaw(resample(samples, sampleRate, 8000));
+}
+
+/**
+ * Decode recognizer input to 16-bit samples at `toRate`.
+ *
+ * @param {Buffer} chunk Raw audio as sent by the caller.
+ * @param {{encoding?: string, sampleRate?: number}} format
+ * @param {number} toRate
+ * @returns {Int16Array}
+ */
+export function decodeInput(chunk, { encoding = 'linear16', sampleRate = 16000 }, toRate) {
+  const samples = encoding === 'mulaw' ? decodeMulaw(chunk) : bufferToSamples(chunk);
+  return resample(samples, sampleRate, toRate);
+}
@@ -0,0 +1,98 @@
+import { EventEmitter } from 'events';
+import fetch from 'node-fetch';
+
+/**
+ * Common interface for speech providers.  A provider may implement
+ * recognition, synthesis or both; the methods it doesn't support throw.
+ *
+ *   - transcribe(audio, { language, model, mimetype, signal, words,
+ *     channels, redact }) resolves to `{ transcript, language }` for a
+ *     complete recording.  With `words: true` it also has `words`: `[{ word,
+ *     start, end, speaker }]` in seconds, where `speaker` is the diarized
+ *     speaker, the channel index when `channels` is 2, or null if unknown.
+ *     `redact` lists provider-side redaction classes; providers without
+ *     redaction ignore it.
+ *   - listen({ language, model, encoding, sampleRate, interimResults,
+ *     endpointing }) returns a `LiveTranscription` for streamed audio.
+ *     `encoding` is `mulaw` or `linear16`; omit it for containerised audio
+ *     where the provider can tell.  `language: 'multi'` asks the provider
+ *     to detect the language and report it on each transcript.
+ *   - synthesize(text, { voice, format, signal }) resolves to a Buffer:
+ *     a WAV file for `format: 'wav'`, raw 8 kHz mu-law for `'mulaw'`
+ *     (Twilio media streams).
+ */
+export class SpeechProvider {
+  /**
+   * @param {Object} providerConfig Provider settings: provider, apiKey, url,
+   *   model, voice, timeout plus any provider-specific fields.
+   */
+  constructor(providerConfig = {}) {
+    this.config = providerConfig;
+    this.name = providerConfig.provider;
+    this.apiKey = providerConfig.apiKey;
+    this.model = providerConfig.model;
+    this.voice = providerConfig.voice;
+    this.timeout = providerConfig.timeout || 30000;
+  }
+
+  async transcribe(audio, options = {}) {
+    throw new Error(`transcribe() not implemented for speech provider: ${this.name}`);
+  }
+
+  listen(options = {}) {
+    throw new Error(`listen() not implemented for speech provider: ${this.name}`);
+  }
+
+  async synthesize(text, options = {}) {
+    throw new Error(`synthesize() not implemented for speech provider: ${this.name}`);
+  }
+
+  /**
+   * The voice to synthesise with.  Agents store Deepgram voice names
+   * (`aura-*`); local engines have their own voices, so those fall back to
+   * the provider's configured voice.
+   */
+  voiceFor(voice) {
+    return voice && !voice.startsWith('aura') ? voice : this.voice;
+  }
+
+  /**
+   * POST to a local engine and return the response, throwing on HTTP
+   * errors.  Aborted by the caller's signal or the timeout.
+   */
+  async post(url, { headers = {}, body, signal, timeout } = {}) {
+    const timeoutSignal = AbortSignal.timeout(timeout || this.timeout);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`${this.name} request failed with status ${response.status}: ${text}`);
+    }
+    return response;
+  }
+}
+
+/**
+ * A streaming recognition session.  Callers `send` audio chunks and
+ * `close` when done; the session emits:
+ *
+ *   - 'transcript' `{ transcript, isFinal, speechFinal, language }`:
+ *     interim results have `isFinal: false`; `speechFinal` marks the end
+ *     of an utterance
+ *   - 'error' with an Error
+ *   - 'close' once the session has ended
+ */
+export class LiveTranscription extends EventEmitter {
+  send(chunk) {
+    throw new Error('send() not implemented');
+  }
+
+  close() {
+    throw new Error('close() not implemented');
+  }
+}
@@ -0,0 +1,134 @@
+import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk';
+import { SpeechProvider, LiveTranscription } from './base-provider.js';
+
+/**
+ * Deepgram's hosted recognition (Nova) and synthesis (Aura), through the
+ * official SDK.
+ */
+export class DeepgramSpeechProvider extends SpeechProvider {
+  /**
+   * @param {Object} providerConfig See SpeechProvider; `model` is the STT
+   *   model and `voice` the default Aura voice.
+   */
+  constructor(providerConfig) {
+    super(providerConfig);
+    this.model = providerConfig.model || 'nova-2';
+    this.voice = providerConfig.voice || 'aura-asteria-en';
+    this.client = createClient(providerConfig.apiKey);
+  }
+
+  async transcribe(audio, { language, model, words = false, channels = 1, redact } = {}) {
+    // Speakers come from the channels of a dual-channel recording, or
+    // from diarization of a mono one
+    const multichannel = words && channels > 1;
+    const { result, error } = await this.client.listen.prerecorded.transcribeFile(audio, {
+      model: model || this.model,
+      smart_format: true,
+      punctuate: true,
+      ...(language && { language }),
+      ...(redact?.length && { redact }),
+      ...(words && (multichannel ? { multichannel: true } : { diarize: true }))
+    });
+    if (error) throw error;
+
+    const channel = result.results.channels[0];
+    const transcription = {
+      transcript: channel.alternatives[0].transcript || '',
+      language: channel.detected_language || language || null
+    };
+    if (words) {
+      transcription.words = result.results.channels
+        .flatMap((channelResult, index) => (channelResult.alternatives[0].words || []).map(word => ({
+          word: word.punctuated_word || word.word,
+          start: word.start,
+          end: word.end,
+          speaker: multichannel ? index : (word.speaker ?? null)
+        })))
+        .sort((a, b) => a.start - b.start);
+      if (multichannel) {
+        transcription.transcript = transcription.words.map(word => word.word).join(' ');
+      }
+    }
+    return transcription;
+  }
+
+  listen({ language, model, encoding, sampleRate, interimResults = true, endpointing } = {}) {
+    const live = this.client.listen.live({
+      model: model || this.model,
+      ...(language && { language }),
+      ...(encoding && { encoding, sample_rate: sampleRate, channels: 1 }),
+      ...(endpointing && { endpointing }),
+      smart_format: true,
+      punctuate: true,
+      interim_results: interimResults
+    });
+    return new DeepgramLiveTranscription(live);
+  }
+
+  async synthesize(text, { voice, format = 'wav', signal } = {}) {
+    signal?.throwIfAborted();
+
+    const response = await this.client.speak.request(
+      { text },
+      format === 'mulaw'
+        ? { model: voice || this.voice, encoding: 'mulaw', sample_rate: 8000, container: 'none' }
+        : { model: voice || this.voice, encoding: 'linear16', container: 'wav' }
+    );
+
+    const stream = await response.getStream();
+    if (!stream) {
+      throw new Error('No audio stream received from Deepgram');
+    }
+    return await readStream(stream, signal);
+  }
+}
+
+/**
+ * Adapts the SDK's live client to the LiveTranscription events.
+ */
+class DeepgramLiveTranscription extends LiveTranscription {
+  constructor(live) {
+    super();
+    this.live = live;
+
+    live.on(LiveTranscriptionEvents.Transcript, (transcription) => {
+      const alternative = transcription?.channel?.alternatives?.[0];
+      this.emit('transcript', {
+        transcript: alternative?.transcript || '',
+        isFinal: Boolean(transcription?.is_final),
+        speechFinal: Boolean(transcription?.speech_final),
+        language: alternative?.languages?.[0] || null
+      });
+    });
+    live.on(LiveTranscriptionEvents.Error, (error) => this.emit('error', error));
+    live.on(LiveTranscriptionEvents.Close, () => this.emit('close'));
+  }
+
+  send(chunk) {
+    this.live.send(chunk);
+  }
+
+  close() {
+    this.live.requestClose();
+  }
+}
+
+// Read a web ReadableStream to a Buffer, stopping early when aborted
+async function readStream(stream, signal) {
+  const chunks = [];
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      if (signal?.aborted) {
+        await reader.cancel();
+        signal.throwIfAborted();
+      }
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (value) chunks.push(value);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,39 @@
+import { execFile } from 'child_process';
+import { SpeechProvider } from './base-provider.js';
+import { convertWav } from './audio.js';
+
+/**
+ * Offline synthesis with the eSpeak NG command-line tool.  Robotic, but it
+ * installs from any package manager and needs no model files, which makes
+ * it the simplest choice for CI.
+ */
+export class ESpeakSpeechProvider extends SpeechProvider {
+  /**
+   * @param {Object} providerConfig See SpeechProvider, plus `command`: the
+   *   executable (default `espeak-ng`).  `voice` is an eSpeak voice such as
+   *   `en-us` or `es`.
+   */
+  constructor(providerConfig) {
+    super(providerConfig);
+    this.command = providerConfig.command || 'espeak-ng';
+    this.voice = providerConfig.voice || 'en-us';
+  }
+
+  async synthesize(text, { voice, format = 'wav', signal } = {}) {
+    const wav = await new Promise((resolve, reject) => {
+      execFile(
+        this.command,
+        ['--stdout', '-v', this.voiceFor(voice), '--', text],
+        { encoding: 'buffer', maxBuffer: 50 * 1024 * 1024, timeout: this.timeout, signal },
+        (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error(`${this.command} failed: ${stderr?.toString().trim() || error.message}`));
+          } else {
+            resolve(stdout);
+          }
+        }
+      );
+    });
+    return convertWav(wav, format);
+  }
+}
@@ -0,0 +1,53 @@
+import { DeepgramSpeechProvider } from './deepgram.js';
+import { WhisperSpeechProvider } from './whisper.js';
+import { VoskSpeechProvider } from './vosk.js';
+import { PiperSpeechProvider } from './piper.js';
+import { ESpeakSpeechProvider } from './espeak.js';
+
+/**
+ * Registry of speech providers shared by `src/speech.js`, `AIService`,
+ * `WebSocketService` and the multi-tenant `TenantAIService`.  Recognition
+ * and synthesis are configured separately (`STT_PROVIDER` / `TTS_PROVIDER`),
+ * so a cloud recognizer can be paired with a local voice and vice versa.
+ * Besides Deepgram, the local engines let whole call flows run offline.
+ */
+const factories = new Map();
+
+/**
+ * @param {string} name Provider name as used in `STT_PROVIDER` / `TTS_PROVIDER`.
+ * @param {(providerConfig: Object) => import('./base-provider.js').SpeechProvider} factory
+ */
+export function registerSpeechProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Create a provider instance for the given configuration.
+ *
+ * @param {Object} providerConfig Must include `provider`.
+ * @returns {import('./base-provider.js').SpeechProvider}
+ */
+export function createSpeechProvider(providerConfig) {
+  const factory = factories.get(providerConfig.provider);
+  if (!factory) {
+    throw new Error(`Unsupported speech provider: ${providerConfig.provider}. Available: ${listSpeechProviders().join(', ')}`);
+  }
+  return factory(providerConfig);
+}
+
+/**
+ * @returns {string[]} Registered provider names.
+ */
+export function listSpeechProviders() {
+  return Array.from(factories.keys());
+}
+
+registerSpeechProvider('deepgram', providerConfig => new DeepgramSpeechProvider(providerConfig));
+
+// Recognition only
+registerSpeechProvider('whisper', providerConfig => new WhisperSpeechProvider(providerConfig));
+registerSpeechProvider('vosk', providerConfig => new VoskSpeechProvider(providerConfig));
+
+// Synthesis only
+registerSpeechProvider('piper', providerConfig => new PiperSpeechProvider(providerConfig));
+registerSpeechProvider('espeak', providerConfig => new ESpeakSpeechProvider(providerConfig));
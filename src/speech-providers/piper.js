@@ -0,0 +1,29 @@
+import { SpeechProvider } from './base-provider.js';
+import { convertWav } from './audio.js';
+
+/**
+ * Offline synthesis through Piper's HTTP server
+ * (`python3 -m piper.http_server -m en_US-lessac-medium`), which returns
+ * a WAV file per request.
+ */
+export class PiperSpeechProvider extends SpeechProvider {
+  /**
+   * @param {Object} providerConfig See SpeechProvider; `url` is the server
+   *   address and `voice` an installed voice to use instead of the server's
+   *   default.
+   */
+  constructor(providerConfig) {
+    super(providerConfig);
+    this.url = providerConfig.url || 'http://localhost:5000';
+  }
+
+  async synthesize(text, { voice, format = 'wav', signal } = {}) {
+    const piperVoice = this.voiceFor(voice);
+    const response = await this.post(this.url, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, ...(piperVoice && { voice: piperVoice }) }),
+      signal
+    });
+    return convertWav(Buffer.from(await response.arrayBuffer()), format);
+  }
+}
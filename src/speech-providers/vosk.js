@@ -0,0 +1,125 @@
+import WebSocket from 'ws';
+import { SpeechProvider, LiveTranscription } from './base-provider.js';
+import { parseWav, samplesToBuffer, decodeInput } from './audio.js';
+
+// Bytes of 16-bit audio per message when sending a whole file
+const FILE_CHUNK_BYTES = 8000;
+
+/**
+ * Offline streaming recognition through a Vosk server
+ * (`docker run -p 2700:2700 alphacep/kaldi-en`).  The server's model
+ * fixes the language, so `language` is ignored.
+ */
+export class VoskSpeechProvider extends SpeechProvider {
+  /**
+   * @param {Object} providerConfig See SpeechProvider, plus `url`: the
+   *   server's WebSocket address.
+   */
+  constructor(providerConfig) {
+    super(providerConfig);
+    this.url = providerConfig.url || 'ws://localhost:2700';
+  }
+
+  async transcribe(audio, { signal, words = false } = {}) {
+    const { samples, sampleRate } = parseWav(audio);
+    const session = new VoskTranscription(this.url, sampleRate);
+    const parts = [];
+    const timings = [];
+
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => fail(new Error(`${this.name} transcription timed out`)), this.timeout);
+      const abort = () => fail(signal.reason);
+      signal?.addEventListener('abort', abort, { once: true });
+
+      function fail(error) {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+        session.ws.terminate();
+        reject(error);
+      }
+
+      session.on('transcript', ({ transcript, isFinal, words: resultWords }) => {
+        if (isFinal && transcript) parts.push(transcript);
+        if (isFinal && resultWords) timings.push(...resultWords);
+      });
+      session.on('error', fail);
+      session.on('close', () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+        resolve({
+          transcript: parts.join(' '),
+          language: null,
+          ...(words && { words: timings.map(({ word, start, end }) => ({ word, start, end, speaker: null })) })
+        });
+      });
+
+      const pcm = samplesToBuffer(samples);
+      for (let offset = 0; offset < pcm.length; offset += FILE_CHUNK_BYTES) {
+        session.dispatch(pcm.subarray(offset, offset + FILE_CHUNK_BYTES));
+      }
+      session.close();
+    });
+  }
+
+  listen({ encoding, sampleRate = 16000 } = {}) {
+    return new VoskTranscription(this.url, sampleRate, { encoding, sampleRate });
+  }
+}
+
+/**
+ * One recognizer session on the Vosk server.  Vosk answers every audio
+ * message with a `partial` result, or a `text` result once it decides the
+ * utterance is over.
+ */
+class VoskTranscription extends LiveTranscription {
+  constructor(url, sampleRate, format = null) {
+    super();
+    this.format = format;
+    this.queue = [JSON.stringify({ config: { sample_rate: sampleRate, words: true } })];
+    this.lastPartial = '';
+
+    this.ws = new WebSocket(url);
+    this.ws.on('open', () => {
+      this.queue.forEach(message => this.ws.send(message));
+      this.queue = [];
+    });
+    this.ws.on('message', (message) => this.handleResult(message));
+    this.ws.on('error', (error) => this.emit('error', error));
+    this.ws.on('close', () => this.emit('close'));
+  }
+
+  handleResult(message) {
+    let result;
+    try {
+      result = JSON.parse(message.toString());
+    } catch {
+      return;
+    }
+
+    if (result.text !== undefined) {
+      this.lastPartial = '';
+      // `result` holds the words with their start and end in seconds
+      this.emit('transcript', { transcript: result.text, isFinal: true, speechFinal: true, language: null, words: result.result });
+    } else if (result.partial && result.partial !== this.lastPartial) {
+      this.lastPartial = result.partial;
+      this.emit('transcript', { transcript: result.partial, isFinal: false, speechFinal: false, language: null });
+    }
+  }
+
+  send(chunk) {
+    const { encoding, sampleRate } = this.format;
+    this.dispatch(encoding === 'mulaw' ? samplesToBuffer(decodeInput(chunk, this.format, sampleRate)) : chunk);
+  }
+
+  close() {
+    this.dispatch(JSON.stringify({ eof: 1 }));
+  }
+
+  dispatch(message) {
+    if (this.ws.readyState === WebSocket.CONNECTING) {
+      this.queue.push(message);
+    } else if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(message);
+    }
+  }
+}
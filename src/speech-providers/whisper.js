@@ -0,0 +1,146 @@
+import { FormData, Blob } from 'node-fetch';
+import { SpeechProvider, LiveTranscription } from './base-provider.js';
+import { buildWav, decodeInput } from './audio.js';
+
+// whisper.cpp works on 16 kHz audio
+const WHISPER_SAMPLE_RATE = 16000;
+
+/**
+ * Offline recognition through a whisper.cpp server
+ * (`whisper-server -m ggml-base.bin`), which transcribes one file per
+ * request.  Live audio is cut into utterances on pauses and each one is
+ * transcribed as it ends, so there are no interim results.
+ */
+export class WhisperSpeechProvider extends SpeechProvider {
+  /**
+   * @param {Object} providerConfig See SpeechProvider, plus:
+   *   - url: the server's inference endpoint
+   *   - pauseMs: silence that ends a live utterance (default 700)
+   *   - silenceThreshold: RMS level below which audio counts as silence
+   */
+  constructor(providerConfig) {
+    super(providerConfig);
+    this.url = providerConfig.url || 'http://localhost:8080/inference';
+    this.pauseMs = providerConfig.pauseMs || 700;
+    this.silenceThreshold = providerConfig.silenceThreshold || 500;
+  }
+
+  async transcribe(audio, { language, mimetype = 'audio/wav', signal, words = false } = {}) {
+    const form = new FormData();
+    form.set('file', new Blob([audio], { type: mimetype }), 'audio.wav');
+    form.set('response_format', 'verbose_json');
+    form.set('temperature', '0');
+    form.set('language', whisperLanguage(language));
+    if (words) form.set('timestamp_granularities[]', 'word');
+
+    const response = await this.post(this.url, { body: form, signal });
+    const data = await response.json();
+    const transcription = {
+      transcript: (data.text || '').trim(),
+      language: data.language || language || null
+    };
+    if (words) {
+      transcription.words = whisperWords(data);
+    }
+    return transcription;
+  }
+
+  listen({ language, encoding, sampleRate } = {}) {
+    return new UtteranceTranscription(this, { language, encoding, sampleRate });
+  }
+}
+
+// Whisper takes bare ISO 639-1 codes; `multi` (or nothing) lets it detect
+function whisperLanguage(language) {
+  if (!language || language === 'multi') return 'auto';
+  return language.split(/[-_]/)[0].toLowerCase();
+}
+
+// Word timings from a verbose_json response: top-level `words` (OpenAI's
+// API), per-segment `words` (whisper.cpp), or whole segments when the
+// server gives no word timings.  Whisper doesn't tell speakers apart.
+function whisperWords(data) {
+  const words = data.words || (data.segments || []).flatMap(segment =>
+    segment.words?.length ? segment.words : [{ word: segment.text, start: segment.start, end: segment.end }]
+  );
+  return words
+    .map(word => ({ word: (word.word || '').trim(), start: word.start, end: word.end, speaker: null }))
+    .filter(word => word.word);
+}
+
+/**
+ * Buffers speech between pauses and transcribes each utterance in turn.
+ */
+class UtteranceTranscription extends LiveTranscription {
+  constructor(provider, { language, encoding, sampleRate }) {
+    super();
+    this.provider = provider;
+    this.language = language;
+    this.format = { encoding, sampleRate };
+    this.chunks = [];
+    this.speaking = false;
+    this.silentMs = 0;
+    this.closed = false;
+    this.pending = Promise.resolve();
+  }
+
+  send(chunk) {
+    if (this.closed) return;
+
+    const samples = decodeInput(chunk, this.format, WHISPER_SAMPLE_RATE);
+    const chunkMs = samples.length * 1000 / WHISPER_SAMPLE_RATE;
+
+    if (rms(samples) >= this.provider.silenceThreshold) {
+      this.speaking = true;
+      this.silentMs = 0;
+    } else if (this.speaking) {
+      this.silentMs += chunkMs;
+    }
+    if (!this.speaking) return;
+
+    this.chunks.push(samples);
+    if (this.silentMs >= this.provider.pauseMs) {
+      this.flush();
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.speaking) this.flush();
+    this.pending.then(() => this.emit('close'));
+  }
+
+  flush() {
+    const samples = new Int16Array(this.chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      samples.set(chunk, offset);
+      offset += chunk.length;
+    }
+    this.chunks = [];
+    this.speaking = false;
+    this.silentMs = 0;
+
+    // Transcribe utterances one at a time so they arrive in order
+    this.pending = this.pending.then(async () => {
+      try {
+        const { transcript, language } = await this.provider.transcribe(buildWav(samples, WHISPER_SAMPLE_RATE), {
+          language: this.language
+        });
+        if (transcript) {
+          this.emit('transcript', { transcript, isFinal: true, speechFinal: true, language });
+        }
+      } catch (error) {
+        this.emit('error', error);
+      }
+    });
+  }
+}
+
+function rms(samples) {
+  if (samples.length === 0) return 0;
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  return Math.sqrt(sum / samples.length);
+}
@@ -1,44 +1,44 @@
-import { createClient } from '@deepgram/sdk';
 import { logger } from './logger.js';
 import config from './config.js';
+import { createSpeechProvider } from './speech-providers/index.js';
 
-// Initialise the Deepgram client once.  The Deepgram SDK automatically
-// handles streaming and request signing.  See
-// https://developers.deepgram.com for API details.
-const deepgram = createClient(config.deepgram.apiKey);
+// Create the recognition and synthesis providers once.  They come from
+// STT_PROVIDER / TTS_PROVIDER: Deepgram by default, or local engines
+// (whisper, vosk, piper, espeak) for running without network access.
+// See src/speech-providers for details.
+const stt = createSpeechProvider(config.speech.stt);
+const tts = createSpeechProvider(config.speech.tts);
 
 /**
- * Creates a live streaming connection to Deepgram for real-time transcription.
+ * Creates a live streaming session for real-time transcription.
  *
- * @returns {Promise<WebSocket>} The Deepgram WebSocket connection.
+ * @returns {Promise<import('./speech-providers/base-provider.js').LiveTranscription>}
+ *   The live transcription session.
  */
 export async function createLiveTranscriptionStream() {
   const options = {
-    model: 'nova-2',
-    smart_format: true,
+    model: config.speech.stt.model,
     encoding: 'linear16',
-    sample_rate: 8000,
-    channels: 1,
-    interim_results: true
+    sampleRate: 8000,
+    interimResults: true
   };
 
-  logger.speech('Creating live transcription stream', { options });
+  logger.speech('Creating live transcription stream', { provider: stt.name, options });
 
   try {
-    const connection = await deepgram.listen.live(options);
-    
-    connection.addListener('transcriptReceived', (transcription) => {
-      const transcript = transcription?.channel?.alternatives?.[0]?.transcript ?? '';
+    const connection = stt.listen(options);
+
+    connection.on('transcript', ({ transcript }) => {
       if (transcript) {
         logger.speech('Live transcription received', { transcript });
       }
     });
 
-    connection.addListener('error', (error) => {
-      logger.error('Deepgram live stream error', error);
+    connection.on('error', (error) => {
+      logger.error('Live transcription stream error', error);
     });
 
-    connection.addListener('close', () => {
+    connection.on('close', () => {
       logger.speech('Live transcription stream closed');
     });
 
@@ -51,56 +51,23 @@ export async function createLiveTranscriptionStream() {
 }
 
 /**
- * Convert text into synthetic speech using Deepgram's TTS.  Returns a
- * buffer containing the audio in MP3 format.  The voice and model used
- * can be adjusted by changing the options.  See
- * https://developers.deepgram.com/reference/speak for details.
+ * Convert text into synthetic speech with the configured TTS provider.
+ * Returns a buffer containing the audio as a WAV file.  The voice can be
+ * changed with `DEEPGRAM_TTS_MODEL` (Deepgram) or `TTS_VOICE` (local
+ * engines).
  *
  * @param {string} text The text to synthesise.
- * @returns {Promise<Buffer>} The MP3 audio buffer.
+ * @returns {Promise<Buffer>} The WAV audio buffer.
  */
 export async function synthesiseSpeech(text) {
   if (!text || text.trim().length === 0) {
     throw new Error('Text cannot be empty for speech synthesis');
   }
 
-  logger.speech('Starting speech synthesis', { text, model: 'aura-2-en' });
-  
-  try {
-    const response = await deepgram.speak.request(
-      { text },
-      {
-    model: 'aura-2-en',
-    encoding: 'linear16',
-    voice: 'aura',
-    speed: 1.15,
-    quality: 'real-time',
-    streaming: true
-  }
-    );
-    
-    logger.speech('Speech synthesis response received');
-    
-    // The response is a stream, convert it to a buffer
-    const stream = await response.getStream();
-    if (!stream) {
-      throw new Error('No audio stream received from Deepgram');
-    }
+  logger.speech('Starting speech synthesis', { text, provider: tts.name });
 
-    const chunks = [];
-    const reader = stream.getReader();
-    
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        if (value) chunks.push(value);
-      }
-    } finally {
-      reader.releaseLock();
-    }
-    
-    const audioBuffer = Buffer.concat(chunks);
+  try {
+    const audioBuffer = await tts.synthesize(text, { format: 'wav' });
     if (audioBuffer.length === 0) {
       throw new Error('Generated audio buffer is empty');
     }
@@ -111,4 +78,4 @@ export async function synthesiseSpeech(text) {
     logger.error('Speech synthesis failed', { error: error.message, text });
     throw error;
   }
-}
\ No newline at end of file
+}
@@ -38,7 +38,7 @@ export function buildSayResponse(message, audioUrl = null) {
   const twiml = new twilio.twiml.VoiceResponse();
   
   if (audioUrl) {
-    const fullUrl = `${config.app.baseUrl}${audioUrl}`;
+    const fullUrl = /^https?:\/\//.test(audioUrl) ? audioUrl : `${config.app.baseUrl}${audioUrl}`;
     logger.call('Playing audio from URL', { url: fullUrl });
     
     // Play a quick beep followed by the synthesized audio
@@ -0,0 +1,99 @@
+/**
+ * IANA time zone helpers built on `Intl`, so wall-clock times such as
+ * "tomorrow at 2pm in America/Chicago" can be converted to UTC instants
+ * without a date library.  Local times are exchanged as
+ * `YYYY-MM-DDTHH:mm` strings with no offset.
+ */
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} Whether `Intl` recognises the zone.
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Break an instant down into its wall-clock fields in a time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: string}}
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = type => parts.find(part => part.type === type).value;
+  return {
+    year: Number(value('year')),
+    month: Number(value('month')),
+    day: Number(value('day')),
+    hour: Number(value('hour')),
+    minute: Number(value('minute')),
+    second: Number(value('second')),
+    weekday: value('weekday')
+  };
+}
+
+/**
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} The local time as `YYYY-MM-DDTHH:mm`.
+ */
+export function formatZoned(date, timeZone) {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to the instant it denotes.
+ * A time skipped when the clocks go forward reads as the same time after
+ * the change (02:30 as 03:30); one repeated when they go back reads as its
+ * first occurrence.
+ *
+ * @param {string} localDateTime `YYYY-MM-DDTHH:mm` (seconds optional).
+ * @param {string} timeZone
+ * @returns {Date|null} null when the input cannot be parsed.
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(localDateTime).trim());
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (Number.isNaN(asUtc)) return null;
+
+  // Away from a DST change the offsets a day either side agree. Near one,
+  // each gives a reading that holds if the zone shows the wall-clock time
+  // at it: both do for a repeated time, neither for a skipped one, which
+  // the earlier offset carries past the change
+  const candidates = [asUtc - offsetAt(asUtc - DAY_MS, timeZone), asUtc - offsetAt(asUtc + DAY_MS, timeZone)];
+  const readings = candidates.filter(instant => instant + offsetAt(instant, timeZone) === asUtc);
+  return new Date(readings.length > 0 ? Math.min(...readings) : candidates[0]);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function offsetAt(timestamp, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(new Date(timestamp), timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
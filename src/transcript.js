@@ -0,0 +1,118 @@
+/**
+ * Transcripts aligned to a call recording.  The archived recording is
+ * transcribed after the call with word timings, and the words are grouped
+ * into utterances with start/end offsets and a speaker, so the dashboard
+ * can seek the player to any line.  Stored as JSON in
+ * `conversations.aligned_transcript`:
+ *
+ *   {
+ *     "version": 1,
+ *     "channels": 2,
+ *     "duration": 42.3,
+ *     "utterances": [
+ *       { "speaker": "agent", "start": 0.48, "end": 2.9, "text": "Hi, this is Sam.",
+ *         "words": [{ "word": "Hi,", "start": 0.48, "end": 0.7 }, ...] }
+ *     ]
+ *   }
+ *
+ * Times are seconds from the start of the recording.  `speaker` is `agent`
+ * or `customer` when the recording's speakers can be matched against what
+ * was said in the call's messages, `speaker_<n>` for a speaker that can't,
+ * and `unknown` when the speech provider doesn't tell speakers apart and
+ * the line matches neither side.
+ */
+
+export const ALIGNED_TRANSCRIPT_VERSION = 1;
+
+// Silence that starts a new utterance even when the speaker doesn't change
+const UTTERANCE_GAP = 1.5;
+
+/**
+ * @param {Array<{word: string, start: number, end: number, speaker: number|null}>} words
+ *   Timed words from a speech provider's `transcribe(audio, { words: true })`.
+ * @param {Array<{role: string, content: string}>} [messages] The call's
+ *   messages, for telling agent from customer.
+ * @param {{channels?: number}} [options] Channels in the recording.
+ * @returns {Object} The aligned transcript.
+ */
+export function alignTranscript(words, messages = [], { channels = 1 } = {}) {
+  const utterances = [];
+  let current = null;
+  for (const word of [...words].sort((a, b) => a.start - b.start)) {
+    if (!current || current.speaker !== word.speaker || word.start - current.end > UTTERANCE_GAP) {
+      current = { speaker: word.speaker, start: word.start, end: word.end, words: [] };
+      utterances.push(current);
+    }
+    current.words.push({ word: word.word, start: round(word.start), end: round(word.end) });
+    current.end = Math.max(current.end, word.end);
+  }
+
+  const labelOf = speakerLabels(utterances, messages);
+  return {
+    version: ALIGNED_TRANSCRIPT_VERSION,
+    channels,
+    duration: round(utterances.reduce((end, utterance) => Math.max(end, utterance.end), 0)),
+    utterances: utterances.map(utterance => ({
+      speaker: labelOf(utterance),
+      start: round(utterance.start),
+      end: round(utterance.end),
+      text: utterance.words.map(word => word.word).join(' '),
+      words: utterance.words
+    }))
+  };
+}
+
+/**
+ * Name the recording's speakers by comparing what each said with the
+ * agent's and the customer's messages.  Channel order and diarization
+ * numbering say nothing about who is who, but the words do.
+ *
+ * @returns {(utterance: Object) => string}
+ */
+function speakerLabels(utterances, messages) {
+  const agentWords = new Set(messages.filter(m => m.role === 'assistant').flatMap(m => tokens(m.content)));
+  const customerWords = new Set(messages.filter(m => m.role === 'user').flatMap(m => tokens(m.content)));
+
+  // How much more a text sounds like the agent than the customer, counting
+  // only words one side used
+  const lean = (text) => tokens(text).reduce((score, token) => {
+    const agent = agentWords.has(token);
+    const customer = customerWords.has(token);
+    return score + (agent && !customer ? 1 : customer && !agent ? -1 : 0);
+  }, 0);
+  const roleFor = (score) => (score > 0 ? 'agent' : score < 0 ? 'customer' : null);
+
+  const speakers = [...new Set(utterances.map(u => u.speaker).filter(speaker => speaker !== null))];
+  const scores = new Map(speakers.map(speaker => [
+    speaker,
+    lean(utterances.filter(u => u.speaker === speaker).map(textOf).join(' '))
+  ]));
+
+  const labels = new Map();
+  if (speakers.length === 2 && scores.get(speakers[0]) !== scores.get(speakers[1])) {
+    // One agent, one customer: whoever leans further toward the agent is it
+    const [agent, customer] = [...speakers].sort((a, b) => scores.get(b) - scores.get(a));
+    labels.set(agent, 'agent');
+    labels.set(customer, 'customer');
+  } else {
+    for (const speaker of speakers) {
+      labels.set(speaker, roleFor(scores.get(speaker)) || `speaker_${speaker}`);
+    }
+  }
+
+  return (utterance) => (utterance.speaker === null
+    ? roleFor(lean(textOf(utterance))) || 'unknown'
+    : labels.get(utterance.speaker));
+}
+
+function textOf(utterance) {
+  return utterance.words.map(word => word.word).join(' ');
+}
+
+function tokens(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}']{2,}/gu) || [];
+}
+
+function round(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import config from './config.js';
+import { audioStore } from './audio-store.js';
+
+// File extension for each synthesis format (see src/speech-providers)
+const EXTENSIONS = { wav: 'wav', mulaw: 'ulaw' };
+
+/**
+ * Content-addressed cache of synthesised speech.  Fixed phrases (greetings,
+ * consent scripts, goodbyes) are spoken on every call; the cache keeps one
+ * file per distinct text, voice, format and TTS provider so they are only
+ * synthesised once.  Files live in audio storage under `cache/`, which
+ * keeps them across restarts, and the least recently played are removed
+ * once the cache grows past `TTS_CACHE_MAX_BYTES`.  Recency is only
+ * tracked in memory, so after a restart the oldest files go first.
+ *
+ * Hit, miss and eviction counts are kept in memory since start-up and
+ * reported by `stats()`.
+ */
+export class TtsCache {
+  /**
+   * @param {{enabled: boolean, store: import('./audio-storage/audio-store.js').AudioStore, prefix: string, maxBytes: number}} options
+   */
+  constructor({ enabled, store, prefix, maxBytes }) {
+    this.enabled = enabled;
+    this.store = store;
+    this.prefix = prefix;
+    this.maxBytes = maxBytes;
+    // key -> { bytes }, oldest first; a hit moves the entry to the end
+    this.entries = new Map();
+    this.bytes = 0;
+    this.loading = null;
+    // Misses being synthesised, so concurrent requests share one synthesis
+    this.inflight = new Map();
+    this.metrics = { hits: 0, misses: 0, evictions: 0, prewarmed: 0 };
+  }
+
+  /**
+   * @param {{text: string, voice?: string, format: string, provider: string}} spec
+   * @returns {string} The storage key for this audio.
+   */
+  keyFor({ text, voice, format, provider }) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([provider, voice || null, format, text]))
+      .digest('hex');
+    return `${this.prefix}${hash}.${EXTENSIONS[format] || format}`;
+  }
+
+  /**
+   * Return the cached audio for `spec`, synthesising and storing it first
+   * on a miss.
+   *
+   * @param {{text: string, voice?: string, format: string, provider: string}} spec
+   * @param {() => Promise<Buffer>} synthesize Produces the audio on a miss.
+   * @param {{prewarm?: boolean}} [options] Pre-warming doesn't count as a hit or miss.
+   * @returns {Promise<{key: string, url: string, hit: boolean}>} `url`
+   *   is an expiring link from the audio store.
+   */
+  async fetch(spec, synthesize, { prewarm = false } = {}) {
+    await this.load();
+    const key = this.keyFor(spec);
+
+    const cached = this.entries.get(key);
+    if (cached && await this.touch(key, cached)) {
+      if (!prewarm) this.metrics.hits++;
+      return this.entryFor(key, true);
+    }
+
+    if (!this.inflight.has(key)) {
+      if (prewarm) this.metrics.prewarmed++;
+      else this.metrics.misses++;
+      const pending = this.save(key, synthesize).finally(() => this.inflight.delete(key));
+      this.inflight.set(key, pending);
+    } else if (!prewarm) {
+      this.metrics.hits++;
+    }
+    await this.inflight.get(key);
+    return this.entryFor(key, false);
+  }
+
+  /**
+   * @returns {Object} Cache size and hit counts since start-up.
+   */
+  stats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      max_bytes: this.maxBytes,
+      hits: this.metrics.hits,
+      misses: this.metrics.misses,
+      hit_rate: lookups ? this.metrics.hits / lookups : null,
+      evictions: this.metrics.evictions,
+      prewarmed: this.metrics.prewarmed
+    };
+  }
+
+  entryFor(key, hit) {
+    return { key, url: this.store.url(key), hit };
+  }
+
+  // Index the files already stored, oldest first
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const objects = [];
+        for (const object of await this.store.list(this.prefix)) {
+          if (object.key.endsWith('.tmp')) {
+            // Left behind by a write interrupted by a restart
+            await this.store.delete(object.key).catch(() => {});
+            continue;
+          }
+          objects.push(object);
+        }
+        objects.sort((a, b) => a.modified - b.modified);
+        objects.forEach(({ key, size }) => this.add(key, size));
+        await this.evict();
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async save(key, synthesize) {
+    const audio = await synthesize();
+    await this.store.put(key, audio);
+
+    this.add(key, audio.length);
+    await this.evict(key);
+  }
+
+  // Mark an entry as just used. Returns false if its file has gone missing.
+  async touch(key, entry) {
+    if (!await this.store.exists(key)) {
+      this.remove(key);
+      return false;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return true;
+  }
+
+  add(key, bytes) {
+    this.remove(key);
+    this.entries.set(key, { bytes });
+    this.bytes += bytes;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+  }
+
+  // Drop the least recently used files until the cache fits, sparing
+  // `keep`: the file just saved, whose link is about to be played
+  async evict(keep = null) {
+    for (const key of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      if (key === keep) continue;
+      this.remove(key);
+      this.metrics.evictions++;
+      await this.store.delete(key).catch(error => {
+        console.error(`Error evicting cached audio ${key}:`, error.message);
+      });
+    }
+  }
+}
+
+export const ttsCache = new TtsCache({
+  enabled: config.ttsCache.enabled,
+  store: audioStore,
+  prefix: 'cache/',
+  maxBytes: config.ttsCache.maxBytes
+});
@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db, and
+// audio to a scratch directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+process.env.AUDIO_STORAGE = 'local';
+process.env.AUDIO_STORAGE_PATH = path.join(dir, 'audio');
+process.env.TTS_CACHE = 'false'; // Saving an agent pre-warms its phrases otherwise
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: agentRoutes } = await import('../src/routes/agents.js');
+
+await new Migrator(db).migrate();
+
+const app = express();
+app.use(express.json());
+app.use('/api/agents', agentRoutes);
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(async () => {
+  server.close();
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function send(method, id, body) {
+  return fetch(`${baseUrl}/api/agents/${id}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('an archived agent can\'t be changed until it is restored', async () => {
+  const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful' });
+  await Agent.archive(agent.id);
+
+  for (const [method, body] of [['PUT', { name: 'Sam', prompt: 'Be brief' }], ['PATCH', { prompt: 'Be brief' }]]) {
+    const response = await send(method, agent.id, body);
+    assert.equal(response.status, 409, method);
+    assert.deepEqual(await response.json(), { error: 'Agent is archived; restore it before changing it' });
+  }
+  assert.equal((await Agent.findById(agent.id)).prompt, 'Be helpful');
+
+  await Agent.restore(agent.id);
+  const response = await send('PATCH', agent.id, { prompt: 'Be brief' });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).prompt, 'Be brief');
+});
+
+test('updating an agent that doesn\'t exist is a 404, before any validation', async () => {
+  const response = await send('PATCH', 'missing', { use_case: 'sideways' });
+  assert.equal(response.status, 404);
+});
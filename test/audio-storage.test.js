@@ -0,0 +1,245 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import {
+  AudioStore,
+  createAudioRouter,
+  createAudioStorage,
+  listAudioStorages
+} from '../src/audio-storage/index.js';
+import { checkKey } from '../src/audio-storage/base-storage.js';
+import { contentTypeFor } from '../src/audio-storage/audio-store.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A store on local disk in its own directory
+let stores = 0;
+function audioStore(options = {}) {
+  const root = path.join(dir, String(++stores));
+  const store = new AudioStore(createAudioStorage({ backend: 'local', path: root }), {
+    urlSecret: 'secret',
+    baseUrl: '/audio',
+    ...options
+  });
+  return { store, root };
+}
+
+// Backdate a stored file by `ms`
+function age(root, key, ms) {
+  const modified = new Date(Date.now() - ms);
+  fs.utimesSync(path.join(root, ...key.split('/')), modified, modified);
+}
+
+// The /audio route for `store` on an ephemeral port
+async function audioServer(t, store) {
+  const app = express();
+  app.use('/audio', createAudioRouter(store));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+const HOUR = 60 * 60 * 1000;
+
+test('keys cannot escape the storage root', () => {
+  assert.equal(checkKey('tenants/t1/tts/a.wav'), 'tenants/t1/tts/a.wav');
+  for (const key of ['', '/etc/passwd', '../a.wav', 'tts/../../a.wav', 'tts//a.wav', 'tts/./a.wav', 'tts\\a.wav', 'a\0.wav', null]) {
+    assert.throws(() => checkKey(key), /Invalid audio key/, String(key));
+  }
+});
+
+test('backends are picked by name', () => {
+  assert.deepEqual(listAudioStorages(), ['local', 's3']);
+  assert.throws(() => createAudioStorage({ backend: 'ftp' }), /Unsupported audio storage: ftp\. Available: local, s3/);
+  assert.throws(() => createAudioStorage({ backend: 'local' }), /Local audio storage needs a path/);
+  assert.throws(() => createAudioStorage({ backend: 's3', endpoint: 'http://localhost:9000' }), /S3 audio storage needs/);
+  assert.throws(() => new AudioStore(createAudioStorage({ backend: 'local', path: dir }), {}), /needs a URL signing secret/);
+});
+
+test('local storage writes whole files and lists them by prefix', async () => {
+  const { store, root } = audioStore();
+
+  const { key } = await store.save(Buffer.from('RIFF'), { prefix: 'tts' });
+  await store.put('cache/a.ulaw', Buffer.alloc(3));
+
+  assert.match(key, /^tts\/[0-9a-f-]{36}\.wav$/);
+  assert.deepEqual(await store.read(key), Buffer.from('RIFF'));
+  assert.equal(await store.read('tts/missing.wav'), null);
+  assert.equal(await store.exists('tts/missing.wav'), false);
+  assert.deepEqual((await store.list('cache/')).map(({ key, size }) => [key, size]), [['cache/a.ulaw', 3]]);
+  assert.equal((await store.list('')).length, 2);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'tts')), [key.slice('tts/'.length)]); // No temporary file left
+
+  await store.delete(key);
+  await store.delete(key);
+  assert.equal(await store.exists(key), false);
+});
+
+test('files over maxFileSize are refused', async () => {
+  const { store } = audioStore({ maxFileSize: 10 });
+  await assert.rejects(store.save(Buffer.alloc(11)), /Audio file of 11 bytes exceeds the 10 byte limit/);
+});
+
+test('links are signed and expire', async () => {
+  const { store } = audioStore({ baseUrl: 'https://example.test/audio/', urlTtl: 60 });
+  const now = Math.floor(Date.now() / 1000);
+
+  const url = new URL(store.url('tts/a b.wav'));
+  assert.equal(url.origin + url.pathname, 'https://example.test/audio/tts/a%20b.wav');
+  const expires = parseInt(url.searchParams.get('expires'));
+  assert.ok(expires >= now + 60 && expires <= now + 61);
+  const signature = url.searchParams.get('signature');
+  assert.equal(store.verify('tts/a b.wav', expires, signature), true);
+
+  // Any change to the key, expiry or signature breaks it
+  assert.equal(store.verify('tts/b.wav', expires, signature), false);
+  assert.equal(store.verify('tts/a b.wav', expires + 3600, signature), false);
+  assert.equal(store.verify('tts/a b.wav', expires, signature.replace(/^./, c => (c === '0' ? '1' : '0'))), false);
+  assert.equal(store.verify('tts/a b.wav', expires, signature.slice(1)), false);
+  assert.equal(store.verify('tts/a b.wav', expires, undefined), false);
+  assert.equal(store.verify('tts/a b.wav', 'soon', signature), false);
+
+  // ...as does another secret
+  const other = audioStore({ urlSecret: 'other' }).store;
+  assert.equal(other.verify('tts/a b.wav', expires, signature), false);
+
+  const expired = new URL(store.url('tts/a b.wav', { expiresIn: -1 }), 'https://example.test');
+  assert.equal(store.verify('tts/a b.wav', expired.searchParams.get('expires'), expired.searchParams.get('signature')), false);
+});
+
+test('the /audio route only serves valid, unexpired links', async (t) => {
+  const { store } = audioStore();
+  const { key } = await store.save(Buffer.from('0123456789'), { extension: 'ulaw' });
+  const baseUrl = await audioServer(t, store);
+  const get = (url, headers) => fetch(`${baseUrl}${url}`, { headers });
+
+  const ok = await get(store.url(key));
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get('content-type'), 'audio/basic');
+  assert.match(ok.headers.get('cache-control'), /^private, max-age=(3599|3600)$/);
+  assert.equal(await ok.text(), '0123456789');
+
+  const tampered = store.url(key).replace(/expires=(\d+)/, (match, expires) => `expires=${parseInt(expires) + 60}`);
+  assert.equal((await get(tampered)).status, 403);
+  assert.equal((await get(store.url(key, { expiresIn: -1 }))).status, 403);
+  assert.equal((await get(`/audio/${key}`)).status, 403);
+  assert.equal((await get(store.url('tts/gone.ulaw'))).status, 404);
+  assert.equal((await get('/audio/tts/..%2F..%2Fsecret.wav')).status, 404);
+});
+
+test('the /audio route answers range requests', async (t) => {
+  const { store } = audioStore();
+  const { key } = await store.save(Buffer.from('0123456789'));
+  const baseUrl = await audioServer(t, store);
+  const url = `${baseUrl}${store.url(key)}`;
+
+  const part = await fetch(url, { headers: { Range: 'bytes=2-5' } });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers.get('content-range'), 'bytes 2-5/10');
+  assert.equal(await part.text(), '2345');
+
+  const tail = await fetch(url, { headers: { Range: 'bytes=-3' } });
+  assert.equal(await tail.text(), '789');
+
+  const outside = await fetch(url, { headers: { Range: 'bytes=20-30' } });
+  assert.equal(outside.status, 416);
+  assert.equal(outside.headers.get('content-range'), 'bytes */10');
+});
+
+test('cleanup deletes files past retention, except those kept by their owners', async () => {
+  const { store, root } = audioStore({ retention: HOUR, keep: ['cache/', 'recordings/'] });
+  const keys = ['tts/old.wav', 'tts/new.wav', 'cache/old.ulaw', 'recordings/old.wav', 'tenants/t1/tts/old.wav', 'tenants/t1/cache/old.ulaw'];
+  for (const key of keys) {
+    await store.put(key, Buffer.alloc(1));
+    if (key.includes('old')) age(root, key, 2 * HOUR);
+  }
+
+  assert.equal(await store.cleanup(), 2);
+
+  const left = (await store.list('')).map(object => object.key).sort();
+  assert.deepEqual(left, ['cache/old.ulaw', 'recordings/old.wav', 'tenants/t1/cache/old.ulaw', 'tts/new.wav']);
+  assert.equal(await store.cleanup({ prefix: 'tts/', olderThan: 0 }), 1);
+});
+
+test('tenants are held to their storage quota', async () => {
+  const { store } = audioStore({ tenantQuota: 100, tenantQuotas: { big: 1000 } });
+
+  const { key } = await store.save(Buffer.alloc(60), { tenantId: 'acme' });
+  assert.match(key, /^tenants\/acme\/tts\//);
+  assert.deepEqual(await store.tenantUsage('acme'), { bytes: 60, quota: 100 });
+
+  await assert.rejects(store.save(Buffer.alloc(60), { tenantId: 'acme' }), error => {
+    assert.equal(error.code, 'AUDIO_QUOTA_EXCEEDED');
+    assert.equal(error.message, 'Audio storage quota of 100 bytes exceeded for tenant acme (60 bytes used)');
+    return true;
+  });
+  assert.deepEqual(await store.tenantUsage('acme'), { bytes: 60, quota: 100 });
+
+  // Other tenants, and files outside any tenant, are not affected
+  await store.save(Buffer.alloc(600), { tenantId: 'big' });
+  await store.save(Buffer.alloc(600));
+
+  await store.delete(key, { size: 60 });
+  assert.equal((await store.tenantUsage('acme')).bytes, 0);
+  await store.save(Buffer.alloc(100), { tenantId: 'acme' });
+});
+
+test('a full tenant makes room by deleting audio whose links have expired', async () => {
+  const { store, root } = audioStore({ tenantQuota: 100, urlTtl: 60 });
+  const stale = await store.save(Buffer.alloc(50), { tenantId: 'acme' });
+  const fresh = await store.save(Buffer.alloc(40), { tenantId: 'acme' });
+  age(root, stale.key, 2 * 60 * 1000);
+
+  await store.save(Buffer.alloc(50), { tenantId: 'acme' });
+
+  assert.equal(await store.exists(stale.key), false);
+  assert.equal(await store.exists(fresh.key), true);
+  assert.equal((await store.tenantUsage('acme')).bytes, 90);
+});
+
+test('usage is counted from storage on first use, e.g. after a restart', async () => {
+  const { store, root } = audioStore({ tenantQuota: 100 });
+  await store.save(Buffer.alloc(70), { tenantId: 'acme' });
+
+  const restarted = new AudioStore(createAudioStorage({ backend: 'local', path: root }), { urlSecret: 'secret', tenantQuota: 100 });
+  assert.equal((await restarted.tenantUsage('acme')).bytes, 70);
+  await assert.rejects(restarted.save(Buffer.alloc(40), { tenantId: 'acme' }), { code: 'AUDIO_QUOTA_EXCEEDED' });
+});
+
+test('S3 links are presigned by the bucket, through its public address', () => {
+  const backend = createAudioStorage({
+    backend: 's3',
+    endpoint: 'http://minio:9000',
+    publicEndpoint: 'https://media.example.test/s3/',
+    bucket: 'voice audio',
+    region: 'eu-west-1',
+    accessKeyId: 'AKIDEXAMPLE',
+    secretAccessKey: 'secret'
+  });
+  const store = new AudioStore(backend, { urlSecret: 'secret', urlTtl: 300 });
+
+  const url = new URL(store.url('tts/a b.wav'));
+  assert.equal(url.origin + url.pathname, 'https://media.example.test/s3/voice%20audio/tts/a%20b.wav');
+  assert.equal(url.searchParams.get('X-Amz-Algorithm'), 'AWS4-HMAC-SHA256');
+  assert.match(url.searchParams.get('X-Amz-Credential'), /^AKIDEXAMPLE\/\d{8}\/eu-west-1\/s3\/aws4_request$/);
+  assert.equal(url.searchParams.get('X-Amz-Expires'), '300');
+  assert.equal(url.searchParams.get('X-Amz-SignedHeaders'), 'host');
+  assert.match(url.searchParams.get('X-Amz-Signature'), /^[0-9a-f]{64}$/);
+  assert.notEqual(new URL(store.url('tts/b.wav')).searchParams.get('X-Amz-Signature'), url.searchParams.get('X-Amz-Signature'));
+
+  // S3 accepts presigned links of one second to seven days
+  assert.equal(new URL(store.url('tts/a.wav', { expiresIn: 30 * 24 * 3600 })).searchParams.get('X-Amz-Expires'), '604800');
+  assert.equal(new URL(store.url('tts/a.wav', { expiresIn: 0.5 })).searchParams.get('X-Amz-Expires'), '1');
+});
+
+test('content types follow the key\'s extension', () => {
+  assert.equal(contentTypeFor('tts/a.wav'), 'audio/wav');
+  assert.equal(contentTypeFor('cache/a.ulaw'), 'audio/basic');
+  assert.equal(contentTypeFor('recordings/a.mp3'), 'audio/mpeg');
+  assert.equal(contentTypeFor('tts/a.bin'), 'application/octet-stream');
+});
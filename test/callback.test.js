@@ -0,0 +1,199 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+delete process.env.CALLBACK_HUMAN_NUMBER;
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: config } = await import('../src/config.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Contact } = await import('../models/Contact.js');
+const { default: Conversation } = await import('../models/Conversation.js');
+const { default: CallbackRequest } = await import('../models/CallbackRequest.js');
+const { default: CallbackService } = await import('../services/CallbackService.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A Monday, noon UTC
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+// A CallbackService whose LLM answers with `reply` and whose calls are
+// recorded instead of dialled (or fail, given `callError`)
+function callbackService({ reply = '{"datetime": null}', callError = null } = {}) {
+  const prompts = [];
+  const calls = [];
+  const aiService = {
+    async generateAnalysisResponse(messages, systemPrompt) {
+      prompts.push(systemPrompt);
+      return reply;
+    }
+  };
+  const twilioService = {
+    async makeOutboundCall(to, agentId, url) {
+      if (callError) throw callError;
+      calls.push({ to, agentId, url });
+      return { callSid: `CA${calls.length}` };
+    }
+  };
+  return { service: new CallbackService(aiService, twilioService), prompts, calls };
+}
+
+let numbers = 0;
+const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful', calling_hours: { enabled: false } });
+
+// A scheduled request from a call with `forAgent`, due now
+async function dueRequest(forAgent = agent, { attempts = 0 } = {}) {
+  const customerNumber = `+1555020${String(numbers++).padStart(4, '0')}`;
+  const conversation = await Conversation.create({ agent_id: forAgent.id, direction: 'inbound', customer_number: customerNumber });
+  const { id } = await CallbackRequest.create({ conversation_id: conversation.id, customer_number: customerNumber, agent_id: forAgent.id });
+  await CallbackRequest.schedule(id, new Date(Date.now() - 1000), 'UTC');
+  await db.run('UPDATE callback_requests SET attempts = ? WHERE id = ?', [attempts, id]);
+  return await CallbackRequest.findById(id);
+}
+
+test('parsePreferredTime reads the model\'s answer in the caller\'s zone', async () => {
+  const { service, prompts } = callbackService({ reply: 'Sure! {"datetime": "2026-10-20T14:00"} is tomorrow afternoon.' });
+
+  assert.deepEqual(await service.parsePreferredTime('tomorrow afternoon', NOW, 'America/New_York'), new Date('2026-10-20T18:00:00Z'));
+  assert.match(prompts[0], /It is now Monday 2026-10-19T08:00 in the America\/New_York time zone/);
+});
+
+test('parsePreferredTime finds the JSON inside code fences', async () => {
+  const { service } = callbackService({ reply: '```json\n{"datetime": "2026-10-21T09:00"}\n```' });
+  assert.deepEqual(await service.parsePreferredTime('Wednesday morning', NOW, 'UTC'), new Date('2026-10-21T09:00:00Z'));
+});
+
+test('parsePreferredTime resolves "as soon as possible" and past times to now', async () => {
+  assert.equal(await callbackService({ reply: '{"asap": true}' }).service.parsePreferredTime('right away', NOW, 'UTC'), NOW);
+  assert.equal(await callbackService({ reply: '{"datetime": "2026-10-19T08:00"}' }).service.parsePreferredTime('8am', NOW, 'UTC'), NOW);
+});
+
+test('parsePreferredTime gives null when no time can be worked out', async () => {
+  for (const reply of ['{"datetime": null}', 'I am not sure.', '{"datetime": "2026-10-20T14:00"', '{"datetime": "tomorrow"}', null]) {
+    assert.equal(await callbackService({ reply }).service.parsePreferredTime('whenever', NOW, 'UTC'), null, String(reply));
+  }
+});
+
+test('timeZoneFor prefers the contact\'s zone, then the number\'s, then CALLBACK_TIMEZONE', async () => {
+  const { service } = callbackService();
+  await Contact.create({ name: 'Ann', phone_number: '+12125550100', timezone: 'Europe/Paris' });
+
+  assert.equal(await service.timeZoneFor({ customer_number: '+12125550100' }), 'Europe/Paris');
+  assert.equal(await service.timeZoneFor({ customer_number: '+13125550100' }), 'America/Chicago');
+  assert.equal(await service.timeZoneFor({ customer_number: '+15550100000' }), service.timeZone);
+});
+
+test('setPreferredTime schedules the request, or leaves it pending', async () => {
+  const request = await dueRequest();
+  const later = new Date(Date.now() + 86_400_000);
+  const local = later.toISOString().slice(0, 16);
+
+  const scheduled = await callbackService({ reply: `{"datetime": "${local}"}` }).service.setPreferredTime(request.id, 'tomorrow');
+  assert.equal(scheduled.status, 'scheduled');
+  assert.equal(scheduled.preferred_time, `${local}:00.000Z`);
+  assert.equal(scheduled.notes, 'Preferred time: tomorrow');
+
+  assert.equal(await callbackService().service.setPreferredTime(request.id, 'dunno'), null);
+  assert.equal((await CallbackRequest.findById(request.id)).status, 'pending');
+});
+
+test('retryOrCancel retries until maxAttempts, then cancels', async () => {
+  const { service } = callbackService();
+  const { maxAttempts, retryDelay } = config.callbacks;
+
+  const retried = await service.retryOrCancel(await dueRequest(agent, { attempts: maxAttempts - 1 }), 'busy');
+  assert.equal(retried.status, 'scheduled');
+  assert.equal(retried.outcome, 'busy');
+  assert.ok(Math.abs(new Date(retried.next_attempt_at) - (Date.now() + retryDelay)) < 5000);
+
+  const cancelled = await service.retryOrCancel(await dueRequest(agent, { attempts: maxAttempts }), 'no-answer');
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.outcome, `no-answer after ${maxAttempts} attempts`);
+  assert.equal(cancelled.next_attempt_at, null);
+});
+
+test('placeCall dials the AI agent back and records the attempt', async () => {
+  const { service, calls } = callbackService();
+  const request = await dueRequest();
+
+  await service.placeCall(request);
+
+  assert.deepEqual(calls, [{ to: request.customer_number, agentId: agent.id, url: `${config.app.baseUrl}/api/calls/twiml/${agent.id}` }]);
+  const placed = await CallbackRequest.findById(request.id);
+  assert.equal(placed.attempts, 1);
+  assert.equal(placed.call_sid, 'CA1');
+  assert.equal((await Conversation.findByCallSid('CA1')).direction, 'outbound');
+});
+
+test('placeCall schedules a retry when the call cannot be placed', async () => {
+  const { service } = callbackService({ callError: new Error('Twilio is down') });
+  const request = await dueRequest();
+
+  await service.placeCall(request);
+
+  const retried = await CallbackRequest.findById(request.id);
+  assert.deepEqual([retried.status, retried.outcome, retried.attempts, retried.call_sid], ['scheduled', 'failed', 1, null]);
+});
+
+test('placeCall cancels callbacks for archived agents without dialling', async () => {
+  const { service, calls } = callbackService();
+  const gone = await Agent.create({ name: 'Gone', prompt: 'x', calling_hours: { enabled: false } });
+  const request = await dueRequest(gone);
+  await Agent.archive(gone.id);
+
+  await service.placeCall(request);
+
+  assert.deepEqual(calls, []);
+  const cancelled = await CallbackRequest.findById(request.id);
+  assert.deepEqual([cancelled.status, cancelled.outcome, cancelled.attempts], ['cancelled', 'Agent archived or deleted', 0]);
+});
+
+test('placeCall cancels callbacks to numbers on the do-not-call list', async () => {
+  const { service, calls } = callbackService();
+  const request = await dueRequest();
+  await service.doNotCallService.add(request.customer_number, { reason: 'Asked not to be called' });
+
+  await service.placeCall(request);
+
+  assert.deepEqual(calls, []);
+  assert.equal((await CallbackRequest.findById(request.id)).status, 'cancelled');
+  const event = await db.get("SELECT * FROM compliance_events WHERE type = 'dnc_blocked' AND phone_number = ?", [request.customer_number]);
+  assert.equal(event.source, 'callback');
+  assert.equal(JSON.parse(event.details).callback_request_id, request.id);
+});
+
+test('placeCall holds callbacks until the caller\'s calling hours, without counting an attempt', async () => {
+  const { service, calls } = callbackService();
+  // A one-hour window starting two hours from now, UTC
+  const hour = n => `${String((new Date().getUTCHours() + n) % 24).padStart(2, '0')}:00`;
+  const nightOwl = await Agent.create({ name: 'Owl', prompt: 'x', calling_hours: { start: hour(2), end: hour(3), timezone: 'UTC' } });
+  const request = await dueRequest(nightOwl);
+
+  await service.placeCall(request);
+
+  assert.deepEqual(calls, []);
+  const held = await CallbackRequest.findById(request.id);
+  assert.deepEqual([held.status, held.outcome, held.attempts], ['scheduled', 'outside calling hours', 0]);
+  const opensAt = new Date(held.next_attempt_at);
+  assert.equal(opensAt.toISOString().slice(11, 16), hour(2));
+  assert.ok(opensAt > new Date() && opensAt - new Date() <= 2 * 3_600_000);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CALLING_HOURS,
+  validateCallingHours,
+  resolveCallingHours,
+  calleeTimezone,
+  isWithinHours,
+  checkCallingHours,
+  nextWindowStart
+} from '../src/calling-hours.js';
+
+const at = value => new Date(value);
+
+test('validateCallingHours explains what is wrong', () => {
+  assert.equal(validateCallingHours({ start: '18:00', end: '02:00', days: ['fri'], action: 'defer', timezone: 'Europe/Paris' }), null);
+  assert.equal(validateCallingHours([]), 'Calling hours must be an object');
+  assert.equal(validateCallingHours({ enabled: 'no' }), 'Calling hours: enabled must be a boolean');
+  assert.equal(validateCallingHours({ start: '8:00' }), 'Calling hours: start must be a 24-hour HH:mm time');
+  assert.equal(validateCallingHours({ end: '24:00' }), 'Calling hours: end must be a 24-hour HH:mm time');
+  assert.equal(validateCallingHours({ start: '09:00', end: '09:00' }), 'Calling hours: the window must not be empty');
+  assert.equal(validateCallingHours({ days: [] }), 'Calling hours: days must be a non-empty array of: sun, mon, tue, wed, thu, fri, sat');
+  assert.equal(validateCallingHours({ days: ['monday'] }), 'Calling hours: days must be a non-empty array of: sun, mon, tue, wed, thu, fri, sat');
+  assert.equal(validateCallingHours({ action: 'drop' }), 'Calling hours: action must be one of reject, defer');
+  assert.equal(validateCallingHours({ timezone: 'Nowhere/Town' }), 'Calling hours: unknown time zone Nowhere/Town');
+});
+
+test('resolveCallingHours layers each set of rules over the last', () => {
+  assert.deepEqual(resolveCallingHours(null, '{"start": "09:00", "action": "defer"}', { start: '10:00' }, '{oops'), {
+    ...DEFAULT_CALLING_HOURS,
+    start: '10:00',
+    action: 'defer'
+  });
+});
+
+test('calleeTimezone prefers the contact\'s zone, then the number\'s', () => {
+  const rules = { ...DEFAULT_CALLING_HOURS, timezone: 'Europe/London' };
+  assert.deepEqual(calleeTimezone(rules, '+13125550100', 'Asia/Tokyo'), { timezone: 'Asia/Tokyo', source: 'contact' });
+  assert.deepEqual(calleeTimezone(rules, '+13125550100', 'Not/AZone'), { timezone: 'America/Chicago', source: 'number' });
+  assert.deepEqual(calleeTimezone(rules, '+15550100000'), { timezone: 'Europe/London', source: 'default' });
+});
+
+test('isWithinHours reads the window in the callee\'s zone', () => {
+  const window = { start: '08:00', end: '21:00', days: null };
+  // 13:30 UTC is 08:30 in Chicago but 22:30 in Tokyo
+  assert.equal(isWithinHours(window, 'America/Chicago', at('2026-10-19T13:30:00Z')), true);
+  assert.equal(isWithinHours(window, 'Asia/Tokyo', at('2026-10-19T13:30:00Z')), false);
+  // The end is exclusive
+  assert.equal(isWithinHours(window, 'UTC', at('2026-10-19T20:59:00Z')), true);
+  assert.equal(isWithinHours(window, 'UTC', at('2026-10-19T21:00:00Z')), false);
+  assert.equal(isWithinHours(window, 'UTC', at('2026-10-19T07:59:00Z')), false);
+});
+
+test('isWithinHours keeps to the callee\'s clock across DST changes', () => {
+  const window = { start: '08:00', end: '21:00', days: null };
+  // 12:30 UTC is 07:30 EST the day before spring-forward, 08:30 EDT on the day
+  assert.equal(isWithinHours(window, 'America/New_York', at('2026-03-07T12:30:00Z')), false);
+  assert.equal(isWithinHours(window, 'America/New_York', at('2026-03-08T12:30:00Z')), true);
+  // ...and 08:30 EDT the day before fall-back, 07:30 EST on the day
+  assert.equal(isWithinHours(window, 'America/New_York', at('2026-10-31T12:30:00Z')), true);
+  assert.equal(isWithinHours(window, 'America/New_York', at('2026-11-01T12:30:00Z')), false);
+});
+
+test('isWithinHours only allows the days given', () => {
+  const weekdays = { start: '08:00', end: '21:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] };
+  assert.equal(isWithinHours(weekdays, 'UTC', at('2026-10-23T12:00:00Z')), true); // Friday
+  assert.equal(isWithinHours(weekdays, 'UTC', at('2026-10-24T12:00:00Z')), false); // Saturday
+  // Still Sunday in Los Angeles when it is Monday in UTC
+  assert.equal(isWithinHours({ ...weekdays, start: '00:00', end: '23:00' }, 'America/Los_Angeles', at('2026-10-19T02:00:00Z')), false);
+});
+
+test('a window wrapping past midnight belongs to the day it opened', () => {
+  const fridayNights = { start: '18:00', end: '02:00', days: ['fri'] };
+  const inside = value => isWithinHours(fridayNights, 'UTC', at(value));
+
+  assert.equal(inside('2026-10-23T17:59:00Z'), false); // Friday, before it opens
+  assert.equal(inside('2026-10-23T18:00:00Z'), true); // Friday evening
+  assert.equal(inside('2026-10-24T01:30:00Z'), true); // Saturday small hours, opened Friday
+  assert.equal(inside('2026-10-24T02:00:00Z'), false); // closed
+  assert.equal(inside('2026-10-24T19:00:00Z'), false); // Saturday evening
+  assert.equal(inside('2026-10-23T01:30:00Z'), false); // Friday small hours, opened Thursday
+
+  const everyNight = { start: '18:00', end: '02:00', days: null };
+  assert.equal(isWithinHours(everyNight, 'UTC', at('2026-10-24T01:30:00Z')), true);
+  assert.equal(isWithinHours(everyNight, 'UTC', at('2026-10-24T12:00:00Z')), false);
+});
+
+test('checkCallingHours allows calls inside the window or when disabled', () => {
+  const rules = resolveCallingHours();
+  assert.deepEqual(checkCallingHours(rules, 'UTC', at('2026-10-19T12:00:00Z')), {
+    allowed: true,
+    localTime: '2026-10-19T12:00',
+    nextAllowedAt: null
+  });
+  assert.deepEqual(checkCallingHours(rules, 'America/Chicago', at('2026-10-19T04:00:00Z')), {
+    allowed: false,
+    localTime: '2026-10-18T23:00',
+    nextAllowedAt: at('2026-10-19T13:00:00Z')
+  });
+  assert.equal(checkCallingHours({ ...rules, enabled: false }, 'UTC', at('2026-10-19T04:00:00Z')).allowed, true);
+});
+
+test('nextWindowStart finds the next opening on an allowed day', () => {
+  const window = { start: '08:00', days: null };
+  assert.deepEqual(nextWindowStart(window, 'UTC', at('2026-10-19T07:00:00Z')), at('2026-10-19T08:00:00Z'));
+  assert.deepEqual(nextWindowStart(window, 'UTC', at('2026-10-19T08:00:00Z')), at('2026-10-20T08:00:00Z'));
+
+  // Saturday evening in Chicago: weekdays-only reopen on Monday
+  const weekdays = { start: '09:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] };
+  assert.deepEqual(nextWindowStart(weekdays, 'America/Chicago', at('2026-10-25T01:00:00Z')), at('2026-10-26T14:00:00Z'));
+
+  // Later the same weekday, or a week on
+  const mondays = { start: '09:00', days: ['mon'] };
+  assert.deepEqual(nextWindowStart(mondays, 'UTC', at('2026-10-19T08:00:00Z')), at('2026-10-19T09:00:00Z'));
+  assert.deepEqual(nextWindowStart(mondays, 'UTC', at('2026-10-19T10:00:00Z')), at('2026-10-26T09:00:00Z'));
+});
+
+test('nextWindowStart opens at the local time across DST changes', () => {
+  const window = { start: '08:00', days: null };
+  // The evening before spring-forward (EST) to the morning after (EDT)
+  assert.deepEqual(nextWindowStart(window, 'America/New_York', at('2026-03-08T03:00:00Z')), at('2026-03-08T12:00:00Z'));
+  // The evening before fall-back (EDT) to the morning after (EST)
+  assert.deepEqual(nextWindowStart(window, 'America/New_York', at('2026-11-01T03:00:00Z')), at('2026-11-01T13:00:00Z'));
+  // A window opening in the hour that is skipped opens once the clocks have gone forward
+  assert.deepEqual(nextWindowStart({ start: '02:30', days: null }, 'America/New_York', at('2026-03-08T05:00:00Z')), at('2026-03-08T07:30:00Z'));
+});
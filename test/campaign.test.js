@@ -0,0 +1,252 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Contact } = await import('../models/Contact.js');
+const { default: Campaign } = await import('../models/Campaign.js');
+const { default: CampaignContact } = await import('../models/CampaignContact.js');
+const { default: CampaignService } = await import('../services/CampaignService.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A CampaignService whose calls are recorded instead of dialled
+let sids = 0;
+function campaignService() {
+  const calls = [];
+  const service = new CampaignService({
+    async makeOutboundCall(to) {
+      calls.push(to);
+      return { callSid: `CA${++sids}` };
+    }
+  });
+  return { service, calls };
+}
+
+// "HH:00" in UTC, `n` hours from now
+const hour = n => `${String((new Date().getUTCHours() + n + 24) % 24).padStart(2, '0')}:00`;
+
+let numbers = 0;
+const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful', calling_hours: { enabled: false } });
+
+// A running campaign, open from an hour ago to two hours from now, with
+// `size` new contacts
+async function runningCampaign(size, settings = {}) {
+  const campaign = await Campaign.create({
+    name: 'Renewals',
+    agent_id: agent.id,
+    window_start: hour(-1),
+    window_end: hour(2),
+    ...settings
+  });
+  const contacts = [];
+  for (let i = 0; i < size; i++) {
+    const phoneNumber = `+1555030${String(numbers++).padStart(4, '0')}`;
+    contacts.push(await Contact.create({ name: phoneNumber, phone_number: phoneNumber }));
+  }
+  await CampaignContact.addContacts(campaign.id, contacts);
+  return await Campaign.updateStatus(campaign.id, 'running');
+}
+
+const entries = async campaign => await CampaignContact.findByCampaignId(campaign.id);
+// Sorted: contacts added in the same second have no order of their own
+const statuses = async campaign => (await entries(campaign)).map(entry => entry.status).sort();
+const later = ms => new Date(Date.now() + ms);
+
+test('validateSettings explains the first invalid setting', () => {
+  const { service } = campaignService();
+  assert.equal(service.validateSettings({ window_start: '09:00', window_end: '17:00', max_concurrent: 5, retry_on: ['busy'] }), null);
+  assert.equal(service.validateSettings({ window_start: '9am' }), 'window_start must be a 24-hour HH:mm time');
+  assert.equal(service.validateSettings({ window_start: '09:00', window_end: '09:00' }), 'The calling window must not be empty');
+  assert.equal(service.validateSettings({ calling_days: ['monday'] }), 'calling_days must be a non-empty array of: sun, mon, tue, wed, thu, fri, sat');
+  assert.equal(service.validateSettings({ timezone: 'Nowhere/Town' }), 'Unknown time zone: Nowhere/Town');
+  assert.equal(service.validateSettings({ calls_per_minute: 0 }), 'calls_per_minute must be a whole number between 1 and 120');
+  assert.equal(service.validateSettings({ max_attempts: 2.5 }), 'max_attempts must be a whole number between 1 and 10');
+  assert.equal(service.validateSettings({ retry_on: ['completed'] }), 'retry_on must be an array of: busy, no-answer, failed, canceled, voicemail');
+});
+
+test('isWithinWindow reads the window in the campaign\'s zone and days', () => {
+  const { service } = campaignService();
+  const campaign = { window_start: '09:00', window_end: '17:00', calling_days: '["mon","tue","wed","thu","fri"]', timezone: 'America/New_York' };
+
+  assert.equal(service.isWithinWindow(campaign, new Date('2026-10-19T14:00:00Z')), true); // Monday 10:00
+  assert.equal(service.isWithinWindow(campaign, new Date('2026-10-19T22:00:00Z')), false); // Monday 18:00
+  assert.equal(service.isWithinWindow(campaign, new Date('2026-10-24T14:00:00Z')), false); // Saturday
+});
+
+test('dialCampaign keeps at most max_concurrent calls up', async () => {
+  const { service, calls } = campaignService();
+  const campaign = await runningCampaign(4, { max_concurrent: 2, calls_per_minute: 10 });
+
+  await service.dialCampaign(campaign);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(await statuses(campaign), ['calling', 'calling', 'pending', 'pending']);
+
+  await service.dialCampaign(campaign);
+  assert.equal(calls.length, 2);
+
+  const first = (await entries(campaign)).find(entry => entry.status === 'calling');
+  await service.handleCallStatus(first.call_sid, 'completed');
+  await service.dialCampaign(campaign);
+  assert.equal(calls.length, 3);
+  assert.deepEqual(await statuses(campaign), ['calling', 'calling', 'completed', 'pending']);
+});
+
+test('dialCampaign starts at most calls_per_minute calls in any minute', async () => {
+  const { service, calls } = campaignService();
+  const campaign = await runningCampaign(5, { max_concurrent: 10, calls_per_minute: 3 });
+
+  await service.dialCampaign(campaign);
+  assert.equal(calls.length, 3);
+
+  // Hanging up does not free a slot until the minute is over
+  for (const entry of await entries(campaign)) {
+    if (entry.call_sid) await service.handleCallStatus(entry.call_sid, 'completed');
+  }
+  await service.dialCampaign(campaign);
+  assert.equal(calls.length, 3);
+
+  await service.dialCampaign(campaign, later(61 * 1000));
+  assert.equal(calls.length, 5);
+});
+
+test('dialCampaign waits outside the calling window', async () => {
+  const { service, calls } = campaignService();
+  const campaign = await runningCampaign(2, { window_start: hour(3), window_end: hour(4) });
+
+  await service.dialCampaign(campaign);
+
+  assert.deepEqual(calls, []);
+  assert.equal((await Campaign.findById(campaign.id)).status, 'running');
+});
+
+test('dialCampaign completes the campaign once nothing is pending or calling', async () => {
+  const { service } = campaignService();
+  const campaign = await runningCampaign(1);
+
+  await service.dialCampaign(campaign);
+  const [entry] = await entries(campaign);
+  await service.handleCallStatus(entry.call_sid, 'completed');
+  await service.dialCampaign(campaign);
+
+  const completed = await Campaign.findById(campaign.id);
+  assert.equal(completed.status, 'completed');
+  assert.ok(completed.completed_at);
+});
+
+test('dialCampaign pauses campaigns whose agent was archived', async () => {
+  const { service, calls } = campaignService();
+  const gone = await Agent.create({ name: 'Gone', prompt: 'x', calling_hours: { enabled: false } });
+  const campaign = await runningCampaign(1, { agent_id: gone.id });
+  await Agent.archive(gone.id);
+
+  await service.dialCampaign(campaign);
+
+  assert.deepEqual(calls, []);
+  assert.equal((await Campaign.findById(campaign.id)).status, 'paused');
+});
+
+test('unanswered calls are retried after retry_delay_minutes', async () => {
+  const { service, calls } = campaignService();
+  const campaign = await runningCampaign(1, { retry_delay_minutes: 5 });
+
+  await service.dialCampaign(campaign);
+  const [dialled] = await entries(campaign);
+  const retried = await service.handleCallStatus(dialled.call_sid, 'busy');
+
+  assert.deepEqual([retried.status, retried.outcome, retried.attempts, retried.call_sid], ['pending', 'busy', 1, null]);
+  assert.ok(Math.abs(new Date(retried.next_attempt_at) - later(5 * 60 * 1000)) < 5000);
+
+  // Not before the delay is up
+  await service.dialCampaign(campaign, later(4 * 60 * 1000));
+  assert.equal(calls.length, 1);
+  await service.dialCampaign(campaign, later(5 * 60 * 1000 + 5000));
+  assert.equal(calls.length, 2);
+  assert.equal((await CampaignContact.findById(dialled.id)).attempts, 2);
+});
+
+test('calls fail once max_attempts is used up, or when retry_on leaves them out', async () => {
+  const { service } = campaignService();
+  const campaign = await runningCampaign(3, { max_attempts: 1, retry_on: '["busy"]' });
+  const [spent, busy, unanswered] = await entries(campaign);
+  const refreshed = await Campaign.findById(campaign.id);
+
+  await CampaignContact.markCalling(spent.id, { callSid: null, conversationId: null });
+  const failed = await service.retryOrFail(refreshed, await CampaignContact.findById(spent.id), 'busy');
+  assert.deepEqual([failed.status, failed.outcome], ['failed', 'busy']);
+
+  assert.equal((await service.retryOrFail(refreshed, busy, 'busy')).status, 'pending');
+  assert.equal((await service.retryOrFail(refreshed, unanswered, 'no-answer')).status, 'failed');
+});
+
+test('calls to a cancelled campaign are not retried', async () => {
+  const { service } = campaignService();
+  const campaign = await runningCampaign(2);
+  const [calling, waiting] = await entries(campaign);
+  await CampaignContact.markCalling(calling.id, { callSid: null, conversationId: null });
+
+  // Calls already up finish; nothing else is dialled
+  const { campaign: cancelled } = await service.transition(campaign, 'cancel');
+  assert.equal((await CampaignContact.findById(waiting.id)).outcome, 'Campaign cancelled');
+  const result = await service.retryOrFail(cancelled, await CampaignContact.findById(calling.id), 'busy');
+  assert.deepEqual([result.status, result.outcome], ['cancelled', 'busy']);
+});
+
+test('a voicemail is retried unless a message was left and retry_on leaves it out', async () => {
+  const { service } = campaignService();
+  const retrying = await runningCampaign(1);
+  const final = await runningCampaign(2, { retry_on: '["busy"]' });
+  const [entry] = await entries(retrying);
+  const [left, notLeft] = await entries(final);
+
+  assert.equal((await service.recordVoicemail(entry, { messageLeft: true })).status, 'pending');
+  const completed = await service.recordVoicemail(left, { messageLeft: true });
+  assert.deepEqual([completed.status, completed.outcome], ['completed', 'voicemail left']);
+  assert.equal((await service.recordVoicemail(notLeft, { messageLeft: false })).status, 'failed');
+});
+
+test('contacts outside their own calling hours wait for them without using an attempt', async () => {
+  const { service, calls } = campaignService();
+  const nightOwl = await Agent.create({ name: 'Owl', prompt: 'x', calling_hours: { start: hour(2), end: hour(3), timezone: 'UTC' } });
+  const campaign = await runningCampaign(1, { agent_id: nightOwl.id });
+
+  await service.dialCampaign(campaign);
+
+  assert.deepEqual(calls, []);
+  const [held] = await entries(campaign);
+  assert.deepEqual([held.status, held.outcome, held.attempts], ['pending', 'outside calling hours', 0]);
+  assert.equal(held.next_attempt_at.slice(11, 16), hour(2));
+});
+
+test('transition only allows the documented status changes', async () => {
+  const { service } = campaignService();
+  const draft = await Campaign.create({ name: 'Draft', agent_id: agent.id });
+
+  assert.deepEqual(await service.transition(draft, 'pause'), { error: 'Cannot pause a draft campaign' });
+  assert.deepEqual(await service.transition(draft, 'restart'), { error: 'Unknown campaign action: restart' });
+  const { campaign: running } = await service.transition(draft, 'start');
+  assert.equal(running.status, 'running');
+  assert.ok(running.started_at);
+  assert.equal((await service.transition(running, 'pause')).campaign.status, 'paused');
+});
@@ -0,0 +1,234 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Conversation } = await import('../models/Conversation.js');
+const { default: TwilioService } = await import('../services/TwilioService.js');
+const { default: ConsentService } = await import('../services/ConsentService.js');
+const {
+  DEFAULT_CONSENT_CONFIG,
+  DTMF_INSTRUCTIONS,
+  CONSENT_RETRY_PROMPT,
+  parseConsentConfig,
+  validateConsentConfig,
+  resolveJurisdiction,
+  consentPolicy,
+  classifyConsent,
+  consentOutcome
+} = await import('../src/consent.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// An LLM provider that answers every chat with `content` (or throws it)
+function fakeLlm(content) {
+  const requests = [];
+  return {
+    requests,
+    async chat(messages, options) {
+      requests.push({ messages, options });
+      if (content instanceof Error) throw content;
+      return { content };
+    }
+  };
+}
+
+// A ConsentService classifying answers with a model that replies `content`
+function consentService(content = '{"answer": "yes", "reason": "Agreed"}') {
+  const llm = fakeLlm(content);
+  const spoken = [];
+  const aiService = {
+    classifyConsent: (reply, script) => classifyConsent(llm, reply, script),
+    async generateTTS(text) {
+      spoken.push(text);
+      return { url: 'https://example.test/consent.wav' };
+    }
+  };
+  return { service: new ConsentService(aiService, new TwilioService()), llm, spoken };
+}
+
+const SCRIPT = `${DEFAULT_CONSENT_CONFIG.script} ${DTMF_INSTRUCTIONS}`;
+
+test('parseConsentConfig fills in the defaults', () => {
+  assert.deepEqual(parseConsentConfig(null), DEFAULT_CONSENT_CONFIG);
+  assert.deepEqual(parseConsentConfig('{"mode": "ask", "dtmf": false}'), { ...DEFAULT_CONSENT_CONFIG, mode: 'ask', dtmf: false });
+  assert.deepEqual(parseConsentConfig({ disclosure: 'Recorded.' }), { ...DEFAULT_CONSENT_CONFIG, disclosure: 'Recorded.' });
+  assert.deepEqual(parseConsentConfig('{oops'), DEFAULT_CONSENT_CONFIG);
+});
+
+test('validateConsentConfig checks the settings and every override', () => {
+  assert.equal(validateConsentConfig({ mode: 'auto', jurisdictions: { 'US-TX': { mode: 'ask' }, GB: { dtmf: false } } }), null);
+  assert.equal(validateConsentConfig([]), 'Consent config must be an object');
+  assert.equal(validateConsentConfig({ mode: 'never' }), 'Consent config: mode must be one of auto, ask, disclose');
+  assert.equal(validateConsentConfig({ script: '  ' }), 'Consent config: script must be text of at most 1000 characters');
+  assert.equal(validateConsentConfig({ dtmf: 'yes' }), 'Consent config: dtmf must be a boolean');
+  assert.equal(validateConsentConfig({ jurisdictions: [] }), 'Consent config: jurisdictions must be an object');
+  assert.equal(validateConsentConfig({ jurisdictions: { California: {} } }), 'Consent config: California is not a jurisdiction code such as US-CA or GB');
+  assert.equal(validateConsentConfig({ jurisdictions: { 'US-CA': { mode: 'never' } } }), 'Consent config: jurisdictions.US-CA: mode must be one of auto, ask, disclose');
+});
+
+test('resolveJurisdiction reads the caller on inbound calls and the callee on outbound ones', () => {
+  const body = { FromCountry: 'US', FromState: 'ca', ToCountry: 'GB', ToState: '' };
+  assert.equal(resolveJurisdiction({ ...body, Direction: 'inbound' }), 'US-CA');
+  assert.equal(resolveJurisdiction({ ...body, Direction: 'outbound-api' }), 'GB');
+  // Twilio sometimes sends a city or a region name in the state field
+  assert.equal(resolveJurisdiction({ FromCountry: 'US', FromState: 'New York' }), 'US');
+  assert.equal(resolveJurisdiction({}), null);
+});
+
+test('consentPolicy asks in all-party states and abroad, and only discloses elsewhere', () => {
+  const config = parseConsentConfig(null);
+  const ask = { ask: true, text: SCRIPT, dtmf: true };
+  const disclose = { ask: false, text: DEFAULT_CONSENT_CONFIG.disclosure, dtmf: false };
+
+  assert.deepEqual(consentPolicy(config, 'US-CA'), { jurisdiction: 'US-CA', ...ask });
+  assert.deepEqual(consentPolicy(config, 'US-PA'), { jurisdiction: 'US-PA', ...ask });
+  assert.deepEqual(consentPolicy(config, 'US-NY'), { jurisdiction: 'US-NY', ...disclose });
+  assert.deepEqual(consentPolicy(config, 'US-TX'), { jurisdiction: 'US-TX', ...disclose });
+  assert.deepEqual(consentPolicy(config, 'DE'), { jurisdiction: 'DE', ...ask });
+  assert.deepEqual(consentPolicy(config, null), { jurisdiction: null, ...ask });
+});
+
+test('consentPolicy applies the agent\'s mode and jurisdiction overrides', () => {
+  const config = parseConsentConfig({
+    mode: 'disclose',
+    dtmf: false,
+    jurisdictions: {
+      US: { mode: 'ask', script: 'May we record?' },
+      'US-TX': { mode: 'disclose', disclosure: 'Texas calls are recorded.' }
+    }
+  });
+
+  // The state's entry beats the country's, which beats the agent-wide settings
+  assert.deepEqual(consentPolicy(config, 'US-TX'), { jurisdiction: 'US-TX', ask: false, text: 'Texas calls are recorded.', dtmf: false });
+  assert.deepEqual(consentPolicy(config, 'US-NY'), { jurisdiction: 'US-NY', ask: true, text: 'May we record?', dtmf: false });
+  assert.deepEqual(consentPolicy(config, 'US'), { jurisdiction: 'US', ask: true, text: 'May we record?', dtmf: false });
+  assert.equal(consentPolicy(config, 'US-CA').ask, true);
+  assert.equal(consentPolicy(config, 'GB').ask, false);
+  assert.equal(consentPolicy(parseConsentConfig({ mode: 'ask' }), 'US-TX').ask, true);
+});
+
+test('classifyConsent takes a keypress over speech without asking the model', async () => {
+  const llm = fakeLlm('{"answer": "no"}');
+  assert.deepEqual(await classifyConsent(llm, { digits: '1', speech: 'no' }, SCRIPT), { answer: 'yes', method: 'dtmf', reason: 'Pressed 1' });
+  assert.deepEqual(await classifyConsent(llm, { digits: '2' }, SCRIPT), { answer: 'no', method: 'dtmf', reason: 'Pressed 2' });
+  assert.deepEqual(await classifyConsent(llm, { digits: '9' }, SCRIPT), { answer: 'unclear', method: 'dtmf', reason: 'Pressed 9' });
+  assert.deepEqual(await classifyConsent(llm, { speech: '  ' }, SCRIPT), { answer: 'none', method: null, reason: 'No response' });
+  assert.equal(llm.requests.length, 0);
+});
+
+test('classifyConsent asks the model about spoken answers', async () => {
+  const llm = fakeLlm('Here you go: {"answer": "Unclear", "reason": "Hesitant"}');
+
+  assert.deepEqual(await classifyConsent(llm, { speech: "I'm not sure" }, SCRIPT), { answer: 'unclear', method: 'speech', reason: 'Hesitant' });
+  const [{ messages, options }] = llm.requests;
+  assert.ok(messages[0].content.includes(`"${SCRIPT}"`));
+  assert.deepEqual(messages[1], { role: 'user', content: "I'm not sure" });
+  assert.equal(options.temperature, 0);
+});
+
+test('classifyConsent never takes a failed classification as agreement', async () => {
+  for (const reply of ['Sure thing', '{"answer": "maybe"}', new Error('timeout')]) {
+    const { answer, method } = await classifyConsent(fakeLlm(reply), { speech: 'yes please' }, SCRIPT);
+    assert.deepEqual([answer, method], ['unclear', 'speech'], String(reply));
+  }
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(classifyConsent(fakeLlm(new Error('aborted')), { speech: 'yes' }, SCRIPT, { signal: controller.signal }), /aborted/);
+});
+
+test('consentOutcome asks once more before giving up on an unclear answer', () => {
+  assert.equal(consentOutcome('yes', 1), 'granted');
+  assert.equal(consentOutcome('no', 1), 'declined');
+  assert.equal(consentOutcome('unclear', 1), null);
+  assert.equal(consentOutcome('none', 1), null);
+  assert.equal(consentOutcome('unclear', 2), 'unclear');
+  assert.equal(consentOutcome('none', 2), 'no_response');
+});
+
+test('handleResponse records the outcome against the caller\'s jurisdiction', async () => {
+  const { service } = consentService('{"answer": "yes", "reason": "Said yes"}');
+  const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful' });
+  const conversation = await Conversation.create({ agent_id: agent.id, direction: 'inbound', customer_number: '+15550106000' });
+  const body = { Direction: 'inbound', FromCountry: 'US', FromState: 'CA', SpeechResult: 'Yes, go ahead' };
+
+  const { outcome, policy } = await service.handleResponse(agent, conversation, body, 1);
+
+  assert.equal(outcome, 'granted');
+  assert.equal(policy.jurisdiction, 'US-CA');
+  const recorded = await Conversation.findById(conversation.id);
+  assert.equal(recorded.consent_outcome, 'granted');
+  assert.ok(recorded.consent_at);
+  assert.deepEqual(JSON.parse(recorded.consent_record), {
+    jurisdiction: 'US-CA',
+    asked: true,
+    script: SCRIPT,
+    method: 'speech',
+    response: 'Yes, go ahead',
+    reason: 'Said yes',
+    attempts: 1
+  });
+});
+
+test('handleResponse leaves an unclear first answer unrecorded, then records it', async () => {
+  const { service } = consentService('{"answer": "unclear", "reason": "A question"}');
+  const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful', consent_config: { mode: 'ask' } });
+  const conversation = await Conversation.create({ agent_id: agent.id, direction: 'inbound', customer_number: '+15550106001' });
+  const body = { Direction: 'inbound', FromCountry: 'US', FromState: 'TX', SpeechResult: 'Who is this?' };
+
+  assert.equal((await service.handleResponse(agent, conversation, body, 1)).outcome, null);
+  assert.equal((await Conversation.findById(conversation.id)).consent_outcome, null);
+
+  assert.equal((await service.handleResponse(agent, conversation, body, 2)).outcome, 'unclear');
+  assert.equal(JSON.parse((await Conversation.findById(conversation.id)).consent_record).attempts, 2);
+});
+
+test('policiesFor lists each distinct script and disclosure the agent can use', async () => {
+  const { service } = consentService();
+  const agent = { consent_config: JSON.stringify({ jurisdictions: { 'US-TX': { mode: 'ask' }, GB: { script: 'May we record?', dtmf: false } } }) };
+
+  assert.deepEqual(service.policiesFor(agent).map(({ ask, text }) => [ask, text]), [
+    [true, SCRIPT],
+    [false, DEFAULT_CONSENT_CONFIG.disclosure],
+    [true, 'May we record?']
+  ]);
+});
+
+test('buildPromptTwiml plays the script, repeats it after an unclear answer, and falls back to <Say>', async () => {
+  const { service, spoken } = consentService();
+  const policy = consentPolicy(parseConsentConfig(null), 'US-CA');
+
+  const first = await service.buildPromptTwiml({ voice: 'alloy' }, policy, '/api/calls/twiml/a1');
+  assert.ok(first.includes('input="dtmf speech"'));
+  assert.ok(first.includes('attempt=1'));
+  assert.ok(first.includes('<Play>https://example.test/consent.wav</Play>'));
+  await service.buildPromptTwiml({ voice: 'alloy' }, policy, '/api/calls/twiml/a1', 2, 'es-US');
+  assert.deepEqual(spoken, [SCRIPT, `${CONSENT_RETRY_PROMPT} ${SCRIPT}`]);
+
+  service.aiService.generateTTS = async () => { throw new Error('TTS is down'); };
+  const fallback = await service.buildPromptTwiml({ voice: 'alloy' }, { ...policy, dtmf: false, text: 'Recorded <ok>?' }, '/api/calls/twiml/a1');
+  assert.ok(fallback.includes('input="speech"'));
+  assert.ok(fallback.includes('<Say voice="alice">Recorded &lt;ok&gt;?</Say>'));
+});
@@ -0,0 +1,106 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Contact } = await import('../models/Contact.js');
+const { default: Conversation } = await import('../models/Conversation.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful' });
+let numbers = 0;
+
+async function newContact() {
+  return await Contact.create({ name: 'Ann', phone_number: `+1555010${String(numbers++).padStart(4, '0')}` });
+}
+
+// Makes every update of `table` fail until the test ends
+async function failUpdates(t, table) {
+  await db.run(`CREATE TRIGGER fail_${table} BEFORE UPDATE ON ${table} BEGIN SELECT RAISE(ABORT, '${table} are locked'); END`);
+  t.after(() => db.run(`DROP TRIGGER fail_${table}`));
+}
+
+test('foreign keys reject rows that refer to nothing', async () => {
+  assert.deepEqual(await db.get('PRAGMA foreign_keys'), { foreign_keys: 1 });
+  await assert.rejects(
+    Conversation.create({ agent_id: 'no-such-agent', direction: 'inbound', customer_number: '+15550001111' }),
+    /FOREIGN KEY constraint failed/
+  );
+  await assert.rejects(Conversation.addMessage('no-such-call', 'user', 'Hello'), /FOREIGN KEY constraint failed/);
+});
+
+test('createOutbound stores the call and counts it against the contact', async () => {
+  const contact = await newContact();
+
+  const conversation = await Conversation.createOutbound({ agent_id: agent.id, customer_number: contact.phone_number }, contact.id);
+
+  assert.equal((await Conversation.findById(conversation.id)).direction, 'outbound');
+  const counted = await Contact.findById(contact.id);
+  assert.equal(counted.call_count, 1);
+  assert.notEqual(counted.last_called, null);
+});
+
+test('createOutbound stores nothing when counting the call fails', async (t) => {
+  const contact = await newContact();
+  await failUpdates(t, 'contacts');
+  const before = (await db.get('SELECT COUNT(*) AS n FROM conversations')).n;
+
+  await assert.rejects(
+    Conversation.createOutbound({ agent_id: agent.id, customer_number: contact.phone_number }, contact.id),
+    /contacts are locked/
+  );
+
+  assert.equal((await db.get('SELECT COUNT(*) AS n FROM conversations')).n, before);
+  assert.equal((await Contact.findById(contact.id)).call_count, 0);
+});
+
+test('addMessage with audio stores the message and the audio together', async (t) => {
+  const conversation = await Conversation.create({ agent_id: agent.id, direction: 'inbound', customer_number: '+15550002222' });
+
+  await Conversation.addMessage(conversation.id, 'assistant', 'Hi there', { audioUrl: '/audio/one.mp3' });
+  assert.equal((await Conversation.findById(conversation.id)).audio_url, '/audio/one.mp3');
+
+  await failUpdates(t, 'conversations');
+  await assert.rejects(
+    Conversation.addMessage(conversation.id, 'assistant', 'Still there?', { audioUrl: '/audio/two.mp3' }),
+    /conversations are locked/
+  );
+  assert.deepEqual((await Conversation.getMessages(conversation.id)).map(message => message.content), ['Hi there']);
+  assert.equal((await Conversation.findById(conversation.id)).audio_url, '/audio/one.mp3');
+});
+
+test('archiving an agent or contact keeps their calls listed', async () => {
+  const archivedAgent = await Agent.create({ name: 'Robin', prompt: 'Be brief' });
+  const contact = await newContact();
+  const conversation = await Conversation.createOutbound({ agent_id: archivedAgent.id, customer_number: contact.phone_number }, contact.id);
+  const listed = async () => (await Conversation.findAll({ agentId: archivedAgent.id })).items;
+
+  assert.equal(await Agent.archive(archivedAgent.id), true);
+  assert.equal(await Contact.archive(contact.id), true);
+  assert.equal(await Agent.findActiveById(archivedAgent.id), undefined);
+
+  const [call] = await listed();
+  assert.equal(call.id, conversation.id);
+  assert.equal(call.agent_name, 'Robin');
+  assert.equal((await Conversation.findAll({})).total, (await db.get('SELECT COUNT(*) AS n FROM conversations')).n);
+
+  const restored = await Agent.restore(archivedAgent.id);
+  assert.equal(restored.archived_at, null);
+  assert.equal((await Contact.restore(contact.id)).archived_at, null);
+  assert.deepEqual((await listed()).map(call => call.id), [conversation.id]);
+});
@@ -0,0 +1,211 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Contact } = await import('../models/Contact.js');
+const { default: Campaign } = await import('../models/Campaign.js');
+const { default: CampaignContact } = await import('../models/CampaignContact.js');
+const { default: DeferredCall } = await import('../models/DeferredCall.js');
+const { default: TwilioService } = await import('../services/TwilioService.js');
+const { default: DoNotCallService } = await import('../services/DoNotCallService.js');
+const { default: CampaignService } = await import('../services/CampaignService.js');
+const { default: CallingHoursService } = await import('../services/CallingHoursService.js');
+const { normalizePhoneNumber, isValidPhoneNumber, parsePhoneList, DO_NOT_CALL_MESSAGE } = await import('../src/dnc.js');
+
+// The calls router dials through its own TwilioService, made when it loads
+const dialled = [];
+TwilioService.prototype.makeOutboundCall = async function (to, agentId) {
+  dialled.push({ to, agentId });
+  return { callSid: `CA${dialled.length}` };
+};
+const { default: callRoutes } = await import('../src/routes/calls.js');
+
+await new Migrator(db).migrate();
+
+const app = express();
+app.use(express.json());
+app.use('/api/calls', callRoutes);
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(async () => {
+  server.close();
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const doNotCallService = new DoNotCallService();
+const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful', use_case: 'outbound', calling_hours: { enabled: false } });
+
+const blockedEvents = phoneNumber =>
+  db.all("SELECT * FROM compliance_events WHERE type = 'dnc_blocked' AND phone_number = ?", [phoneNumber]);
+
+const outbound = async body => {
+  const response = await fetch(`${baseUrl}/api/calls/outbound`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('normalizePhoneNumber strips formatting, and only E.164 numbers are valid', () => {
+  assert.equal(normalizePhoneNumber(' +1 (555) 010-2000 '), '+15550102000');
+  assert.equal(normalizePhoneNumber('+44.20.7946.0000'), '+442079460000');
+  assert.equal(normalizePhoneNumber(null), '');
+
+  assert.equal(isValidPhoneNumber('+15550102000'), true);
+  for (const number of ['15550102000', '+05550102000', '+12345', '+1555010200012345', '+1555CALLNOW', '']) {
+    assert.equal(isValidPhoneNumber(number), false, number);
+  }
+});
+
+test('parsePhoneList finds the phone column by its header', () => {
+  const csv = 'Name,Phone Number,Notes\nAnn,+1 555 010 2000,"called twice, annoyed"\nBob,+15550102001,\n';
+  assert.deepEqual(parsePhoneList(csv), { numbers: ['+15550102000', '+15550102001'], skipped: 0 });
+
+  for (const header of ['phone', 'NUMBER', 'phone_number']) {
+    assert.deepEqual(parsePhoneList(`id,${header}\n7,+15550102000`), { numbers: ['+15550102000'], skipped: 0 }, header);
+  }
+});
+
+test('parsePhoneList reads the first field of headerless lists', () => {
+  assert.deepEqual(parsePhoneList('+15550102000\n\n+15550102001, landline\r\n'), {
+    numbers: ['+15550102000', '+15550102001'],
+    skipped: 0
+  });
+  // A header it does not recognize is just a row without a number
+  assert.deepEqual(parsePhoneList('mobile\n+15550102000'), { numbers: ['+15550102000'], skipped: 1 });
+});
+
+test('parsePhoneList drops duplicates and counts rows without a usable number', () => {
+  const list = 'phone\n+15550102000\n+1 (555) 010-2000\nnot a number\n5550102000\nn/a\n+15550102001';
+  assert.deepEqual(parsePhoneList(list), { numbers: ['+15550102000', '+15550102001'], skipped: 3 });
+});
+
+test('add validates the number and source, and keeps the first entry', async () => {
+  assert.deepEqual(await doNotCallService.add('555-0100'), { error: 'Phone number must be in E.164 format, e.g. +15551234567' });
+  assert.deepEqual(await doNotCallService.add('+15550103000', { source: 'rumour' }), { error: 'Source must be one of: manual, import, opt_out' });
+
+  const first = await doNotCallService.add('+1 555 010 3000', { reason: 'Asked by email' });
+  assert.equal(first.added, true);
+  assert.equal(first.entry.phone_number, '+15550103000');
+  const again = await doNotCallService.add('+15550103000', { reason: 'Asked again' });
+  assert.equal(again.added, false);
+  assert.equal(again.entry.reason, 'Asked by email');
+
+  const added = await db.all("SELECT * FROM compliance_events WHERE type = 'dnc_added' AND phone_number = ?", ['+15550103000']);
+  assert.equal(added.length, 1);
+});
+
+test('importList adds new numbers and reports duplicates and skipped rows', async () => {
+  await doNotCallService.add('+15550104000');
+
+  const result = await doNotCallService.importList('phone\n+15550104000\n+15550104001\n+15550104001\noops', { reason: 'Carrier list' });
+
+  assert.deepEqual(result, { added: 1, duplicates: 1, skipped: 1 });
+  assert.equal((await doNotCallService.check('+15550104001', 'test')).source, 'import');
+  const event = await db.get("SELECT * FROM compliance_events WHERE type = 'dnc_imported' ORDER BY created_at DESC");
+  assert.deepEqual(JSON.parse(event.details), { reason: 'Carrier list', added: 1, duplicates: 1, skipped: 1 });
+});
+
+test('check logs blocked attempts, and lets other numbers through', async () => {
+  await doNotCallService.add('+15550105000', { reason: 'Opted out' });
+
+  assert.equal(await doNotCallService.check('+15550105001', 'outbound'), null);
+  const entry = await doNotCallService.check('+1 (555) 010-5000', 'outbound', { agent_id: agent.id });
+
+  assert.equal(entry.phone_number, '+15550105000');
+  const [event] = await blockedEvents('+15550105000');
+  assert.equal(event.source, 'outbound');
+  assert.deepEqual(JSON.parse(event.details), { agent_id: agent.id, listed_at: entry.created_at, listed_reason: 'Opted out' });
+  assert.deepEqual(await blockedEvents('+15550105001'), []);
+});
+
+test('remove takes a number off the list', async () => {
+  await doNotCallService.add('+15550106000');
+
+  assert.equal(await doNotCallService.remove('+1 555 010 6000'), true);
+  assert.equal(await doNotCallService.remove('+15550106000'), false);
+  assert.equal(await doNotCallService.check('+15550106000', 'outbound'), null);
+});
+
+test('POST /outbound refuses listed numbers without dialling', async () => {
+  await doNotCallService.add('+15550107000');
+  const contact = await Contact.create({ name: 'Ann', phone_number: '+15550107000' });
+  dialled.length = 0;
+
+  assert.deepEqual(await outbound({ agent_id: agent.id, to: '+15550107000' }), {
+    status: 403,
+    body: { error: DO_NOT_CALL_MESSAGE, code: 'do_not_call', phone_number: '+15550107000' }
+  });
+  assert.equal((await outbound({ agent_id: agent.id, contact_id: contact.id })).status, 403);
+  assert.deepEqual(dialled, []);
+
+  const events = await blockedEvents('+15550107000');
+  assert.deepEqual(events.map(event => JSON.parse(event.details).contact_id), [null, contact.id]);
+  assert.ok(events.every(event => event.source === 'outbound'));
+});
+
+test('POST /outbound dials numbers that are not listed', async () => {
+  dialled.length = 0;
+
+  const { status, body } = await outbound({ agent_id: agent.id, to: '+15550107001' });
+
+  assert.equal(status, 200);
+  assert.equal(body.callSid, 'CA1');
+  assert.deepEqual(dialled, [{ to: '+15550107001', agentId: agent.id }]);
+});
+
+test('campaigns cancel listed contacts without dialling', async () => {
+  const calls = [];
+  const service = new CampaignService({ makeOutboundCall: async to => { calls.push(to); return { callSid: 'CA9' }; } });
+  await doNotCallService.add('+15550108000');
+  const campaign = await Campaign.create({ name: 'Renewals', agent_id: agent.id });
+  const contact = await Contact.create({ name: 'Bob', phone_number: '+15550108000' });
+  await CampaignContact.addContacts(campaign.id, [contact]);
+  const [entry] = await CampaignContact.findByCampaignId(campaign.id);
+
+  await service.placeCall(campaign, agent, entry);
+
+  assert.deepEqual(calls, []);
+  const cancelled = await CampaignContact.findById(entry.id);
+  assert.deepEqual([cancelled.status, cancelled.outcome], ['cancelled', 'do-not-call']);
+  const [event] = await blockedEvents('+15550108000');
+  assert.equal(event.source, 'campaign');
+  assert.equal(JSON.parse(event.details).campaign_id, campaign.id);
+});
+
+test('deferred calls are cancelled when the number was listed while they waited', async () => {
+  const calls = [];
+  const service = new CallingHoursService({ makeOutboundCall: async to => { calls.push(to); return { callSid: 'CA9' }; } });
+  const call = await DeferredCall.create({ agent_id: agent.id, phone_number: '+15550109000', scheduled_for: new Date() });
+  await doNotCallService.add('+15550109000');
+
+  await service.placeDeferred(call);
+
+  assert.deepEqual(calls, []);
+  const cancelled = await DeferredCall.findById(call.id);
+  assert.deepEqual([cancelled.status, cancelled.outcome], ['cancelled', 'do-not-call']);
+  const [event] = await blockedEvents('+15550109000');
+  assert.equal(event.source, 'deferred');
+  assert.equal(JSON.parse(event.details).deferred_call_id, call.id);
+});
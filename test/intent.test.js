@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_INTENT_CONFIG,
+  INTENT_RESPONSES,
+  IntentHeader,
+  intentInstructions,
+  parseIntentConfig,
+  validateIntentConfig
+} from '../src/intent.js';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: AIService } = await import('../services/AIService.js');
+
+const TRANSFER_LINE = '{"intent": "transfer", "confidence": 0.9, "reason": "asks for a manager"}\n';
+const CONTINUE_LINE = '{"intent": "continue", "confidence": 0.95, "reason": "asks about prices"}\n';
+
+function read(chunks, intentConfig = DEFAULT_INTENT_CONFIG) {
+  const header = new IntentHeader(intentConfig);
+  const reply = chunks.map(chunk => header.push(chunk)).join('');
+  return { reply, intent: header.finish() };
+}
+
+// An AIService whose LLM streams `chunks` and records what it was asked
+function serviceStreaming(chunks) {
+  const service = new AIService();
+  const requests = [];
+  service.llm = {
+    async *stream(messages, options) {
+      requests.push({ messages, options });
+      for (const chunk of chunks) {
+        options.signal?.throwIfAborted();
+        yield chunk;
+      }
+    },
+    async chat(messages, options) {
+      requests.push({ messages, options });
+      return { content: chunks.join(''), toolCalls: [], usage: null };
+    }
+  };
+  return { service, requests };
+}
+
+test('parseIntentConfig fills in the defaults', () => {
+  assert.deepEqual(parseIntentConfig(null), DEFAULT_INTENT_CONFIG);
+  assert.deepEqual(parseIntentConfig('{"threshold": 0.9}'), { ...DEFAULT_INTENT_CONFIG, threshold: 0.9 });
+  assert.deepEqual(parseIntentConfig({ intents: ['transfer'] }), { ...DEFAULT_INTENT_CONFIG, intents: ['transfer'] });
+  assert.deepEqual(parseIntentConfig('{oops'), DEFAULT_INTENT_CONFIG);
+});
+
+test('validateIntentConfig explains what is wrong', () => {
+  assert.equal(validateIntentConfig({ enabled: false, threshold: 0.5, intents: ['opt_out'], instructions: '' }), null);
+  assert.equal(validateIntentConfig([]), 'Intent config must be an object');
+  assert.equal(validateIntentConfig({ enabled: 'yes' }), 'Intent config: enabled must be a boolean');
+  assert.equal(validateIntentConfig({ threshold: 1.5 }), 'Intent config: threshold must be a number between 0 and 1');
+  assert.equal(validateIntentConfig({ intents: 'transfer' }), 'Intent config: intents must be an array');
+  assert.equal(
+    validateIntentConfig({ intents: ['continue'] }),
+    'Intent config: unknown intent continue. Available: transfer, end_call, voicemail, opt_out'
+  );
+  assert.equal(validateIntentConfig({ instructions: 3 }), 'Intent config: instructions must be a string');
+});
+
+test('IntentHeader reads the intent line off the reply, however it is chunked', () => {
+  const text = `${CONTINUE_LINE}Our plans start at $10. Anything else?`;
+  for (let size = 1; size <= text.length; size += 7) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    assert.deepEqual(read(chunks), {
+      reply: 'Our plans start at $10. Anything else?',
+      intent: { intent: 'continue', confidence: 0.95, reason: 'asks about prices' }
+    }, `chunks of ${size}`);
+  }
+});
+
+test('IntentHeader holds back the reply until the line is complete', () => {
+  const header = new IntentHeader(DEFAULT_INTENT_CONFIG);
+  assert.equal(header.push('{"intent": "transfer", "reason": "wants a {manager}'), '');
+  assert.equal(header.intent, null);
+  assert.equal(header.push('", "confidence": 0.8}\nSure'), 'Sure');
+  assert.equal(header.overrides, true);
+});
+
+test('IntentHeader falls back to continue on a bad model response', () => {
+  assert.deepEqual(read(['Hello! How can I help?']), {
+    reply: 'Hello! How can I help?',
+    intent: { intent: 'continue', confidence: 0, reason: 'Classification could not be parsed' }
+  });
+  assert.deepEqual(read(['{"intent": "sing", "confidence": 1}\nLa la']).intent.intent, 'continue');
+  assert.deepEqual(read(['{"intent": "transfer", "confid']), {
+    reply: '',
+    intent: { intent: 'continue', confidence: 0, reason: 'Classification could not be parsed' }
+  });
+  assert.equal(read([`{${'x'.repeat(500)}`, '\nHi']).intent.intent, 'continue');
+});
+
+test('IntentHeader applies the threshold and the agent\'s intents', () => {
+  assert.deepEqual(read(['{"intent": "transfer", "confidence": 0.4, "reason": "maybe"}\nOk']).intent, {
+    intent: 'continue',
+    confidence: 0.4,
+    reason: 'Below threshold (transfer): maybe'
+  });
+  const noTransfers = { ...DEFAULT_INTENT_CONFIG, intents: ['end_call'] };
+  assert.equal(read([TRANSFER_LINE, 'Ok'], noTransfers).intent.intent, 'continue');
+});
+
+test('with intent detection off there is no line to read or ask for', () => {
+  const off = { ...DEFAULT_INTENT_CONFIG, enabled: false };
+  assert.equal(intentInstructions(off), null);
+  assert.deepEqual(read(['{"a": 1} is JSON'], off), {
+    reply: '{"a": 1} is JSON',
+    intent: { intent: 'continue', confidence: 1, reason: 'Intent detection disabled' }
+  });
+});
+
+test('one completion carries both the intent and the reply', async () => {
+  const { service, requests } = serviceStreaming([CONTINUE_LINE.slice(0, 20), CONTINUE_LINE.slice(20), 'Sure. ', 'It is $10.']);
+  const sentences = [];
+
+  const result = await service.generateStreamingResponse([{ role: 'user', content: 'Prices?' }], 'Sell plans', null, {
+    onSentence: sentence => sentences.push(sentence)
+  });
+
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].messages[0].content, /Start your response with one line of JSON/);
+  assert.deepEqual(sentences, ['Sure.', 'It is $10.']);
+  assert.equal(result.response, 'Sure. It is $10.');
+  assert.equal(result.intent.intent, 'continue');
+});
+
+test('a streamed reply is dropped unspoken when the intent is not continue', async () => {
+  const { service, requests } = serviceStreaming([TRANSFER_LINE, 'Let me get ', 'someone. ', 'One moment.']);
+  const sentences = [];
+
+  const result = await service.generateStreamingResponse([{ role: 'user', content: 'Manager, please' }], 'Sell plans', null, {
+    onSentence: sentence => sentences.push(sentence)
+  });
+
+  assert.deepEqual(sentences, [INTENT_RESPONSES.transfer]);
+  assert.equal(requests[0].options.signal.aborted, true);
+  assert.equal(result.transferRequested, true);
+  assert.equal(result.transferReason, 'asks for a manager');
+});
+
+test('a whole reply is replaced by the canned response when the intent is not continue', async () => {
+  const { service } = serviceStreaming(['{"intent": "opt_out", "confidence": 1, "reason": "stop calling"}']);
+
+  const result = await service.generateResponse([{ role: 'user', content: 'Stop calling me' }], 'Sell plans', null, {
+    intentResponses: { opt_out: 'Removed. Bye.' }
+  });
+
+  assert.equal(result.response, 'Removed. Bye.');
+  assert.equal(result.endCall, true);
+});
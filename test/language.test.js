@@ -0,0 +1,212 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Conversation } = await import('../models/Conversation.js');
+const { default: TwilioService } = await import('../services/TwilioService.js');
+const { default: LanguageService } = await import('../services/LanguageService.js');
+const {
+  DEFAULT_LANGUAGE_CONFIG,
+  parseLanguageConfig,
+  validateLanguageConfig,
+  needsDetection,
+  languageSettings,
+  languageGreeting,
+  languageInstruction,
+  languageMenu,
+  menuChoice,
+  matchLanguage,
+  detectLanguage
+} = await import('../src/language.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// An LLM provider that answers every chat with `content` (or throws it)
+function fakeLlm(content) {
+  const requests = [];
+  return {
+    requests,
+    async chat(messages, options) {
+      requests.push({ messages, options });
+      if (content instanceof Error) throw content;
+      return { content };
+    }
+  };
+}
+
+// A LanguageService detecting languages with a model that replies `content`
+function languageService(content = '{"language": "es"}') {
+  const llm = fakeLlm(content);
+  const aiService = {
+    detectLanguage: (text, languages, options) => detectLanguage(llm, text, languages, options)
+  };
+  return { service: new LanguageService(aiService, new TwilioService()), llm };
+}
+
+const bilingual = parseLanguageConfig({ languages: ['en', 'es', 'fr'], voices: { fr: 'aura-2-agathe-fr' } });
+
+async function call(languageConfig, voice = 'aura-orion-en') {
+  const { id } = await Agent.create({ name: 'Sam', prompt: 'Be helpful', voice, language_config: languageConfig });
+  const agent = await Agent.findById(id);
+  const conversation = await Conversation.create({ agent_id: id, direction: 'inbound', customer_number: '+15550107000' });
+  return { agent, conversation };
+}
+
+test('parseLanguageConfig defaults to the first language listed', () => {
+  assert.deepEqual(parseLanguageConfig(null), DEFAULT_LANGUAGE_CONFIG);
+  assert.equal(parseLanguageConfig('{"languages": ["es", "en"]}').default, 'es');
+  assert.equal(parseLanguageConfig({ languages: ['es', 'en'], default: 'en' }).default, 'en');
+  assert.deepEqual(parseLanguageConfig('{oops'), DEFAULT_LANGUAGE_CONFIG);
+});
+
+test('validateLanguageConfig insists on a voice for every language', () => {
+  assert.equal(validateLanguageConfig({ languages: ['en', 'es'] }), null);
+  assert.equal(validateLanguageConfig({ languages: ['de', 'en'], voices: {} }), null); // German is the default: the agent's voice
+  assert.equal(validateLanguageConfig({ languages: ['en', 'fr'] }), 'Language config: voices.fr is required, there is no built-in French voice');
+  assert.equal(validateLanguageConfig({ languages: ['en', 'fr'], voices: { fr: 'aura-2-agathe-fr' } }), null);
+
+  assert.equal(validateLanguageConfig({ languages: [] }), 'Language config: languages must be a list of distinct codes from: en, es, fr, de, it, nl, pt, ja');
+  assert.equal(validateLanguageConfig({ languages: ['en', 'en'] }), 'Language config: languages must be a list of distinct codes from: en, es, fr, de, it, nl, pt, ja');
+  assert.equal(validateLanguageConfig({ languages: ['en'], default: 'es' }), 'Language config: default must be one of the agent\'s languages');
+  assert.equal(validateLanguageConfig({ languages: ['en'], detect: 'guess' }), 'Language config: detect must be one of auto, menu, off');
+  assert.equal(validateLanguageConfig({ languages: ['en'], voices: { es: 'x' } }), 'Language config: voices.es is not one of the agent\'s languages');
+  assert.equal(validateLanguageConfig({ languages: ['en'], voices: { en: ' ' } }), 'Language config: voices.en must be a voice name');
+});
+
+test('needsDetection only for agents with a choice to make', () => {
+  assert.equal(needsDetection(DEFAULT_LANGUAGE_CONFIG), false);
+  assert.equal(needsDetection(bilingual), true);
+  assert.equal(needsDetection({ ...bilingual, detect: 'off' }), false);
+});
+
+test('languageSettings picks each language\'s voice, and the agent\'s for the default', () => {
+  assert.deepEqual(languageSettings(bilingual, 'en', 'aura-orion-en'), { code: 'en', name: 'English', gather: 'en-US', stt: 'en-US', voice: 'aura-orion-en' });
+  assert.deepEqual(languageSettings(bilingual, 'es', 'aura-orion-en'), { code: 'es', name: 'Spanish', gather: 'es-US', stt: 'es', voice: 'aura-2-celeste-es' });
+  assert.equal(languageSettings(bilingual, 'fr', 'aura-orion-en').voice, 'aura-2-agathe-fr');
+  // Languages the agent does not speak fall back to the default
+  assert.equal(languageSettings(bilingual, 'ja', 'aura-orion-en').code, 'en');
+  assert.equal(languageSettings(bilingual, null, 'aura-orion-en').code, 'en');
+  // A voice given for the default replaces the agent's
+  assert.equal(languageSettings({ ...bilingual, voices: { en: 'aura-luna-en' } }, 'en', 'aura-orion-en').voice, 'aura-luna-en');
+});
+
+test('languageGreeting and languageInstruction follow the caller', () => {
+  assert.equal(languageGreeting('es', 'Sam'), 'Le atiende Sam. ¿En qué puedo ayudarle hoy?');
+  assert.equal(languageGreeting('xx', 'Sam'), 'Sam here. How can I help you today?');
+
+  assert.equal(languageInstruction(DEFAULT_LANGUAGE_CONFIG, { code: 'en', name: 'English' }), null);
+  assert.equal(languageInstruction(bilingual, { code: 'en', name: 'English' }), 'The caller speaks English. Always reply in English, whatever language the instructions above are written in.');
+  assert.match(languageInstruction(bilingual, { code: 'es', name: 'Spanish' }), /^The caller speaks Spanish\./);
+});
+
+test('the menu numbers languages in order and understands keys or names', () => {
+  assert.deepEqual(languageMenu(bilingual).map(({ digit, code, gather }) => [digit, code, gather]), [
+    ['1', 'en', 'en-US'],
+    ['2', 'es', 'es-US'],
+    ['3', 'fr', 'fr-FR']
+  ]);
+  assert.equal(languageMenu(bilingual)[1].text, 'Para español, oprima el 2.');
+
+  assert.equal(menuChoice(bilingual, { digits: '2', speech: 'French' }), 'es');
+  assert.equal(menuChoice(bilingual, { digits: '7' }), null);
+  assert.equal(menuChoice(bilingual, { speech: 'Français, s\'il vous plaît' }), 'fr');
+  assert.equal(menuChoice(bilingual, { speech: 'Spanish please' }), 'es');
+  assert.equal(menuChoice(bilingual, { speech: 'Deutsch' }), null);
+  assert.equal(menuChoice(bilingual, {}), null);
+});
+
+test('matchLanguage maps recognizer tags to the agent\'s languages', () => {
+  assert.equal(matchLanguage(bilingual, 'es-419'), 'es');
+  assert.equal(matchLanguage(bilingual, 'FR_ca'), 'fr');
+  assert.equal(matchLanguage(bilingual, 'de'), null);
+  assert.equal(matchLanguage(bilingual, null), null);
+});
+
+test('detectLanguage asks the model to choose among the agent\'s languages', async () => {
+  const llm = fakeLlm('{"language": "ES"}');
+
+  assert.equal(await detectLanguage(llm, 'Hola, quiero pagar mi factura', ['en', 'es']), 'es');
+  const [{ messages }] = llm.requests;
+  assert.match(messages[0].content, /- en: English\n- es: Spanish\n/);
+  assert.deepEqual(messages[1], { role: 'user', content: 'Hola, quiero pagar mi factura' });
+});
+
+test('detectLanguage gives null rather than guessing', async () => {
+  assert.equal(await detectLanguage(fakeLlm('{"language": "es"}'), '   ', ['en', 'es']), null);
+  for (const reply of ['{"language": "de"}', 'Spanish', new Error('timeout')]) {
+    assert.equal(await detectLanguage(fakeLlm(reply), 'Hallo', ['en', 'es']), null, String(reply));
+  }
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(detectLanguage(fakeLlm(new Error('aborted')), 'Hola', ['en', 'es'], { signal: controller.signal }), /aborted/);
+});
+
+test('detect stores the language and returns its voice', async () => {
+  const { service, llm } = languageService('{"language": "es"}');
+  const { agent, conversation } = await call(bilingual);
+
+  const settings = await service.detect(agent, conversation, 'Hola, buenos días');
+
+  assert.equal(settings.voice, 'aura-2-celeste-es');
+  assert.equal(conversation.language, 'es');
+  assert.equal((await Conversation.findById(conversation.id)).language, 'es');
+  assert.equal(llm.requests.length, 1);
+  assert.deepEqual(service.settingsFor(agent, conversation), settings);
+});
+
+test('detect trusts the recognizer\'s tag without asking the model', async () => {
+  const { service, llm } = languageService('{"language": "es"}');
+  const { agent, conversation } = await call(bilingual);
+
+  assert.equal((await service.detect(agent, conversation, 'Bonjour', { heard: 'fr' })).voice, 'aura-2-agathe-fr');
+  assert.equal(llm.requests.length, 0);
+});
+
+test('detect keeps the current language, then the default, when detection fails', async () => {
+  const { service } = languageService('no idea');
+  const { agent, conversation } = await call(bilingual);
+
+  assert.equal((await service.detect(agent, conversation, 'Mm-hmm')).code, 'en');
+  conversation.language = 'es';
+  assert.equal((await service.detect(agent, conversation, 'Mm-hmm')).code, 'es');
+});
+
+test('the menu is offered once, to agents set to use it', async () => {
+  const { service } = languageService();
+  const { agent, conversation } = await call({ ...bilingual, detect: 'menu' });
+
+  assert.equal(service.offersMenu(agent, conversation), true);
+  assert.equal(service.detectsFromSpeech(agent), false);
+  assert.match(service.buildMenuTwiml(agent, '/api/calls/twiml/a1'), /<Say language="es-US">Para español, oprima el 2\.<\/Say>/);
+
+  const settings = await service.handleMenuResponse(agent, conversation, { Digits: '3' });
+  assert.equal(settings.code, 'fr');
+  assert.equal(service.offersMenu(agent, conversation), false);
+
+  // No answer keeps the default
+  const other = await call({ ...bilingual, detect: 'menu' });
+  assert.equal((await service.handleMenuResponse(other.agent, other.conversation, {})).code, 'en');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseListQuery, listResponse, MAX_PAGE_SIZE } from '../src/list-query.js';
+
+const filters = {
+  agent_id: 'string',
+  min_duration: 'integer',
+  include_archived: 'boolean',
+  direction: ['inbound', 'outbound'],
+  created_after: 'date'
+};
+
+test('parseListQuery reads paging options and camelCases filters', () => {
+  const { options, error } = parseListQuery({
+    limit: '20',
+    cursor: 'abc',
+    sort: '-created_at',
+    agent_id: 'a1',
+    min_duration: '30',
+    include_archived: 'false',
+    direction: 'inbound',
+    unknown: 'ignored'
+  }, { filters });
+
+  assert.equal(error, null);
+  assert.deepEqual(options, {
+    limit: 20,
+    cursor: 'abc',
+    sort: '-created_at',
+    agentId: 'a1',
+    minDuration: 30,
+    includeArchived: false,
+    direction: 'inbound'
+  });
+});
+
+test('parseListQuery leaves out empty parameters and uses the default page size', () => {
+  assert.deepEqual(parseListQuery({ cursor: '', agent_id: '' }, { filters, limit: 25 }), {
+    options: { limit: 25 },
+    error: null
+  });
+});
+
+test('parseListQuery reads dates without an offset as UTC', () => {
+  for (const [raw, iso] of [
+    ['2026-10-19', '2026-10-19T00:00:00.000Z'],
+    ['2026-10-19T14:00', '2026-10-19T14:00:00.000Z'],
+    ['2026-10-19 14:00:30', '2026-10-19T14:00:30.000Z'],
+    ['2026-10-19T14:00:00+02:00', '2026-10-19T12:00:00.000Z']
+  ]) {
+    assert.equal(parseListQuery({ created_after: raw }, { filters }).options.createdAfter.toISOString(), iso, raw);
+  }
+});
+
+test('parseListQuery rejects values it cannot read', () => {
+  const cases = [
+    [{ limit: '0' }, `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`],
+    [{ limit: String(MAX_PAGE_SIZE + 1) }, `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`],
+    [{ limit: '2.5' }, `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`],
+    [{ min_duration: 'ten' }, 'min_duration must be a whole number'],
+    [{ include_archived: 'yes' }, 'include_archived must be true or false'],
+    [{ direction: 'sideways' }, 'direction must be one of: inbound, outbound'],
+    [{ created_after: '19/10/2026' }, 'created_after must be an ISO 8601 date or date-time'],
+    [{ created_after: '2026-13-45' }, 'created_after must be an ISO 8601 date or date-time'],
+    [{ agent_id: ['a1', 'a2'] }, 'agent_id may only be given once']
+  ];
+  for (const [query, error] of cases) {
+    assert.deepEqual(parseListQuery(query, { filters }), { options: null, error }, JSON.stringify(query));
+  }
+});
+
+test('listResponse links the next page with the same filters', () => {
+  const page = { items: [{ id: 'c1' }], total: 3, nextCursor: 'next' };
+  assert.deepEqual(listResponse(page, '/api/calls', { direction: 'inbound', cursor: 'prev' }), {
+    data: [{ id: 'c1' }],
+    total: 3,
+    next_cursor: 'next',
+    next: '/api/calls?direction=inbound&cursor=next'
+  });
+  assert.equal(listResponse({ ...page, nextCursor: null }, '/api/calls', {}).next, null);
+});
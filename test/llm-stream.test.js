@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readEventStream, SentenceSplitter } from '../src/llm-stream.js';
+import { OpenAICompatibleProvider } from '../src/llm-providers/openai-compatible.js';
+
+function split(chunks) {
+  const splitter = new SentenceSplitter();
+  const sentences = chunks.flatMap(chunk => splitter.push(chunk));
+  const rest = splitter.flush();
+  return rest ? [...sentences, rest] : sentences;
+}
+
+async function* bytes(...chunks) {
+  const encoder = new TextEncoder();
+  for (const chunk of chunks) yield encoder.encode(chunk);
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+test('SentenceSplitter hands back each sentence once it is finished', () => {
+  const splitter = new SentenceSplitter();
+  assert.deepEqual(splitter.push('Hello there! How can'), ['Hello there!']);
+  assert.deepEqual(splitter.push(' I help? '), ['How can I help?']);
+  assert.equal(splitter.flush(), null);
+});
+
+test('SentenceSplitter keeps decimals and prices together', () => {
+  assert.deepEqual(split(['The plan costs $3.50 a month. It renews yearly.']), [
+    'The plan costs $3.50 a month.',
+    'It renews yearly.'
+  ]);
+});
+
+test('SentenceSplitter does not end sentences at abbreviations or initials', () => {
+  assert.deepEqual(split(['Dr. Smith and Mrs. Jones will call, e.g. tomorrow. J. R. Doe agreed. Bye.']), [
+    'Dr. Smith and Mrs. Jones will call, e.g. tomorrow.',
+    'J. R. Doe agreed.',
+    'Bye.'
+  ]);
+});
+
+test('SentenceSplitter still ends sentences at ellipses and closing quotes', () => {
+  assert.deepEqual(split(['Well... maybe. He said "yes." Then left.']), [
+    'Well...',
+    'maybe.',
+    'He said "yes."',
+    'Then left.'
+  ]);
+});
+
+test('SentenceSplitter copes with any chunk boundaries', () => {
+  const text = 'Call Dr. Lee at 3.30 today. Is that okay? Great!';
+  const expected = ['Call Dr. Lee at 3.30 today.', 'Is that okay?', 'Great!'];
+
+  for (let size = 1; size <= text.length; size++) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    assert.deepEqual(split(chunks), expected, `chunks of ${size}`);
+  }
+});
+
+test('SentenceSplitter flushes an unfinished last sentence', () => {
+  const splitter = new SentenceSplitter();
+  assert.deepEqual(splitter.push('Thanks for calling'), []);
+  assert.equal(splitter.flush(), 'Thanks for calling');
+});
+
+test('readEventStream yields data payloads across chunk boundaries', async () => {
+  const events = await collect(readEventStream(bytes(
+    ': OPENROUTER PROCESSING\n\n',
+    'event: message\ndata: {"n":',
+    '1}\n\ndata: {"n":2}\n',
+    '\ndata: [DONE]\n\ndata: {"n":3}\n\n'
+  )));
+  assert.deepEqual(events, [{ n: 1 }, { n: 2 }]);
+});
+
+test('readEventStream decodes characters split between chunks', async () => {
+  const encoded = new TextEncoder().encode('data: {"text":"café"}\n\n');
+  async function* halves() {
+    yield encoded.slice(0, 19);
+    yield encoded.slice(19);
+  }
+  assert.deepEqual(await collect(readEventStream(halves())), [{ text: 'café' }]);
+});
+
+test('readEventStream skips payloads that are not JSON', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const events = await collect(readEventStream(bytes('data: {"n":1}\n\ndata: {"n":\n\ndata: {"n":2}\n\n')));
+
+  assert.deepEqual(events, [{ n: 1 }, { n: 2 }]);
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments), [['Skipping unparsable stream event: {"n":']]);
+});
+
+test('readEventStream reads a last event without a trailing newline', async () => {
+  assert.deepEqual(await collect(readEventStream(bytes('data: {"n":1}\n\ndata: {"n":', '2}'))), [{ n: 1 }, { n: 2 }]);
+  assert.deepEqual(await collect(readEventStream(bytes('data: {"n":1}\n\ndata: [DONE]'))), [{ n: 1 }]);
+  assert.deepEqual(await collect(readEventStream(bytes('data: {"n":1}\n\n: keep-alive'))), [{ n: 1 }]);
+});
+
+test('a streamed completion stops when its signal aborts', async (t) => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hello. ' } }] })}\n\n`);
+    // ...and never finishes
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const provider = new OpenAICompatibleProvider({
+    provider: 'test',
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    authHeader: 'none',
+    timeout: 5000
+  });
+  const controller = new AbortController();
+  const received = [];
+
+  await assert.rejects(async () => {
+    for await (const text of provider.stream([{ role: 'user', content: 'Hi' }], { signal: controller.signal })) {
+      received.push(text);
+      controller.abort();
+    }
+  }, { name: 'AbortError' });
+  assert.deepEqual(received, ['Hello. ']);
+});
@@ -0,0 +1,218 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createDatabase } from '../database/adapters/index.js';
+import Migrator, { ensureTable, rebuildTable } from '../database/migrator.js';
+
+function memoryDatabase(t) {
+  const db = createDatabase({ client: 'sqlite', filename: ':memory:' });
+  t.after(() => db.close());
+  return db;
+}
+
+// A migrations directory of its own, holding the given files
+function migrationsDirectory(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), source);
+  }
+  return dir;
+}
+
+test('migrate applies every migration once and records it', async (t) => {
+  const db = memoryDatabase(t);
+  const migrator = new Migrator(db);
+
+  assert.deepEqual(await migrator.pending(), [
+    { version: 1, name: 'baseline' },
+    { version: 2, name: 'archive_agents_contacts' }
+  ]);
+  assert.deepEqual((await migrator.migrate()).map(migration => migration.version), [1, 2]);
+  assert.deepEqual(await migrator.pending(), []);
+  assert.deepEqual(await migrator.migrate(), []);
+
+  assert.ok((await migrator.status()).every(row => row.appliedAt));
+  assert.ok((await db.columnNames('agents')).includes('archived_at'));
+  assert.equal(await db.tableExists('pii_vault'), true);
+});
+
+test('migrate stops at the version asked for', async (t) => {
+  const db = memoryDatabase(t);
+  const migrator = new Migrator(db);
+
+  assert.deepEqual(await migrator.migrate({ to: 1 }), [{ version: 1, name: 'baseline' }]);
+  assert.deepEqual((await migrator.status()).map(row => Boolean(row.appliedAt)), [true, false]);
+  assert.equal((await db.columnNames('agents')).includes('archived_at'), false);
+});
+
+test('rollback reverts the newest migration and migrate applies it again', async (t) => {
+  const db = memoryDatabase(t);
+  const migrator = new Migrator(db);
+  await migrator.migrate();
+  await db.run("INSERT INTO agents (id, name, prompt, archived_at) VALUES ('a1', 'Sam', 'Be kind', CURRENT_TIMESTAMP)");
+
+  assert.deepEqual(await migrator.rollback(), [{ version: 2, name: 'archive_agents_contacts' }]);
+  assert.equal((await db.columnNames('agents')).includes('archived_at'), false);
+  assert.deepEqual(await migrator.pending(), [{ version: 2, name: 'archive_agents_contacts' }]);
+
+  assert.deepEqual(await migrator.migrate(), [{ version: 2, name: 'archive_agents_contacts' }]);
+  assert.deepEqual(await db.get('SELECT name, archived_at FROM agents'), { name: 'Sam', archived_at: null });
+});
+
+test('the baseline refuses to be rolled back', async (t) => {
+  const db = memoryDatabase(t);
+  const migrator = new Migrator(db);
+  await migrator.migrate();
+
+  assert.deepEqual(await migrator.rollback({ to: 1 }), [{ version: 2, name: 'archive_agents_contacts' }]);
+  assert.deepEqual(await migrator.rollback({ to: 1 }), []);
+  await assert.rejects(migrator.rollback(), {
+    code: 'MIGRATION_IRREVERSIBLE',
+    message: /^Migration 1 \(baseline\) failed: The baseline migration cannot be rolled back/
+  });
+
+  assert.equal(await db.tableExists('agents'), true);
+  assert.notEqual((await migrator.status())[0].appliedAt, null);
+});
+
+test('migrate adopts a database made by the old init-db script, keeping its rows', async (t) => {
+  const db = memoryDatabase(t);
+  await db.run(`
+    CREATE TABLE agents (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      prompt TEXT NOT NULL,
+      type TEXT DEFAULT 'sales',
+      use_case TEXT CHECK(use_case IN ('inbound', 'outbound', 'both')) DEFAULT 'both',
+      phone_number TEXT,
+      voice TEXT DEFAULT 'aura-asteria-en',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.run(`
+    CREATE TABLE conversations (
+      id TEXT PRIMARY KEY,
+      agent_id TEXT NOT NULL,
+      call_sid TEXT,
+      direction TEXT CHECK(direction IN ('inbound', 'outbound')) NOT NULL,
+      customer_number TEXT NOT NULL,
+      transcription TEXT,
+      rating INTEGER CHECK(rating >= 1 AND rating <= 10),
+      success BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (agent_id) REFERENCES agents (id)
+    );
+  `);
+  await db.run("INSERT INTO agents (id, name, prompt) VALUES ('a1', 'Sam', 'Be kind')");
+  await db.run("INSERT INTO conversations (id, agent_id, direction, customer_number) VALUES ('c1', 'a1', 'inbound', '+15550001111')");
+
+  await new Migrator(db).migrate();
+
+  assert.deepEqual(await db.get('SELECT name, prompt, tools, archived_at FROM agents'), {
+    name: 'Sam',
+    prompt: 'Be kind',
+    tools: null,
+    archived_at: null
+  });
+  assert.deepEqual(await db.get('SELECT agent_id, customer_number FROM conversations'), {
+    agent_id: 'a1',
+    customer_number: '+15550001111'
+  });
+  assert.ok((await db.columnNames('conversations')).includes('tenant_id'));
+  assert.equal(await db.tableExists('deferred_calls'), true);
+});
+
+test('ensureTable creates a missing table and rebuilds one that differs', async (t) => {
+  const db = memoryDatabase(t);
+  const createSql = "CREATE TABLE notes (id TEXT PRIMARY KEY, text TEXT NOT NULL, kind TEXT CHECK(kind IN ('a', 'b')))";
+
+  await ensureTable(db, 'notes', createSql);
+  await db.run("INSERT INTO notes (id, text, kind) VALUES ('n1', 'hello', 'a')");
+
+  // Formatting and IF NOT EXISTS don't count as a difference
+  await ensureTable(db, 'notes', createSql.replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS').replace(/, /g, ',\n  '));
+  assert.equal(await db.tableExists('notes_rebuild'), false);
+  const { sql } = await db.get("SELECT sql FROM sqlite_master WHERE name = 'notes'");
+  assert.equal(sql, createSql);
+
+  await ensureTable(db, 'notes', "CREATE TABLE notes (id TEXT PRIMARY KEY, text TEXT NOT NULL, kind TEXT CHECK(kind IN ('a', 'b', 'c')), extra TEXT)");
+  await db.run("INSERT INTO notes (id, text, kind) VALUES ('n2', 'bye', 'c')");
+  assert.deepEqual(await db.all('SELECT id, text, kind, extra FROM notes ORDER BY id'), [
+    { id: 'n1', text: 'hello', kind: 'a', extra: null },
+    { id: 'n2', text: 'bye', kind: 'c', extra: null }
+  ]);
+});
+
+test('rebuildTable keeps the rows and drops columns the new definition lacks', async (t) => {
+  const db = memoryDatabase(t);
+  await db.run('CREATE TABLE notes (id TEXT PRIMARY KEY, text TEXT, legacy TEXT)');
+  await db.run("INSERT INTO notes VALUES ('n1', 'hello', 'old')");
+
+  await rebuildTable(db, 'notes', 'CREATE TABLE IF NOT EXISTS notes (id TEXT PRIMARY KEY, text TEXT NOT NULL)');
+
+  assert.deepEqual(await db.columnNames('notes'), ['id', 'text']);
+  assert.deepEqual(await db.all('SELECT * FROM notes'), [{ id: 'n1', text: 'hello' }]);
+  await assert.rejects(db.run("INSERT INTO notes (id) VALUES ('n2')"), /NOT NULL constraint failed/);
+});
+
+test('a failing migration leaves nothing behind and stops the ones after it', async (t) => {
+  const db = memoryDatabase(t);
+  const directory = migrationsDirectory(t, {
+    '001_first.js': `
+      export async function up(db) { await db.run('CREATE TABLE first (id INTEGER)'); }
+      export async function down(db) { await db.run('DROP TABLE first'); }
+    `,
+    '002_broken.js': `
+      export async function up(db) {
+        await db.run('CREATE TABLE second (id INTEGER)');
+        await db.run('INSERT INTO nowhere VALUES (1)');
+      }
+      export async function down() {}
+    `,
+    '003_third.js': `
+      export async function up(db) { await db.run('CREATE TABLE third (id INTEGER)'); }
+      export async function down(db) { await db.run('DROP TABLE third'); }
+    `,
+    'README.md': 'not a migration'
+  });
+  const migrator = new Migrator(db, { directory });
+
+  await assert.rejects(migrator.migrate(), { message: /^Migration 2 \(broken\) failed: .*no such table: nowhere/ });
+  assert.equal(await db.tableExists('first'), true);
+  assert.equal(await db.tableExists('second'), false);
+  assert.equal(await db.tableExists('third'), false);
+  assert.deepEqual((await migrator.pending()).map(migration => migration.version), [2, 3]);
+});
+
+test('status lists applied migrations whose file is gone, and rollback refuses them', async (t) => {
+  const db = memoryDatabase(t);
+  const directory = migrationsDirectory(t, {
+    '001_first.js': 'export async function up() {}\nexport async function down() {}'
+  });
+  const migrator = new Migrator(db, { directory });
+  await migrator.migrate();
+  await db.run("INSERT INTO schema_migrations (version, name) VALUES (7, 'deleted')");
+
+  const status = await migrator.status();
+  assert.deepEqual(status.map(({ version, name, missing }) => ({ version, name, missing })), [
+    { version: 1, name: 'first', missing: undefined },
+    { version: 7, name: 'deleted', missing: true }
+  ]);
+  await assert.rejects(migrator.rollback(), { code: 'MIGRATION_MISSING' });
+});
+
+test('migration files must export up and down and be numbered once', async (t) => {
+  const db = memoryDatabase(t);
+  const noDown = migrationsDirectory(t, { '001_first.js': 'export async function up() {}' });
+  await assert.rejects(new Migrator(db, { directory: noDown }).migrate(), /Migration 001_first.js must export up\(\) and down\(\)/);
+
+  const twice = migrationsDirectory(t, {
+    '001_first.js': 'export async function up() {}\nexport async function down() {}',
+    '01_again.js': 'export async function up() {}\nexport async function down() {}'
+  });
+  await assert.rejects(new Migrator(db, { directory: twice }).pending(), /Two migrations are numbered 1/);
+});
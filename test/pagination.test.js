@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Contact } = await import('../models/Contact.js');
+const { paginate, sqlTimestamp } = await import('../database/pagination.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const CONTACTS = [
+  ['Carol', ['vip']],
+  ['alice', ['VIP']],
+  ['Bob', ['vip', 'new']],
+  ['bob', null],
+  ['Bob', ['vip_old']],
+  ['Dave', ['v%p']],
+  ['Erin', ['vip']]
+];
+
+before(async () => {
+  let n = 0;
+  for (const [name, tags] of CONTACTS) {
+    await Contact.create({ name, phone_number: `+1555000${String(n++).padStart(4, '0')}`, tags });
+  }
+});
+
+async function walk(options) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await Contact.findAll({ ...options, cursor });
+    pages.push(page);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+// As the `name` sort orders them: LOWER(name), then id
+function byNameThenId(a, b) {
+  const key = contact => [contact.name.toLowerCase(), contact.id];
+  const [nameA, idA] = key(a);
+  const [nameB, idB] = key(b);
+  if (nameA !== nameB) return nameA < nameB ? -1 : 1;
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+test('cursors walk every row exactly once, ties broken by id', async () => {
+  const everyone = (await db.all('SELECT * FROM contacts')).sort(byNameThenId);
+
+  for (const limit of [1, 2, 3, 100]) {
+    const pages = await walk({ sort: 'name', limit });
+    const ids = pages.flatMap(page => page.items.map(contact => contact.id));
+    assert.deepEqual(ids, everyone.map(contact => contact.id), `limit ${limit}`);
+    assert.equal(pages.length, Math.ceil(everyone.length / limit));
+    assert.ok(pages.every(page => page.total === everyone.length));
+  }
+});
+
+test('descending sorts walk the same rows in reverse', async () => {
+  const ascending = (await walk({ sort: 'name', limit: 2 })).flatMap(page => page.items.map(contact => contact.id));
+  const descending = (await walk({ sort: '-name', limit: 2 })).flatMap(page => page.items.map(contact => contact.id));
+  assert.deepEqual(descending, [...ascending].reverse());
+});
+
+test('a cursor keeps its place when rows are added before it', async () => {
+  const first = await Contact.findAll({ sort: 'name', limit: 2 });
+  const rest = (await walk({ sort: 'name', limit: 100 })).flatMap(page => page.items).slice(2);
+
+  const added = await Contact.create({ name: 'Aaron', phone_number: '+15559999999' });
+  try {
+    const next = await Contact.findAll({ sort: 'name', limit: 100, cursor: first.nextCursor });
+    assert.deepEqual(next.items.map(contact => contact.id), rest.map(contact => contact.id));
+    assert.equal(next.total, CONTACTS.length + 1);
+  } finally {
+    await db.run('DELETE FROM contacts WHERE id = ?', [added.id]);
+  }
+});
+
+test('total counts the rows matching the filters on every page', async () => {
+  const pages = await walk({ search: 'bob', sort: 'name', limit: 1 });
+  assert.equal(pages.length, 3);
+  assert.ok(pages.every(page => page.total === 3));
+  assert.deepEqual(pages.at(-1).nextCursor, null);
+});
+
+test('the tag filter matches whole tags exactly', async () => {
+  const names = async (tag) => {
+    const pages = await walk({ tag, sort: 'name', limit: 1 });
+    const found = pages.flatMap(page => page.items.map(contact => contact.name));
+    assert.ok(pages.every(page => page.total === found.length), `total for ${tag}`);
+    return found;
+  };
+
+  assert.deepEqual(await names('vip'), ['Bob', 'Carol', 'Erin']);
+  assert.deepEqual(await names('VIP'), ['alice']);
+  assert.deepEqual(await names('v%p'), ['Dave']);
+  assert.deepEqual(await names('vip_ol_'), []);
+  assert.deepEqual(await names('"vip"'), []);
+
+  assert.deepEqual((await Contact.findMatching({ tag: 'vip' })).map(contact => contact.name).sort(), ['Bob', 'Carol', 'Erin']);
+});
+
+test('malformed and mismatched cursors are rejected', async () => {
+  const { nextCursor } = await Contact.findAll({ sort: 'name', limit: 1 });
+  const encode = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+  const cases = [
+    ['%%%', 'cursor is not valid'],
+    [encode('not json'), 'cursor is not valid'],
+    [encode({ sort: 'name' }), 'cursor is not valid'],
+    [encode({ id: 42, sort: 'name' }), 'cursor is not valid'],
+    [encode({ id: 'missing', sort: 'name' }), 'cursor refers to a row that no longer exists']
+  ];
+  for (const [cursor, message] of cases) {
+    await assert.rejects(Contact.findAll({ sort: 'name', cursor }), { code: 'INVALID_LIST_QUERY', message }, cursor);
+  }
+  await assert.rejects(Contact.findAll({ sort: '-name', cursor: nextCursor }), {
+    code: 'INVALID_LIST_QUERY',
+    message: 'cursor is from a list with another sort'
+  });
+});
+
+test('unknown sorts are rejected with the ones allowed', async () => {
+  await assert.rejects(
+    paginate(db, { table: 'contacts', sorts: { name: 'LOWER(name)' }, sort: 'phone_number', limit: 10 }),
+    { code: 'INVALID_LIST_QUERY', message: 'sort must be one of: name, -name' }
+  );
+});
+
+test('sqlTimestamp writes dates as SQLite stores CURRENT_TIMESTAMP', async () => {
+  assert.equal(sqlTimestamp(new Date('2026-10-19T14:05:09.999Z')), '2026-10-19 14:05:09');
+  const { now } = await db.get('SELECT CURRENT_TIMESTAMP AS now');
+  assert.match(now, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+});
@@ -0,0 +1,190 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db, and
+// audio to a scratch directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+process.env.AUDIO_STORAGE = 'local';
+process.env.AUDIO_STORAGE_PATH = path.join(dir, 'audio');
+
+const KEY = crypto.randomBytes(32);
+process.env.RECORDING_ENCRYPTION_KEY = KEY.toString('hex');
+process.env.RECORDING_RETENTION_DAYS = '30';
+process.env.RECORDING_DELETE_FROM_TWILIO = 'true';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { audioStore } = await import('../src/audio-store.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Conversation } = await import('../models/Conversation.js');
+const { default: TwilioService } = await import('../services/TwilioService.js');
+const { default: RecordingService } = await import('../services/RecordingService.js');
+const {
+  parseEncryptionKey,
+  encryptRecording,
+  decryptRecording,
+  recordingExpiry,
+  recordingSid,
+  waitForRecording
+} = await import('../src/recordings.js');
+
+// The calls router fetches Twilio's copy through its own TwilioService
+TwilioService.prototype.fetchRecording = async url => Buffer.from(`twilio:${url}`);
+const { default: callRoutes } = await import('../src/routes/calls.js');
+
+await new Migrator(db).migrate();
+
+const app = express();
+app.use('/api/calls', callRoutes);
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(async () => {
+  server.close();
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A RecordingService whose Twilio serves `audio` and records deletions
+function recordingService(audio = Buffer.from('ID3 mp3 audio frames')) {
+  const deleted = [];
+  const twilioService = {
+    async fetchRecording() { return audio; },
+    async deleteRecording(sid) { deleted.push(sid); }
+  };
+  return { service: new RecordingService(twilioService), deleted };
+}
+
+const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful' });
+const newConversation = () => Conversation.create({ agent_id: agent.id, direction: 'outbound', customer_number: '+15550108000' });
+const recordingUrl = `https://api.twilio.com/2010-04-01/Accounts/AC1/Recordings/RE${'ab'.repeat(16)}`;
+
+test('parseEncryptionKey takes 32 bytes as hex or base64', () => {
+  assert.deepEqual(parseEncryptionKey(KEY.toString('hex')), KEY);
+  assert.deepEqual(parseEncryptionKey(KEY.toString('base64')), KEY);
+  assert.equal(parseEncryptionKey(''), null);
+  assert.throws(() => parseEncryptionKey('c2hvcnQ='), /Recording encryption key must be 32 bytes, as 64 hex characters or base64/);
+  assert.throws(() => parseEncryptionKey('abcd', 'PII vault key'), /^Error: PII vault key must be 32 bytes/);
+});
+
+test('recordings round-trip through AES-256-GCM', () => {
+  const audio = crypto.randomBytes(1000);
+
+  const stored = encryptRecording(audio, KEY);
+  assert.equal(stored.subarray(0, 5).toString(), 'VREC1');
+  assert.equal(stored.length, 5 + 12 + 16 + audio.length);
+  assert.equal(stored.includes(audio.subarray(0, 32)), false);
+  assert.deepEqual(decryptRecording(stored, KEY), audio);
+
+  // A fresh IV every time
+  assert.notDeepEqual(encryptRecording(audio, KEY), stored);
+});
+
+test('decryption refuses a wrong key or tampered data', () => {
+  const stored = encryptRecording(Buffer.from('hello'), KEY);
+
+  assert.throws(() => decryptRecording(stored, crypto.randomBytes(32)), /Unsupported state or unable to authenticate data/);
+  const tampered = Buffer.from(stored);
+  tampered[tampered.length - 1] ^= 1;
+  assert.throws(() => decryptRecording(tampered, KEY), /unable to authenticate/);
+  assert.throws(() => decryptRecording(stored, null), /Recording is encrypted but no encryption key is configured/);
+});
+
+test('recordings stored without a key are read back as they are', () => {
+  const audio = Buffer.from('ID3 plain');
+  assert.equal(encryptRecording(audio, null), audio);
+  assert.equal(decryptRecording(audio, KEY), audio);
+});
+
+test('recordingExpiry, recordingSid and waitForRecording', async () => {
+  assert.equal(recordingExpiry(30, new Date('2026-10-19T12:00:00Z')), '2026-11-18T12:00:00.000Z');
+  assert.equal(recordingExpiry(0), null);
+  assert.equal(recordingSid(recordingUrl), `RE${'ab'.repeat(16)}`);
+  assert.equal(recordingSid('https://example.test/rec.mp3'), null);
+
+  const answers = [null, null, Buffer.from('ready')];
+  assert.deepEqual(await waitForRecording(async () => answers.shift(), { delay: 1 }), Buffer.from('ready'));
+  await assert.rejects(waitForRecording(async () => null, { attempts: 2, delay: 1 }), /Recording still unavailable after 2 attempts/);
+});
+
+test('archive stores an encrypted copy and deletes Twilio\'s', async () => {
+  const { service, deleted } = recordingService();
+  const conversation = await newConversation();
+
+  const key = await service.archive(conversation, recordingUrl, { channels: 2 });
+
+  assert.equal(key, `recordings/${conversation.id}.mp3`);
+  assert.equal((await audioStore.read(key)).subarray(0, 5).toString(), 'VREC1');
+  const archived = await Conversation.findById(conversation.id);
+  assert.deepEqual([archived.recording_key, archived.recording_url, archived.recording_channels], [key, recordingUrl, 2]);
+  assert.ok(Math.abs(new Date(archived.recording_expires_at) - (Date.now() + 30 * 86_400_000)) < 5000);
+  assert.deepEqual(deleted, [`RE${'ab'.repeat(16)}`]);
+
+  assert.deepEqual(await service.load(archived), Buffer.from('ID3 mp3 audio frames'));
+  // Archiving again keeps the copy already made
+  assert.equal(await service.archive(archived, recordingUrl), key);
+  assert.equal(deleted.length, 1);
+});
+
+test('purgeExpired deletes recordings past retention, here and at Twilio', async () => {
+  const { service, deleted } = recordingService();
+  const expired = await newConversation();
+  const current = await newConversation();
+  const expiredKey = await service.archive(expired, recordingUrl);
+  const currentKey = await service.archive(current, recordingUrl);
+  deleted.length = 0;
+  await db.run('UPDATE conversations SET recording_expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), expired.id]);
+
+  assert.equal(await service.purgeExpired(), 1);
+
+  assert.equal(await audioStore.exists(expiredKey), false);
+  assert.equal(await audioStore.exists(currentKey), true);
+  assert.deepEqual(deleted, [`RE${'ab'.repeat(16)}`]);
+  const purged = await Conversation.findById(expired.id);
+  assert.deepEqual([purged.recording_key, purged.recording_url, purged.recording_expires_at], [null, null, null]);
+});
+
+test('playback serves the decrypted recording, in ranges for seeking', async () => {
+  const audio = Buffer.from('0123456789abcdef');
+  const { service } = recordingService(audio);
+  const conversation = await newConversation();
+  await service.archive(conversation, recordingUrl);
+  const url = `${baseUrl}/api/calls/recording/${conversation.id}`;
+
+  const whole = await fetch(url);
+  assert.equal(whole.status, 200);
+  assert.equal(whole.headers.get('content-type'), 'audio/mpeg');
+  assert.equal(whole.headers.get('accept-ranges'), 'bytes');
+  assert.equal(await whole.text(), '0123456789abcdef');
+
+  const part = await fetch(url, { headers: { Range: 'bytes=10-' } });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers.get('content-range'), 'bytes 10-15/16');
+  assert.equal(await part.text(), 'abcdef');
+
+  assert.equal((await fetch(url, { headers: { Range: 'bytes=16-20' } })).status, 416);
+});
+
+test('playback falls back to Twilio until the copy is archived', async () => {
+  const conversation = await newConversation();
+
+  assert.equal((await fetch(`${baseUrl}/api/calls/recording/${conversation.id}`)).status, 404);
+
+  await Conversation.update(conversation.id, { recording_url: recordingUrl });
+  const response = await fetch(`${baseUrl}/api/calls/recording/${conversation.id}`);
+  assert.equal(await response.text(), `twilio:${recordingUrl}`);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  PII_TYPES,
+  findPii,
+  redactText,
+  redactWords,
+  maskValue,
+  vaultToken,
+  sealValue,
+  openValue,
+  revealText
+} from '../src/redaction.js';
+
+const policy = { enabled: true, types: PII_TYPES };
+const key = crypto.createHash('sha256').update('test vault key').digest();
+
+function redacted(text, types = PII_TYPES) {
+  return redactText(text, { enabled: true, types }).text;
+}
+
+test('card numbers are redacted only when they pass the Luhn check', () => {
+  assert.equal(redacted('It is 4111 1111 1111 1111, expiry soon'), 'It is [CARD_NUMBER], expiry soon');
+  assert.equal(redacted('Card 5500-0000-0000-0004 please'), 'Card [CARD_NUMBER] please');
+  assert.equal(redacted('Amex 378282246310005'), 'Amex [CARD_NUMBER]');
+  assert.equal(redacted('It is 4111 1111 1111 1112'), 'It is 4111 1111 1111 1112');
+});
+
+test('SSNs are redacted unless their area, group or serial cannot be issued', () => {
+  assert.equal(redacted('My SSN is 123-45-6789.'), 'My SSN is [SSN].');
+  assert.equal(redacted('It is 123 45 6789'), 'It is [SSN]');
+  for (const number of ['000-12-3456', '666-12-3456', '912-34-5678', '123-00-4567', '123-45-0000']) {
+    assert.deepEqual(findPii(number, ['ssn']), [], number);
+  }
+});
+
+test('phone numbers are redacted in the usual formats', () => {
+  assert.equal(redacted('Call me at (212) 555-0123.'), 'Call me at [PHONE].');
+  assert.equal(redacted('It is +1 212 555 0123'), 'It is [PHONE]');
+  assert.equal(redacted('Try 212.555.0123 or 2125550123'), 'Try [PHONE] or [PHONE]');
+  assert.equal(redacted('London is +44 20 7946 0958 ok'), 'London is [PHONE] ok');
+  assert.equal(redacted('Or 020 7946 0958'), 'Or [PHONE]');
+});
+
+test('order numbers, dates and times are not phone numbers', () => {
+  for (const text of [
+    'My order number is 1234567890123',
+    'order 2026-10-19 14:00',
+    'at 14:00:00 on 19/10/2026',
+    'meet 10.19.2026 at 1400',
+    'reference 12345-67890',
+    'extension 555-0123'
+  ]) {
+    assert.equal(redacted(text), text, text);
+  }
+});
+
+test('emails, spoken emails and street addresses are redacted', () => {
+  assert.equal(redacted('Mail jane.doe@example.com today'), 'Mail [EMAIL] today');
+  assert.equal(redacted("It's jane at example dot com"), "It's [EMAIL]");
+  assert.equal(redacted('I live at 221 Baker Street now'), 'I live at [ADDRESS] now');
+  assert.equal(redacted('I want 3 of them by the way'), 'I want 3 of them by the way');
+});
+
+test('only the policy\'s types are redacted, and nothing when it is off', () => {
+  const text = 'Card 4111 1111 1111 1111, email jane@example.com';
+  assert.equal(redacted(text, ['email']), 'Card 4111 1111 1111 1111, email [EMAIL]');
+  assert.deepEqual(redactText(text, { enabled: false, types: PII_TYPES }), { text, entities: [] });
+});
+
+test('vault tokens are never redacted again, and are masked to bare labels', () => {
+  const token = vaultToken(key, 'conv-1', 'phone', '(212) 555-0123');
+  assert.equal(redacted(`Call ${token} back`), `Call ${token} back`);
+  assert.deepEqual(maskValue({ line: `Call ${token} or jane@example.com` }, policy), {
+    line: 'Call [PHONE] or [EMAIL]'
+  });
+});
+
+test('redactWords collapses a match over several words into one timed word', () => {
+  const words = [
+    { word: 'call', start: 0, end: 0.4 },
+    { word: '(212)', start: 0.5, end: 1 },
+    { word: '555-0123', start: 1.1, end: 2 },
+    { word: 'thanks', start: 2.2, end: 2.6 }
+  ];
+  const { words: result, entities } = redactWords(words, policy);
+  assert.deepEqual(result, [
+    { word: 'call', start: 0, end: 0.4 },
+    { word: '[PHONE]', start: 0.5, end: 2 },
+    { word: 'thanks', start: 2.2, end: 2.6 }
+  ]);
+  assert.deepEqual(entities, [{ type: 'phone', value: '(212) 555-0123', token: '[PHONE]' }]);
+});
+
+test('vaultToken is an HMAC of the conversation, type and value', () => {
+  const token = vaultToken(key, 'conv-1', 'email', 'jane@example.com');
+  const expected = crypto.createHmac('sha256', key).update('conv-1\nemail\njane@example.com').digest('hex').slice(0, 10);
+
+  assert.equal(token, `[EMAIL_${expected}]`);
+  assert.equal(vaultToken(key, 'conv-1', 'email', 'jane@example.com'), token);
+  assert.notEqual(vaultToken(key, 'conv-2', 'email', 'jane@example.com'), token);
+  assert.notEqual(vaultToken(crypto.randomBytes(32), 'conv-1', 'email', 'jane@example.com'), token);
+});
+
+test('sealed values open with the key and nothing else', () => {
+  const sealed = sealValue(key, '4111 1111 1111 1111');
+
+  assert.equal(openValue(key, sealed), '4111 1111 1111 1111');
+  assert.notEqual(sealValue(key, '4111 1111 1111 1111'), sealed);
+  assert.throws(() => openValue(crypto.randomBytes(32), sealed));
+
+  const [iv, tag, ciphertext] = sealed.split('.');
+  const tampered = Buffer.from(ciphertext, 'base64');
+  tampered[0] ^= 1;
+  assert.throws(() => openValue(key, [iv, tag, tampered.toString('base64')].join('.')));
+});
+
+test('revealText puts vaulted values back and leaves unknown tokens', () => {
+  const known = vaultToken(key, 'conv-1', 'ssn', '123-45-6789');
+  const unknown = vaultToken(key, 'conv-1', 'ssn', '987-65-4321');
+  const values = new Map([[known, '123-45-6789']]);
+
+  assert.equal(revealText(`SSN ${known}, not ${unknown}`, values), `SSN 123-45-6789, not ${unknown}`);
+});
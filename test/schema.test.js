@@ -0,0 +1,196 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ModelSchema } from '../database/schema.js';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Contact } = await import('../models/Contact.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const schema = new ModelSchema('widgets', {
+  name: { type: 'string', required: true },
+  size: { type: 'integer', min: 1, max: 10, default: 5 },
+  ratio: { type: 'number' },
+  enabled: { type: 'boolean', default: true },
+  color: { type: 'string', enum: ['red', 'blue'] },
+  settings: { type: 'json', validate: value => (Array.isArray(value) ? 'settings must be an object' : null) },
+  due_at: { type: 'datetime' }
+});
+
+function validationErrors(work) {
+  try {
+    work();
+  } catch (error) {
+    assert.equal(error.code, 'VALIDATION_FAILED');
+    return error.errors;
+  }
+  assert.fail('expected a validation error');
+}
+
+test('forCreate fills in defaults and nulls for every column', () => {
+  assert.deepEqual(schema.forCreate({ name: 'Knob' }), {
+    name: 'Knob',
+    size: 5,
+    ratio: null,
+    enabled: true,
+    color: null,
+    settings: null,
+    due_at: null
+  });
+});
+
+test('unknown fields are rejected along with every other error', () => {
+  assert.deepEqual(validationErrors(() => schema.forCreate({ name: 'Knob', id: 'x', created_at: 'now' })), [
+    { field: 'id', message: 'Unknown field: id' },
+    { field: 'created_at', message: 'Unknown field: created_at' }
+  ]);
+  assert.deepEqual(validationErrors(() => schema.forCreate({ size: 0, color: 'green' })), [
+    { field: 'name', message: 'name is required' },
+    { field: 'size', message: 'size must be at least 1' },
+    { field: 'color', message: 'color must be one of: red, blue' }
+  ]);
+});
+
+test('values are checked against their column types', () => {
+  const cases = [
+    [{ name: 42 }, 'name must be a string'],
+    [{ name: '' }, 'name is required'],
+    [{ size: 2.5 }, 'size must be a whole number'],
+    [{ size: 11 }, 'size must be at most 10'],
+    [{ ratio: Infinity }, 'ratio must be a number'],
+    [{ enabled: 'yes' }, 'enabled must be true or false'],
+    [{ settings: '{oops' }, 'settings must be valid JSON'],
+    [{ settings: 3 }, 'settings must be an object or array'],
+    [{ settings: [] }, 'settings must be an object'],
+    [{ due_at: 'next week' }, 'due_at must be a date and time']
+  ];
+  for (const [updates, message] of cases) {
+    assert.deepEqual(validationErrors(() => schema.forUpdate(updates)), [
+      { field: Object.keys(updates)[0], message }
+    ], JSON.stringify(updates));
+  }
+});
+
+test('values are converted to how they are stored', () => {
+  assert.deepEqual(schema.forUpdate({
+    enabled: 0,
+    settings: '{"a":1}',
+    due_at: new Date('2026-10-19T14:00:00Z')
+  }), {
+    enabled: false,
+    settings: '{"a":1}',
+    due_at: '2026-10-19T14:00:00.000Z'
+  });
+  assert.deepEqual(schema.forUpdate({ settings: { b: [1, 2] } }), { settings: '{"b":[1,2]}' });
+});
+
+test('forUpdate changes only the fields given, and null clears one', () => {
+  assert.deepEqual(schema.forUpdate({ size: 3, color: null, ratio: undefined }), { size: 3, color: null });
+  assert.deepEqual(schema.forUpdate({}), {});
+});
+
+test('forUpdate with replace resets the fields left out, as a PUT does', () => {
+  assert.deepEqual(schema.forUpdate({ name: 'Dial', color: 'red' }, { replace: true }), {
+    name: 'Dial',
+    size: 5,
+    ratio: null,
+    enabled: true,
+    color: 'red',
+    settings: null,
+    due_at: null
+  });
+  assert.deepEqual(validationErrors(() => schema.forUpdate({ color: 'red' }, { replace: true })), [
+    { field: 'name', message: 'name is required' }
+  ]);
+});
+
+test('parse converts a value before it is checked', () => {
+  const listed = new ModelSchema('lists', {
+    items: { type: 'json', parse: value => (typeof value === 'string' ? value.split('|') : value) }
+  });
+  assert.deepEqual(listed.forUpdate({ items: 'a|b' }), { items: '["a","b"]' });
+  assert.deepEqual(listed.forUpdate({ items: ['c'] }), { items: '["c"]' });
+  assert.deepEqual(listed.forUpdate({ items: null }), { items: null });
+});
+
+test('update sets updated_at for schemas with timestamps', () => {
+  const timestamped = new ModelSchema('things', { name: { type: 'string' } }, { timestamps: true });
+  assert.deepEqual(timestamped.update('t1', { name: 'A' }, ['archived_at = NULL']), [
+    'UPDATE things SET name = ?, archived_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    ['A', 't1']
+  ]);
+  assert.deepEqual(schema.insert({ id: 'w1', name: 'Knob' }), [
+    'INSERT INTO widgets (id, name) VALUES (?, ?)',
+    ['w1', 'Knob']
+  ]);
+});
+
+test('Agent.create stores defaults and rejects fields it does not manage', async () => {
+  const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful', tools: [{ type: 'builtin', name: 'lookup_contact' }] });
+  const stored = await Agent.findById(agent.id);
+  assert.equal(stored.voice, 'aura-asteria-en');
+  assert.equal(stored.use_case, 'both');
+  assert.deepEqual(JSON.parse(stored.tools), [{ type: 'builtin', name: 'lookup_contact' }]);
+
+  await assert.rejects(Agent.create({ name: 'Eve', prompt: 'x', archived_at: '2026-01-01' }), {
+    code: 'VALIDATION_FAILED',
+    errors: [{ field: 'archived_at', message: 'Unknown field: archived_at' }]
+  });
+  await assert.rejects(Agent.create({ name: 'Eve', prompt: 'x', use_case: 'sideways' }), { code: 'VALIDATION_FAILED' });
+});
+
+test('Agent.update patches by default and replaces with replace: true', async () => {
+  const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful', voice: 'aura-orion-en', phone_number: '+15550001111' });
+
+  const patched = await Agent.update(agent.id, { prompt: 'Be brief' });
+  assert.equal(patched.prompt, 'Be brief');
+  assert.equal(patched.voice, 'aura-orion-en');
+  assert.equal(patched.phone_number, '+15550001111');
+
+  const replaced = await Agent.update(agent.id, { name: 'Sam', prompt: 'Be kind' }, { replace: true });
+  assert.equal(replaced.prompt, 'Be kind');
+  assert.equal(replaced.voice, 'aura-asteria-en');
+  assert.equal(replaced.phone_number, null);
+
+  await assert.rejects(Agent.update(agent.id, { prompt: 'x' }, { replace: true }), {
+    code: 'VALIDATION_FAILED',
+    errors: [{ field: 'name', message: 'name is required' }]
+  });
+  assert.equal((await Agent.findById(agent.id)).prompt, 'Be kind');
+});
+
+test('Contact tags are validated as an array of strings', async () => {
+  const contact = await Contact.create({ name: 'Ann', phone_number: '+15550002222', tags: ['vip'] });
+  assert.deepEqual(JSON.parse((await Contact.findById(contact.id)).tags), ['vip']);
+
+  await assert.rejects(Contact.create({ name: 'Bob', phone_number: '+15550003333', tags: ['vip', 7] }), {
+    code: 'VALIDATION_FAILED',
+    errors: [{ field: 'tags', message: 'tags must be an array of strings' }]
+  });
+});
+
+test('Contact tags may be a comma-separated string', async () => {
+  const contact = await Contact.create({ name: 'Cy', phone_number: '+15550004444', tags: 'vip, renewal,' });
+  assert.equal(contact.tags, '["vip","renewal"]');
+
+  assert.equal((await Contact.update(contact.id, { tags: '["east"]' })).tags, '["east"]');
+  assert.equal((await Contact.update(contact.id, { tags: ' , ' })).tags, null);
+  await assert.rejects(Contact.update(contact.id, { tags: '["east"' }), {
+    errors: [{ field: 'tags', message: 'tags must be valid JSON' }]
+  });
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, getZonedParts, formatZoned, zonedTimeToUtc } from '../src/timezone.js';
+
+const iso = (localDateTime, timeZone) => zonedTimeToUtc(localDateTime, timeZone)?.toISOString() ?? null;
+
+test('isValidTimeZone accepts IANA zones only', () => {
+  assert.equal(isValidTimeZone('America/Chicago'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
+
+test('getZonedParts and formatZoned read the wall clock in a zone', () => {
+  const instant = new Date('2026-10-19T23:30:15Z');
+  assert.deepEqual(getZonedParts(instant, 'Asia/Tokyo'), {
+    year: 2026, month: 10, day: 20, hour: 8, minute: 30, second: 15, weekday: 'Tuesday'
+  });
+  assert.equal(formatZoned(instant, 'America/Los_Angeles'), '2026-10-19T16:30');
+  assert.equal(formatZoned(new Date('2026-10-19T04:00:00Z'), 'America/New_York'), '2026-10-19T00:00');
+});
+
+test('zonedTimeToUtc converts wall-clock times to instants', () => {
+  assert.equal(iso('2026-07-01T12:00', 'America/New_York'), '2026-07-01T16:00:00.000Z');
+  assert.equal(iso('2026-01-01T12:00', 'America/New_York'), '2026-01-01T17:00:00.000Z');
+  assert.equal(iso('2026-07-01 12:00:30', 'Europe/London'), '2026-07-01T11:00:30.000Z');
+  assert.equal(iso('2026-07-01T09:15', 'Asia/Kolkata'), '2026-07-01T03:45:00.000Z');
+  assert.equal(iso('2026-07-01T00:00', 'UTC'), '2026-07-01T00:00:00.000Z');
+});
+
+test('zonedTimeToUtc moves times skipped by spring-forward past the change', () => {
+  // New York goes from 02:00 EST to 03:00 EDT on 8 March 2026
+  assert.equal(iso('2026-03-08T01:59', 'America/New_York'), '2026-03-08T06:59:00.000Z');
+  assert.equal(iso('2026-03-08T02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+  assert.equal(iso('2026-03-08T03:00', 'America/New_York'), '2026-03-08T07:00:00.000Z');
+  // Berlin goes from 02:00 CET to 03:00 CEST on 29 March 2026
+  assert.equal(iso('2026-03-29T02:30', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+});
+
+test('zonedTimeToUtc reads times repeated by fall-back as their first occurrence', () => {
+  // New York goes from 02:00 EDT back to 01:00 EST on 1 November 2026
+  assert.equal(iso('2026-11-01T00:59', 'America/New_York'), '2026-11-01T04:59:00.000Z');
+  assert.equal(iso('2026-11-01T01:30', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+  assert.equal(iso('2026-11-01T02:00', 'America/New_York'), '2026-11-01T07:00:00.000Z');
+  // Berlin goes from 03:00 CEST back to 02:00 CET on 25 October 2026
+  assert.equal(iso('2026-10-25T02:30', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z');
+});
+
+test('zonedTimeToUtc gives null for input it cannot read', () => {
+  for (const input of ['tomorrow', '2026-10-19', '2026-10-19T9:00', '19/10/2026 09:00', null]) {
+    assert.equal(zonedTimeToUtc(input, 'UTC'), null, String(input));
+  }
+});
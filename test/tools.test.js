@@ -0,0 +1,190 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Contact } = await import('../models/Contact.js');
+const { default: Conversation } = await import('../models/Conversation.js');
+const { default: ToolInvocation } = await import('../models/ToolInvocation.js');
+const { default: ToolService } = await import('../services/ToolService.js');
+const { default: AIService } = await import('../services/AIService.js');
+
+await new Migrator(db).migrate();
+
+// Stands in for the endpoints of HTTP tools: each request gets the reply
+// `respond` gives for it, and is kept for the test to look at
+const requests = [];
+let respond = () => [200, '{}'];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+    const [status, text] = respond(req);
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(text);
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const endpoint = `http://127.0.0.1:${server.address().port}`;
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const CALLER = '+15550101010';
+const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful' });
+const conversation = await Conversation.create({ agent_id: agent.id, direction: 'inbound', customer_number: CALLER });
+const context = { agent, conversationId: conversation.id, customerNumber: CALLER, callbacks: null };
+
+const toolService = new ToolService();
+const run = (tools, name, args = {}) => toolService.execute(tools, { id: 'call_1', name, arguments: args }, context);
+
+test('lookup_contact only ever returns the caller\'s own record', async () => {
+  const caller = await Contact.create({ name: 'Ann', phone_number: CALLER, company: 'Acme' });
+  await Contact.create({ name: 'Bob', phone_number: '+15550202020', notes: 'Owes us money' });
+  const tools = [{ type: 'lookup_contact' }];
+
+  const found = await run(tools, 'lookup_contact', { phone_number: '+15550202020' });
+  assert.equal(found.found, true);
+  assert.equal(found.name, 'Ann');
+  assert.equal(found.company, 'Acme');
+
+  await Contact.archive(caller.id);
+  assert.deepEqual(await run(tools, 'lookup_contact'), { found: false });
+
+  const stranger = { ...context, customerNumber: '+15550303030' };
+  assert.deepEqual(await toolService.execute(tools, { name: 'lookup_contact', arguments: {} }, stranger), { found: false });
+});
+
+test('HTTP tools post the call to their endpoint and return its JSON', async () => {
+  respond = () => [200, '{"status":"shipped"}'];
+  const tools = [{ type: 'http', name: 'order_status', description: 'Order status', url: `${endpoint}/orders`, headers: { 'X-Key': 'k' } }];
+
+  assert.deepEqual(await run(tools, 'order_status', { order: 'A1' }), { status: 'shipped' });
+  assert.deepEqual(requests.at(-1), {
+    method: 'POST',
+    url: '/orders',
+    body: {
+      tool: 'order_status',
+      arguments: { order: 'A1' },
+      conversation_id: conversation.id,
+      agent_id: agent.id,
+      customer_number: CALLER
+    }
+  });
+
+  const get = [{ ...tools[0], method: 'get', url: `${endpoint}/orders?v=2` }];
+  await run(get, 'order_status', { order: 'A1' });
+  assert.deepEqual(requests.at(-1), { method: 'GET', url: '/orders?v=2&order=A1', body: null });
+
+  respond = () => [200, 'plain words'];
+  assert.deepEqual(await run(tools, 'order_status'), { response: 'plain words' });
+});
+
+test('HTTP tool results are cut short once serialized, not before', async () => {
+  const tools = [{ type: 'http', name: 'catalogue', description: 'Catalogue', url: endpoint }];
+
+  // Under the limit as raw text, over it once its quotes are escaped
+  const quoted = JSON.stringify({ text: '"'.repeat(1200) });
+  respond = () => [200, quoted];
+  const result = await run(tools, 'catalogue');
+  assert.equal(result.truncated, true);
+  assert.equal(result.response.length, 2000);
+  assert.equal(result.response, JSON.stringify(JSON.parse(quoted)).slice(0, 2000));
+
+  const fits = JSON.stringify({ items: 'x'.repeat(1900) });
+  respond = () => [200, fits];
+  assert.deepEqual(await run(tools, 'catalogue'), JSON.parse(fits));
+});
+
+test('every tool call is audited, failures included, with PII redacted', async () => {
+  respond = () => [503, 'down for maintenance'];
+  const tools = [{ type: 'http', name: 'book', description: 'Book', url: endpoint }];
+
+  assert.deepEqual(await run(tools, 'book', { email: 'ann@example.com' }), { error: 'HTTP 503: down for maintenance' });
+  assert.deepEqual(await run(tools, 'teleport'), { error: 'Unknown tool: teleport' });
+
+  const rows = (await ToolInvocation.findByConversationId(conversation.id)).slice(-2);
+  assert.deepEqual(rows.map(row => [row.tool_name, row.status, JSON.parse(row.result)]), [
+    ['book', 'error', { error: 'HTTP 503: down for maintenance' }],
+    ['teleport', 'error', { error: 'Unknown tool: teleport' }]
+  ]);
+  assert.doesNotMatch(rows[0].arguments, /ann@example\.com/);
+  assert.match(JSON.parse(rows[0].arguments).email, /^\[EMAIL/);
+  assert.ok(rows.every(row => Number.isInteger(row.duration_ms)));
+});
+
+// A toolbox whose every call is counted, and an LLM that keeps asking for it
+function endlessToolCalls() {
+  const tools = {
+    definitions: [{ type: 'function', function: { name: 'spin', parameters: { type: 'object', properties: {} } } }],
+    calls: 0,
+    async execute() {
+      tools.calls++;
+      return { spun: tools.calls };
+    }
+  };
+  const service = new AIService();
+  const llm = { requests: 0 };
+  const toolCalls = () => [{ id: `call_${llm.requests}`, name: 'spin', arguments: {} }];
+  service.llm = {
+    async chat() {
+      llm.requests++;
+      return { content: '', toolCalls: toolCalls(), usage: null };
+    },
+    async *stream(messages, options) {
+      llm.requests++;
+      options.onToolCalls(toolCalls());
+    }
+  };
+  return { service, tools, llm };
+}
+
+test('a reply makes at most MAX_TOOL_ROUNDS round trips through tools', async () => {
+  const messages = [{ role: 'user', content: 'Spin' }];
+
+  const whole = endlessToolCalls();
+  await whole.service.generateResponse(messages, 'Spin things', null, { tools: whole.tools });
+  assert.equal(whole.tools.calls, 3);
+  assert.equal(whole.llm.requests, 4);
+
+  const streamed = endlessToolCalls();
+  await streamed.service.generateStreamingResponse(messages, 'Spin things', null, { tools: streamed.tools });
+  assert.equal(streamed.tools.calls, 3);
+  assert.equal(streamed.llm.requests, 4);
+});
+
+test('tool results are fed back to the model in the OpenAI message format', async () => {
+  const llmMessages = [];
+  const tools = { execute: async call => ({ echoed: call.arguments }) };
+
+  await new AIService().runToolCalls(llmMessages, 'One moment.', [{ id: 'call_9', name: 'echo', arguments: { a: 1 } }], tools);
+
+  assert.deepEqual(llmMessages, [
+    {
+      role: 'assistant',
+      content: 'One moment.',
+      tool_calls: [{ id: 'call_9', type: 'function', function: { name: 'echo', arguments: '{"a":1}' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_9', content: '{"echoed":{"a":1}}' }
+  ]);
+});
@@ -0,0 +1,207 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Conversation } = await import('../models/Conversation.js');
+const { default: TranscriptService } = await import('../services/TranscriptService.js');
+const { DeepgramSpeechProvider } = await import('../src/speech-providers/deepgram.js');
+const { alignTranscript } = await import('../src/transcript.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Timed words from "text", one every half second from `start`
+function say(speaker, text, start) {
+  return text.split(' ').map((word, index) => ({
+    word,
+    start: start + index * 0.5,
+    end: start + index * 0.5 + 0.4,
+    speaker
+  }));
+}
+
+const messages = [
+  { role: 'assistant', content: 'Hi, this is Sam from Acme. How can I help?' },
+  { role: 'user', content: 'My invoice looks wrong this month.' },
+  { role: 'assistant', content: 'Let me check that invoice for you.' }
+];
+
+test('words are grouped into utterances by speaker', () => {
+  const words = [
+    ...say(0, 'Hi, this is Sam from Acme.', 0.48),
+    ...say(1, 'My invoice looks wrong.', 3.2)
+  ];
+
+  const aligned = alignTranscript(words, messages, { channels: 2 });
+
+  assert.deepEqual(aligned.utterances.map(({ speaker, start, end, text }) => ({ speaker, start, end, text })), [
+    { speaker: 'agent', start: 0.48, end: 3.38, text: 'Hi, this is Sam from Acme.' },
+    { speaker: 'customer', start: 3.2, end: 5.1, text: 'My invoice looks wrong.' }
+  ]);
+  assert.deepEqual(aligned.utterances[1].words[0], { word: 'My', start: 3.2, end: 3.6 });
+  assert.equal(aligned.version, 1);
+  assert.equal(aligned.channels, 2);
+  assert.equal(aligned.duration, 5.1);
+});
+
+test('a long silence starts a new utterance from the same speaker', () => {
+  const words = [...say(0, 'Let me check.', 0), ...say(0, 'Okay, found it.', 1.4 + 1.6)];
+
+  const { utterances } = alignTranscript(words, messages);
+
+  assert.deepEqual(utterances.map(utterance => [utterance.start, utterance.text]), [[0, 'Let me check.'], [3, 'Okay, found it.']]);
+});
+
+test('words arriving out of order are sorted, and times rounded', () => {
+  const words = [
+    { word: 'there', start: 0.9, end: 1.23456, speaker: 0 },
+    { word: 'Hi', start: 0.30001, end: 0.6, speaker: 0 }
+  ];
+
+  const [utterance] = alignTranscript(words, messages).utterances;
+
+  assert.equal(utterance.text, 'Hi there');
+  assert.deepEqual([utterance.start, utterance.end], [0.3, 1.23]);
+  assert.deepEqual(utterance.words[0], { word: 'Hi', start: 0.3, end: 0.6 });
+});
+
+test('agent and customer are told apart by what they said, not by channel order', () => {
+  const words = [
+    ...say(0, 'Hello?', 0),
+    ...say(1, 'Hi, this is Sam from Acme.', 1),
+    ...say(0, 'My invoice looks wrong.', 5)
+  ];
+
+  const { utterances } = alignTranscript(words, messages, { channels: 2 });
+
+  assert.deepEqual(utterances.map(utterance => utterance.speaker), ['customer', 'agent', 'customer']);
+});
+
+test('speakers that can\'t be matched keep a numbered label', () => {
+  const words = [...say(0, 'Hello?', 0), ...say(1, 'Hello?', 1)];
+  assert.deepEqual(alignTranscript(words, messages).utterances.map(utterance => utterance.speaker), ['speaker_0', 'speaker_1']);
+
+  // Without two speakers to compare, each is named by its own words
+  const three = [...say(0, 'Sam from Acme', 0), ...say(1, 'invoice wrong', 2), ...say(2, 'Hello?', 4)];
+  assert.deepEqual(alignTranscript(three, messages).utterances.map(utterance => utterance.speaker), ['agent', 'customer', 'speaker_2']);
+
+  assert.deepEqual(alignTranscript(say(3, 'Sam from Acme', 0), []).utterances[0].speaker, 'speaker_3');
+});
+
+test('lines without a speaker are named one at a time', () => {
+  const words = [
+    ...say(null, 'Hi, this is Sam from Acme.', 0),
+    ...say(null, 'My invoice looks wrong.', 5),
+    ...say(null, 'Hello?', 9)
+  ];
+
+  const aligned = alignTranscript(words, messages);
+
+  assert.deepEqual(aligned.utterances.map(utterance => utterance.speaker), ['agent', 'customer', 'unknown']);
+});
+
+test('an empty recording aligns to no utterances', () => {
+  assert.deepEqual(alignTranscript([], messages), { version: 1, channels: 1, duration: 0, utterances: [] });
+});
+
+test('Deepgram words carry the channel as speaker for dual-channel recordings', async () => {
+  const provider = new DeepgramSpeechProvider({ apiKey: 'test' });
+  const requests = [];
+  const channel = (words, transcript = '') => ({ alternatives: [{ transcript, words }] });
+  provider.client = {
+    listen: {
+      prerecorded: {
+        async transcribeFile(audio, options) {
+          requests.push(options);
+          return {
+            result: {
+              results: {
+                channels: options.multichannel
+                  ? [
+                      channel([{ word: 'hello', punctuated_word: 'Hello?', start: 1.2, end: 1.5 }], 'Hello?'),
+                      channel([{ word: 'hi', punctuated_word: 'Hi,', start: 0.4, end: 0.6 }], 'Hi,')
+                    ]
+                  : [channel([{ word: 'hi', start: 0.4, end: 0.6, speaker: 1 }, { word: 'hello', start: 1.2, end: 1.5 }], 'hi hello')]
+              }
+            }
+          };
+        }
+      }
+    }
+  };
+
+  const stereo = await provider.transcribe(Buffer.from('audio'), { words: true, channels: 2 });
+  assert.deepEqual(stereo.words, [
+    { word: 'Hi,', start: 0.4, end: 0.6, speaker: 1 },
+    { word: 'Hello?', start: 1.2, end: 1.5, speaker: 0 }
+  ]);
+  assert.equal(stereo.transcript, 'Hi, Hello?');
+  assert.equal(requests[0].multichannel, true);
+
+  // Mono recordings are diarized instead
+  const mono = await provider.transcribe(Buffer.from('audio'), { words: true });
+  assert.deepEqual(mono.words.map(word => word.speaker), [1, null]);
+  assert.deepEqual([requests[1].diarize, requests[1].multichannel], [true, undefined]);
+});
+
+test('alignRecording transcribes the archived recording and stores the redacted transcript', async () => {
+  const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful' });
+  const conversation = await Conversation.create({ agent_id: agent.id, direction: 'outbound', customer_number: '+15550109000' });
+  await Conversation.update(conversation.id, { recording_key: `recordings/${conversation.id}.mp3`, recording_channels: 2 });
+  for (const { role, content } of messages) await Conversation.addMessage(conversation.id, role, content);
+
+  const transcriptions = [];
+  const aiService = {
+    async transcribeAudio(audio, options) {
+      transcriptions.push({ audio, options });
+      return {
+        words: [
+          ...say(1, 'Hi, this is Sam from Acme.', 0),
+          ...say(0, 'My invoice looks wrong, email me at jo@example.com', 4)
+        ]
+      };
+    }
+  };
+  const recordingService = { async load(stored) { return stored.recording_key ? Buffer.from('ID3 audio') : null; } };
+  const service = new TranscriptService(aiService, recordingService);
+
+  const aligned = await service.alignRecording(conversation.id);
+
+  assert.deepEqual(transcriptions[0].audio, Buffer.from('ID3 audio'));
+  assert.deepEqual(transcriptions[0].options, { words: true, channels: 2, language: undefined, mimetype: 'audio/mpeg', redact: undefined });
+  assert.deepEqual(aligned.utterances.map(utterance => utterance.speaker), ['agent', 'customer']);
+  assert.equal(aligned.utterances[1].text, 'My invoice looks wrong, email me at [EMAIL]');
+  assert.deepEqual(JSON.parse((await Conversation.findById(conversation.id)).aligned_transcript), aligned);
+  assert.equal(JSON.stringify(aligned).includes('jo@example.com'), false);
+});
+
+test('alignRecording gives null without a recording', async () => {
+  const service = new TranscriptService({}, { async load() { return null; } });
+  const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful' });
+  const conversation = await Conversation.create({ agent_id: agent.id, direction: 'inbound', customer_number: '+15550109001' });
+
+  assert.equal(await service.alignRecording(conversation.id), null);
+  assert.equal(await service.alignRecording(999999), null);
+  assert.equal((await Conversation.findById(conversation.id)).aligned_transcript, null);
+});
@@ -0,0 +1,159 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { TtsCache } = await import('../src/tts-cache.js');
+const { AudioStore } = await import('../src/audio-storage/index.js');
+const { LocalAudioStorage } = await import('../src/audio-storage/local.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A cache of at most `maxBytes` in its own directory
+let caches = 0;
+function ttsCache(maxBytes = 1000) {
+  const root = path.join(dir, String(++caches));
+  const store = new AudioStore(new LocalAudioStorage({ path: root }), { urlSecret: 'secret', baseUrl: 'https://example.test/audio' });
+  return { cache: new TtsCache({ enabled: true, store, prefix: 'cache/', maxBytes }), store, root };
+}
+
+// A synthesizer producing `bytes` bytes, counting its calls
+function synthesizer(bytes) {
+  const synthesize = async () => {
+    synthesize.calls++;
+    return Buffer.alloc(bytes, 1);
+  };
+  synthesize.calls = 0;
+  return synthesize;
+}
+
+const spec = text => ({ text, voice: 'aura-asteria-en', format: 'mulaw', provider: 'deepgram' });
+
+test('keyFor gives one key per text, voice, format and provider', () => {
+  const { cache } = ttsCache();
+  const key = cache.keyFor(spec('Hello'));
+
+  assert.match(key, /^cache\/[0-9a-f]{64}\.ulaw$/);
+  assert.equal(cache.keyFor(spec('Hello')), key);
+  assert.match(cache.keyFor({ ...spec('Hello'), format: 'wav' }), /\.wav$/);
+  const others = [spec('Hello!'), { ...spec('Hello'), voice: 'aura-luna-en' }, { ...spec('Hello'), provider: 'openai' }];
+  assert.equal(new Set([key, ...others.map(other => cache.keyFor(other))]).size, 4);
+});
+
+test('a phrase is synthesized once and then served from the cache', async () => {
+  const { cache, store } = ttsCache();
+  const synthesize = synthesizer(10);
+
+  const miss = await cache.fetch(spec('Hello'), synthesize);
+  const hit = await cache.fetch(spec('Hello'), synthesize);
+
+  assert.equal(synthesize.calls, 1);
+  assert.deepEqual([miss.hit, hit.hit], [false, true]);
+  assert.equal(hit.key, miss.key);
+  assert.match(hit.url, new RegExp(`^https://example.test/audio/cache/[0-9a-f]{64}\\.ulaw\\?expires=\\d+&signature=`));
+  assert.equal((await store.read(hit.key)).length, 10);
+  assert.deepEqual(cache.stats(), {
+    enabled: true, entries: 1, bytes: 10, max_bytes: 1000, hits: 1, misses: 1, hit_rate: 0.5, evictions: 0, prewarmed: 0
+  });
+});
+
+test('concurrent misses share one synthesis', async () => {
+  const { cache } = ttsCache();
+  const synthesize = synthesizer(10);
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.fetch(spec('Hello'), synthesize)));
+
+  assert.equal(synthesize.calls, 1);
+  assert.equal(new Set(results.map(result => result.key)).size, 1);
+  assert.deepEqual([cache.stats().misses, cache.stats().hits], [1, 2]);
+});
+
+test('pre-warming fills the cache without counting as a hit or miss', async () => {
+  const { cache } = ttsCache();
+  const synthesize = synthesizer(10);
+
+  await cache.fetch(spec('Hello'), synthesize, { prewarm: true });
+  await cache.fetch(spec('Hello'), synthesize, { prewarm: true });
+
+  const { hits, misses, prewarmed, hit_rate: hitRate } = cache.stats();
+  assert.deepEqual({ hits, misses, prewarmed, hitRate }, { hits: 0, misses: 0, prewarmed: 1, hitRate: null });
+  assert.equal((await cache.fetch(spec('Hello'), synthesize)).hit, true);
+});
+
+test('the least recently played phrases are evicted once the cache is full', async () => {
+  const { cache, store } = ttsCache(25);
+  const first = await cache.fetch(spec('One'), synthesizer(10));
+  const second = await cache.fetch(spec('Two'), synthesizer(10));
+
+  // Playing "One" again makes "Two" the least recently used
+  await cache.fetch(spec('One'), synthesizer(10));
+  const third = await cache.fetch(spec('Three'), synthesizer(10));
+
+  assert.equal(await store.exists(first.key), true);
+  assert.equal(await store.exists(second.key), false);
+  assert.equal(await store.exists(third.key), true);
+  assert.deepEqual([cache.stats().entries, cache.stats().bytes, cache.stats().evictions], [2, 20, 1]);
+
+  const synthesize = synthesizer(10);
+  assert.equal((await cache.fetch(spec('Two'), synthesize)).hit, false);
+  assert.equal(synthesize.calls, 1);
+});
+
+test('a phrase bigger than the cache is still served, and goes first next time', async () => {
+  const { cache, store } = ttsCache(25);
+  const short = await cache.fetch(spec('Hi'), synthesizer(10));
+
+  const { key } = await cache.fetch(spec('A long speech'), synthesizer(30));
+
+  assert.equal(await store.exists(key), true);
+  assert.equal(await store.exists(short.key), false);
+  assert.deepEqual([cache.stats().entries, cache.stats().bytes], [1, 30]);
+
+  await cache.fetch(spec('Hi'), synthesizer(10));
+  assert.equal(await store.exists(key), false);
+  assert.deepEqual([cache.stats().entries, cache.stats().bytes], [1, 10]);
+});
+
+test('a cached file that has gone missing is synthesized again', async () => {
+  const { cache, store } = ttsCache();
+  const synthesize = synthesizer(10);
+  const { key } = await cache.fetch(spec('Hello'), synthesize);
+
+  await store.delete(key);
+  const again = await cache.fetch(spec('Hello'), synthesize);
+
+  assert.equal(again.hit, false);
+  assert.equal(synthesize.calls, 2);
+  assert.equal(await store.exists(key), true);
+  assert.equal(cache.stats().bytes, 10);
+});
+
+test('files stored before a restart are indexed oldest first and trimmed to size', async () => {
+  const { cache, root } = ttsCache(25);
+  const keys = ['One', 'Two', 'Three'].map(text => cache.keyFor(spec(text)));
+  fs.mkdirSync(path.join(root, 'cache'), { recursive: true });
+  keys.forEach((key, index) => {
+    const file = path.join(root, key);
+    fs.writeFileSync(file, Buffer.alloc(10));
+    // "Two" is the oldest, then "One", then "Three"
+    const modified = new Date(Date.UTC(2026, 9, 19, [1, 0, 2][index]));
+    fs.utimesSync(file, modified, modified);
+  });
+  fs.writeFileSync(path.join(root, 'cache', 'interrupted.ulaw.123.tmp'), Buffer.alloc(10));
+
+  const synthesize = synthesizer(10);
+  assert.equal((await cache.fetch(spec('One'), synthesize)).hit, true);
+
+  assert.equal(synthesize.calls, 0);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'cache')).sort(), [keys[0], keys[2]].map(key => key.slice('cache/'.length)).sort());
+  assert.deepEqual([cache.stats().entries, cache.stats().bytes, cache.stats().evictions], [2, 20, 1]);
+});
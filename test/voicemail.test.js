@@ -0,0 +1,211 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db, and
+// audio to a scratch directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+process.env.AUDIO_STORAGE = 'local';
+process.env.AUDIO_STORAGE_PATH = path.join(dir, 'audio');
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: config } = await import('../src/config.js');
+const { audioStore } = await import('../src/audio-store.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: Contact } = await import('../models/Contact.js');
+const { default: Conversation } = await import('../models/Conversation.js');
+const { default: Campaign } = await import('../models/Campaign.js');
+const { default: CampaignContact } = await import('../models/CampaignContact.js');
+const { default: CallbackRequest } = await import('../models/CallbackRequest.js');
+const { default: VoicemailService } = await import('../services/VoicemailService.js');
+
+await new Migrator(db).migrate();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A VoicemailService whose LLM writes `message`, whose speech is a few
+// stored bytes, and whose Twilio calls are recorded
+function voicemailService({ message = 'Hi, this is Sam from Acme. Please call us back.' } = {}) {
+  const twilio = [];
+  const spoken = [];
+  const aiService = {
+    async generateAnalysisResponse() {
+      return message;
+    },
+    async generateTTS(text) {
+      spoken.push(text);
+      return await audioStore.save(Buffer.from(text), { prefix: 'cache' });
+    }
+  };
+  const twilioService = {
+    async redirectCall(...args) { twilio.push(['redirectCall', ...args]); },
+    async updateCallStatus(...args) { twilio.push(['updateCallStatus', ...args]); },
+    generateHangupTwiml: audioUrl => `<Play>${audioUrl}</Play><Hangup/>`
+  };
+  return { service: new VoicemailService(aiService, twilioService), twilio, spoken };
+}
+
+let calls = 0;
+
+// An outbound call answered by AMD, for an agent set to `voicemailConfig`
+async function answeredCall(voicemailConfig) {
+  const { id } = await Agent.create({ name: 'Sam', prompt: 'You call about renewals for Acme', voicemail_config: voicemailConfig, calling_hours: { enabled: false } });
+  const callSid = `CA${++calls}`;
+  const customerNumber = `+1555040${String(calls).padStart(4, '0')}`;
+  const conversation = await Conversation.create({ agent_id: id, call_sid: callSid, direction: 'outbound', customer_number: customerNumber });
+  return { agent: await Agent.findById(id), callSid, conversation };
+}
+
+const deferredCallsTo = phoneNumber => db.all('SELECT * FROM deferred_calls WHERE phone_number = ?', [phoneNumber]);
+
+test('validateConfig and parseConfig', () => {
+  const { service } = voicemailService();
+  assert.equal(service.validateConfig({ action: 'message', message: 'Call us back' }), null);
+  assert.equal(service.validateConfig('hangup'), 'Voicemail config must be an object');
+  assert.equal(service.validateConfig({ action: 'sing' }), 'Voicemail action must be one of: continue, hangup, message, retry');
+  assert.equal(service.validateConfig({ message: 'x'.repeat(501) }), 'Voicemail message must be text of at most 500 characters');
+
+  assert.deepEqual(service.parseConfig(null), { action: 'hangup', message: null });
+  assert.deepEqual(service.parseConfig({ voicemail_config: '{"action": "retry"}' }), { action: 'retry', message: null });
+  assert.deepEqual(service.parseConfig({ id: 'a1', voicemail_config: '{oops' }), { action: 'hangup', message: null });
+});
+
+test('a person answering is recorded and the call goes on', async () => {
+  const { service, twilio } = voicemailService();
+  const { agent, callSid, conversation } = await answeredCall({ action: 'hangup' });
+
+  await service.handleDetection(agent, callSid, 'human');
+
+  assert.deepEqual(twilio, []);
+  const updated = await Conversation.findById(conversation.id);
+  assert.equal(updated.answered_by, 'human');
+  assert.equal(updated.outcome, null);
+});
+
+test('"continue" carries on talking to the machine', async () => {
+  const { service, twilio } = voicemailService();
+  const { agent, callSid, conversation } = await answeredCall({ action: 'continue' });
+
+  await service.handleDetection(agent, callSid, 'machine_end_beep');
+
+  assert.deepEqual(twilio, []);
+  assert.equal((await Conversation.findById(conversation.id)).outcome, null);
+});
+
+test('"hangup" ends the call without trying again', async () => {
+  const { service, twilio } = voicemailService();
+  const { agent, callSid, conversation } = await answeredCall(null);
+
+  await service.handleDetection(agent, callSid, 'machine_start');
+
+  assert.deepEqual(twilio, [['updateCallStatus', callSid, 'completed']]);
+  const updated = await Conversation.findById(conversation.id);
+  assert.deepEqual([updated.answered_by, updated.outcome], ['machine_start', 'voicemail']);
+  assert.deepEqual(await deferredCallsTo(conversation.customer_number), []);
+});
+
+test('"message" sends the call to the prepared voicemail', async () => {
+  const { service, twilio } = voicemailService();
+  const { agent, callSid } = await answeredCall({ action: 'message' });
+
+  await service.handleDetection(agent, callSid, 'machine_end_silence');
+
+  assert.deepEqual(twilio, [['redirectCall', callSid, `${config.app.baseUrl}/api/calls/amd/${agent.id}/message`]]);
+});
+
+test('"retry" queues the same AI call as a deferred call, not a callback request', async () => {
+  const { service, twilio } = voicemailService();
+  const { agent, callSid, conversation } = await answeredCall({ action: 'retry' });
+  await Contact.create({ name: 'Ann', phone_number: conversation.customer_number, timezone: 'Europe/Paris' });
+
+  await service.handleDetection(agent, callSid, 'machine_end_other');
+
+  assert.deepEqual(twilio, [['updateCallStatus', callSid, 'completed']]);
+  const [deferred] = await deferredCallsTo(conversation.customer_number);
+  assert.equal(deferred.agent_id, agent.id);
+  assert.equal(deferred.timezone, 'Europe/Paris');
+  assert.equal(deferred.status, 'scheduled');
+  assert.ok(Math.abs(new Date(deferred.scheduled_for) - (Date.now() + config.callbacks.retryDelay)) < 5000);
+  assert.deepEqual(await db.all('SELECT * FROM callback_requests WHERE customer_number = ?', [conversation.customer_number]), []);
+});
+
+test('campaign calls reaching a machine follow the campaign\'s retry rules', async () => {
+  const { service } = voicemailService();
+  const { agent, callSid, conversation } = await answeredCall({ action: 'retry' });
+  const campaign = await Campaign.create({ name: 'Renewals', agent_id: agent.id });
+  const contact = await Contact.create({ name: 'Bob', phone_number: conversation.customer_number });
+  await CampaignContact.addContacts(campaign.id, [contact]);
+  const [entry] = await CampaignContact.findByCampaignId(campaign.id);
+  await CampaignContact.markCalling(entry.id, { callSid, conversationId: conversation.id });
+
+  await service.handleDetection(agent, callSid, 'machine_start');
+
+  const retried = await CampaignContact.findById(entry.id);
+  assert.deepEqual([retried.status, retried.outcome], ['pending', 'voicemail']);
+  assert.deepEqual(await deferredCallsTo(conversation.customer_number), []);
+});
+
+test('callback calls reaching a machine follow the callback retry rules', async () => {
+  const { service } = voicemailService();
+  const { agent, callSid, conversation } = await answeredCall({ action: 'retry' });
+  const { id } = await CallbackRequest.create({ conversation_id: conversation.id, customer_number: conversation.customer_number, agent_id: agent.id });
+  await CallbackRequest.markAttempt(id, callSid);
+
+  await service.handleDetection(agent, callSid, 'machine_start');
+
+  const retried = await CallbackRequest.findById(id);
+  assert.deepEqual([retried.status, retried.outcome, retried.call_sid], ['scheduled', 'voicemail', null]);
+  assert.deepEqual(await deferredCallsTo(conversation.customer_number), []);
+});
+
+test('prepare writes and synthesizes the message ahead of the call', async () => {
+  const { service, spoken } = voicemailService();
+  const { agent } = await answeredCall({ action: 'message' });
+
+  const prepared = await service.prepare(agent);
+
+  assert.deepEqual(spoken, ['Hi, this is Sam from Acme. Please call us back.']);
+  assert.equal(await audioStore.exists(prepared.audio_key), true);
+  assert.deepEqual(JSON.parse((await Agent.findById(agent.id)).voicemail_config), prepared);
+  assert.equal(await service.prepare({ ...agent, voicemail_config: '{"action": "hangup"}' }), null);
+});
+
+test('prepare speaks the agent\'s own message when it has one', async () => {
+  const { service, spoken } = voicemailService();
+  const { agent } = await answeredCall({ action: 'message', message: 'Please call Acme on 555-0100.' });
+
+  assert.equal((await service.prepare(agent)).script, 'Please call Acme on 555-0100.');
+  assert.deepEqual(spoken, ['Please call Acme on 555-0100.']);
+});
+
+test('buildMessageTwiml plays the stored message, synthesizing it again once cleaned up', async () => {
+  const { service, spoken } = voicemailService();
+  const { agent } = await answeredCall({ action: 'message' });
+  const { audio_key: key } = await service.prepare(agent);
+
+  const prepared = await Agent.findById(agent.id);
+  assert.match(await service.buildMessageTwiml(prepared), new RegExp(`^<Play>${config.app.baseUrl}/audio/${key}\\?`));
+  assert.equal(spoken.length, 1);
+
+  await audioStore.delete(key);
+  const twiml = await service.buildMessageTwiml(prepared);
+  assert.equal(spoken.length, 2);
+  const { audio_key: newKey } = JSON.parse((await Agent.findById(agent.id)).voicemail_config);
+  assert.notEqual(newKey, key);
+  assert.ok(twiml.includes(`/audio/${newKey}?`));
+});
@@ -0,0 +1,223 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+// Models write to a scratch SQLite file, never database/voice_ai.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-ai-test-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.DATABASE_URL = '';
+
+// src/config.js insists on these; nothing here reaches the services behind them
+process.env.TWILIO_ACCOUNT_SID ||= 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN ||= 'test';
+process.env.TWILIO_PHONE_NUMBER ||= '+15550000000';
+process.env.DEEPGRAM_API_KEY ||= 'test';
+process.env.LLM_API_KEY ||= 'test';
+
+const { default: db } = await import('../database/connection.js');
+const { default: Migrator } = await import('../database/migrator.js');
+const { default: Agent } = await import('../models/Agent.js');
+const { default: WebSocketService } = await import('../services/WebSocketService.js');
+
+await new Migrator(db).migrate();
+
+// Never listens; the WebSocket server only attaches to it
+const server = http.createServer();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const agent = await Agent.create({ name: 'Sam', prompt: 'Be helpful' });
+const liveAgent = await Agent.create({
+  name: 'Robin',
+  prompt: 'Be helpful',
+  transfer_config: { mode: 'dial', target: '+15559990000', whisper: false }
+});
+
+// A Twilio media stream socket that keeps what is sent to it
+class FakeSocket extends EventEmitter {
+  OPEN = 1;
+  readyState = 1;
+  sent = [];
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  events(name) {
+    return this.sent.filter(message => message.event === name);
+  }
+}
+
+// Recognition that the test speaks into
+class FakeTranscription extends EventEmitter {
+  audio = [];
+
+  send(chunk) {
+    this.audio.push(chunk);
+  }
+
+  close() {}
+}
+
+// A service on a started media stream, its LLM replying with `reply`:
+// `(messages, options) => result`, after speaking whatever it likes
+async function streamingCall(t, forAgent = agent, reply = async () => ({ response: '', intent: { intent: 'continue' }, endCall: false })) {
+  const service = new WebSocketService(server);
+  t.after(() => service.wss.close());
+
+  const transcription = new FakeTranscription();
+  service.stt = { listen: () => transcription };
+  service.aiService.generateStreamAudio = async text => Buffer.from(text);
+  const requests = [];
+  service.aiService.generateStreamingResponse = async (messages, prompt, conversationId, options) => {
+    requests.push({ messages, options });
+    return await reply(messages, options);
+  };
+  const twilio = [];
+  service.twilioService.updateCallStatus = async (...args) => { twilio.push(['updateCallStatus', ...args]); };
+  service.twilioService.redirectCall = async (...args) => { twilio.push(['redirectCall', ...args]); };
+
+  const ws = new FakeSocket();
+  service.handleConnection(ws);
+  const connection = [...service.activeConnections.values()].at(-1);
+  await service.handleMessage(connection, JSON.stringify({
+    event: 'start',
+    start: { streamSid: 'MZ1', callSid: 'CA1', customParameters: { agentId: forAgent.id, from: '+15550101010' } }
+  }));
+
+  const hear = (transcript, { isFinal = true, speechFinal = isFinal } = {}) =>
+    service.handleTranscription(connection, { transcript, isFinal, speechFinal });
+  const markPlayed = name => service.handleMessage(connection, JSON.stringify({ event: 'mark', mark: { name } }));
+
+  return { service, connection, ws, transcription, requests, twilio, hear, markPlayed };
+}
+
+const payloadBytes = message => Buffer.from(message.media.payload, 'base64').length;
+
+test('agent audio goes out in 160-byte mu-law frames followed by a mark', async (t) => {
+  const { service, connection, ws } = await streamingCall(t);
+
+  service.sendAudio(connection, Buffer.alloc(400, 0xff), 'm1');
+
+  assert.deepEqual(ws.sent.map(message => message.event), ['media', 'media', 'media', 'mark']);
+  assert.deepEqual(ws.events('media').map(payloadBytes), [160, 160, 80]);
+  assert.ok(ws.sent.every(message => message.streamSid === 'MZ1'));
+  assert.deepEqual(ws.events('mark')[0].mark, { name: 'm1' });
+  assert.equal(service.isAgentSpeaking(connection), true);
+
+  await service.handleMessage(connection, JSON.stringify({ event: 'mark', mark: { name: 'm1' } }));
+  assert.equal(service.isAgentSpeaking(connection), false);
+
+  ws.readyState = 3;
+  service.sendAudio(connection, Buffer.alloc(400), 'm2');
+  assert.equal(ws.sent.length, 4);
+});
+
+test('caller audio is passed to recognition, inbound track only', async (t) => {
+  const { service, connection, transcription } = await streamingCall(t);
+  const frame = Buffer.from([1, 2, 3]).toString('base64');
+
+  await service.handleMessage(connection, JSON.stringify({ event: 'media', media: { track: 'inbound', payload: frame } }));
+  await service.handleMessage(connection, JSON.stringify({ event: 'media', media: { track: 'outbound', payload: frame } }));
+
+  assert.deepEqual(transcription.audio, [Buffer.from([1, 2, 3])]);
+});
+
+test('final segments are held until the caller finishes speaking', async (t) => {
+  const { requests, hear } = await streamingCall(t);
+
+  await hear('I would like', { isFinal: true, speechFinal: false });
+  await hear('uh', { isFinal: false });
+  await hear('a refund', { isFinal: true, speechFinal: false });
+  assert.equal(requests.length, 0);
+
+  await hear('', { isFinal: true, speechFinal: true });
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].messages.at(-1), { role: 'user', content: 'I would like a refund' });
+});
+
+test('an interim transcript during playback clears the audio and abandons the turn', async (t) => {
+  let reached;
+  const speaking = new Promise(resolve => { reached = resolve; });
+  const { connection, ws, transcription, hear } = await streamingCall(t, agent, async (messages, { signal, onSentence }) => {
+    onSentence('Our plans start at ten dollars.');
+    reached();
+    await new Promise(resolve => signal.addEventListener('abort', resolve));
+    signal.throwIfAborted();
+  });
+
+  const turn = hear('How much is it?');
+  await speaking;
+  await new Promise(resolve => setImmediate(resolve)); // the sentence's audio is queued
+  const { currentTurn } = connection;
+  assert.equal(ws.events('mark').length, 1);
+
+  // Through the recognizer's own event, as a real interim result arrives
+  transcription.emit('transcript', { transcript: 'wait', isFinal: false, speechFinal: false });
+
+  assert.equal(ws.sent.at(-1).event, 'clear');
+  assert.equal(currentTurn.signal.aborted, true);
+  assert.equal(connection.currentTurn, null);
+  assert.equal(connection.pendingMarks.size, 0);
+  await turn;
+});
+
+test('a goodbye is not cut short, and the call hangs up after its last mark', async (t) => {
+  const { connection, ws, twilio, hear, markPlayed } = await streamingCall(t, agent, async (messages, { onSentence }) => {
+    onSentence('Thanks for calling.');
+    onSentence('Goodbye.');
+    return { response: 'Thanks for calling. Goodbye.', intent: { intent: 'end_call' }, endCall: true };
+  });
+
+  await hear('That is all, bye');
+  const marks = ws.events('mark').map(message => message.mark.name);
+  assert.equal(marks.length, 3);
+  assert.match(marks[2], /:hangup$/);
+  assert.equal(connection.isClosing, true);
+
+  await hear('oh and', { isFinal: false });
+  assert.equal(ws.events('clear').length, 0);
+
+  await markPlayed(marks[0]);
+  await markPlayed(marks[1]);
+  assert.deepEqual(twilio, []);
+  await markPlayed(marks[2]);
+  assert.deepEqual(twilio, [['updateCallStatus', 'CA1', 'completed']]);
+});
+
+test('a live transfer redirects the call once the hold message has played', async (t) => {
+  const { service, connection, ws, twilio, hear, markPlayed } = await streamingCall(t, liveAgent, async (messages, { onSentence }) => {
+    onSentence('Please hold.');
+    return { response: 'Please hold.', intent: { intent: 'transfer' }, transferRequested: true, transferReason: 'wants a person', endCall: false };
+  });
+
+  await hear('Can I talk to a person?');
+  const [held, transfer] = ws.events('mark').map(message => message.mark.name);
+  assert.match(transfer, /:transfer$/);
+
+  await markPlayed(held);
+  assert.deepEqual(twilio, []);
+  await markPlayed(transfer);
+  assert.deepEqual(twilio, [['redirectCall', 'CA1', service.transferService.startUrl(connection.conversationId)]]);
+});
+
+test('marks flushed by a clear never trigger their action', async (t) => {
+  const { service, connection, twilio, markPlayed } = await streamingCall(t);
+
+  service.sendAudio(connection, Buffer.alloc(10), 'late:hangup');
+  service.clearAudio(connection);
+  await markPlayed('late:hangup');
+
+  assert.deepEqual(twilio, []);
+});